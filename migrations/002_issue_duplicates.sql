@@ -0,0 +1,21 @@
+-- Migration: 002_issue_duplicates.sql
+-- Description: Track duplicate reports and additional reporters for merged issues
+
+-- Canonical issue a duplicate was merged into
+ALTER TABLE issues ADD COLUMN IF NOT EXISTS duplicate_of UUID REFERENCES issues(issue_id) ON DELETE SET NULL;
+ALTER TABLE issues ADD COLUMN IF NOT EXISTS merged_at TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS issues_duplicate_of_idx ON issues(duplicate_of);
+
+COMMENT ON COLUMN issues.duplicate_of IS 'Canonical issue this report was merged into (NULL for canonical issues)';
+
+-- Create issue_reporters table (citizens who reported the same problem)
+CREATE TABLE IF NOT EXISTS issue_reporters (
+  issue_id UUID NOT NULL REFERENCES issues(issue_id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+  source_issue_id UUID REFERENCES issues(issue_id) ON DELETE SET NULL,
+  linked_at TIMESTAMP DEFAULT NOW(),
+  PRIMARY KEY (issue_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS issue_reporters_user_idx ON issue_reporters(user_id);
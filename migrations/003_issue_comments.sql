@@ -0,0 +1,24 @@
+-- Migration: 003_issue_comments.sql
+-- Description: Threaded comments and official responses on issues
+
+-- Create comments table
+CREATE TABLE IF NOT EXISTS comments (
+  comment_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  issue_id UUID NOT NULL REFERENCES issues(issue_id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+  parent_comment_id UUID REFERENCES comments(comment_id) ON DELETE CASCADE,
+  body TEXT NOT NULL,
+  is_official BOOLEAN NOT NULL DEFAULT FALSE,
+  is_deleted BOOLEAN NOT NULL DEFAULT FALSE,
+  edited_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Create indexes on comments for querying
+CREATE INDEX IF NOT EXISTS comments_issue_idx ON comments(issue_id, created_at);
+CREATE INDEX IF NOT EXISTS comments_parent_idx ON comments(parent_comment_id);
+CREATE INDEX IF NOT EXISTS comments_user_idx ON comments(user_id);
+
+COMMENT ON COLUMN comments.is_official IS 'Official response posted by a government user';
+COMMENT ON COLUMN comments.is_deleted IS 'Soft-deleted by author; kept so replies stay threaded';
@@ -0,0 +1,30 @@
+-- Migration: 004_issue_events.sql
+-- Description: Audit history of issue lifecycle events
+
+-- Create issue_events table
+CREATE TABLE IF NOT EXISTS issue_events (
+  event_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  issue_id UUID NOT NULL REFERENCES issues(issue_id) ON DELETE CASCADE,
+  actor_user_id UUID REFERENCES users(user_id) ON DELETE SET NULL,
+  event_type VARCHAR(50) NOT NULL,
+  old_value TEXT,
+  new_value TEXT,
+  blockchain_tx_hash VARCHAR(255),
+  metadata JSONB NOT NULL DEFAULT '{}',
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Create index on issue_events for history lookups
+CREATE INDEX IF NOT EXISTS issue_events_issue_idx ON issue_events(issue_id, created_at);
+CREATE INDEX IF NOT EXISTS issue_events_actor_idx ON issue_events(actor_user_id);
+
+COMMENT ON COLUMN issue_events.actor_user_id IS 'User who triggered the event (NULL for system actions)';
+COMMENT ON COLUMN issue_events.blockchain_tx_hash IS 'On-chain signature recorded for this step, if any';
+
+-- Backfill creation events for existing issues
+INSERT INTO issue_events (issue_id, actor_user_id, event_type, new_value, blockchain_tx_hash, created_at)
+SELECT i.issue_id, i.reporter_user_id, 'created', 'open', NULL, i.created_at
+FROM issues i
+WHERE NOT EXISTS (
+  SELECT 1 FROM issue_events e WHERE e.issue_id = i.issue_id AND e.event_type = 'created'
+);
@@ -0,0 +1,11 @@
+-- Migration: 005_issue_status_transitions.sql
+-- Description: Terminal rejected/duplicate statuses and status change reasons
+
+-- New values cannot be used in the same transaction they are added in,
+-- so nothing below this point references them
+ALTER TYPE issue_status ADD VALUE IF NOT EXISTS 'rejected';
+ALTER TYPE issue_status ADD VALUE IF NOT EXISTS 'duplicate';
+
+ALTER TABLE issues ADD COLUMN IF NOT EXISTS status_reason TEXT;
+
+COMMENT ON COLUMN issues.status_reason IS 'Reason given for the most recent status change (required for reopen/reject/duplicate)';
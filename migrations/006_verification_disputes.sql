@@ -0,0 +1,20 @@
+-- Migration: 006_verification_disputes.sql
+-- Description: Negative verifications (disputes) and per-resolution verification rounds
+
+-- Each time an issue is reopened a new resolution round starts,
+-- so citizens can verify (or dispute) the next fix again
+ALTER TABLE issues ADD COLUMN IF NOT EXISTS resolution_round INTEGER NOT NULL DEFAULT 1;
+
+ALTER TABLE verifications ADD COLUMN IF NOT EXISTS is_fixed BOOLEAN NOT NULL DEFAULT TRUE;
+ALTER TABLE verifications ADD COLUMN IF NOT EXISTS evidence_url TEXT;
+ALTER TABLE verifications ADD COLUMN IF NOT EXISTS note TEXT;
+ALTER TABLE verifications ADD COLUMN IF NOT EXISTS round INTEGER NOT NULL DEFAULT 1;
+
+-- One verification per user per resolution round
+ALTER TABLE verifications DROP CONSTRAINT IF EXISTS verifications_user_id_issue_id_key;
+CREATE UNIQUE INDEX IF NOT EXISTS verifications_user_issue_round_idx ON verifications(user_id, issue_id, round);
+
+CREATE INDEX IF NOT EXISTS verifications_issue_round_idx ON verifications(issue_id, round, is_fixed);
+
+COMMENT ON COLUMN verifications.is_fixed IS 'FALSE when the citizen disputes that the issue was fixed';
+COMMENT ON COLUMN verifications.evidence_url IS 'Optional photo evidence uploaded with the verification or dispute';
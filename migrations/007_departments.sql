@@ -0,0 +1,60 @@
+-- Migration: 007_departments.sql
+-- Description: Departments, category routing and issue assignment
+
+-- Create departments table
+CREATE TABLE IF NOT EXISTS departments (
+  department_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  code VARCHAR(50) NOT NULL,
+  name VARCHAR(255) NOT NULL,
+  region VARCHAR(255),
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- One department per code per region (NULL region = citywide)
+CREATE UNIQUE INDEX IF NOT EXISTS departments_code_region_idx ON departments(code, COALESCE(region, ''));
+
+COMMENT ON COLUMN departments.region IS 'Region served by this department (NULL = citywide fallback)';
+
+-- Create department_categories table (which categories a department handles)
+CREATE TABLE IF NOT EXISTS department_categories (
+  department_id UUID NOT NULL REFERENCES departments(department_id) ON DELETE CASCADE,
+  category issue_category NOT NULL,
+  PRIMARY KEY (department_id, category)
+);
+
+CREATE INDEX IF NOT EXISTS department_categories_category_idx ON department_categories(category);
+
+-- Government users belong to a department
+ALTER TABLE users ADD COLUMN IF NOT EXISTS department_id UUID REFERENCES departments(department_id) ON DELETE SET NULL;
+
+-- Issue ownership
+ALTER TABLE issues ADD COLUMN IF NOT EXISTS assigned_department_id UUID REFERENCES departments(department_id) ON DELETE SET NULL;
+ALTER TABLE issues ADD COLUMN IF NOT EXISTS assigned_to UUID REFERENCES users(user_id) ON DELETE SET NULL;
+ALTER TABLE issues ADD COLUMN IF NOT EXISTS assigned_at TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS issues_assigned_department_idx ON issues(assigned_department_id);
+CREATE INDEX IF NOT EXISTS issues_assigned_to_idx ON issues(assigned_to);
+
+-- Seed citywide departments
+INSERT INTO departments (code, name)
+SELECT d.code, d.name
+FROM (VALUES
+  ('roads', 'Roads'),
+  ('sanitation', 'Sanitation'),
+  ('water', 'Water'),
+  ('electrical', 'Electrical')
+) AS d(code, name)
+WHERE NOT EXISTS (
+  SELECT 1 FROM departments x WHERE x.code = d.code AND x.region IS NULL
+);
+
+INSERT INTO department_categories (department_id, category)
+SELECT d.department_id, m.category::issue_category
+FROM (VALUES
+  ('roads', 'pothole'),
+  ('sanitation', 'garbage'),
+  ('water', 'water'),
+  ('electrical', 'streetlight')
+) AS m(code, category)
+JOIN departments d ON d.code = m.code AND d.region IS NULL
+ON CONFLICT DO NOTHING;
@@ -0,0 +1,54 @@
+-- Migration: 008_sla_targets.sql
+-- Description: Per-category/priority SLA targets, due dates and escalation tracking
+
+-- Create sla_targets table
+-- The target with the highest min_priority not above the issue's priority applies
+CREATE TABLE IF NOT EXISTS sla_targets (
+  category issue_category NOT NULL,
+  min_priority FLOAT NOT NULL DEFAULT 0,
+  target_hours INTEGER NOT NULL CHECK (target_hours > 0),
+  PRIMARY KEY (category, min_priority)
+);
+
+INSERT INTO sla_targets (category, min_priority, target_hours) VALUES
+  ('water', 0, 48),
+  ('water', 40, 24),
+  ('pothole', 0, 168),
+  ('pothole', 40, 72),
+  ('garbage', 0, 72),
+  ('garbage', 40, 48),
+  ('streetlight', 0, 120),
+  ('other', 0, 336)
+ON CONFLICT DO NOTHING;
+
+ALTER TABLE issues ADD COLUMN IF NOT EXISTS sla_due_at TIMESTAMP;
+ALTER TABLE issues ADD COLUMN IF NOT EXISTS resolved_at TIMESTAMP;
+ALTER TABLE issues ADD COLUMN IF NOT EXISTS escalation_count INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE issues ADD COLUMN IF NOT EXISTS escalated_at TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS issues_sla_due_idx ON issues(sla_due_at) WHERE status IN ('open', 'in_progress');
+
+COMMENT ON COLUMN issues.sla_due_at IS 'Deadline from sla_targets, computed at report time';
+COMMENT ON COLUMN issues.escalation_count IS 'Times the issue was escalated for being overdue (each adds a priority boost)';
+
+-- Backfill due dates for existing issues
+UPDATE issues i
+SET sla_due_at = i.created_at + make_interval(hours => t.target_hours)
+FROM (
+  SELECT DISTINCT ON (x.issue_id) x.issue_id, s.target_hours
+  FROM issues x
+  JOIN sla_targets s ON s.category = x.category AND s.min_priority <= x.priority_score
+  ORDER BY x.issue_id, s.min_priority DESC
+) t
+WHERE i.issue_id = t.issue_id AND i.sla_due_at IS NULL;
+
+-- Backfill resolution times from the status history
+UPDATE issues i
+SET resolved_at = e.created_at
+FROM (
+  SELECT issue_id, MAX(created_at) as created_at
+  FROM issue_events
+  WHERE event_type = 'status_changed' AND new_value = 'resolved'
+  GROUP BY issue_id
+) e
+WHERE i.issue_id = e.issue_id AND i.resolved_at IS NULL AND i.status IN ('resolved', 'closed');
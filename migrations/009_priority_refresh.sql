@@ -0,0 +1,10 @@
+-- Migration: 009_priority_refresh.sql
+-- Description: Track when each issue's priority score was last recomputed
+
+ALTER TABLE issues ADD COLUMN IF NOT EXISTS priority_refreshed_at TIMESTAMP;
+
+UPDATE issues SET priority_refreshed_at = updated_at WHERE priority_refreshed_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS issues_active_refresh_idx ON issues(issue_id) WHERE status IN ('open', 'in_progress');
+
+COMMENT ON COLUMN issues.priority_refreshed_at IS 'Last time priority_score was recomputed (on vote or by the scheduled refresh)';
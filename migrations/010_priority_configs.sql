@@ -0,0 +1,33 @@
+-- Migration: 010_priority_configs.sql
+-- Description: Versioned priority formula configuration
+
+-- Create priority_configs table (latest version is active)
+CREATE TABLE IF NOT EXISTS priority_configs (
+  version SERIAL PRIMARY KEY,
+  weights JSONB NOT NULL,
+  category_urgency JSONB NOT NULL,
+  density_radius_meters FLOAT NOT NULL DEFAULT 100,
+  density_window_days INTEGER NOT NULL DEFAULT 30,
+  note TEXT,
+  created_by UUID REFERENCES users(user_id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+COMMENT ON COLUMN priority_configs.weights IS 'Component weights: {"LD", "RR", "UR", "CU", "TF"}';
+COMMENT ON COLUMN priority_configs.category_urgency IS 'Urgency score (0-10) per issue_category';
+
+-- Seed version 1 with the original hard-coded formula
+INSERT INTO priority_configs (weights, category_urgency, density_radius_meters, density_window_days, note)
+SELECT
+  '{"LD": 2.5, "RR": 2.0, "UR": 2.0, "CU": 2.5, "TF": 1.0}',
+  '{"pothole": 8, "garbage": 6, "streetlight": 4, "water": 9, "other": 5}',
+  100,
+  30,
+  'Initial formula'
+WHERE NOT EXISTS (SELECT 1 FROM priority_configs);
+
+-- Config version used for each stored score
+ALTER TABLE issues ADD COLUMN IF NOT EXISTS priority_config_version INTEGER REFERENCES priority_configs(version);
+
+UPDATE issues SET priority_config_version = (SELECT MIN(version) FROM priority_configs)
+WHERE priority_config_version IS NULL;
@@ -0,0 +1,6 @@
+-- Migration: 011_priority_components.sql
+-- Description: Persist the components behind each priority score
+
+ALTER TABLE issues ADD COLUMN IF NOT EXISTS priority_components JSONB;
+
+COMMENT ON COLUMN issues.priority_components IS 'Raw LD/RR/UR/CU/TF values used for priority_score (weights come from priority_config_version)';
@@ -0,0 +1,39 @@
+-- Migration: 012_notifications.sql
+-- Description: Issue followers and in-app notification inbox
+
+-- Create issue_followers table
+CREATE TABLE IF NOT EXISTS issue_followers (
+  issue_id UUID NOT NULL REFERENCES issues(issue_id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+  created_at TIMESTAMP DEFAULT NOW(),
+  PRIMARY KEY (issue_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS issue_followers_user_idx ON issue_followers(user_id);
+
+-- Reporters and co-reporters follow their issues
+INSERT INTO issue_followers (issue_id, user_id, created_at)
+SELECT issue_id, reporter_user_id, created_at FROM issues
+ON CONFLICT DO NOTHING;
+
+INSERT INTO issue_followers (issue_id, user_id, created_at)
+SELECT issue_id, user_id, linked_at FROM issue_reporters
+ON CONFLICT DO NOTHING;
+
+-- Create notifications table
+CREATE TABLE IF NOT EXISTS notifications (
+  notification_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+  issue_id UUID REFERENCES issues(issue_id) ON DELETE CASCADE,
+  actor_user_id UUID REFERENCES users(user_id) ON DELETE SET NULL,
+  type VARCHAR(50) NOT NULL,
+  message TEXT NOT NULL,
+  data JSONB NOT NULL DEFAULT '{}',
+  read_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS notifications_user_idx ON notifications(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS notifications_unread_idx ON notifications(user_id) WHERE read_at IS NULL;
+
+COMMENT ON COLUMN notifications.actor_user_id IS 'User whose action triggered the notification (NULL for automatic transitions)';
@@ -0,0 +1,10 @@
+-- Migration: 014_public_data.sql
+-- Description: Opt-in wallet disclosure for the public open-data API
+
+-- Reporters are anonymous in the public API unless they opt in
+ALTER TABLE users ADD COLUMN IF NOT EXISTS public_wallet BOOLEAN NOT NULL DEFAULT FALSE;
+
+COMMENT ON COLUMN users.public_wallet IS 'TRUE if the user allows their wallet address to appear on their issues in the public API';
+
+-- Supports the public API default ordering (newest first)
+CREATE INDEX IF NOT EXISTS issues_created_at_idx ON issues(created_at DESC, issue_id);
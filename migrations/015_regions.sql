@@ -0,0 +1,25 @@
+-- Migration: 015_regions.sql
+-- Description: Administrative region polygons (wards, districts) and issue region assignment
+
+-- Create regions table (loaded from GeoJSON with scripts/load-regions.js)
+CREATE TABLE IF NOT EXISTS regions (
+  region_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name VARCHAR(255) NOT NULL UNIQUE,
+  code VARCHAR(100) UNIQUE,
+  level VARCHAR(50) NOT NULL DEFAULT 'ward',
+  boundary GEOMETRY(MULTIPOLYGON, 4326) NOT NULL,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Create spatial index for point-in-polygon lookups
+CREATE INDEX IF NOT EXISTS regions_boundary_idx ON regions USING GIST(boundary);
+
+-- Link issues to the region containing their location
+ALTER TABLE issues ADD COLUMN IF NOT EXISTS region_id UUID REFERENCES regions(region_id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS issues_region_idx ON issues(region_id);
+
+COMMENT ON COLUMN regions.name IS 'Region name; also stored in issues.region and matched by departments.region';
+COMMENT ON COLUMN regions.level IS 'Administrative level (e.g. ward, district); nested regions resolve to the smallest';
+COMMENT ON COLUMN issues.region_id IS 'Region whose boundary contains the issue (NULL if outside all regions)';
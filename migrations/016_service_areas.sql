@@ -0,0 +1,16 @@
+-- Migration: 016_service_areas.sql
+-- Description: Service area polygons that reported issues must fall inside
+
+-- Create service_areas table (one row per municipality polygon; empty = no geofence)
+CREATE TABLE IF NOT EXISTS service_areas (
+  service_area_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name VARCHAR(255) NOT NULL,
+  boundary GEOMETRY(MULTIPOLYGON, 4326) NOT NULL,
+  uploaded_by UUID REFERENCES users(user_id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Create spatial index for point-in-polygon checks
+CREATE INDEX IF NOT EXISTS service_areas_boundary_idx ON service_areas USING GIST(boundary);
+
+COMMENT ON TABLE service_areas IS 'Reports outside every service area are rejected; replaced as a whole via PUT /admin/service-area';
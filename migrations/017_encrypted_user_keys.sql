@@ -0,0 +1,14 @@
+-- Migration: 017_encrypted_user_keys.sql
+-- Description: Envelope-encrypted custodial wallet keys
+-- Existing plaintext keys are encrypted (and cleared) by scripts/encrypt-user-keys.js,
+-- which needs the key encryption key and therefore can't run as SQL
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS private_key_encrypted JSONB;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS private_key_kek_id VARCHAR(100);
+
+-- Find rows still wrapped by an old key encryption key during rotation
+CREATE INDEX IF NOT EXISTS users_private_key_kek_idx ON users(private_key_kek_id);
+
+COMMENT ON COLUMN users.private_key IS 'Legacy plaintext Solana secret key (base58); cleared once encrypted into private_key_encrypted';
+COMMENT ON COLUMN users.private_key_encrypted IS 'Envelope-encrypted Solana secret key (see src/services/keyManagementService.js)';
+COMMENT ON COLUMN users.private_key_kek_id IS 'Key encryption key that wraps the data key of private_key_encrypted';
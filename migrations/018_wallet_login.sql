@@ -0,0 +1,45 @@
+-- Migration: 018_wallet_login.sql
+-- Description: Sign-in with a user's own Solana wallet and relay of client-signed transactions
+
+-- Wallet-login accounts have no email
+ALTER TABLE users ALTER COLUMN email DROP NOT NULL;
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS wallet_custody VARCHAR(20) NOT NULL DEFAULT 'custodial'
+  CHECK (wallet_custody IN ('custodial', 'self'));
+
+COMMENT ON COLUMN users.wallet_custody IS 'custodial: server holds the key and signs; self: user signs with their own wallet';
+
+-- Create wallet_nonces table (single-use sign-in challenges)
+CREATE TABLE IF NOT EXISTS wallet_nonces (
+  nonce VARCHAR(64) PRIMARY KEY,
+  wallet_address VARCHAR(255) NOT NULL,
+  message TEXT NOT NULL,
+  expires_at TIMESTAMP NOT NULL,
+  used_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS wallet_nonces_expires_idx ON wallet_nonces(expires_at);
+
+-- Create pending_transactions table (unsigned transactions awaiting the user's signature)
+CREATE TABLE IF NOT EXISTS pending_transactions (
+  transaction_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+  wallet_address VARCHAR(255) NOT NULL,
+  issue_id UUID REFERENCES issues(issue_id) ON DELETE CASCADE,
+  issue_event_id UUID REFERENCES issue_events(event_id) ON DELETE SET NULL,
+  action VARCHAR(30) NOT NULL,
+  params JSONB NOT NULL DEFAULT '{}',
+  message TEXT,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'confirmed', 'superseded')),
+  blockchain_tx_hash VARCHAR(255),
+  last_error TEXT,
+  created_at TIMESTAMP DEFAULT NOW(),
+  submitted_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS pending_transactions_user_idx ON pending_transactions(user_id, status, created_at DESC);
+
+COMMENT ON COLUMN pending_transactions.message IS 'Base64 message of the transaction last handed out; a submitted transaction must sign exactly this';
+COMMENT ON COLUMN pending_transactions.issue_event_id IS 'Issue event that receives the signature once the transaction confirms';
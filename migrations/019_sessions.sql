@@ -0,0 +1,28 @@
+-- Migration: 019_sessions.sql
+-- Description: Backend-issued sessions with rotating refresh tokens and revocation
+
+-- Create sessions table (one row per login; refresh tokens are stored hashed)
+CREATE TABLE IF NOT EXISTS sessions (
+  session_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+  refresh_token_hash VARCHAR(64) NOT NULL UNIQUE,
+  previous_refresh_token_hash VARCHAR(64),
+  user_agent TEXT,
+  ip_address VARCHAR(64),
+  created_at TIMESTAMP DEFAULT NOW(),
+  last_used_at TIMESTAMP DEFAULT NOW(),
+  expires_at TIMESTAMP NOT NULL,
+  revoked_at TIMESTAMP,
+  revoked_reason VARCHAR(50)
+);
+
+CREATE INDEX IF NOT EXISTS sessions_user_idx ON sessions(user_id) WHERE revoked_at IS NULL;
+CREATE INDEX IF NOT EXISTS sessions_previous_refresh_token_idx ON sessions(previous_refresh_token_hash);
+CREATE INDEX IF NOT EXISTS sessions_expires_idx ON sessions(expires_at);
+
+-- "Log out all devices" also invalidates tokens that have no session (NextAuth JWTs)
+ALTER TABLE users ADD COLUMN IF NOT EXISTS tokens_revoked_at TIMESTAMP;
+
+COMMENT ON COLUMN sessions.refresh_token_hash IS 'SHA-256 of the current refresh token';
+COMMENT ON COLUMN sessions.previous_refresh_token_hash IS 'SHA-256 of the rotated-out refresh token; presenting it again revokes the session';
+COMMENT ON COLUMN users.tokens_revoked_at IS 'Access tokens issued at or before this time are rejected';
@@ -0,0 +1,30 @@
+-- Migration: 020_roles_permissions.sql
+-- Description: Finer user roles and an audit trail of role changes
+-- Permissions per role live in src/utils/permissions.js
+
+-- New enum values can't be used in the transaction that adds them; nothing below does
+ALTER TYPE user_role ADD VALUE IF NOT EXISTS 'moderator';
+ALTER TYPE user_role ADD VALUE IF NOT EXISTS 'department_officer';
+ALTER TYPE user_role ADD VALUE IF NOT EXISTS 'department_head';
+ALTER TYPE user_role ADD VALUE IF NOT EXISTS 'super_admin';
+
+-- Create role_audit_log table (every grant and revocation)
+CREATE TABLE IF NOT EXISTS role_audit_log (
+  audit_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+  actor_user_id UUID REFERENCES users(user_id) ON DELETE SET NULL,
+  action VARCHAR(10) NOT NULL CHECK (action IN ('grant', 'revoke')),
+  old_role VARCHAR(50),
+  new_role VARCHAR(50) NOT NULL,
+  old_department_id UUID REFERENCES departments(department_id) ON DELETE SET NULL,
+  new_department_id UUID REFERENCES departments(department_id) ON DELETE SET NULL,
+  reason TEXT,
+  source VARCHAR(20) NOT NULL DEFAULT 'api',
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS role_audit_log_user_idx ON role_audit_log(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS role_audit_log_created_idx ON role_audit_log(created_at DESC);
+
+COMMENT ON COLUMN role_audit_log.actor_user_id IS 'Admin who made the change (NULL for scripts/provision-user.js)';
+COMMENT ON COLUMN role_audit_log.source IS 'api (POST/DELETE /admin/users/:user_id/role) or script';
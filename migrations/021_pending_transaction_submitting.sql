@@ -0,0 +1,10 @@
+-- Migration: 021_pending_transaction_submitting.sql
+-- Description: A 'submitting' status for client-signed transactions being relayed
+-- submitTransaction claims the row with it and commits before relaying, so no
+-- row lock or open transaction is held while waiting on the network
+
+ALTER TABLE pending_transactions DROP CONSTRAINT IF EXISTS pending_transactions_status_check;
+ALTER TABLE pending_transactions ADD CONSTRAINT pending_transactions_status_check
+  CHECK (status IN ('pending', 'submitting', 'confirmed', 'superseded'));
+
+COMMENT ON COLUMN pending_transactions.submitted_at IS 'When the transaction was last claimed for relaying; a submitting row older than a few minutes can be claimed again';
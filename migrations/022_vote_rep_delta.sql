@@ -0,0 +1,10 @@
+-- Migration: 022_vote_rep_delta.sql
+-- Description: Record on each vote the reputation change it actually applied to the reporter
+-- Reputation is clamped at 0, so a downvote may take less than its nominal change;
+-- retracting or switching the vote reverses exactly this amount
+
+-- Earlier votes did not record it and it cannot be recovered, so they keep NULL
+-- (unknown); see reverseVoteOnReporter in src/utils/votes.js for how those are reversed
+ALTER TABLE votes ADD COLUMN IF NOT EXISTS rep_delta INTEGER;
+
+COMMENT ON COLUMN votes.rep_delta IS 'Reputation change applied to the reporter by this vote, reversed exactly on retract or switch; NULL for votes cast before it was recorded';
@@ -0,0 +1,28 @@
+-- Migration: 023_issue_event_sequence.sql
+-- Description: Insertion order for issue events
+-- created_at is NOW(), the start of the transaction, so events recorded by one
+-- request (e.g. a dispute that also reopens the issue) share a timestamp;
+-- history is ordered by created_at, then event_seq
+
+ALTER TABLE issue_events ADD COLUMN IF NOT EXISTS event_seq BIGINT;
+
+CREATE SEQUENCE IF NOT EXISTS issue_events_event_seq_seq OWNED BY issue_events.event_seq;
+
+-- Number existing events in their recorded order (ties within a transaction stay arbitrary)
+UPDATE issue_events e
+SET event_seq = numbered.seq
+FROM (
+  SELECT event_id, ROW_NUMBER() OVER (ORDER BY created_at, event_id) AS seq
+  FROM issue_events
+) numbered
+WHERE e.event_id = numbered.event_id AND e.event_seq IS NULL;
+
+SELECT setval('issue_events_event_seq_seq', COALESCE((SELECT MAX(event_seq) FROM issue_events), 0) + 1, false);
+
+ALTER TABLE issue_events ALTER COLUMN event_seq SET DEFAULT nextval('issue_events_event_seq_seq');
+ALTER TABLE issue_events ALTER COLUMN event_seq SET NOT NULL;
+
+DROP INDEX IF EXISTS issue_events_issue_idx;
+CREATE INDEX IF NOT EXISTS issue_events_issue_idx ON issue_events(issue_id, created_at, event_seq);
+
+COMMENT ON COLUMN issue_events.event_seq IS 'Insertion order; breaks ties between events recorded in the same transaction';
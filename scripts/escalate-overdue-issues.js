@@ -0,0 +1,22 @@
+const dotenv = require('dotenv');
+dotenv.config();
+const pool = require('../src/config/database');
+const { escalateOverdueIssues } = require('../src/utils/sla');
+
+// Run from cron, e.g. hourly: node scripts/escalate-overdue-issues.js
+async function main() {
+  try {
+    const escalated = await escalateOverdueIssues();
+    for (const issue of escalated) {
+      console.log(JSON.stringify({ escalated: true, issue_id: issue.issue_id, priority_score: issue.priority_score, escalation_count: issue.escalation_count }));
+    }
+    console.log(JSON.stringify({ success: true, escalated_count: escalated.length }));
+    await pool.end();
+    process.exit(0);
+  } catch (error) {
+    console.error(error);
+    process.exit(1);
+  }
+}
+
+main();
@@ -0,0 +1,89 @@
+const dotenv = require('dotenv');
+dotenv.config();
+const fs = require('fs');
+const pool = require('../src/config/database');
+const { parseRegionFeatures, assignIssueRegions } = require('../src/utils/regions');
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 2; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg.startsWith('--')) {
+      const [k, v] = arg.replace(/^--/, '').split('=');
+      args[k] = v === undefined ? true : v;
+    }
+  }
+  return args;
+}
+
+// Usage: node scripts/load-regions.js --file=wards.geojson [--level=ward] [--name_property=name]
+//   [--code_property=code] [--replace]
+// Upserts regions by name, then re-assigns issues to the region containing them.
+// --replace deletes regions of the same level that are not in the file.
+async function main() {
+  const args = parseArgs(process.argv);
+  const file = args.file || args.f;
+  const level = args.level || 'ward';
+  const replace = args.replace === true || String(args.replace).toLowerCase() === 'true';
+  if (!file) {
+    console.error('Missing --file');
+    process.exit(1);
+  }
+
+  let geojson;
+  try {
+    geojson = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    console.error(`Could not read GeoJSON from ${file}: ${error.message}`);
+    process.exit(1);
+  }
+
+  const { regions, error } = parseRegionFeatures(geojson, {
+    nameProperty: args.name_property || 'name',
+    codeProperty: args.code_property || 'code',
+    level
+  });
+  if (error) {
+    console.error(error);
+    process.exit(1);
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    for (const region of regions) {
+      // Repair self-intersections and keep only the polygonal parts
+      await client.query(
+        `INSERT INTO regions (name, code, level, boundary)
+         VALUES ($1, $2, $3, ST_Multi(ST_CollectionExtract(ST_MakeValid(ST_SetSRID(ST_GeomFromGeoJSON($4), 4326)), 3)))
+         ON CONFLICT (name) DO UPDATE
+         SET code = EXCLUDED.code, level = EXCLUDED.level, boundary = EXCLUDED.boundary, updated_at = NOW()`,
+        [region.name, region.code, region.level, JSON.stringify(region.geometry)]
+      );
+    }
+
+    let removed = 0;
+    if (replace) {
+      const deleted = await client.query(
+        'DELETE FROM regions WHERE level = $1 AND NOT (name = ANY($2::text[]))',
+        [level, regions.map(region => region.name)]
+      );
+      removed = deleted.rowCount;
+    }
+
+    const reassigned = await assignIssueRegions(client);
+
+    await client.query('COMMIT');
+    console.log(JSON.stringify({ success: true, loaded: regions.length, removed, issues_reassigned: reassigned }));
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error(error);
+    process.exitCode = 1;
+  } finally {
+    client.release();
+    await pool.end();
+  }
+}
+
+main();
@@ -0,0 +1,131 @@
+const dotenv = require('dotenv');
+dotenv.config();
+const { Keypair } = require('@solana/web3.js');
+const bs58 = require('bs58');
+const pool = require('../src/config/database');
+const { fundWallet, setUserRoleOnChain } = require('../src/services/solanaService');
+const { buildUserKeyColumns } = require('../src/services/keyManagementService');
+const { ROLES, ROLE_DEFINITIONS, isOnChainOfficialRole } = require('../src/utils/permissions');
+const { ROLE_CHANGE_SOURCES, assignUserRole } = require('../src/utils/roleAssignments');
+const { v4: uuidv4 } = require('uuid');
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 2; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg.startsWith('--')) {
+      const [k, v] = arg.replace(/^--/, '').split('=');
+      args[k] = v === undefined ? true : v;
+    }
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv);
+  const email = args.email || args.e;
+  const role = args.role || ROLES.GOVERNMENT;
+  const reason = args.reason || null;
+  const name = args.name || 'Government Official';
+  const profilePic = args.profile_pic || args.profilePic || null;
+  const providerId = args.provider_id || args.providerId || null;
+  const rep = args.rep ? parseInt(String(args.rep), 10) : 100;
+  const fund = args.fund === undefined ? true : String(args.fund).toLowerCase() !== 'false';
+  const skipOnchain = String(args.skip_onchain || args.skipOnchain || 'false').toLowerCase() === 'true';
+  const departmentCode = args.department || null;
+  const departmentRegion = args.region || null;
+  if (!email) {
+    console.error('Missing --email');
+    process.exit(1);
+  }
+  if (!Object.hasOwn(ROLE_DEFINITIONS, role)) {
+    console.error(`Invalid --role; must be one of: ${Object.keys(ROLE_DEFINITIONS).join(', ')}`);
+    process.exit(1);
+  }
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    let departmentId = null;
+    if (departmentCode) {
+      const deptRes = await client.query(
+        'SELECT department_id FROM departments WHERE code = $1 AND region IS NOT DISTINCT FROM $2',
+        [departmentCode, departmentRegion]
+      );
+      if (!deptRes.rows[0]) {
+        throw new Error(`Department not found: ${departmentCode}${departmentRegion ? ` (${departmentRegion})` : ''}`);
+      }
+      departmentId = deptRes.rows[0].department_id;
+    }
+    let userRes = await client.query('SELECT * FROM users WHERE email = $1', [email]);
+    let user = userRes.rows[0];
+    if (!user) {
+      const keypair = Keypair.generate();
+      const walletAddress = keypair.publicKey.toBase58();
+      const privateKey = bs58.encode(keypair.secretKey);
+      const keyColumns = await buildUserKeyColumns(privateKey, walletAddress);
+      const userId = uuidv4();
+      const inserted = await client.query(
+        `INSERT INTO users (user_id, email, name, profile_pic, wallet_address, role, rep, private_key_encrypted, private_key_kek_id, provider_id, department_id)
+         VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11)
+         RETURNING *`,
+        [userId, email, name, profilePic, walletAddress, ROLES.CITIZEN, rep, keyColumns.private_key_encrypted, keyColumns.private_key_kek_id, providerId, null]
+      );
+      user = inserted.rows[0];
+      console.log(JSON.stringify({ created: true, user_id: user.user_id, wallet_address: user.wallet_address }));
+    } else {
+      if (user.wallet_custody !== 'self' && (!user.wallet_address || (!user.private_key_encrypted && !user.private_key))) {
+        const keypair = Keypair.generate();
+        const walletAddress = keypair.publicKey.toBase58();
+        const keyColumns = await buildUserKeyColumns(bs58.encode(keypair.secretKey), walletAddress);
+        await client.query(
+          'UPDATE users SET wallet_address = $1, private_key = NULL, private_key_encrypted = $2, private_key_kek_id = $3 WHERE user_id = $4',
+          [walletAddress, keyColumns.private_key_encrypted, keyColumns.private_key_kek_id, user.user_id]
+        );
+      }
+      const updated = await client.query(
+        `UPDATE users SET name = COALESCE($1,name), profile_pic = COALESCE($2,profile_pic), provider_id = COALESCE($3,provider_id)
+         WHERE user_id = $4 RETURNING *`,
+        [args.name || null, profilePic, providerId, user.user_id]
+      );
+      user = updated.rows[0];
+      console.log(JSON.stringify({ created: false, user_id: user.user_id, wallet_address: user.wallet_address }));
+    }
+    // Without --department the user keeps their current department
+    const assigned = await assignUserRole(client, {
+      user,
+      role,
+      department_id: departmentId || undefined,
+      reason,
+      source: ROLE_CHANGE_SOURCES.SCRIPT
+    });
+    if (assigned.error) {
+      throw new Error(assigned.error);
+    }
+    user = assigned.user;
+    // The program only knows citizens and government officials; a failure here
+    // rolls the role back so the user is never an official off-chain only
+    if (!skipOnchain) {
+      const roleEnum = isOnChainOfficialRole(role) ? { government: {} } : { citizen: {} };
+      const tx = await setUserRoleOnChain(user.wallet_address, roleEnum, user.rep);
+      if (tx) console.log(JSON.stringify({ onchain_role: Object.keys(roleEnum)[0], tx }));
+    }
+    await client.query('COMMIT');
+    if (fund) {
+      try {
+        await fundWallet(user.wallet_address, 0.05);
+      } catch (e) {
+        console.warn('fundWallet failed:', e.message);
+      }
+    }
+    console.log(JSON.stringify({ success: true, user: { user_id: user.user_id, email: user.email, wallet_address: user.wallet_address, role: user.role, rep: user.rep, department_id: user.department_id } }));
+    process.exit(0);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error(error);
+    process.exit(1);
+  } finally {
+    client.release();
+  }
+}
+
+main();
@@ -0,0 +1,33 @@
+const dotenv = require('dotenv');
+dotenv.config();
+const pool = require('../src/config/database');
+const { recomputeActivePriorities } = require('../src/utils/priority');
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 2; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg.startsWith('--')) {
+      const [k, v] = arg.replace(/^--/, '').split('=');
+      args[k] = v === undefined ? true : v;
+    }
+  }
+  return args;
+}
+
+// Run from cron when PRIORITY_REFRESH_INTERVAL_MINUTES=0 disables the in-process job
+async function main() {
+  const args = parseArgs(process.argv);
+  const batchSize = args.batch_size ? parseInt(String(args.batch_size), 10) : undefined;
+  try {
+    const result = await recomputeActivePriorities(batchSize ? { batchSize } : undefined);
+    console.log(JSON.stringify({ success: true, ...result }));
+    await pool.end();
+    process.exit(0);
+  } catch (error) {
+    console.error(error);
+    process.exit(1);
+  }
+}
+
+main();
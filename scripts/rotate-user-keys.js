@@ -0,0 +1,33 @@
+const dotenv = require('dotenv');
+dotenv.config();
+const pool = require('../src/config/database');
+const { rotateUserKeys } = require('../src/services/keyManagementService');
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 2; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg.startsWith('--')) {
+      const [k, v] = arg.replace(/^--/, '').split('=');
+      args[k] = v === undefined ? true : v;
+    }
+  }
+  return args;
+}
+
+// Re-wrap stored keys under the active key encryption key (KEY_ENCRYPTION_KEY / key file "active")
+async function main() {
+  const args = parseArgs(process.argv);
+  const batchSize = args.batch_size ? parseInt(String(args.batch_size), 10) : undefined;
+  try {
+    const result = await rotateUserKeys(batchSize ? { batchSize } : undefined);
+    console.log(JSON.stringify({ success: true, ...result }));
+    await pool.end();
+    process.exit(0);
+  } catch (error) {
+    console.error(error);
+    process.exit(1);
+  }
+}
+
+main();
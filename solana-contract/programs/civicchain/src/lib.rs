@@ -59,11 +59,18 @@ pub mod civicchain {
     }
 
     /// Record a vote on an issue
+    /// Creates the voter's vote record for the issue, so each wallet holds at most one vote
     pub fn record_vote(
         ctx: Context<RecordVote>,
         vote_type: VoteType,
     ) -> Result<()> {
         let issue_account = &mut ctx.accounts.issue_account;
+        let vote_record = &mut ctx.accounts.vote_record;
+        
+        vote_record.issue = issue_account.key();
+        vote_record.voter = ctx.accounts.voter.key();
+        vote_record.vote_type = vote_type;
+        vote_record.bump = ctx.bumps.vote_record;
         
         match vote_type {
             VoteType::Upvote => {
@@ -82,6 +89,98 @@ pub mod civicchain {
         Ok(())
     }
 
+    /// Retract a previously recorded vote on an issue
+    /// Requires the voter's vote record (closed on success) to hold the same vote type
+    pub fn retract_vote(
+        ctx: Context<RetractVote>,
+        vote_type: VoteType,
+    ) -> Result<()> {
+        let issue_account = &mut ctx.accounts.issue_account;
+        
+        require!(
+            ctx.accounts.vote_record.vote_type == vote_type,
+            ErrorCode::VoteMismatch
+        );
+        
+        match vote_type {
+            VoteType::Upvote => {
+                issue_account.upvotes = issue_account.upvotes.checked_sub(1)
+                    .ok_or(ErrorCode::Underflow)?;
+            },
+            VoteType::Downvote => {
+                issue_account.downvotes = issue_account.downvotes.checked_sub(1)
+                    .ok_or(ErrorCode::Underflow)?;
+            }
+        }
+        
+        issue_account.updated_at = Clock::get()?.unix_timestamp;
+        
+        msg!("Vote retracted: {:?}", vote_type);
+        Ok(())
+    }
+
+    /// Create the vote record of a vote cast before vote records existed (government only)
+    /// Leaves the vote counts alone: the vote itself is already counted on the issue
+    pub fn backfill_vote_record(
+        ctx: Context<BackfillVoteRecord>,
+        vote_type: VoteType,
+    ) -> Result<()> {
+        require!(
+            ctx.accounts.authority_account.role == UserRole::Government,
+            ErrorCode::Unauthorized
+        );
+        
+        let vote_record = &mut ctx.accounts.vote_record;
+        vote_record.issue = ctx.accounts.issue_account.key();
+        vote_record.voter = ctx.accounts.voter.key();
+        vote_record.vote_type = vote_type;
+        vote_record.bump = ctx.bumps.vote_record;
+        
+        msg!("Vote record backfilled: {:?}", vote_type);
+        Ok(())
+    }
+
+    /// Move a vote from a duplicate issue to the issue it was merged into (government only)
+    /// Closes the vote record on the duplicate and recreates it on the canonical issue
+    pub fn move_vote(ctx: Context<MoveVote>) -> Result<()> {
+        require!(
+            ctx.accounts.authority_account.role == UserRole::Government,
+            ErrorCode::Unauthorized
+        );
+        
+        let vote_type = ctx.accounts.from_vote_record.vote_type;
+        let from_issue = &mut ctx.accounts.from_issue;
+        let to_issue = &mut ctx.accounts.to_issue;
+        
+        match vote_type {
+            VoteType::Upvote => {
+                from_issue.upvotes = from_issue.upvotes.checked_sub(1)
+                    .ok_or(ErrorCode::Underflow)?;
+                to_issue.upvotes = to_issue.upvotes.checked_add(1)
+                    .ok_or(ErrorCode::Overflow)?;
+            },
+            VoteType::Downvote => {
+                from_issue.downvotes = from_issue.downvotes.checked_sub(1)
+                    .ok_or(ErrorCode::Underflow)?;
+                to_issue.downvotes = to_issue.downvotes.checked_add(1)
+                    .ok_or(ErrorCode::Overflow)?;
+            }
+        }
+        
+        let now = Clock::get()?.unix_timestamp;
+        from_issue.updated_at = now;
+        to_issue.updated_at = now;
+        
+        let to_vote_record = &mut ctx.accounts.to_vote_record;
+        to_vote_record.issue = to_issue.key();
+        to_vote_record.voter = ctx.accounts.voter.key();
+        to_vote_record.vote_type = vote_type;
+        to_vote_record.bump = ctx.bumps.to_vote_record;
+        
+        msg!("Vote moved: {:?}", vote_type);
+        Ok(())
+    }
+
     /// Record a verification
     pub fn record_verification(
         ctx: Context<RecordVerification>,
@@ -127,6 +226,11 @@ pub mod civicchain {
             ErrorCode::Unauthorized
         );
         
+        // Reopening starts a new resolution round: earlier verifications no longer count
+        if new_status == IssueStatus::Open {
+            issue_account.verifications = 0;
+        }
+        
         issue_account.status = new_status;
         issue_account.updated_at = Clock::get()?.unix_timestamp;
         
@@ -146,6 +250,24 @@ pub mod civicchain {
         msg!("Reputation updated from {} to {}", old_rep, new_rep);
         Ok(())
     }
+
+    /// Change the role of an existing user account (government only)
+    /// Promotes officials whose wallet already has a citizen account, and demotes them again
+    pub fn set_user_role(
+        ctx: Context<SetUserRole>,
+        new_role: UserRole,
+    ) -> Result<()> {
+        require!(
+            ctx.accounts.authority_account.role == UserRole::Government,
+            ErrorCode::Unauthorized
+        );
+        
+        let user_account = &mut ctx.accounts.user_account;
+        user_account.role = new_role;
+        
+        msg!("Role updated for: {}", user_account.wallet_address);
+        Ok(())
+    }
 }
 
 // ============================================================================
@@ -178,6 +300,15 @@ pub struct IssueAccount {
     pub bump: u8,
 }
 
+/// One per (issue, voter): proves the voter's current vote when retracting
+#[account]
+pub struct VoteRecord {
+    pub issue: Pubkey,
+    pub voter: Pubkey,
+    pub vote_type: VoteType,
+    pub bump: u8,
+}
+
 // ============================================================================
 // Context Structures
 // ============================================================================
@@ -246,7 +377,133 @@ pub struct RecordVote<'info> {
     )]
     pub voter_account: Account<'info, UserAccount>,
     
+    #[account(
+        init,
+        payer = voter,
+        space = 8 + 32 + 32 + 1 + 1,
+        seeds = [b"vote", issue_account.key().as_ref(), voter.key().as_ref()],
+        bump
+    )]
+    pub vote_record: Account<'info, VoteRecord>,
+    
+    #[account(mut)]
     pub voter: Signer<'info>,
+    
+    pub system_program: Program<'info, System>,
+}
+
+#[derive(Accounts)]
+pub struct RetractVote<'info> {
+    #[account(
+        mut,
+        seeds = [b"issue", issue_account.issue_hash.as_ref()],
+        bump = issue_account.bump
+    )]
+    pub issue_account: Account<'info, IssueAccount>,
+    
+    #[account(
+        seeds = [b"user", reporter_account.wallet_address.as_ref()],
+        bump = reporter_account.bump
+    )]
+    pub reporter_account: Account<'info, UserAccount>,
+    
+    #[account(
+        seeds = [b"user", voter.key().as_ref()],
+        bump = voter_account.bump
+    )]
+    pub voter_account: Account<'info, UserAccount>,
+    
+    #[account(
+        mut,
+        close = voter,
+        seeds = [b"vote", issue_account.key().as_ref(), voter.key().as_ref()],
+        bump = vote_record.bump
+    )]
+    pub vote_record: Account<'info, VoteRecord>,
+    
+    #[account(mut)]
+    pub voter: Signer<'info>,
+}
+
+#[derive(Accounts)]
+pub struct BackfillVoteRecord<'info> {
+    #[account(
+        seeds = [b"issue", issue_account.issue_hash.as_ref()],
+        bump = issue_account.bump
+    )]
+    pub issue_account: Account<'info, IssueAccount>,
+    
+    #[account(
+        init,
+        payer = authority,
+        space = 8 + 32 + 32 + 1 + 1,
+        seeds = [b"vote", issue_account.key().as_ref(), voter.key().as_ref()],
+        bump
+    )]
+    pub vote_record: Account<'info, VoteRecord>,
+    
+    /// CHECK: only the voter's address is used, as a seed and in the record
+    pub voter: UncheckedAccount<'info>,
+    
+    #[account(
+        seeds = [b"user", authority.key().as_ref()],
+        bump = authority_account.bump
+    )]
+    pub authority_account: Account<'info, UserAccount>,
+    
+    #[account(mut)]
+    pub authority: Signer<'info>,
+    
+    pub system_program: Program<'info, System>,
+}
+
+#[derive(Accounts)]
+pub struct MoveVote<'info> {
+    #[account(
+        mut,
+        seeds = [b"issue", from_issue.issue_hash.as_ref()],
+        bump = from_issue.bump
+    )]
+    pub from_issue: Account<'info, IssueAccount>,
+    
+    #[account(
+        mut,
+        seeds = [b"issue", to_issue.issue_hash.as_ref()],
+        bump = to_issue.bump
+    )]
+    pub to_issue: Account<'info, IssueAccount>,
+    
+    #[account(
+        mut,
+        close = voter,
+        seeds = [b"vote", from_issue.key().as_ref(), voter.key().as_ref()],
+        bump = from_vote_record.bump
+    )]
+    pub from_vote_record: Account<'info, VoteRecord>,
+    
+    #[account(
+        init,
+        payer = authority,
+        space = 8 + 32 + 32 + 1 + 1,
+        seeds = [b"vote", to_issue.key().as_ref(), voter.key().as_ref()],
+        bump
+    )]
+    pub to_vote_record: Account<'info, VoteRecord>,
+    
+    /// CHECK: only the voter's address is used, as a seed and in the record; receives the closed record's rent
+    #[account(mut)]
+    pub voter: UncheckedAccount<'info>,
+    
+    #[account(
+        seeds = [b"user", authority.key().as_ref()],
+        bump = authority_account.bump
+    )]
+    pub authority_account: Account<'info, UserAccount>,
+    
+    #[account(mut)]
+    pub authority: Signer<'info>,
+    
+    pub system_program: Program<'info, System>,
 }
 
 #[derive(Accounts)]
@@ -299,6 +556,24 @@ pub struct UpdateReputation<'info> {
     pub authority: Signer<'info>,
 }
 
+#[derive(Accounts)]
+pub struct SetUserRole<'info> {
+    #[account(
+        mut,
+        seeds = [b"user", user_account.wallet_address.as_ref()],
+        bump = user_account.bump
+    )]
+    pub user_account: Account<'info, UserAccount>,
+    
+    #[account(
+        seeds = [b"user", authority.key().as_ref()],
+        bump = authority_account.bump
+    )]
+    pub authority_account: Account<'info, UserAccount>,
+    
+    pub authority: Signer<'info>,
+}
+
 // ============================================================================
 // Enums and Types
 // ============================================================================
@@ -346,4 +621,10 @@ pub enum ErrorCode {
     
     #[msg("Unauthorized: Only government users can perform this action")]
     Unauthorized,
+    
+    #[msg("Arithmetic underflow occurred")]
+    Underflow,
+    
+    #[msg("Vote type does not match the recorded vote")]
+    VoteMismatch,
 }
@@ -0,0 +1,96 @@
+const express = require('express');
+const cors = require('cors');
+const path = require('path');
+const multer = require('multer');
+const Sentry = require('@sentry/node');
+require('dotenv').config();
+
+// Create Express app first
+const app = express();
+
+Sentry.setupExpressErrorHandler(app);
+
+// Import routes
+const authRoutes = require('./routes/authRoutes');
+const userRoutes = require('./routes/userRoutes');
+const issueRoutes = require('./routes/issueRoutes');
+const adminRoutes = require('./routes/adminRoutes');
+const regionRoutes = require('./routes/regionRoutes');
+const publicRoutes = require('./routes/publicRoutes');
+const transactionRoutes = require('./routes/transactionRoutes');
+
+// Behind a reverse proxy, trust it so req.ip (used by rate limits) is the client's address
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? parseInt(trustProxy) : trustProxy);
+}
+
+// Middleware
+app.use(cors({
+  origin: process.env.FRONTEND_URL || '*',
+  credentials: true
+}));
+// Service area boundary uploads can be far larger than the default 100kb body limit
+app.use('/admin/service-area', express.json({
+  limit: process.env.SERVICE_AREA_MAX_UPLOAD || '5mb',
+  type: ['application/json', 'application/geo+json']
+}));
+app.use(express.json());
+app.use(express.urlencoded({ extended: true }));
+
+// Serve static files from uploads directory
+app.use('/uploads', express.static(path.join(__dirname, '../uploads')));
+
+// Health check endpoint
+app.get('/health', (req, res) => {
+  res.status(200).json({
+    success: true,
+    message: 'CivicChain Backend API is running',
+    timestamp: new Date().toISOString()
+  });
+});
+
+// API Routes
+app.use('/auth', authRoutes);
+app.use('/user', userRoutes);
+app.use('/issue', issueRoutes);
+app.use('/issues', issueRoutes); // Alternative plural route
+app.use('/admin', adminRoutes);
+app.use('/regions', regionRoutes);
+app.use('/transactions', transactionRoutes); // Relay for transactions signed by users' own wallets
+app.use('/public/v1', publicRoutes); // Unauthenticated open-data API
+
+// 404 handler
+app.use((req, res) => {
+  res.status(404).json({
+    success: false,
+    error: 'Endpoint not found'
+  });
+});
+
+
+// Custom error handler
+app.use((err, req, res, next) => {
+  console.error('Error:', err);
+  
+  // Multer errors
+  if (err instanceof multer.MulterError) {
+    if (err.code === 'LIMIT_FILE_SIZE') {
+      return res.status(400).json({
+        success: false,
+        error: 'File too large'
+      });
+    }
+    return res.status(400).json({
+      success: false,
+      error: err.message
+    });
+  }
+  
+  res.status(500).json({
+    success: false,
+    error: err.message || 'Internal server error'
+  });
+});
+
+module.exports = app;
@@ -1,50 +1,102 @@
 const pool = require('../config/database');
-const { updateIssueStatusOnChain } = require('../services/solanaService');
+const { validate: isUuid } = require('uuid');
+const { updateIssueStatusOnChain, updateReputationOnChain, moveVoteOnChain } = require('../services/solanaService');
+const { loadUserPrivateKey } = require('../services/keyManagementService');
+const { updateIssuePriority, buildPriorityBreakdown } = require('../utils/priority');
+const { ISSUE_EVENT_TYPES, recordIssueEvent } = require('../utils/issueEvents');
+const { OVERDUE_CONDITION } = require('../utils/sla');
+const { NOTIFICATION_TYPES, notifyIssueFollowers } = require('../utils/notifications');
+const { WEBHOOK_EVENTS, enqueueWebhookEvent } = require('../utils/webhooks');
+const { ISSUE_STREAM_EVENTS, publishIssueUpdates } = require('../utils/issueStream');
+const { parseLimit, decodeCursor, buildKeysetQuery, paginateRows } = require('../utils/pagination');
+const { buildAdminIssueConditions } = require('../utils/issueFilters');
+const { PERMISSIONS, canActOnIssue } = require('../utils/permissions');
+const { ISSUE_STATUSES, STATUS_TRANSITIONS, canTransition, validateStatusTransition } = require('../utils/issueStatus');
+const { applyVoteToReporter, reverseVoteOnReporter } = require('../utils/votes');
 
 /**
  * GET /admin/dashboard
  * Get dashboard statistics and heatmap data
+ * Optional region_id limits every figure to one region
  */
 async function getDashboard(req, res) {
+  const { region_id } = req.query;
+  if (region_id && !isUuid(region_id)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid region_id'
+    });
+  }
+
   const client = await pool.connect();
   
   try {
+    const params = region_id ? [region_id] : [];
+    const regionFilter = region_id ? 'i.region_id = $1' : 'TRUE';
+
     // Get overall statistics
     const statsQuery = `
       SELECT 
-        (SELECT COUNT(*) FROM issues) as total_issues,
-        (SELECT COUNT(*) FROM issues WHERE status = 'open') as open_issues,
-        (SELECT COUNT(*) FROM issues WHERE status = 'in_progress') as in_progress_issues,
-        (SELECT COUNT(*) FROM issues WHERE status = 'resolved') as resolved_issues,
-        (SELECT COUNT(*) FROM issues WHERE status = 'closed') as closed_issues,
+        COUNT(*) as total_issues,
+        COUNT(*) FILTER (WHERE i.status = 'open') as open_issues,
+        COUNT(*) FILTER (WHERE i.status = 'in_progress') as in_progress_issues,
+        COUNT(*) FILTER (WHERE i.status = 'resolved') as resolved_issues,
+        COUNT(*) FILTER (WHERE i.status = 'closed') as closed_issues,
+        COUNT(*) FILTER (WHERE i.status = 'rejected') as rejected_issues,
+        COUNT(*) FILTER (WHERE i.status = 'duplicate') as duplicate_issues,
         (SELECT COUNT(*) FROM users WHERE role = 'citizen') as total_citizens,
-        (SELECT AVG(priority_score) FROM issues WHERE status IN ('open', 'in_progress')) as avg_priority
+        AVG(i.priority_score) FILTER (WHERE i.status IN ('open', 'in_progress')) as avg_priority
+      FROM issues i
+      WHERE ${regionFilter}
     `;
-    const statsResult = await client.query(statsQuery);
+    const statsResult = await client.query(statsQuery, params);
     const stats = statsResult.rows[0];
 
     // Get category breakdown
     const categoryQuery = `
-      SELECT category, COUNT(*) as count
-      FROM issues
-      GROUP BY category
+      SELECT i.category, COUNT(*) as count
+      FROM issues i
+      WHERE ${regionFilter}
+      GROUP BY i.category
       ORDER BY count DESC
     `;
-    const categoryResult = await client.query(categoryQuery);
+    const categoryResult = await client.query(categoryQuery, params);
+
+    // Get SLA compliance (resolved within the deadline) overall and per category
+    const slaQuery = `
+      SELECT
+        i.category,
+        COUNT(*) FILTER (WHERE ${OVERDUE_CONDITION}) as overdue,
+        COUNT(*) FILTER (WHERE i.resolved_at IS NOT NULL AND i.sla_due_at IS NOT NULL) as resolved,
+        COUNT(*) FILTER (WHERE i.resolved_at IS NOT NULL AND i.resolved_at <= i.sla_due_at) as resolved_within_sla
+      FROM issues i
+      WHERE ${regionFilter}
+      GROUP BY ROLLUP(i.category)
+    `;
+    const slaResult = await client.query(slaQuery, params);
+    const formatSla = row => ({
+      overdue_issues: parseInt(row.overdue),
+      resolved_with_sla: parseInt(row.resolved),
+      resolved_within_sla: parseInt(row.resolved_within_sla),
+      compliance_rate: parseInt(row.resolved) > 0
+        ? parseFloat((parseInt(row.resolved_within_sla) / parseInt(row.resolved)).toFixed(4))
+        : null
+    });
+    const slaTotals = slaResult.rows.find(row => row.category === null);
 
     // Get heatmap data (all issues with locations)
     const heatmapQuery = `
       SELECT 
-        issue_id,
-        ST_Y(location::geometry) as lat,
-        ST_X(location::geometry) as lng,
-        priority_score,
-        status,
-        category
-      FROM issues
-      WHERE status IN ('open', 'in_progress')
+        i.issue_id,
+        ST_Y(i.location::geometry) as lat,
+        ST_X(i.location::geometry) as lng,
+        i.priority_score,
+        i.status,
+        i.category
+      FROM issues i
+      WHERE i.status IN ('open', 'in_progress') AND ${regionFilter}
     `;
-    const heatmapResult = await client.query(heatmapQuery);
+    const heatmapResult = await client.query(heatmapQuery, params);
 
     // Get top priority issues
     const topPriorityQuery = `
@@ -56,11 +108,11 @@ async function getDashboard(req, res) {
         u.profile_pic as reporter_profile_pic
       FROM issues i
       JOIN users u ON i.reporter_user_id = u.user_id
-      WHERE i.status IN ('open', 'in_progress')
+      WHERE i.status IN ('open', 'in_progress') AND ${regionFilter}
       ORDER BY i.priority_score DESC
       LIMIT 10
     `;
-    const topPriorityResult = await client.query(topPriorityQuery);
+    const topPriorityResult = await client.query(topPriorityQuery, params);
 
     return res.status(200).json({
       success: true,
@@ -70,6 +122,8 @@ async function getDashboard(req, res) {
         in_progress_issues: parseInt(stats.in_progress_issues),
         resolved_issues: parseInt(stats.resolved_issues),
         closed_issues: parseInt(stats.closed_issues),
+        rejected_issues: parseInt(stats.rejected_issues),
+        duplicate_issues: parseInt(stats.duplicate_issues),
         total_citizens: parseInt(stats.total_citizens),
         avg_priority: parseFloat(stats.avg_priority || 0).toFixed(2),
         category_breakdown: categoryResult.rows.map(row => ({
@@ -77,6 +131,12 @@ async function getDashboard(req, res) {
           count: parseInt(row.count)
         }))
       },
+      sla: {
+        ...formatSla(slaTotals || { overdue: 0, resolved: 0, resolved_within_sla: 0 }),
+        by_category: slaResult.rows
+          .filter(row => row.category !== null)
+          .map(row => ({ category: row.category, ...formatSla(row) }))
+      },
       heatmap_data: heatmapResult.rows.map(row => ({
         issue_id: row.issue_id,
         lat: row.lat,
@@ -96,6 +156,7 @@ async function getDashboard(req, res) {
         lat: row.lat,
         lng: row.lng,
         region: row.region,
+        region_id: row.region_id,
         status: row.status,
         priority_score: row.priority_score,
         upvotes: row.upvotes,
@@ -115,21 +176,69 @@ async function getDashboard(req, res) {
   }
 }
 
+/**
+ * Keyset sort orders for GET /admin/issues (issue_id breaks ties)
+ */
+const ISSUE_ID_KEY = { expr: 'i.issue_id', type: 'uuid', dir: 'ASC' };
+const ADMIN_ISSUE_SORTS = {
+  priority: [{ expr: 'i.priority_score', type: 'float8', dir: 'DESC' }, ISSUE_ID_KEY],
+  date_newest: [{ expr: 'i.created_at', type: 'timestamp', dir: 'DESC' }, ISSUE_ID_KEY],
+  date_oldest: [{ expr: 'i.created_at', type: 'timestamp', dir: 'ASC' }, ISSUE_ID_KEY],
+  upvotes: [{ expr: 'i.upvotes', type: 'integer', dir: 'DESC' }, ISSUE_ID_KEY],
+  sla_due: [{ expr: "COALESCE(i.sla_due_at, 'infinity'::timestamp)", type: 'timestamp', dir: 'ASC' }, ISSUE_ID_KEY]
+};
+
 /**
  * GET /admin/issues
- * Get all issues with advanced filters
+ * Get all issues with advanced filters and keyset pagination (limit, cursor)
  */
 async function getAdminIssues(req, res) {
   const client = await pool.connect();
   
   try {
-    const { status, category, date_from, date_to, sort_by, page, limit } = req.query;
+    const { cursor } = req.query;
+    const sortBy = Object.hasOwn(ADMIN_ISSUE_SORTS, req.query.sort_by ?? '') ? req.query.sort_by : 'priority';
+    const sortKeys = ADMIN_ISSUE_SORTS[sortBy];
+    const limit = parseLimit(req.query.limit);
+
+    let cursorValues = null;
+    if (cursor) {
+      const decoded = decodeCursor(cursor, sortBy, sortKeys.length);
+      if (decoded.error) {
+        return res.status(400).json({
+          success: false,
+          error: decoded.error
+        });
+      }
+      cursorValues = decoded.values;
+    }
+
+    // Filters are shared by the page query and the count query
+    const params = [];
+    const addParam = (value) => {
+      params.push(value);
+      return `$${params.length}`;
+    };
+    const { conditions, error: filterError } = buildAdminIssueConditions(req.query, req.user, addParam);
+    if (filterError) {
+      return res.status(400).json({
+        success: false,
+        error: filterError
+      });
+    }
+
+    const countResult = await client.query(
+      `SELECT COUNT(*) as total FROM issues i WHERE ${['TRUE', ...conditions].join(' AND ')}`,
+      [...params]
+    );
+    const totalCount = parseInt(countResult.rows[0].total);
 
-    const pageNum = parseInt(page) || 1;
-    const limitNum = parseInt(limit) || 20;
-    const offset = (pageNum - 1) * limitNum;
+    const keyset = buildKeysetQuery(sortKeys, cursorValues, addParam);
+    if (keyset.condition) {
+      conditions.push(keyset.condition);
+    }
 
-    let query = `
+    const query = `
       SELECT 
         i.*,
         ST_Y(i.location::geometry) as lat,
@@ -137,99 +246,29 @@ async function getAdminIssues(req, res) {
         u.name as reporter_name,
         u.profile_pic as reporter_profile_pic,
         u.email as reporter_email,
-        (SELECT COUNT(*) FROM verifications WHERE issue_id = i.issue_id) as verification_count
+        d.code as assigned_department_code,
+        d.name as assigned_department_name,
+        a.name as assigned_to_name,
+        ${OVERDUE_CONDITION} as is_overdue,
+        (SELECT COUNT(*) FROM verifications WHERE issue_id = i.issue_id AND round = i.resolution_round AND is_fixed = TRUE) as verification_count,
+        (SELECT COUNT(*) FROM verifications WHERE issue_id = i.issue_id AND round = i.resolution_round AND is_fixed = FALSE) as dispute_count,
+        (SELECT COUNT(*) FROM comments WHERE issue_id = i.issue_id AND is_deleted = FALSE) as comment_count,
+        pc.weights as priority_weights,
+        ${keyset.select}
       FROM issues i
       JOIN users u ON i.reporter_user_id = u.user_id
-      WHERE 1=1
+      LEFT JOIN priority_configs pc ON pc.version = i.priority_config_version
+      LEFT JOIN departments d ON i.assigned_department_id = d.department_id
+      LEFT JOIN users a ON i.assigned_to = a.user_id
+      WHERE ${['TRUE', ...conditions].join(' AND ')}
+      ORDER BY ${keyset.orderBy}
+      LIMIT ${addParam(limit + 1)}
     `;
 
-    const params = [];
-    let paramCount = 0;
-
-    // Add filters
-    if (status) {
-      paramCount++;
-      query += ` AND i.status = $${paramCount}`;
-      params.push(status);
-    }
-
-    if (category) {
-      paramCount++;
-      query += ` AND i.category = $${paramCount}`;
-      params.push(category);
-    }
-
-    if (date_from) {
-      paramCount++;
-      query += ` AND i.created_at >= $${paramCount}`;
-      params.push(date_from);
-    }
-
-    if (date_to) {
-      paramCount++;
-      query += ` AND i.created_at <= $${paramCount}`;
-      params.push(date_to);
-    }
-
-    // Add sorting
-    const sortMapping = {
-      priority: 'i.priority_score DESC',
-      date_newest: 'i.created_at DESC',
-      date_oldest: 'i.created_at ASC',
-      upvotes: 'i.upvotes DESC'
-    };
-    const sortClause = sortMapping[sort_by] || 'i.priority_score DESC';
-    query += ` ORDER BY ${sortClause}`;
-
-    // Add pagination
-    paramCount++;
-    query += ` LIMIT $${paramCount}`;
-    params.push(limitNum);
-    
-    paramCount++;
-    query += ` OFFSET $${paramCount}`;
-    params.push(offset);
-
     const result = await client.query(query, params);
+    const page = paginateRows(result.rows, limit, sortBy, sortKeys.length);
 
-    // Get total count for pagination
-    let countQuery = `
-      SELECT COUNT(*) as total
-      FROM issues i
-      WHERE 1=1
-    `;
-    
-    const countParams = [];
-    let countParamCount = 0;
-
-    if (status) {
-      countParamCount++;
-      countQuery += ` AND i.status = $${countParamCount}`;
-      countParams.push(status);
-    }
-
-    if (category) {
-      countParamCount++;
-      countQuery += ` AND i.category = $${countParamCount}`;
-      countParams.push(category);
-    }
-
-    if (date_from) {
-      countParamCount++;
-      countQuery += ` AND i.created_at >= $${countParamCount}`;
-      countParams.push(date_from);
-    }
-
-    if (date_to) {
-      countParamCount++;
-      countQuery += ` AND i.created_at <= $${countParamCount}`;
-      countParams.push(date_to);
-    }
-
-    const countResult = await client.query(countQuery, countParams);
-    const totalCount = parseInt(countResult.rows[0].total);
-
-    const issues = result.rows.map(row => ({
+    const issues = page.rows.map(row => ({
       issue_id: row.issue_id,
       reporter_user_id: row.reporter_user_id,
       reporter_name: row.reporter_name,
@@ -242,25 +281,34 @@ async function getAdminIssues(req, res) {
       lat: row.lat,
       lng: row.lng,
       region: row.region,
+      region_id: row.region_id,
       status: row.status,
       priority_score: row.priority_score,
       blockchain_tx_hash: row.blockchain_tx_hash,
       upvotes: row.upvotes,
       downvotes: row.downvotes,
       admin_proof_url: row.admin_proof_url,
+      assigned_department: row.assigned_department_id ? {
+        department_id: row.assigned_department_id,
+        code: row.assigned_department_code,
+        name: row.assigned_department_name
+      } : null,
+      assigned_to: row.assigned_to,
+      assigned_to_name: row.assigned_to_name,
+      priority_breakdown: buildPriorityBreakdown(row),
+      sla_due_at: row.sla_due_at,
+      is_overdue: row.is_overdue,
+      escalation_count: row.escalation_count,
       verification_count: parseInt(row.verification_count),
+      dispute_count: parseInt(row.dispute_count),
+      comment_count: parseInt(row.comment_count),
       created_at: row.created_at,
       updated_at: row.updated_at
     }));
 
     return res.status(200).json({
       success: true,
-      pagination: {
-        page: pageNum,
-        limit: limitNum,
-        total: totalCount,
-        total_pages: Math.ceil(totalCount / limitNum)
-      },
+      pagination: { ...page.pagination, sort_by: sortBy, total: totalCount },
       issues
     });
 
@@ -285,20 +333,28 @@ async function updateIssueStatus(req, res) {
   try {
     const { id } = req.params;
     const { status } = req.body;
+    const reason = req.body.reason || req.body.note || null;
 
     // Validate status
-    const validStatuses = ['open', 'in_progress', 'resolved', 'closed'];
-    if (!validStatuses.includes(status)) {
+    if (!ISSUE_STATUSES.includes(status)) {
       return res.status(400).json({
         success: false,
         error: 'Invalid status'
       });
     }
 
+    // Duplicates are only created through the merge endpoint
+    if (status === 'duplicate') {
+      return res.status(400).json({
+        success: false,
+        error: 'Use POST /issue/:id/merge to mark an issue as duplicate'
+      });
+    }
+
     await client.query('BEGIN');
 
     // Check if issue exists
-    const issueQuery = 'SELECT * FROM issues WHERE issue_id = $1';
+    const issueQuery = 'SELECT * FROM issues WHERE issue_id = $1 FOR UPDATE';
     const issueResult = await client.query(issueQuery, [id]);
 
     if (issueResult.rows.length === 0) {
@@ -309,10 +365,36 @@ async function updateIssueStatus(req, res) {
       });
     }
 
-    // Update issue status
+    if (!canActOnIssue(req.user, PERMISSIONS.ISSUE_UPDATE_STATUS, issueResult.rows[0])) {
+      await client.query('ROLLBACK');
+      return res.status(403).json({
+        success: false,
+        error: 'You can only update issues assigned to your department'
+      });
+    }
+
+    // Enforce the status state machine
+    const currentStatus = issueResult.rows[0].status;
+    const transition = validateStatusTransition(currentStatus, status, reason);
+    if (!transition.valid) {
+      await client.query('ROLLBACK');
+      return res.status(transition.code).json({
+        success: false,
+        error: transition.error,
+        current_status: currentStatus,
+        allowed_transitions: STATUS_TRANSITIONS[currentStatus] || []
+      });
+    }
+
+    // Update issue status (reopening starts a new verification round)
+    const isReopen = status === 'open' && ['resolved', 'closed'].includes(currentStatus);
     await client.query(
-      'UPDATE issues SET status = $1, updated_at = NOW() WHERE issue_id = $2',
-      [status, id]
+      `UPDATE issues
+       SET status = $1, status_reason = $2, resolution_round = resolution_round + $3,
+           resolved_at = CASE WHEN $1 = 'resolved' THEN NOW() WHEN $3 = 1 THEN NULL ELSE resolved_at END,
+           updated_at = NOW()
+       WHERE issue_id = $4`,
+      [status, reason ? String(reason).trim() : null, isReopen ? 1 : 0, id]
     );
 
     // Handle proof image if provided
@@ -327,12 +409,54 @@ async function updateIssueStatus(req, res) {
 
     // Update issue status on blockchain
     const issue = issueResult.rows[0];
-    const blockchainTxHash = await updateIssueStatusOnChain(req.user.private_key, issue.issue_id, status);
+    const governmentPrivateKey = await loadUserPrivateKey(client, req.user.user_id);
+    const blockchainTxHash = await updateIssueStatusOnChain(governmentPrivateKey, issue.issue_id, status);
     await client.query(
       'UPDATE issues SET blockchain_tx_hash = $1 WHERE issue_id = $2',
       [blockchainTxHash, id]
     );
 
+    await recordIssueEvent(client, {
+      issue_id: id,
+      actor_user_id: req.user.user_id,
+      event_type: ISSUE_EVENT_TYPES.STATUS_CHANGED,
+      old_value: issue.status,
+      new_value: status,
+      blockchain_tx_hash: blockchainTxHash,
+      metadata: {
+        ...(reason ? { reason: String(reason).trim() } : {}),
+        ...(proofUrl ? { admin_proof_url: proofUrl } : {})
+      }
+    });
+
+    await notifyIssueFollowers(client, {
+      issue_id: id,
+      actor_user_id: req.user.user_id,
+      type: NOTIFICATION_TYPES.STATUS_CHANGED,
+      message: `Issue status changed from ${issue.status.replace('_', ' ')} to ${status.replace('_', ' ')}`,
+      data: {
+        old_status: issue.status,
+        new_status: status,
+        ...(reason ? { reason: String(reason).trim() } : {})
+      }
+    });
+
+    const statusChange = {
+      issue_id: id,
+      old_status: issue.status,
+      new_status: status,
+      reason: reason ? String(reason).trim() : null,
+      admin_proof_url: proofUrl,
+      changed_by: req.user.user_id,
+      blockchain_tx_hash: blockchainTxHash
+    };
+    await enqueueWebhookEvent(client, WEBHOOK_EVENTS.ISSUE_STATUS_CHANGED, statusChange);
+    if (status === 'closed') {
+      await enqueueWebhookEvent(client, WEBHOOK_EVENTS.ISSUE_CLOSED, statusChange);
+    }
+
+    await publishIssueUpdates(client, ISSUE_STREAM_EVENTS.STATUS_CHANGED, [id], { old_status: issue.status });
+
     await client.query('COMMIT');
 
     // Get updated issue
@@ -353,6 +477,7 @@ async function updateIssueStatus(req, res) {
       issue: {
         issue_id: updatedIssue.issue_id,
         status: updatedIssue.status,
+        status_reason: updatedIssue.status_reason,
         admin_proof_url: updatedIssue.admin_proof_url,
         updated_at: updatedIssue.updated_at
       },
@@ -371,8 +496,334 @@ async function updateIssueStatus(req, res) {
   }
 }
 
+/**
+ * Record a committed merge on blockchain: move the folded votes to the canonical
+ * issue, close the duplicates and sync the reputation of affected reporters
+ * A failure is logged and the rest still runs; the merge itself stands
+ * @param {Object} client - pg client (after COMMIT)
+ * @param {Object} merge - { canonicalId, duplicates, movedVotes, mergeEvents, reporters, governmentPrivateKey }
+ * @returns {Promise<Object>} Closure tx hash per duplicate issue ID (null when not recorded)
+ */
+async function recordMergeOnChain(client, { canonicalId, duplicates, movedVotes, mergeEvents, reporters, governmentPrivateKey }) {
+  for (const vote of movedVotes) {
+    try {
+      await moveVoteOnChain(vote.source_issue_id, canonicalId, vote.wallet_address, vote.vote_type);
+    } catch (error) {
+      console.warn('⚠️  Failed to move vote on-chain:', error.message);
+    }
+  }
+
+  const blockchainTxHashes = {};
+  for (const duplicate of duplicates) {
+    let blockchainTxHash = null;
+    try {
+      blockchainTxHash = await updateIssueStatusOnChain(governmentPrivateKey, duplicate.issue_id, 'duplicate');
+    } catch (error) {
+      console.warn('⚠️  Failed to record duplicate status on-chain:', error.message);
+    }
+    if (blockchainTxHash) {
+      await client.query('UPDATE issues SET blockchain_tx_hash = $1 WHERE issue_id = $2', [blockchainTxHash, duplicate.issue_id]);
+      await client.query(
+        'UPDATE issue_events SET blockchain_tx_hash = $1 WHERE event_id = $2',
+        [blockchainTxHash, mergeEvents[duplicate.issue_id].event_id]
+      );
+    }
+    blockchainTxHashes[duplicate.issue_id] = blockchainTxHash;
+  }
+
+  for (const reporter of reporters) {
+    try {
+      await updateReputationOnChain(reporter.wallet_address, reporter.rep);
+    } catch (error) {
+      console.warn('⚠️  Failed to update reputation on-chain:', error.message);
+    }
+  }
+
+  return blockchainTxHashes;
+}
+
+/**
+ * POST /issue/:id/merge
+ * Merge duplicate issues into a canonical issue (government only)
+ * Folds votes, verifications and reporters of the duplicates into the canonical issue
+ */
+async function mergeIssues(req, res) {
+  const client = await pool.connect();
+
+  try {
+    const { id } = req.params;
+    const { duplicate_ids } = req.body || {};
+
+    const duplicateIds = Array.isArray(duplicate_ids)
+      ? [...new Set(duplicate_ids.map(d => String(d).trim()))].filter(d => d && d !== id)
+      : [];
+
+    if (duplicateIds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'duplicate_ids must be a non-empty array of issue IDs'
+      });
+    }
+
+    if (!isUuid(id)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Issue not found'
+      });
+    }
+
+    const invalidId = duplicateIds.find(d => !isUuid(d));
+    if (invalidId) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid issue ID in duplicate_ids: ${invalidId}`
+      });
+    }
+
+    await client.query('BEGIN');
+
+    // Check if canonical issue exists
+    const canonicalResult = await client.query(
+      'SELECT * FROM issues WHERE issue_id = $1 FOR UPDATE',
+      [id]
+    );
+
+    if (canonicalResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({
+        success: false,
+        error: 'Issue not found'
+      });
+    }
+
+    const canonical = canonicalResult.rows[0];
+
+    if (canonical.duplicate_of) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({
+        success: false,
+        error: 'Cannot merge into an issue that is itself a duplicate'
+      });
+    }
+
+    if (canonical.status === 'rejected') {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        success: false,
+        error: 'Cannot merge into a rejected issue'
+      });
+    }
+
+    const duplicatesResult = await client.query(
+      'SELECT * FROM issues WHERE issue_id = ANY($1::uuid[]) FOR UPDATE',
+      [duplicateIds]
+    );
+
+    if (duplicatesResult.rows.length !== duplicateIds.length) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({
+        success: false,
+        error: 'One or more duplicate issues not found'
+      });
+    }
+
+    const alreadyMerged = duplicatesResult.rows.find(d => d.duplicate_of);
+    if (alreadyMerged) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({
+        success: false,
+        error: `Issue ${alreadyMerged.issue_id} has already been merged`
+      });
+    }
+
+    const notMergeable = duplicatesResult.rows.find(d => !canTransition(d.status, 'duplicate'));
+    if (notMergeable) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        success: false,
+        error: `Cannot mark issue ${notMergeable.issue_id} as duplicate from status "${notMergeable.status}"`
+      });
+    }
+
+    const reason = req.body.reason || `Merged into ${id}`;
+
+    const mergedVotes = [];
+    const mergeEvents = {};
+    const governmentPrivateKey = await loadUserPrivateKey(client, req.user.user_id);
+
+    // Reporter rows by user_id, kept current as moved votes change their reputation
+    const reporters = new Map();
+    const loadReporter = async userId => {
+      if (!reporters.has(userId)) {
+        const reporterResult = await client.query('SELECT * FROM users WHERE user_id = $1', [userId]);
+        reporters.set(userId, reporterResult.rows[0]);
+      }
+      return reporters.get(userId);
+    };
+
+    for (const duplicate of duplicatesResult.rows) {
+      // Fold the duplicate's reporter and linked reporters into the canonical issue
+      await client.query(
+        `INSERT INTO issue_reporters (issue_id, user_id, source_issue_id)
+         SELECT $1, r.user_id, $2
+         FROM (
+           SELECT reporter_user_id AS user_id FROM issues WHERE issue_id = $2
+           UNION
+           SELECT user_id FROM issue_reporters WHERE issue_id = $2
+         ) r
+         WHERE r.user_id != $3
+         ON CONFLICT (issue_id, user_id) DO NOTHING`,
+        [id, duplicate.issue_id, canonical.reporter_user_id]
+      );
+
+      // Move votes, skipping users who already voted on the canonical issue
+      // and the canonical reporter (who cannot vote on their own issue);
+      // the duplicate's remaining votes are dropped
+      const movedVotes = await client.query(
+        `WITH moved AS (
+           INSERT INTO votes (user_id, issue_id, vote_type, created_at)
+           SELECT user_id, $1, vote_type, created_at
+           FROM votes
+           WHERE issue_id = $2 AND user_id != $3
+           ON CONFLICT (user_id, issue_id) DO NOTHING
+           RETURNING *
+         )
+         SELECT moved.*, u.wallet_address
+         FROM moved
+         JOIN users u ON u.user_id = moved.user_id`,
+        [id, duplicate.issue_id, canonical.reporter_user_id]
+      );
+      const duplicateVotes = await client.query(
+        'DELETE FROM votes WHERE issue_id = $1 RETURNING *',
+        [duplicate.issue_id]
+      );
+
+      // The duplicate's reporter loses what its votes gave them; moved votes count for the canonical reporter
+      for (const vote of duplicateVotes.rows) {
+        const reporter = await loadReporter(duplicate.reporter_user_id);
+        reporters.set(reporter.user_id, await reverseVoteOnReporter(client, reporter, vote));
+      }
+      for (const vote of movedVotes.rows) {
+        const reporter = await loadReporter(canonical.reporter_user_id);
+        const applied = await applyVoteToReporter(client, reporter, vote.vote_type);
+        reporters.set(reporter.user_id, applied.reporter);
+        await client.query('UPDATE votes SET rep_delta = $1 WHERE vote_id = $2', [applied.rep_delta, vote.vote_id]);
+        mergedVotes.push({ ...vote, source_issue_id: duplicate.issue_id });
+      }
+
+      // Move verifications of the current resolution with the same rules
+      await client.query(
+        `UPDATE verifications SET issue_id = $1, round = $4
+         WHERE issue_id = $2
+         AND round = $5
+         AND user_id != $3
+         AND user_id NOT IN (SELECT user_id FROM verifications WHERE issue_id = $1 AND round = $4)`,
+        [id, duplicate.issue_id, canonical.reporter_user_id, canonical.resolution_round, duplicate.resolution_round]
+      );
+
+      await client.query(
+        `UPDATE issues
+         SET status = 'duplicate', status_reason = $3, duplicate_of = $1, merged_at = NOW(), updated_at = NOW()
+         WHERE issue_id = $2`,
+        [id, duplicate.issue_id, reason]
+      );
+
+      mergeEvents[duplicate.issue_id] = await recordIssueEvent(client, {
+        issue_id: duplicate.issue_id,
+        actor_user_id: req.user.user_id,
+        event_type: ISSUE_EVENT_TYPES.MERGED,
+        old_value: duplicate.status,
+        new_value: 'duplicate',
+        metadata: { duplicate_of: id, reason }
+      });
+
+      await notifyIssueFollowers(client, {
+        issue_id: duplicate.issue_id,
+        actor_user_id: req.user.user_id,
+        type: NOTIFICATION_TYPES.MERGED,
+        message: 'Issue was merged into an existing report of the same problem',
+        data: { duplicate_of: id, reason }
+      });
+
+      // Followers of the duplicate keep getting updates from the canonical issue
+      await client.query(
+        `INSERT INTO issue_followers (issue_id, user_id)
+         SELECT $1, user_id FROM issue_followers WHERE issue_id = $2
+         ON CONFLICT DO NOTHING`,
+        [id, duplicate.issue_id]
+      );
+    }
+
+    // Recount vote counters from the votes table
+    await client.query(
+      `UPDATE issues i SET
+         upvotes = (SELECT COUNT(*) FROM votes v WHERE v.issue_id = i.issue_id AND v.vote_type = 'upvote'),
+         downvotes = (SELECT COUNT(*) FROM votes v WHERE v.issue_id = i.issue_id AND v.vote_type = 'downvote'),
+         updated_at = NOW()
+       WHERE i.issue_id = ANY($1::uuid[])`,
+      [[id, ...duplicateIds]]
+    );
+
+    await publishIssueUpdates(client, ISSUE_STREAM_EVENTS.STATUS_CHANGED, duplicateIds, { duplicate_of: id });
+    await publishIssueUpdates(client, ISSUE_STREAM_EVENTS.VOTES_CHANGED, [id], { merged: duplicateIds });
+
+    await client.query('COMMIT');
+
+    const blockchainTxHashes = await recordMergeOnChain(client, {
+      canonicalId: id,
+      duplicates: duplicatesResult.rows,
+      movedVotes: mergedVotes,
+      mergeEvents,
+      reporters: [...reporters.values()],
+      governmentPrivateKey
+    });
+
+    // Recalculate priority score with the merged upvotes
+    await updateIssuePriority(id);
+
+    // Get merged issue
+    const mergedIssueQuery = `
+      SELECT
+        i.*,
+        (SELECT COUNT(*) FROM verifications WHERE issue_id = i.issue_id AND round = i.resolution_round AND is_fixed = TRUE) as verification_count,
+        (SELECT COUNT(*) FROM issue_reporters WHERE issue_id = i.issue_id) as co_reporter_count
+      FROM issues i
+      WHERE i.issue_id = $1
+    `;
+    const mergedIssueResult = await client.query(mergedIssueQuery, [id]);
+    const mergedIssue = mergedIssueResult.rows[0];
+
+    return res.status(200).json({
+      success: true,
+      message: `Merged ${duplicateIds.length} duplicate issue(s)`,
+      issue: {
+        issue_id: mergedIssue.issue_id,
+        status: mergedIssue.status,
+        upvotes: mergedIssue.upvotes,
+        downvotes: mergedIssue.downvotes,
+        priority_score: mergedIssue.priority_score,
+        verification_count: parseInt(mergedIssue.verification_count),
+        co_reporter_count: parseInt(mergedIssue.co_reporter_count)
+      },
+      merged_issue_ids: duplicateIds,
+      blockchain_tx_hashes: blockchainTxHashes
+    });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Merge issues error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to merge issues'
+    });
+  } finally {
+    client.release();
+  }
+}
+
 module.exports = {
   getDashboard,
   getAdminIssues,
-  updateIssueStatus
+  updateIssueStatus,
+  mergeIssues
 };
@@ -1,15 +1,45 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const { v4: uuidv4 } = require('uuid');
 const pool = require('../config/database');
 const { fundWallet, createUserOnChain, connection } = require('../services/solanaService');
+const { buildUserKeyColumns } = require('../services/keyManagementService');
+const {
+  WALLET_CUSTODY,
+  WALLET_NONCE_TTL_SECONDS,
+  decodeWalletAddress,
+  buildSignInMessage,
+  verifyWalletSignature,
+  defaultWalletUserName
+} = require('../utils/walletAuth');
+const { PENDING_TX_STATUS } = require('../services/transactionRelayService');
+const { isOnChainOfficialRole } = require('../utils/permissions');
+const {
+  createSession,
+  rotateSession,
+  revokeSessionByRefreshToken,
+  revokeAllSessions,
+  isTokenRevoked
+} = require('../services/sessionService');
 const { Keypair } = require('@solana/web3.js');
 const bs58 = require('bs58');
 require('dotenv').config();
 
+/**
+ * Client details recorded on a session
+ */
+function getSessionContext(req) {
+  const userAgent = req.get('user-agent');
+  return {
+    user_agent: userAgent ? userAgent.slice(0, 500) : null,
+    ip_address: req.ip || null
+  };
+}
+
 /**
  * POST /auth/login
  * Handle NextAuth JWT verification, create or retrieve user
- * Expects JWT in request body, validates it, creates/returns user
+ * Expects JWT in request body, validates it, creates/returns user with a new session's tokens
  */
 async function login(req, res) {
   const client = await pool.connect();
@@ -83,15 +113,16 @@ async function login(req, res) {
       const keypair = Keypair.generate();
       const walletAddress = keypair.publicKey.toBase58();
       const privateKey = bs58.encode(keypair.secretKey);
+      const keyColumns = await buildUserKeyColumns(privateKey, walletAddress);
       
       console.log(`✅ Generated new keypair for user: ${walletAddress}`);
 
       const insertUserQuery = `
         INSERT INTO users (
           user_id, email, name, profile_pic, wallet_address,
-          role, rep, private_key, provider_id
+          role, rep, private_key_encrypted, private_key_kek_id, provider_id
         )
-        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
         RETURNING user_id, email, name, profile_pic, wallet_address, role, rep, provider_id,
                  issues_reported, issues_resolved, total_upvotes, verifications_done, badges, created_at
       `;
@@ -107,7 +138,8 @@ async function login(req, res) {
           walletAddress,
           'citizen',
           100,
-          privateKey,
+          keyColumns.private_key_encrypted,
+          keyColumns.private_key_kek_id,
           providerId
         ]);
         user = insertResult.rows[0];
@@ -116,7 +148,7 @@ async function login(req, res) {
         if (insertError.code === '23505') {
           // Duplicate user - check if it exists by email or wallet
           const conflictResult = await client.query(
-            'SELECT user_id, email, name, profile_pic, wallet_address, role, rep, provider_id, issues_reported, issues_resolved, total_upvotes, verifications_done, badges, created_at FROM users WHERE email = $1 OR wallet_address = $2',
+            'SELECT user_id, email, name, profile_pic, wallet_address, role, rep, provider_id, issues_reported, issues_resolved, total_upvotes, verifications_done, badges, created_at, tokens_revoked_at FROM users WHERE email = $1 OR wallet_address = $2',
             [email, walletAddress]
           );
           if (!conflictResult.rows.length) {
@@ -142,7 +174,7 @@ async function login(req, res) {
         try {
           // Create user on-chain with the wallet address
           const roleEnum = { citizen: {} }; // or choose by role if relevant
-          const blockchainTx = await createUserOnChain(walletAddress, 100, roleEnum, privateKey);
+          const blockchainTx = await createUserOnChain(walletAddress, 100, roleEnum);
           if (blockchainTx) {
             console.log(`🔗 User created on-chain. Tx: ${blockchainTx}`);
           }
@@ -155,10 +187,20 @@ async function login(req, res) {
       }
     }
 
-    // Return response (no JWT generation here, NextAuth handles it)
+    // A NextAuth token issued before "log out all devices" cannot start a new session
+    if (!isNew && await isTokenRevoked(client, decoded, user)) {
+      return res.status(401).json({
+        success: false,
+        error: 'Token revoked'
+      });
+    }
+
+    const tokens = await createSession(client, user, getSessionContext(req));
+
     return res.status(200).json({
       success: true,
       is_new: isNew,
+      ...tokens,
       user: {
         user_id: user.user_id,
         provider_id: user.provider_id,
@@ -189,6 +231,408 @@ async function login(req, res) {
   }
 }
 
+/**
+ * Profile fields returned by the wallet endpoints
+ */
+function formatAuthUser(user) {
+  return {
+    user_id: user.user_id,
+    email: user.email,
+    name: user.name,
+    profile_pic: user.profile_pic,
+    wallet_address: user.wallet_address,
+    wallet_custody: user.wallet_custody,
+    role: user.role,
+    rep: user.rep,
+    issues_reported: user.issues_reported,
+    issues_resolved: user.issues_resolved,
+    total_upvotes: user.total_upvotes,
+    verifications_done: user.verifications_done,
+    badges: user.badges,
+    created_at: user.created_at
+  };
+}
+
+/**
+ * Consume a sign-in nonce and check the wallet signed its message
+ * Nonces are single-use: consumed even when the signature turns out to be invalid
+ * @param {Object} client - pg client
+ * @param {Object} body - { wallet_address, nonce, signature }
+ * @returns {Promise<{status?: number, error?: string}>} Empty on success, otherwise an HTTP status and error
+ */
+async function verifyWalletChallenge(client, { wallet_address, nonce, signature }) {
+  if (!wallet_address || !nonce || !signature) {
+    return { status: 400, error: 'wallet_address, nonce and signature are required' };
+  }
+
+  const nonceResult = await client.query(
+    `UPDATE wallet_nonces SET used_at = NOW()
+     WHERE nonce = $1 AND wallet_address = $2 AND used_at IS NULL AND expires_at > NOW()
+     RETURNING message`,
+    [String(nonce), String(wallet_address)]
+  );
+  if (nonceResult.rows.length === 0) {
+    return { status: 401, error: 'Nonce is invalid, expired or already used' };
+  }
+
+  if (!verifyWalletSignature(wallet_address, nonceResult.rows[0].message, String(signature))) {
+    return { status: 401, error: 'Invalid wallet signature' };
+  }
+
+  return {};
+}
+
+/**
+ * Register a wallet's on-chain user account (best effort, like OAuth signup)
+ * Self-custody wallets pay their own transaction fees, so unlike custodial
+ * signups they are not funded from the master wallet
+ * Waits for confirmation: call it after releasing any pooled client
+ */
+async function initializeWalletOnChain(walletAddress, rep) {
+  try {
+    const blockchainTx = await createUserOnChain(walletAddress, rep, { citizen: {} });
+    if (blockchainTx) {
+      console.log(`🔗 User created on-chain. Tx: ${blockchainTx}`);
+    }
+  } catch (blockchainError) {
+    console.warn('⚠️  Failed to create user on-chain:', blockchainError.message);
+  }
+}
+
+/**
+ * POST /auth/wallet-nonce
+ * Issue a single-use challenge for a wallet to sign
+ * Body: { wallet_address }
+ */
+async function requestWalletNonce(req, res) {
+  const { wallet_address } = req.body || {};
+
+  if (!decodeWalletAddress(wallet_address)) {
+    return res.status(400).json({
+      success: false,
+      error: 'wallet_address must be a base58 Solana address'
+    });
+  }
+
+  const client = await pool.connect();
+
+  try {
+    const nonce = crypto.randomBytes(16).toString('hex');
+    const issuedAt = new Date();
+    const expiresAt = new Date(issuedAt.getTime() + WALLET_NONCE_TTL_SECONDS * 1000);
+    const message = buildSignInMessage({ walletAddress: wallet_address, nonce, issuedAt, expiresAt });
+
+    await client.query(
+      'INSERT INTO wallet_nonces (nonce, wallet_address, message, expires_at) VALUES ($1, $2, $3, $4)',
+      [nonce, wallet_address, message, expiresAt]
+    );
+
+    return res.status(200).json({
+      success: true,
+      nonce,
+      message,
+      expires_at: expiresAt
+    });
+
+  } catch (error) {
+    console.error('Wallet nonce error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to create nonce'
+    });
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * POST /auth/wallet-login
+ * Sign in with a self-custody wallet: verify its signature over a nonce and
+ * return a JWT, creating the account on first login
+ * Body: { wallet_address, nonce, signature } (signature base58 or base64)
+ */
+async function walletLogin(req, res) {
+  const client = await pool.connect();
+  let newUser = null;
+
+  try {
+    const { wallet_address } = req.body || {};
+
+    const challenge = await verifyWalletChallenge(client, req.body || {});
+    if (challenge.error) {
+      return res.status(challenge.status).json({
+        success: false,
+        error: challenge.error
+      });
+    }
+
+    let isNew = false;
+    let userResult = await client.query('SELECT * FROM users WHERE wallet_address = $1', [wallet_address]);
+
+    if (userResult.rows.length === 0) {
+      try {
+        userResult = await client.query(
+          `INSERT INTO users (user_id, name, wallet_address, role, rep, wallet_custody)
+           VALUES ($1, $2, $3, 'citizen', 100, $4)
+           RETURNING *`,
+          [uuidv4(), defaultWalletUserName(wallet_address), wallet_address, WALLET_CUSTODY.SELF]
+        );
+        isNew = true;
+      } catch (insertError) {
+        if (insertError.code !== '23505') {
+          throw insertError;
+        }
+        // Concurrent first login with the same wallet
+        userResult = await client.query('SELECT * FROM users WHERE wallet_address = $1', [wallet_address]);
+      }
+    }
+
+    const user = userResult.rows[0];
+
+    if (isNew) {
+      newUser = user;
+      console.log(`✅ New wallet user created: ${wallet_address}`);
+    }
+
+    const tokens = await createSession(client, user, getSessionContext(req));
+
+    return res.status(200).json({
+      success: true,
+      is_new: isNew,
+      ...tokens,
+      user: formatAuthUser(user)
+    });
+
+  } catch (error) {
+    console.error('Wallet login error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Authentication failed'
+    });
+  } finally {
+    client.release();
+    if (newUser) {
+      await initializeWalletOnChain(newUser.wallet_address, newUser.rep);
+    }
+  }
+}
+
+/**
+ * POST /auth/wallet-link
+ * Link a self-custody wallet to the current account, replacing its wallet
+ * The custodial key is discarded; from then on the user signs their own transactions
+ * Body: { wallet_address, nonce, signature }
+ */
+async function linkWallet(req, res) {
+  const { wallet_address } = req.body || {};
+
+  // Status updates are signed server-side with the official's custodial key
+  if (isOnChainOfficialRole(req.user.role)) {
+    return res.status(403).json({
+      success: false,
+      error: 'Official accounts must keep a custodial wallet'
+    });
+  }
+
+  const client = await pool.connect();
+  let linkedUser = null;
+
+  try {
+    const challenge = await verifyWalletChallenge(client, req.body || {});
+    if (challenge.error) {
+      return res.status(challenge.status).json({
+        success: false,
+        error: challenge.error
+      });
+    }
+
+    await client.query('BEGIN');
+
+    const ownerResult = await client.query(
+      'SELECT user_id FROM users WHERE wallet_address = $1 AND user_id <> $2',
+      [wallet_address, req.user.user_id]
+    );
+    if (ownerResult.rows.length > 0) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        success: false,
+        error: 'Wallet is already linked to another account'
+      });
+    }
+
+    const walletChanged = wallet_address !== req.user.wallet_address;
+
+    const updated = await client.query(
+      `UPDATE users
+       SET wallet_address = $1, wallet_custody = $2,
+           private_key = NULL, private_key_encrypted = NULL, private_key_kek_id = NULL
+       WHERE user_id = $3
+       RETURNING *`,
+      [wallet_address, WALLET_CUSTODY.SELF, req.user.user_id]
+    );
+
+    // Unsigned transactions built for the previous wallet can no longer be signed
+    await client.query(
+      'UPDATE pending_transactions SET status = $1 WHERE user_id = $2 AND status = $3 AND wallet_address <> $4',
+      [PENDING_TX_STATUS.SUPERSEDED, req.user.user_id, PENDING_TX_STATUS.PENDING, wallet_address]
+    );
+
+    await client.query('COMMIT');
+
+    const user = updated.rows[0];
+    if (walletChanged) {
+      linkedUser = user;
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Wallet linked',
+      user: formatAuthUser(user)
+    });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Link wallet error:', error);
+    if (error.code === '23505') {
+      return res.status(409).json({
+        success: false,
+        error: 'Wallet is already linked to another account'
+      });
+    }
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to link wallet'
+    });
+  } finally {
+    client.release();
+    if (linkedUser) {
+      await initializeWalletOnChain(linkedUser.wallet_address, linkedUser.rep);
+    }
+  }
+}
+
+/**
+ * POST /auth/refresh
+ * Exchange a refresh token for a new access token and refresh token
+ * The old refresh token stops working; presenting it again revokes the session
+ * Body: { refresh_token }
+ */
+async function refreshSession(req, res) {
+  const { refresh_token } = req.body || {};
+
+  if (!refresh_token || typeof refresh_token !== 'string') {
+    return res.status(400).json({
+      success: false,
+      error: 'refresh_token is required'
+    });
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const { tokens, error } = await rotateSession(client, refresh_token, getSessionContext(req));
+
+    // Commit either way: a detected reuse revokes the session
+    await client.query('COMMIT');
+
+    if (error) {
+      return res.status(401).json({
+        success: false,
+        error
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      ...tokens
+    });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Refresh session error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to refresh session'
+    });
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * POST /auth/logout
+ * End the session a refresh token belongs to (works after the access token expired)
+ * Body: { refresh_token }
+ */
+async function logout(req, res) {
+  const { refresh_token } = req.body || {};
+
+  if (!refresh_token || typeof refresh_token !== 'string') {
+    return res.status(400).json({
+      success: false,
+      error: 'refresh_token is required'
+    });
+  }
+
+  const client = await pool.connect();
+
+  try {
+    const revoked = await revokeSessionByRefreshToken(client, refresh_token);
+
+    return res.status(200).json({
+      success: true,
+      message: revoked ? 'Logged out' : 'Session already ended'
+    });
+
+  } catch (error) {
+    console.error('Logout error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to log out'
+    });
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * POST /auth/logout-all
+ * Log out all devices: revoke every session and every token issued so far
+ */
+async function logoutAll(req, res) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+    const revoked = await revokeAllSessions(client, req.user.user_id);
+    await client.query('COMMIT');
+
+    return res.status(200).json({
+      success: true,
+      message: 'Logged out of all devices',
+      sessions_revoked: revoked
+    });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Logout all error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to log out of all devices'
+    });
+  } finally {
+    client.release();
+  }
+}
+
 module.exports = {
-  login
+  login,
+  requestWalletNonce,
+  walletLogin,
+  linkWallet,
+  refreshSession,
+  logout,
+  logoutAll
 };
@@ -0,0 +1,355 @@
+const pool = require('../config/database');
+const { v4: uuidv4, validate: isUuid } = require('uuid');
+const { PERMISSIONS, hasPermission } = require('../utils/permissions');
+
+const MAX_COMMENT_LENGTH = 2000;
+
+/**
+ * Shape a comment row for API responses (hides body of deleted comments)
+ * @param {Object} row - Comment row joined with author details
+ * @returns {Object} Comment object
+ */
+function formatComment(row) {
+  return {
+    comment_id: row.comment_id,
+    issue_id: row.issue_id,
+    parent_comment_id: row.parent_comment_id,
+    user_id: row.is_deleted ? null : row.user_id,
+    author_name: row.is_deleted ? null : row.author_name,
+    author_profile_pic: row.is_deleted ? null : row.author_profile_pic,
+    author_role: row.is_deleted ? null : row.author_role,
+    body: row.is_deleted ? null : row.body,
+    is_official: row.is_official,
+    is_deleted: row.is_deleted,
+    edited_at: row.edited_at,
+    created_at: row.created_at,
+    updated_at: row.updated_at
+  };
+}
+
+/**
+ * Build nested reply threads from a flat, chronologically ordered list
+ * @param {Array<Object>} rows - Comment rows
+ * @returns {Array<Object>} Top-level comments with nested `replies`
+ */
+function buildCommentTree(rows) {
+  const byId = new Map();
+  const roots = [];
+
+  for (const row of rows) {
+    byId.set(row.comment_id, { ...formatComment(row), replies: [] });
+  }
+
+  for (const comment of byId.values()) {
+    const parent = comment.parent_comment_id && byId.get(comment.parent_comment_id);
+    if (parent) {
+      parent.replies.push(comment);
+    } else {
+      roots.push(comment);
+    }
+  }
+
+  return roots;
+}
+
+/**
+ * Validate a comment body
+ * @param {*} body - Raw body from the request
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateCommentBody(body) {
+  if (typeof body !== 'string' || body.trim().length === 0) {
+    return 'Comment body is required';
+  }
+  if (body.length > MAX_COMMENT_LENGTH) {
+    return `Comment body must be at most ${MAX_COMMENT_LENGTH} characters`;
+  }
+  return null;
+}
+
+/**
+ * Validate the issue and comment IDs of a request
+ * @param {Object} ids - IDs by the name used in the error message; missing ones are skipped
+ * @returns {string|null} Error message, or null if every given ID is a UUID
+ */
+function validateIds(ids) {
+  const invalid = Object.keys(ids).find(name => ids[name] && !isUuid(String(ids[name])));
+  return invalid ? `Invalid ${invalid}` : null;
+}
+
+const commentSelectQuery = `
+  SELECT
+    c.*,
+    u.name as author_name,
+    u.profile_pic as author_profile_pic,
+    u.role as author_role
+  FROM comments c
+  JOIN users u ON c.user_id = u.user_id
+`;
+
+/**
+ * GET /issue/:id/comments
+ * Get threaded comments for an issue
+ */
+async function getComments(req, res) {
+  const client = await pool.connect();
+
+  try {
+    const { id } = req.params;
+
+    const idError = validateIds({ 'issue ID': id });
+    if (idError) {
+      return res.status(400).json({
+        success: false,
+        error: idError
+      });
+    }
+
+    const issueResult = await client.query('SELECT issue_id FROM issues WHERE issue_id = $1', [id]);
+
+    if (issueResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Issue not found'
+      });
+    }
+
+    const result = await client.query(
+      `${commentSelectQuery} WHERE c.issue_id = $1 ORDER BY c.created_at ASC`,
+      [id]
+    );
+
+    return res.status(200).json({
+      success: true,
+      count: result.rows.filter(row => !row.is_deleted).length,
+      comments: buildCommentTree(result.rows)
+    });
+
+  } catch (error) {
+    console.error('Get comments error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch comments'
+    });
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * POST /issue/:id/comments
+ * Add a comment or reply to an issue
+ */
+async function addComment(req, res) {
+  const client = await pool.connect();
+
+  try {
+    const { id } = req.params;
+    const { body, parent_comment_id, official_response } = req.body || {};
+    const userId = req.user.user_id;
+
+    const idError = validateIds({ 'issue ID': id, parent_comment_id });
+    if (idError) {
+      return res.status(400).json({
+        success: false,
+        error: idError
+      });
+    }
+
+    const bodyError = validateCommentBody(body);
+    if (bodyError) {
+      return res.status(400).json({
+        success: false,
+        error: bodyError
+      });
+    }
+
+    const isOfficial = official_response === true || official_response === 'true';
+    if (isOfficial && !hasPermission(req.user, PERMISSIONS.COMMENT_OFFICIAL)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only officials can post official responses'
+      });
+    }
+
+    const issueResult = await client.query('SELECT issue_id FROM issues WHERE issue_id = $1', [id]);
+
+    if (issueResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Issue not found'
+      });
+    }
+
+    // Replies must belong to the same issue
+    if (parent_comment_id) {
+      const parentResult = await client.query(
+        'SELECT comment_id FROM comments WHERE comment_id = $1 AND issue_id = $2',
+        [parent_comment_id, id]
+      );
+      if (parentResult.rows.length === 0) {
+        return res.status(404).json({
+          success: false,
+          error: 'Parent comment not found'
+        });
+      }
+    }
+
+    const commentId = uuidv4();
+    await client.query(
+      `INSERT INTO comments (comment_id, issue_id, user_id, parent_comment_id, body, is_official)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [commentId, id, userId, parent_comment_id || null, body.trim(), isOfficial]
+    );
+
+    const result = await client.query(`${commentSelectQuery} WHERE c.comment_id = $1`, [commentId]);
+
+    return res.status(201).json({
+      success: true,
+      comment: formatComment(result.rows[0])
+    });
+
+  } catch (error) {
+    console.error('Add comment error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to add comment'
+    });
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * PATCH /issue/:id/comments/:comment_id
+ * Edit own comment
+ */
+async function updateComment(req, res) {
+  const client = await pool.connect();
+
+  try {
+    const { id, comment_id } = req.params;
+    const { body } = req.body || {};
+
+    const idError = validateIds({ 'issue ID': id, 'comment ID': comment_id });
+    if (idError) {
+      return res.status(400).json({
+        success: false,
+        error: idError
+      });
+    }
+
+    const bodyError = validateCommentBody(body);
+    if (bodyError) {
+      return res.status(400).json({
+        success: false,
+        error: bodyError
+      });
+    }
+
+    const existingResult = await client.query(
+      'SELECT * FROM comments WHERE comment_id = $1 AND issue_id = $2 AND is_deleted = FALSE',
+      [comment_id, id]
+    );
+
+    if (existingResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Comment not found'
+      });
+    }
+
+    if (existingResult.rows[0].user_id !== req.user.user_id) {
+      return res.status(403).json({
+        success: false,
+        error: 'You can only edit your own comments'
+      });
+    }
+
+    await client.query(
+      'UPDATE comments SET body = $1, edited_at = NOW(), updated_at = NOW() WHERE comment_id = $2',
+      [body.trim(), comment_id]
+    );
+
+    const result = await client.query(`${commentSelectQuery} WHERE c.comment_id = $1`, [comment_id]);
+
+    return res.status(200).json({
+      success: true,
+      comment: formatComment(result.rows[0])
+    });
+
+  } catch (error) {
+    console.error('Update comment error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to update comment'
+    });
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * DELETE /issue/:id/comments/:comment_id
+ * Delete own comment, or any comment as a moderator (soft delete so replies stay threaded)
+ */
+async function deleteComment(req, res) {
+  const client = await pool.connect();
+
+  try {
+    const { id, comment_id } = req.params;
+
+    const idError = validateIds({ 'issue ID': id, 'comment ID': comment_id });
+    if (idError) {
+      return res.status(400).json({
+        success: false,
+        error: idError
+      });
+    }
+
+    const existingResult = await client.query(
+      'SELECT * FROM comments WHERE comment_id = $1 AND issue_id = $2 AND is_deleted = FALSE',
+      [comment_id, id]
+    );
+
+    if (existingResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Comment not found'
+      });
+    }
+
+    if (existingResult.rows[0].user_id !== req.user.user_id && !hasPermission(req.user, PERMISSIONS.COMMENT_MODERATE)) {
+      return res.status(403).json({
+        success: false,
+        error: 'You can only delete your own comments'
+      });
+    }
+
+    await client.query(
+      'UPDATE comments SET is_deleted = TRUE, updated_at = NOW() WHERE comment_id = $1',
+      [comment_id]
+    );
+
+    return res.status(200).json({
+      success: true,
+      message: 'Comment deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete comment error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to delete comment'
+    });
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  getComments,
+  addComment,
+  updateComment,
+  deleteComment
+};
@@ -0,0 +1,228 @@
+const pool = require('../config/database');
+const { ISSUE_EVENT_TYPES, recordIssueEvent } = require('../utils/issueEvents');
+const { PERMISSIONS, hasPermission, isDepartmentRole, canActOnIssue } = require('../utils/permissions');
+
+/**
+ * GET /admin/departments
+ * List departments with the categories they handle
+ */
+async function getDepartments(req, res) {
+  const client = await pool.connect();
+
+  try {
+    const query = `
+      SELECT
+        d.*,
+        COALESCE(
+          ARRAY_AGG(dc.category ORDER BY dc.category) FILTER (WHERE dc.category IS NOT NULL),
+          '{}'
+        ) as categories,
+        (SELECT COUNT(*) FROM users u WHERE u.department_id = d.department_id) as member_count
+      FROM departments d
+      LEFT JOIN department_categories dc ON dc.department_id = d.department_id
+      GROUP BY d.department_id
+      ORDER BY d.code ASC, d.region ASC NULLS FIRST
+    `;
+    const result = await client.query(query);
+
+    return res.status(200).json({
+      success: true,
+      departments: result.rows.map(row => ({
+        department_id: row.department_id,
+        code: row.code,
+        name: row.name,
+        region: row.region,
+        categories: row.categories,
+        member_count: parseInt(row.member_count)
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get departments error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch departments'
+    });
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * POST /admin/issues/:id/assign
+ * Assign an issue to a department and/or an official
+ * Department heads can only assign their department's issues, within their department
+ */
+async function assignIssue(req, res) {
+  const client = await pool.connect();
+
+  try {
+    const { id } = req.params;
+    const { department_id, assigned_to } = req.body || {};
+
+    if (!department_id && !assigned_to) {
+      return res.status(400).json({
+        success: false,
+        error: 'department_id or assigned_to is required'
+      });
+    }
+
+    await client.query('BEGIN');
+
+    const issueResult = await client.query('SELECT * FROM issues WHERE issue_id = $1 FOR UPDATE', [id]);
+
+    if (issueResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({
+        success: false,
+        error: 'Issue not found'
+      });
+    }
+
+    const issue = issueResult.rows[0];
+
+    if (!canActOnIssue(req.user, PERMISSIONS.ISSUE_ASSIGN, issue)) {
+      await client.query('ROLLBACK');
+      return res.status(403).json({
+        success: false,
+        error: 'You can only assign issues of your department'
+      });
+    }
+    if (isDepartmentRole(req.user.role) && department_id && department_id !== req.user.department_id) {
+      await client.query('ROLLBACK');
+      return res.status(403).json({
+        success: false,
+        error: 'You can only assign issues within your department'
+      });
+    }
+
+    let department = null;
+    if (department_id) {
+      const departmentResult = await client.query('SELECT * FROM departments WHERE department_id = $1', [department_id]);
+      department = departmentResult.rows[0];
+      if (!department) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({
+          success: false,
+          error: 'Department not found'
+        });
+      }
+    }
+
+    let assignee = null;
+    if (assigned_to) {
+      const assigneeResult = await client.query('SELECT * FROM users WHERE user_id = $1', [assigned_to]);
+      assignee = assigneeResult.rows[0];
+      if (!assignee) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({
+          success: false,
+          error: 'Assignee not found'
+        });
+      }
+      if (!hasPermission(assignee, PERMISSIONS.ISSUE_UPDATE_STATUS)) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({
+          success: false,
+          error: 'Issues can only be assigned to officials who can update them'
+        });
+      }
+      if (isDepartmentRole(req.user.role) && assignee.department_id !== req.user.department_id) {
+        await client.query('ROLLBACK');
+        return res.status(403).json({
+          success: false,
+          error: 'You can only assign issues within your department'
+        });
+      }
+      if (department && assignee.department_id && assignee.department_id !== department.department_id) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({
+          success: false,
+          error: 'Assignee does not belong to the selected department'
+        });
+      }
+    }
+
+    // Assigning a person without a department routes to their department
+    const newDepartmentId = department
+      ? department.department_id
+      : (assignee.department_id || issue.assigned_department_id);
+    // Changing department clears an assignee from the old department
+    const newAssignedTo = assignee
+      ? assignee.user_id
+      : (newDepartmentId === issue.assigned_department_id ? issue.assigned_to : null);
+
+    await client.query(
+      `UPDATE issues
+       SET assigned_department_id = $1, assigned_to = $2, assigned_at = NOW(), updated_at = NOW()
+       WHERE issue_id = $3`,
+      [newDepartmentId, newAssignedTo, id]
+    );
+
+    await recordIssueEvent(client, {
+      issue_id: id,
+      actor_user_id: req.user.user_id,
+      event_type: ISSUE_EVENT_TYPES.ASSIGNED,
+      old_value: issue.assigned_to || issue.assigned_department_id,
+      new_value: newAssignedTo || newDepartmentId,
+      metadata: {
+        department_id: newDepartmentId,
+        assigned_to: newAssignedTo,
+        previous_department_id: issue.assigned_department_id,
+        previous_assigned_to: issue.assigned_to
+      }
+    });
+
+    await client.query('COMMIT');
+
+    const assignedIssueQuery = `
+      SELECT
+        i.issue_id,
+        i.status,
+        i.assigned_department_id,
+        i.assigned_to,
+        i.assigned_at,
+        d.code as assigned_department_code,
+        d.name as assigned_department_name,
+        a.name as assigned_to_name
+      FROM issues i
+      LEFT JOIN departments d ON i.assigned_department_id = d.department_id
+      LEFT JOIN users a ON i.assigned_to = a.user_id
+      WHERE i.issue_id = $1
+    `;
+    const assignedIssueResult = await client.query(assignedIssueQuery, [id]);
+    const assignedIssue = assignedIssueResult.rows[0];
+
+    return res.status(200).json({
+      success: true,
+      message: 'Issue assigned successfully',
+      issue: {
+        issue_id: assignedIssue.issue_id,
+        status: assignedIssue.status,
+        assigned_department: assignedIssue.assigned_department_id ? {
+          department_id: assignedIssue.assigned_department_id,
+          code: assignedIssue.assigned_department_code,
+          name: assignedIssue.assigned_department_name
+        } : null,
+        assigned_to: assignedIssue.assigned_to,
+        assigned_to_name: assignedIssue.assigned_to_name,
+        assigned_at: assignedIssue.assigned_at
+      }
+    });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Assign issue error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to assign issue'
+    });
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  getDepartments,
+  assignIssue
+};
@@ -0,0 +1,139 @@
+const pool = require('../config/database');
+const { buildAdminIssueConditions } = require('../utils/issueFilters');
+const { EXPORT_FORMATS } = require('../utils/issueExport');
+
+/**
+ * Rows fetched from the export cursor per round trip
+ */
+const EXPORT_BATCH_SIZE = parseInt(process.env.EXPORT_BATCH_SIZE) || 500;
+
+/**
+ * Write a chunk, waiting for the socket to drain when its buffer is full
+ * Resolves early if the client disconnects
+ */
+function writeChunk(res, chunk) {
+  if (res.write(chunk)) return Promise.resolve();
+
+  return new Promise(resolve => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+}
+
+/**
+ * GET /admin/issues/export?format=geojson|csv|kml
+ * Export issues matching the admin filters (see GET /admin/issues)
+ * Rows are read through a server-side cursor and streamed to the client,
+ * so large exports never sit in memory
+ */
+async function exportIssues(req, res) {
+  const format = req.query.format || 'geojson';
+  if (!Object.hasOwn(EXPORT_FORMATS, format)) {
+    return res.status(400).json({
+      success: false,
+      error: `Invalid format. Use one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`
+    });
+  }
+
+  const params = [];
+  const addParam = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+  const { conditions, error: filterError } = buildAdminIssueConditions(req.query, req.user, addParam);
+  if (filterError) {
+    return res.status(400).json({
+      success: false,
+      error: filterError
+    });
+  }
+
+  const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  const exportQuery = `
+    SELECT
+      i.issue_id,
+      i.category,
+      i.status,
+      i.description,
+      i.region,
+      ST_Y(i.location::geometry) as lat,
+      ST_X(i.location::geometry) as lng,
+      i.priority_score,
+      i.upvotes,
+      i.downvotes,
+      (SELECT COUNT(*)::int FROM verifications v
+        WHERE v.issue_id = i.issue_id AND v.round = i.resolution_round AND v.is_fixed = TRUE) as verification_count,
+      d.code as assigned_department,
+      i.sla_due_at,
+      i.blockchain_tx_hash,
+      i.created_at,
+      i.updated_at,
+      i.resolved_at
+    FROM issues i
+    LEFT JOIN departments d ON i.assigned_department_id = d.department_id
+    ${whereClause}
+    ORDER BY i.created_at, i.issue_id
+  `;
+
+  const exportFormat = EXPORT_FORMATS[format];
+  const client = await pool.connect();
+  let clientGone = false;
+  res.on('close', () => {
+    clientGone = true;
+  });
+
+  try {
+    // Cursors only live inside a transaction
+    await client.query('BEGIN');
+    await client.query(`DECLARE issue_export NO SCROLL CURSOR FOR ${exportQuery}`, params);
+
+    const date = new Date().toISOString().slice(0, 10);
+    res.status(200);
+    res.setHeader('Content-Type', exportFormat.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="civicchain-issues-${date}.${exportFormat.extension}"`);
+    res.setHeader('Cache-Control', 'no-store');
+
+    await writeChunk(res, exportFormat.header());
+
+    let index = 0;
+    while (!clientGone) {
+      const batch = await client.query(`FETCH ${EXPORT_BATCH_SIZE} FROM issue_export`);
+      for (const row of batch.rows) {
+        await writeChunk(res, exportFormat.row(row, index++));
+        if (clientGone) break;
+      }
+      if (batch.rows.length < EXPORT_BATCH_SIZE) break;
+    }
+
+    if (!clientGone) {
+      res.end(exportFormat.footer());
+    }
+
+    await client.query('CLOSE issue_export');
+    await client.query('COMMIT');
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Export issues error:', error);
+
+    if (!res.headersSent) {
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to export issues'
+      });
+    }
+    // Headers are already out; cut the connection so the file is visibly incomplete
+    res.destroy(error);
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  exportIssues
+};
@@ -1,9 +1,23 @@
 const pool = require('../config/database');
-const { v4: uuidv4 } = require('uuid');
-const { calculatePriorityScore, updateIssuePriority, CATEGORY_URGENCY } = require('../utils/priority');
+const { v4: uuidv4, validate: isUuid } = require('uuid');
+const { calculatePriorityScore, buildPriorityBreakdown } = require('../utils/priority');
+const { getActivePriorityConfig } = require('../utils/priorityConfig');
+const { findDuplicateCandidates } = require('../utils/duplicates');
+const { ISSUE_EVENT_TYPES, recordIssueEvent } = require('../utils/issueEvents');
+const { findDepartmentForIssue } = require('../utils/routing');
+const { findRegionForPoint } = require('../utils/regions');
+const { parseCoordinates, parseRadius, isWithinServiceArea } = require('../utils/serviceArea');
+const { computeSlaDueAt } = require('../utils/sla');
+const { addIssueFollower } = require('../utils/notifications');
+const { WEBHOOK_EVENTS, enqueueWebhookEvent } = require('../utils/webhooks');
+const { ISSUE_STREAM_EVENTS, publishIssueUpdates } = require('../utils/issueStream');
+const { parseLimit, decodeCursor, buildKeysetQuery, paginateRows, parseFields, projectFields } = require('../utils/pagination');
 const { updateBadges, REPUTATION_CHANGES, calculateNewReputation } = require('../utils/reputation');
 const { classifyImageWithAI } = require('../services/aiService');
 const { createIssueOnChain } = require('../services/solanaService');
+const { decryptUserPrivateKey } = require('../services/keyManagementService');
+const { PENDING_TX_ACTIONS, createPendingTransaction } = require('../services/transactionRelayService');
+const { WALLET_CUSTODY } = require('../utils/walletAuth');
 const path = require('path');
 const fs = require('fs');
 
@@ -33,7 +47,8 @@ async function classifyIssue(req, res) {
 
     // Call Roboflow AI service for classification
     const suggestedCategory = await classifyImageWithAI(imagePath);
-    const urgencyScore = CATEGORY_URGENCY[suggestedCategory] || 5;
+    const priorityConfig = await getActivePriorityConfig();
+    const urgencyScore = priorityConfig.category_urgency[suggestedCategory] ?? 5;
 
     return res.status(200).json({
       success: true,
@@ -59,15 +74,8 @@ async function reportIssue(req, res) {
   const client = await pool.connect();
   
   try {
-    const { image_url, description, category, lat, lng, region } = req.body;
-    const userId = (req.user && req.user.user_id) ? req.user.user_id : req.body.user_id;
-
-    if (!userId) {
-      return res.status(401).json({
-        success: false,
-        error: 'Unauthorized: missing user context'
-      });
-    }
+    const { image_url, description, category, lat, lng, region, force_create } = req.body;
+    const userId = req.user.user_id;
 
     // Validate required fields
     if (!image_url || !description || !category || lat === undefined || lng === undefined) {
@@ -86,6 +94,21 @@ async function reportIssue(req, res) {
       });
     }
 
+    const coordinates = parseCoordinates(lat, lng);
+    if (coordinates.error) {
+      return res.status(400).json({
+        success: false,
+        error: coordinates.error
+      });
+    }
+
+    if (!(await isWithinServiceArea(client, coordinates))) {
+      return res.status(422).json({
+        success: false,
+        error: 'Location is outside the service area'
+      });
+    }
+
     // Get user details
     const userQuery = 'SELECT * FROM users WHERE user_id = $1';
     const userResult = await client.query(userQuery, [userId]);
@@ -99,26 +122,54 @@ async function reportIssue(req, res) {
       });
     }
 
+    // Return likely duplicates unless the reporter has already reviewed them
+    const forceCreate = force_create === true || force_create === 'true';
+    if (!forceCreate) {
+      const duplicates = await findDuplicateCandidates({ lat, lng, category });
+      if (duplicates.length > 0) {
+        return res.status(409).json({
+          success: false,
+          error: 'Possible duplicate issues found nearby',
+          possible_duplicates: duplicates
+        });
+      }
+    }
+
     // Calculate initial priority score
-    const priorityScore = await calculatePriorityScore({
+    const priorityConfig = await getActivePriorityConfig();
+    const { score: priorityScore, components: priorityComponents } = await calculatePriorityScore({
       lat,
       lng,
       category,
       reporter_rep: user.rep,
       created_at: new Date()
-    });
+    }, priorityConfig);
 
   // Start transaction and create issue
   await client.query('BEGIN');
 
+    // Region comes from the polygon containing the location; the client's value is only a fallback
+    const matchedRegion = await findRegionForPoint(client, { lat, lng });
+    const issueRegion = matchedRegion ? matchedRegion.name : (region || null);
+
+    // Route to the department handling this category in this region
+    const department = await findDepartmentForIssue(client, { category, region: issueRegion });
+    const slaDueAt = await computeSlaDueAt(client, { category, priority_score: priorityScore });
+
   // Create issue
     const issueId = uuidv4();
     const insertIssueQuery = `
       INSERT INTO issues (
         issue_id, reporter_user_id, wallet_address, image_url, 
-        description, category, location, region, priority_score, status
+        description, category, location, region, priority_score, status,
+        assigned_department_id, assigned_at, sla_due_at, priority_config_version,
+        priority_components, priority_refreshed_at, region_id
+      )
+      VALUES (
+        $1, $2, $3, $4, $5, $6, ST_SetSRID(ST_MakePoint($7, $8), 4326)::geography, $9, $10, 'open',
+        $11, CASE WHEN $11::uuid IS NULL THEN NULL ELSE NOW() END, $12, $13,
+        $14, NOW(), $15
       )
-      VALUES ($1, $2, $3, $4, $5, $6, ST_SetSRID(ST_MakePoint($7, $8), 4326)::geography, $9, $10, 'open')
       RETURNING *
     `;
 
@@ -131,8 +182,13 @@ async function reportIssue(req, res) {
       category,
       lng,
       lat,
-      region || null,
-      priorityScore
+      issueRegion,
+      priorityScore,
+      department ? department.department_id : null,
+      slaDueAt,
+      priorityConfig.version,
+      JSON.stringify(priorityComponents),
+      matchedRegion ? matchedRegion.region_id : null
     ]);
 
     const issue = issueResult.rows[0];
@@ -148,9 +204,10 @@ async function reportIssue(req, res) {
     const newBadges = updateBadges(updatedUser.rows[0]);
     await client.query('UPDATE users SET badges = $1 WHERE user_id = $2', [newBadges, userId]);
 
-    // Create blockchain transaction
-    const blockchainTxHash = await createIssueOnChain(
-      user.private_key,
+    // Create blockchain transaction (self-custody reporters sign the returned pending transaction)
+    const selfCustody = user.wallet_custody === WALLET_CUSTODY.SELF;
+    const blockchainTxHash = selfCustody ? null : await createIssueOnChain(
+      await decryptUserPrivateKey(user),
       issueId,
       category,
       priorityScore
@@ -160,6 +217,57 @@ async function reportIssue(req, res) {
       [blockchainTxHash, issueId]
     );
 
+    const createdEvent = await recordIssueEvent(client, {
+      issue_id: issueId,
+      actor_user_id: userId,
+      event_type: ISSUE_EVENT_TYPES.CREATED,
+      new_value: 'open',
+      blockchain_tx_hash: blockchainTxHash,
+      metadata: { category, priority_score: priorityScore }
+    });
+
+    const pendingTransaction = selfCustody
+      ? await createPendingTransaction(client, {
+        user,
+        action: PENDING_TX_ACTIONS.CREATE_ISSUE,
+        params: { issue_id: issueId, category, priority: priorityScore },
+        issue_id: issueId,
+        issue_event_id: createdEvent.event_id
+      })
+      : null;
+
+    if (department) {
+      await recordIssueEvent(client, {
+        issue_id: issueId,
+        event_type: ISSUE_EVENT_TYPES.ASSIGNED,
+        new_value: department.department_id,
+        metadata: { department_id: department.department_id, auto_routed: true }
+      });
+    }
+
+    // Reporters follow their own issues
+    await addIssueFollower(client, { issue_id: issueId, user_id: userId });
+
+    await enqueueWebhookEvent(client, WEBHOOK_EVENTS.ISSUE_CREATED, {
+      issue_id: issueId,
+      category,
+      description,
+      image_url,
+      lat: parseFloat(lat),
+      lng: parseFloat(lng),
+      region: issue.region,
+      region_id: issue.region_id,
+      status: issue.status,
+      priority_score: issue.priority_score,
+      assigned_department_id: issue.assigned_department_id,
+      sla_due_at: issue.sla_due_at,
+      reporter_user_id: userId,
+      blockchain_tx_hash: blockchainTxHash,
+      created_at: issue.created_at
+    });
+
+    await publishIssueUpdates(client, ISSUE_STREAM_EVENTS.CREATED, [issueId]);
+
     await client.query('COMMIT');
 
     // Get the created issue with location
@@ -186,14 +294,18 @@ async function reportIssue(req, res) {
         lat: createdIssue.lat,
         lng: createdIssue.lng,
         region: createdIssue.region,
+        region_id: createdIssue.region_id,
         status: createdIssue.status,
+        assigned_department_id: createdIssue.assigned_department_id,
+        sla_due_at: createdIssue.sla_due_at,
         priority_score: createdIssue.priority_score,
         blockchain_tx_hash: createdIssue.blockchain_tx_hash,
         upvotes: createdIssue.upvotes,
         downvotes: createdIssue.downvotes,
         created_at: createdIssue.created_at,
         updated_at: createdIssue.updated_at
-      }
+      },
+      pending_transaction: pendingTransaction
     });
 
   } catch (error) {
@@ -209,61 +321,132 @@ async function reportIssue(req, res) {
   }
 }
 
+/**
+ * Sort orders for GET /issues; every order ends with issue_id so cursors are stable
+ * @param {string} sort - priority | newest | distance
+ * @param {boolean} hasLocation - Whether lat/lng were given (distance is $1/$2 based)
+ * @returns {Array<Object>} Keyset sort keys
+ */
+function getIssueSortKeys(sort, hasLocation) {
+  const distance = {
+    expr: 'ST_Distance(i.location, ST_SetSRID(ST_MakePoint($1, $2), 4326)::geography)',
+    type: 'float8',
+    dir: 'ASC'
+  };
+  const priority = { expr: 'i.priority_score', type: 'float8', dir: 'DESC' };
+  const newest = { expr: 'i.created_at', type: 'timestamp', dir: 'DESC' };
+  const issueId = { expr: 'i.issue_id', type: 'uuid', dir: 'ASC' };
+
+  switch (sort) {
+    case 'newest':
+      return [newest, issueId];
+    case 'distance':
+      return [distance, issueId];
+    default:
+      return hasLocation ? [priority, distance, issueId] : [priority, newest, issueId];
+  }
+}
+
+/**
+ * Fields returned by GET /issues (selectable with fields=)
+ */
+const ISSUE_LIST_FIELDS = [
+  'issue_id', 'reporter_user_id', 'reporter_name', 'reporter_profile_pic', 'wallet_address',
+  'image_url', 'description', 'category', 'lat', 'lng', 'region', 'region_id', 'status', 'priority_score',
+  'blockchain_tx_hash', 'upvotes', 'downvotes', 'admin_proof_url', 'comment_count',
+  'created_at', 'updated_at', 'distance'
+];
+
 /**
  * GET /issues
- * Fetch issues with filters
+ * Fetch issues with filters, keyset pagination (limit, cursor) and field selection
  */
 async function getIssues(req, res) {
   const client = await pool.connect();
   
   try {
-    console.log('=== GET ISSUES DEBUG ===');
-    console.log('Raw req.query:', req.query);
-    console.log('Raw req.url:', req.url);
-    console.log('Raw req.originalUrl:', req.originalUrl);
-    
-    const { lat, lng, radius, category, status } = req.query;
-    
-    console.log('Extracted params:', { lat, lng, radius, category, status });
-    console.log('Status type:', typeof status);
-    console.log('Status value:', status);
+    const { lat, lng, category, status, region_id, cursor } = req.query;
+    const hasLocation = Boolean(lat && lng);
+
+    let coordinates = null;
+    let radius = null;
+    if (hasLocation) {
+      coordinates = parseCoordinates(lat, lng);
+      if (coordinates.error) {
+        return res.status(400).json({
+          success: false,
+          error: coordinates.error
+        });
+      }
 
-    const params = [];
-    let paramCount = 0;
+      const parsedRadius = parseRadius(req.query.radius);
+      if (parsedRadius.error) {
+        return res.status(400).json({
+          success: false,
+          error: parsedRadius.error
+        });
+      }
+      radius = parsedRadius.radius;
+    }
+    const sort = req.query.sort || 'priority';
 
-    let query = `
-      SELECT 
-        i.*,
-        ST_Y(i.location::geometry) as lat,
-        ST_X(i.location::geometry) as lng,
-        u.name as reporter_name,
-        u.profile_pic as reporter_profile_pic
-    `;
+    if (!['priority', 'newest', 'distance'].includes(sort)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid sort. Use priority, newest or distance'
+      });
+    }
+    if (region_id && !isUuid(region_id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid region_id'
+      });
+    }
+    if (sort === 'distance' && !hasLocation) {
+      return res.status(400).json({
+        success: false,
+        error: 'lat and lng are required to sort by distance'
+      });
+    }
 
-    if (lat && lng) {
-      query += `,
-        ST_Distance(
-          i.location,
-          ST_SetSRID(ST_MakePoint($${paramCount + 1}, $${paramCount + 2}), 4326)::geography
-        ) as distance
-      `;
+    const { fields, error: fieldsError } = parseFields(req.query.fields, ISSUE_LIST_FIELDS);
+    if (fieldsError) {
+      return res.status(400).json({
+        success: false,
+        error: fieldsError
+      });
     }
 
-    query += `
-      FROM issues i
-      JOIN users u ON i.reporter_user_id = u.user_id
-      WHERE 1=1
-    `;
+    const limit = parseLimit(req.query.limit);
+    const sortKeys = getIssueSortKeys(sort, hasLocation);
+    let cursorValues = null;
+    if (cursor) {
+      const decoded = decodeCursor(cursor, sort, sortKeys.length);
+      if (decoded.error) {
+        return res.status(400).json({
+          success: false,
+          error: decoded.error
+        });
+      }
+      cursorValues = decoded.values;
+    }
 
-    if (lat && lng) {
-      const radiusMeters = radius || 5000;
-      query += ` AND ST_DWithin(
+    const params = [];
+    const addParam = (value) => {
+      params.push(value);
+      return `$${params.length}`;
+    };
+    const conditions = ['i.duplicate_of IS NULL'];
+
+    // Location params are always $1/$2 (referenced by the distance sort key)
+    if (hasLocation) {
+      addParam(coordinates.lng);
+      addParam(coordinates.lat);
+      conditions.push(`ST_DWithin(
         i.location,
-        ST_SetSRID(ST_MakePoint($${paramCount + 1}, $${paramCount + 2}), 4326)::geography,
-        $${paramCount + 3}
-      )`;
-      params.push(parseFloat(lng), parseFloat(lat), radiusMeters);
-      paramCount += 3;
+        ST_SetSRID(ST_MakePoint($1, $2), 4326)::geography,
+        ${addParam(radius)}
+      )`);
     }
 
     if (category) {
@@ -272,13 +455,9 @@ async function getIssues(req, res) {
         .map(c => c.trim())
         .filter(Boolean);
       if (categories.length === 1) {
-        paramCount++;
-        query += ` AND i.category = $${paramCount}`;
-        params.push(categories[0]);
+        conditions.push(`i.category = ${addParam(categories[0])}`);
       } else if (categories.length > 1) {
-        paramCount++;
-        query += ` AND i.category = ANY($${paramCount}::issue_category[])`;
-        params.push(categories);
+        conditions.push(`i.category = ANY(${addParam(categories)}::issue_category[])`);
       }
     }
 
@@ -287,35 +466,43 @@ async function getIssues(req, res) {
         .split(',')
         .map(s => s.trim())
         .filter(Boolean);
-      
-      console.log('Processing status filter:', statuses);
-      
       if (statuses.length === 1) {
-        paramCount++;
-        query += ` AND i.status = $${paramCount}`;
-        params.push(statuses[0]);
-        console.log(`Added status filter: i.status = $${paramCount} with value: ${statuses[0]}`);
+        conditions.push(`i.status = ${addParam(statuses[0])}`);
       } else if (statuses.length > 1) {
-        paramCount++;
-        query += ` AND i.status = ANY($${paramCount}::issue_status[])`;
-        params.push(statuses);
-        console.log(`Added multiple status filter: i.status = ANY($${paramCount}) with values:`, statuses);
+        conditions.push(`i.status = ANY(${addParam(statuses)}::issue_status[])`);
       }
     }
 
-    if (lat && lng) {
-      query += ` ORDER BY i.priority_score DESC, distance ASC`;
-    } else {
-      query += ` ORDER BY i.priority_score DESC, i.created_at DESC`;
+    if (region_id) {
+      conditions.push(`i.region_id = ${addParam(region_id)}`);
     }
 
-    console.log('Final query:', query);
-    console.log('Final params:', params);
-    console.log('========================');
+    const keyset = buildKeysetQuery(sortKeys, cursorValues, addParam);
+    if (keyset.condition) {
+      conditions.push(keyset.condition);
+    }
+
+    const query = `
+      SELECT 
+        i.*,
+        ST_Y(i.location::geometry) as lat,
+        ST_X(i.location::geometry) as lng,
+        u.name as reporter_name,
+        u.profile_pic as reporter_profile_pic,
+        (SELECT COUNT(*) FROM comments WHERE issue_id = i.issue_id AND is_deleted = FALSE) as comment_count,
+        ${hasLocation ? 'ST_Distance(i.location, ST_SetSRID(ST_MakePoint($1, $2), 4326)::geography)' : 'NULL'} as distance,
+        ${keyset.select}
+      FROM issues i
+      JOIN users u ON i.reporter_user_id = u.user_id
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY ${keyset.orderBy}
+      LIMIT ${addParam(limit + 1)}
+    `;
 
     const result = await client.query(query, params);
+    const page = paginateRows(result.rows, limit, sort, sortKeys.length);
 
-    const issues = result.rows.map(row => ({
+    const issues = page.rows.map(row => projectFields({
       issue_id: row.issue_id,
       reporter_user_id: row.reporter_user_id,
       reporter_name: row.reporter_name,
@@ -327,25 +514,23 @@ async function getIssues(req, res) {
       lat: row.lat,
       lng: row.lng,
       region: row.region,
+      region_id: row.region_id,
       status: row.status,
       priority_score: row.priority_score,
       blockchain_tx_hash: row.blockchain_tx_hash,
       upvotes: row.upvotes,
       downvotes: row.downvotes,
       admin_proof_url: row.admin_proof_url,
+      comment_count: parseInt(row.comment_count),
       created_at: row.created_at,
       updated_at: row.updated_at,
-      distance: row.distance || null
-    }));
-
-    console.log(`Returning ${issues.length} issues`);
-    issues.forEach(issue => {
-      console.log(`- Issue ${issue.issue_id}: status=${issue.status}, distance=${issue.distance}`);
-    });
+      distance: row.distance
+    }, fields));
 
     return res.status(200).json({
       success: true,
       count: issues.length,
+      pagination: { ...page.pagination, sort },
       issues
     });
 
@@ -378,13 +563,20 @@ async function getIssueById(req, res) {
         u.name as reporter_name,
         u.profile_pic as reporter_profile_pic,
         u.rep as reporter_rep,
-        (SELECT COUNT(*) FROM verifications WHERE issue_id = i.issue_id) as verification_count
+        (SELECT COUNT(*) FROM verifications WHERE issue_id = i.issue_id AND round = i.resolution_round AND is_fixed = TRUE) as verification_count,
+        (SELECT COUNT(*) FROM verifications WHERE issue_id = i.issue_id AND round = i.resolution_round AND is_fixed = FALSE) as dispute_count,
+        (SELECT COUNT(*) FROM issue_reporters WHERE issue_id = i.issue_id) as co_reporter_count,
+        (SELECT COUNT(*) FROM comments WHERE issue_id = i.issue_id AND is_deleted = FALSE) as comment_count,
+        (SELECT COUNT(*) FROM issue_followers WHERE issue_id = i.issue_id) as follower_count,
+        EXISTS (SELECT 1 FROM issue_followers WHERE issue_id = i.issue_id AND user_id = $2) as is_following,
+        pc.weights as priority_weights
       FROM issues i
       JOIN users u ON i.reporter_user_id = u.user_id
+      LEFT JOIN priority_configs pc ON pc.version = i.priority_config_version
       WHERE i.issue_id = $1
     `;
 
-    const result = await client.query(query, [id]);
+    const result = await client.query(query, [id, req.user.user_id]);
 
     if (result.rows.length === 0) {
       return res.status(404).json({
@@ -410,13 +602,22 @@ async function getIssueById(req, res) {
         lat: issue.lat,
         lng: issue.lng,
         region: issue.region,
+        region_id: issue.region_id,
         status: issue.status,
+        status_reason: issue.status_reason,
         priority_score: issue.priority_score,
+        priority_breakdown: buildPriorityBreakdown(issue),
         blockchain_tx_hash: issue.blockchain_tx_hash,
         upvotes: issue.upvotes,
         downvotes: issue.downvotes,
         admin_proof_url: issue.admin_proof_url,
         verification_count: parseInt(issue.verification_count),
+        dispute_count: parseInt(issue.dispute_count),
+        co_reporter_count: parseInt(issue.co_reporter_count),
+        comment_count: parseInt(issue.comment_count),
+        follower_count: parseInt(issue.follower_count),
+        is_following: issue.is_following,
+        duplicate_of: issue.duplicate_of,
         created_at: issue.created_at,
         updated_at: issue.updated_at
       }
@@ -433,9 +634,166 @@ async function getIssueById(req, res) {
   }
 }
 
+/**
+ * POST /issue/:id/link-report
+ * Link the current user's report to an existing issue instead of creating a duplicate
+ */
+async function linkDuplicateReport(req, res) {
+  const client = await pool.connect();
+
+  try {
+    const { id } = req.params;
+    const userId = req.user.user_id;
+
+    await client.query('BEGIN');
+
+    const issueResult = await client.query('SELECT * FROM issues WHERE issue_id = $1', [id]);
+
+    if (issueResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({
+        success: false,
+        error: 'Issue not found'
+      });
+    }
+
+    let issue = issueResult.rows[0];
+
+    // Follow merged issues to their canonical issue
+    if (issue.duplicate_of) {
+      const canonicalResult = await client.query('SELECT * FROM issues WHERE issue_id = $1', [issue.duplicate_of]);
+      issue = canonicalResult.rows[0];
+    }
+
+    if (!['open', 'in_progress'].includes(issue.status)) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({
+        success: false,
+        error: 'Only open or in-progress issues can be linked'
+      });
+    }
+
+    if (issue.reporter_user_id === userId) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({
+        success: false,
+        error: 'You already reported this issue'
+      });
+    }
+
+    const linkResult = await client.query(
+      `INSERT INTO issue_reporters (issue_id, user_id)
+       VALUES ($1, $2)
+       ON CONFLICT (issue_id, user_id) DO NOTHING`,
+      [issue.issue_id, userId]
+    );
+
+    if (linkResult.rowCount === 0) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({
+        success: false,
+        error: 'You have already linked a report to this issue'
+      });
+    }
+
+    await addIssueFollower(client, { issue_id: issue.issue_id, user_id: userId });
+
+    await client.query('COMMIT');
+
+    const countResult = await client.query(
+      'SELECT COUNT(*) as count FROM issue_reporters WHERE issue_id = $1',
+      [issue.issue_id]
+    );
+
+    return res.status(200).json({
+      success: true,
+      message: 'Report linked to existing issue',
+      issue: {
+        issue_id: issue.issue_id,
+        status: issue.status,
+        co_reporter_count: parseInt(countResult.rows[0].count)
+      }
+    });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Link duplicate report error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to link report'
+    });
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * GET /issue/:id/history
+ * Get the full lifecycle history of an issue
+ */
+async function getIssueHistory(req, res) {
+  const client = await pool.connect();
+
+  try {
+    const { id } = req.params;
+
+    const issueResult = await client.query('SELECT issue_id FROM issues WHERE issue_id = $1', [id]);
+
+    if (issueResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Issue not found'
+      });
+    }
+
+    const historyQuery = `
+      SELECT
+        e.*,
+        u.name as actor_name,
+        u.role as actor_role
+      FROM issue_events e
+      LEFT JOIN users u ON e.actor_user_id = u.user_id
+      WHERE e.issue_id = $1
+      ORDER BY e.created_at ASC, e.event_seq ASC
+    `;
+    const result = await client.query(historyQuery, [id]);
+
+    const events = result.rows.map(row => ({
+      event_id: row.event_id,
+      event_type: row.event_type,
+      actor_user_id: row.actor_user_id,
+      actor_name: row.actor_name || null,
+      actor_role: row.actor_role || null,
+      old_value: row.old_value,
+      new_value: row.new_value,
+      blockchain_tx_hash: row.blockchain_tx_hash,
+      metadata: row.metadata,
+      created_at: row.created_at
+    }));
+
+    return res.status(200).json({
+      success: true,
+      issue_id: id,
+      count: events.length,
+      events
+    });
+
+  } catch (error) {
+    console.error('Get issue history error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch issue history'
+    });
+  } finally {
+    client.release();
+  }
+}
+
 module.exports = {
   classifyIssue,
   reportIssue,
   getIssues,
-  getIssueById
+  getIssueById,
+  linkDuplicateReport,
+  getIssueHistory
 };
@@ -0,0 +1,168 @@
+const pool = require('../config/database');
+const { MAP_SETTINGS, parseBbox, getClusterGridSize } = require('../utils/mapClusters');
+const { VALID_CATEGORIES } = require('../utils/issueStream');
+const { ISSUE_STATUSES } = require('../utils/issueStatus');
+
+/**
+ * Split a comma-separated filter into its values
+ * @param {string} value - Query parameter value
+ * @returns {Array<string>} Trimmed, non-empty values
+ */
+function parseListFilter(value) {
+  return String(value).split(',').map(v => v.trim()).filter(Boolean);
+}
+
+/**
+ * GET /issues/map?bbox=minLng,minLat,maxLng,maxLat&zoom=12
+ * Issues in the visible viewport: grid clusters at low zoom, individual issues at high zoom
+ * Optional filters: category, status (comma-separated)
+ */
+async function getIssueMap(req, res) {
+  const client = await pool.connect();
+
+  try {
+    const { category, status } = req.query;
+
+    const bbox = parseBbox(req.query.bbox || '');
+    if (!bbox) {
+      return res.status(400).json({
+        success: false,
+        error: 'bbox is required as "minLng,minLat,maxLng,maxLat"'
+      });
+    }
+
+    const zoom = parseInt(req.query.zoom);
+    if (Number.isNaN(zoom) || zoom < 0 || zoom > MAP_SETTINGS.MAX_ZOOM) {
+      return res.status(400).json({
+        success: false,
+        error: `zoom must be an integer between 0 and ${MAP_SETTINGS.MAX_ZOOM}`
+      });
+    }
+
+    const categories = category ? parseListFilter(category) : [];
+    const invalidCategory = categories.find(c => !VALID_CATEGORIES.includes(c));
+    if (invalidCategory) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid category "${invalidCategory}"`
+      });
+    }
+
+    const statuses = status ? parseListFilter(status) : [];
+    const invalidStatus = statuses.find(s => !ISSUE_STATUSES.includes(s));
+    if (invalidStatus) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid status "${invalidStatus}"`
+      });
+    }
+
+    const params = [bbox.minLng, bbox.minLat, bbox.maxLng, bbox.maxLat];
+    const conditions = [
+      'i.duplicate_of IS NULL',
+      'ST_Intersects(i.location, ST_MakeEnvelope($1, $2, $3, $4, 4326)::geography)'
+    ];
+
+    if (categories.length > 0) {
+      params.push(categories);
+      conditions.push(`i.category = ANY($${params.length}::issue_category[])`);
+    }
+
+    if (statuses.length > 0) {
+      params.push(statuses);
+      conditions.push(`i.status = ANY($${params.length}::issue_status[])`);
+    }
+
+    if (zoom > MAP_SETTINGS.CLUSTER_MAX_ZOOM) {
+      params.push(MAP_SETTINGS.MAX_ISSUES + 1);
+      const issuesQuery = `
+        SELECT
+          i.issue_id,
+          i.category,
+          i.status,
+          i.priority_score,
+          i.upvotes,
+          ST_Y(i.location::geometry) as lat,
+          ST_X(i.location::geometry) as lng
+        FROM issues i
+        WHERE ${conditions.join(' AND ')}
+        ORDER BY i.priority_score DESC
+        LIMIT $${params.length}
+      `;
+      const result = await client.query(issuesQuery, params);
+      const truncated = result.rows.length > MAP_SETTINGS.MAX_ISSUES;
+
+      return res.status(200).json({
+        success: true,
+        mode: 'issues',
+        zoom,
+        bbox,
+        truncated,
+        issues: truncated ? result.rows.slice(0, MAP_SETTINGS.MAX_ISSUES) : result.rows
+      });
+    }
+
+    // Snap issues to a zoom-dependent grid and aggregate per cell (and per category within it)
+    const gridSize = getClusterGridSize(zoom);
+    params.push(gridSize);
+    const clustersQuery = `
+      WITH cells AS (
+        SELECT
+          ST_SnapToGrid(i.location::geometry, $${params.length}) as cell,
+          i.category,
+          COUNT(*) as count,
+          MAX(i.priority_score) as max_priority,
+          SUM(ST_X(i.location::geometry)) as sum_lng,
+          SUM(ST_Y(i.location::geometry)) as sum_lat,
+          MIN(i.issue_id::text) as sample_issue_id
+        FROM issues i
+        WHERE ${conditions.join(' AND ')}
+        GROUP BY 1, 2
+      )
+      SELECT
+        SUM(count)::int as count,
+        MAX(max_priority) as max_priority,
+        SUM(sum_lng) / SUM(count) as lng,
+        SUM(sum_lat) / SUM(count) as lat,
+        (ARRAY_AGG(category ORDER BY count DESC, category))[1] as dominant_category,
+        jsonb_object_agg(category, count) as categories,
+        MIN(sample_issue_id) as sample_issue_id
+      FROM cells
+      GROUP BY cell
+      ORDER BY count DESC
+    `;
+    const result = await client.query(clustersQuery, params);
+
+    return res.status(200).json({
+      success: true,
+      mode: 'clusters',
+      zoom,
+      bbox,
+      grid_size_degrees: gridSize,
+      total: result.rows.reduce((sum, row) => sum + row.count, 0),
+      clusters: result.rows.map(row => ({
+        lat: row.lat,
+        lng: row.lng,
+        count: row.count,
+        dominant_category: row.dominant_category,
+        max_priority: row.max_priority,
+        categories: row.categories,
+        // Single-issue clusters can be rendered as the issue itself
+        issue_id: row.count === 1 ? row.sample_issue_id : null
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get issue map error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch map data'
+    });
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  getIssueMap
+};
@@ -0,0 +1,247 @@
+const pool = require('../config/database');
+const { addIssueFollower } = require('../utils/notifications');
+const { parseLimit } = require('../utils/pagination');
+
+/**
+ * POST /issue/:id/follow
+ * Follow an issue to receive notifications about it
+ */
+async function followIssue(req, res) {
+  const client = await pool.connect();
+
+  try {
+    const { id } = req.params;
+
+    const issueResult = await client.query('SELECT issue_id, duplicate_of FROM issues WHERE issue_id = $1', [id]);
+
+    if (issueResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Issue not found'
+      });
+    }
+
+    // Merged issues get no further updates; follow the canonical issue instead
+    const issue = issueResult.rows[0];
+    const issueId = issue.duplicate_of || issue.issue_id;
+
+    const created = await addIssueFollower(client, { issue_id: issueId, user_id: req.user.user_id });
+
+    return res.status(created ? 201 : 200).json({
+      success: true,
+      message: created ? 'Issue followed' : 'You are already following this issue',
+      issue_id: issueId,
+      following: true
+    });
+
+  } catch (error) {
+    console.error('Follow issue error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to follow issue'
+    });
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * DELETE /issue/:id/follow
+ * Stop following an issue
+ */
+async function unfollowIssue(req, res) {
+  const client = await pool.connect();
+
+  try {
+    const { id } = req.params;
+
+    const result = await client.query(
+      'DELETE FROM issue_followers WHERE issue_id = $1 AND user_id = $2',
+      [id, req.user.user_id]
+    );
+
+    if (result.rowCount === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'You are not following this issue'
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Issue unfollowed',
+      issue_id: id,
+      following: false
+    });
+
+  } catch (error) {
+    console.error('Unfollow issue error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to unfollow issue'
+    });
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * GET /user/me/notifications
+ * Get the current user's notifications, newest first
+ */
+async function getNotifications(req, res) {
+  const client = await pool.connect();
+
+  try {
+    const { unread, page = 1, limit } = req.query;
+    const userId = req.user.user_id;
+
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = parseLimit(limit);
+    const offset = (pageNum - 1) * limitNum;
+    const unreadOnly = unread === 'true';
+
+    const query = `
+      SELECT
+        n.*,
+        a.name as actor_name,
+        i.category as issue_category,
+        i.status as issue_status
+      FROM notifications n
+      LEFT JOIN users a ON n.actor_user_id = a.user_id
+      LEFT JOIN issues i ON n.issue_id = i.issue_id
+      WHERE n.user_id = $1
+      ${unreadOnly ? 'AND n.read_at IS NULL' : ''}
+      ORDER BY n.created_at DESC
+      LIMIT $2 OFFSET $3
+    `;
+    const result = await client.query(query, [userId, limitNum, offset]);
+
+    const countsResult = await client.query(
+      `SELECT
+        COUNT(*) as total,
+        COUNT(*) FILTER (WHERE read_at IS NULL) as unread
+      FROM notifications
+      WHERE user_id = $1`,
+      [userId]
+    );
+    const counts = countsResult.rows[0];
+    const totalCount = parseInt(unreadOnly ? counts.unread : counts.total);
+
+    return res.status(200).json({
+      success: true,
+      unread_count: parseInt(counts.unread),
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total: totalCount,
+        total_pages: Math.ceil(totalCount / limitNum)
+      },
+      notifications: result.rows.map(row => ({
+        notification_id: row.notification_id,
+        type: row.type,
+        message: row.message,
+        data: row.data,
+        issue: row.issue_id ? {
+          issue_id: row.issue_id,
+          category: row.issue_category,
+          status: row.issue_status
+        } : null,
+        actor: row.actor_user_id ? {
+          user_id: row.actor_user_id,
+          name: row.actor_name
+        } : null,
+        is_read: row.read_at !== null,
+        read_at: row.read_at,
+        created_at: row.created_at
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch notifications'
+    });
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * POST /user/me/notifications/:notification_id/read
+ * Mark a single notification as read
+ */
+async function markNotificationRead(req, res) {
+  const client = await pool.connect();
+
+  try {
+    const { notification_id } = req.params;
+
+    const result = await client.query(
+      `UPDATE notifications
+       SET read_at = COALESCE(read_at, NOW())
+       WHERE notification_id = $1 AND user_id = $2
+       RETURNING notification_id, read_at`,
+      [notification_id, req.user.user_id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Notification not found'
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      notification: result.rows[0]
+    });
+
+  } catch (error) {
+    console.error('Mark notification read error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to mark notification as read'
+    });
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * POST /user/me/notifications/read-all
+ * Mark all of the current user's notifications as read
+ */
+async function markAllNotificationsRead(req, res) {
+  const client = await pool.connect();
+
+  try {
+    const result = await client.query(
+      'UPDATE notifications SET read_at = NOW() WHERE user_id = $1 AND read_at IS NULL',
+      [req.user.user_id]
+    );
+
+    return res.status(200).json({
+      success: true,
+      marked_read: result.rowCount
+    });
+
+  } catch (error) {
+    console.error('Mark all notifications read error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to mark notifications as read'
+    });
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  followIssue,
+  unfollowIssue,
+  getNotifications,
+  markNotificationRead,
+  markAllNotificationsRead
+};
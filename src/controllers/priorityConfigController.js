@@ -0,0 +1,215 @@
+const pool = require('../config/database');
+const { scorePriority, getActivePriorityComponents } = require('../utils/priority');
+const {
+  formatPriorityConfig,
+  getActivePriorityConfig,
+  invalidatePriorityConfigCache,
+  validatePriorityConfigInput,
+  mergePriorityConfig
+} = require('../utils/priorityConfig');
+const { SLA_SETTINGS } = require('../utils/sla');
+
+const DRY_RUN_DEFAULT_LIMIT = 20;
+const DRY_RUN_MAX_LIMIT = 100;
+
+/**
+ * Rank issues by score under a config (highest first)
+ * @param {Array<Object>} rows - Rows from getActivePriorityComponents
+ * @param {Object} config - Priority config
+ * @returns {Map<string, {rank: number, score: number}>} Rank and score by issue_id
+ */
+function rankIssues(rows, config) {
+  const scored = rows.map(row => ({
+    issue_id: row.issue_id,
+    score: Math.min(
+      scorePriority(row.components, config) + row.escalation_count * SLA_SETTINGS.ESCALATION_BOOST,
+      100
+    )
+  }));
+
+  scored.sort((a, b) => b.score - a.score || a.issue_id.localeCompare(b.issue_id));
+
+  return new Map(scored.map((entry, index) => [entry.issue_id, { rank: index + 1, score: entry.score }]));
+}
+
+/**
+ * GET /admin/priority-config
+ * Get the active priority config and recent versions
+ */
+async function getPriorityConfig(req, res) {
+  const client = await pool.connect();
+
+  try {
+    const versionsResult = await client.query(
+      'SELECT * FROM priority_configs ORDER BY version DESC LIMIT 20'
+    );
+    const versions = versionsResult.rows.map(formatPriorityConfig);
+
+    return res.status(200).json({
+      success: true,
+      active: versions[0] || await getActivePriorityConfig(),
+      versions
+    });
+
+  } catch (error) {
+    console.error('Get priority config error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch priority config'
+    });
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * PUT /admin/priority-config
+ * Create a new priority config version from a (partial) update
+ */
+async function updatePriorityConfig(req, res) {
+  const client = await pool.connect();
+
+  try {
+    const input = req.body || {};
+
+    const validationError = validatePriorityConfigInput(input);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
+    }
+
+    invalidatePriorityConfigCache();
+    const current = await getActivePriorityConfig();
+    const next = mergePriorityConfig(current, input);
+
+    const insertResult = await client.query(
+      `INSERT INTO priority_configs (
+        weights, category_urgency, density_radius_meters, density_window_days, note, created_by
+      )
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING *`,
+      [
+        JSON.stringify(next.weights),
+        JSON.stringify(next.category_urgency),
+        next.density_radius_meters,
+        next.density_window_days,
+        input.note || null,
+        req.user.user_id
+      ]
+    );
+
+    invalidatePriorityConfigCache();
+
+    return res.status(201).json({
+      success: true,
+      message: 'Priority config updated. Scores are recomputed on the next scheduled refresh.',
+      previous_version: current.version,
+      config: formatPriorityConfig(insertResult.rows[0])
+    });
+
+  } catch (error) {
+    console.error('Update priority config error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to update priority config'
+    });
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * POST /admin/priority-config/dry-run
+ * Show how the top-N ranking of active issues would change under proposed settings
+ */
+async function dryRunPriorityConfig(req, res) {
+  const client = await pool.connect();
+
+  try {
+    const { limit, ...input } = req.body || {};
+
+    const validationError = validatePriorityConfigInput(input);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
+    }
+
+    const limitNum = Math.min(parseInt(limit) || DRY_RUN_DEFAULT_LIMIT, DRY_RUN_MAX_LIMIT);
+    const current = await getActivePriorityConfig();
+    const proposed = mergePriorityConfig(current, input);
+
+    // Density components only change when the radius or window changes
+    const currentRows = await getActivePriorityComponents(current);
+    const sameDensity = proposed.density_radius_meters === current.density_radius_meters &&
+      proposed.density_window_days === current.density_window_days;
+    const proposedRows = sameDensity
+      ? currentRows.map(row => ({
+        ...row,
+        components: { ...row.components, CU: proposed.category_urgency[row.category] ?? row.components.CU }
+      }))
+      : await getActivePriorityComponents(proposed);
+
+    const currentRanking = rankIssues(currentRows, current);
+    const proposedRanking = rankIssues(proposedRows, proposed);
+
+    const topProposed = [...proposedRanking.entries()].slice(0, limitNum);
+    const topProposedIds = new Set(topProposed.map(([issueId]) => issueId));
+    const droppedOut = [...currentRanking.entries()]
+      .slice(0, limitNum)
+      .filter(([issueId]) => !topProposedIds.has(issueId));
+
+    const detailIds = [...topProposedIds, ...droppedOut.map(([issueId]) => issueId)];
+    const detailsResult = detailIds.length > 0
+      ? await client.query(
+        'SELECT issue_id, category, description, status FROM issues WHERE issue_id = ANY($1::uuid[])',
+        [detailIds]
+      )
+      : { rows: [] };
+    const details = new Map(detailsResult.rows.map(row => [row.issue_id, row]));
+
+    const describe = (issueId) => {
+      const currentEntry = currentRanking.get(issueId);
+      const proposedEntry = proposedRanking.get(issueId);
+      const detail = details.get(issueId) || {};
+      return {
+        issue_id: issueId,
+        category: detail.category,
+        description: detail.description,
+        status: detail.status,
+        current_rank: currentEntry.rank,
+        current_score: currentEntry.score,
+        proposed_rank: proposedEntry.rank,
+        proposed_score: proposedEntry.score,
+        rank_change: currentEntry.rank - proposedEntry.rank
+      };
+    };
+
+    return res.status(200).json({
+      success: true,
+      current_version: current.version,
+      proposed,
+      total_active_issues: currentRows.length,
+      top: topProposed.map(([issueId]) => describe(issueId)),
+      dropped_out: droppedOut.map(([issueId]) => describe(issueId))
+    });
+
+  } catch (error) {
+    console.error('Dry-run priority config error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to run priority config dry-run'
+    });
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  getPriorityConfig,
+  updatePriorityConfig,
+  dryRunPriorityConfig
+};
@@ -0,0 +1,349 @@
+const pool = require('../config/database');
+const { validate: isUuid } = require('uuid');
+const { parseBbox } = require('../utils/mapClusters');
+const { parseLimit, decodeCursor, buildKeysetQuery, paginateRows } = require('../utils/pagination');
+const { OFFICIAL_EVENT_TYPES } = require('../utils/issueEvents');
+
+/**
+ * Sort orders for GET /public/v1/issues; every order ends with issue_id so cursors are stable
+ */
+const PUBLIC_ISSUE_SORTS = {
+  newest: [
+    { expr: 'i.created_at', type: 'timestamp', dir: 'DESC' },
+    { expr: 'i.issue_id', type: 'uuid', dir: 'ASC' }
+  ],
+  priority: [
+    { expr: 'i.priority_score', type: 'float8', dir: 'DESC' },
+    { expr: 'i.created_at', type: 'timestamp', dir: 'DESC' },
+    { expr: 'i.issue_id', type: 'uuid', dir: 'ASC' }
+  ]
+};
+
+// SQL list of event types signed by officials, e.g. 'status_changed', 'merged'
+const OFFICIAL_EVENT_TYPE_LIST = OFFICIAL_EVENT_TYPES.map(type => `'${type}'`).join(', ');
+
+/**
+ * Columns of an anonymised issue; the reporter's wallet is only included
+ * when they opted in (users.public_wallet)
+ * A citizen-signed transaction reveals its signer's wallet on any explorer, so
+ * the issue's latest transaction hash is only shown when it is an official's
+ * status change or the reporter opted in
+ */
+const PUBLIC_ISSUE_COLUMNS = `
+  i.issue_id,
+  i.category,
+  i.status,
+  i.description,
+  i.image_url,
+  i.admin_proof_url,
+  ST_Y(i.location::geometry) as lat,
+  ST_X(i.location::geometry) as lng,
+  i.region,
+  i.priority_score,
+  i.upvotes,
+  i.downvotes,
+  CASE WHEN u.public_wallet OR EXISTS (
+    SELECT 1 FROM issue_events e
+    WHERE e.issue_id = i.issue_id AND e.blockchain_tx_hash = i.blockchain_tx_hash
+      AND e.event_type IN (${OFFICIAL_EVENT_TYPE_LIST})
+  ) THEN i.blockchain_tx_hash END as blockchain_tx_hash,
+  CASE WHEN u.public_wallet THEN i.wallet_address END as reporter_wallet,
+  i.created_at,
+  i.updated_at,
+  i.resolved_at
+`;
+
+/**
+ * Shape an anonymised issue row for the public API
+ */
+function formatPublicIssue(row) {
+  return {
+    issue_id: row.issue_id,
+    category: row.category,
+    status: row.status,
+    description: row.description,
+    image_url: row.image_url,
+    admin_proof_url: row.admin_proof_url,
+    lat: row.lat,
+    lng: row.lng,
+    region: row.region,
+    priority_score: row.priority_score,
+    upvotes: row.upvotes,
+    downvotes: row.downvotes,
+    blockchain_tx_hash: row.blockchain_tx_hash,
+    reporter_wallet: row.reporter_wallet,
+    created_at: row.created_at,
+    updated_at: row.updated_at,
+    resolved_at: row.resolved_at
+  };
+}
+
+/**
+ * GET /public/v1/issues
+ * Anonymised issue listing (merged duplicates are left out)
+ * Query params: category, status, region, bbox, since (updated since), sort (newest | priority), limit, cursor
+ */
+async function getPublicIssues(req, res) {
+  const { category, status, region, bbox, since, cursor } = req.query;
+  const sort = req.query.sort || 'newest';
+
+  if (!Object.hasOwn(PUBLIC_ISSUE_SORTS, sort)) {
+    return res.status(400).json({
+      success: false,
+      error: `Invalid sort. Use ${Object.keys(PUBLIC_ISSUE_SORTS).join(' or ')}`
+    });
+  }
+
+  const params = [];
+  const addParam = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+  const conditions = ['i.duplicate_of IS NULL'];
+
+  if (bbox) {
+    const box = parseBbox(bbox);
+    if (!box) {
+      return res.status(400).json({
+        success: false,
+        error: 'bbox must be "minLng,minLat,maxLng,maxLat"'
+      });
+    }
+    conditions.push(`ST_Intersects(i.location, ST_MakeEnvelope(${addParam(box.minLng)}, ${addParam(box.minLat)}, ${addParam(box.maxLng)}, ${addParam(box.maxLat)}, 4326)::geography)`);
+  }
+
+  if (since) {
+    if (Number.isNaN(Date.parse(since))) {
+      return res.status(400).json({
+        success: false,
+        error: 'since must be an ISO 8601 date'
+      });
+    }
+    conditions.push(`i.updated_at >= ${addParam(since)}`);
+  }
+
+  if (category) {
+    const categories = String(category).split(',').map(c => c.trim()).filter(Boolean);
+    conditions.push(`i.category::text = ANY(${addParam(categories)}::text[])`);
+  }
+
+  if (status) {
+    const statuses = String(status).split(',').map(s => s.trim()).filter(Boolean);
+    conditions.push(`i.status::text = ANY(${addParam(statuses)}::text[])`);
+  }
+
+  if (region) {
+    conditions.push(`i.region = ${addParam(region)}`);
+  }
+
+  const sortKeys = PUBLIC_ISSUE_SORTS[sort];
+  let cursorValues = null;
+  if (cursor) {
+    const decoded = decodeCursor(cursor, sort, sortKeys.length);
+    if (decoded.error) {
+      return res.status(400).json({
+        success: false,
+        error: decoded.error
+      });
+    }
+    cursorValues = decoded.values;
+  }
+
+  const limit = parseLimit(req.query.limit);
+  const keyset = buildKeysetQuery(sortKeys, cursorValues, addParam);
+  if (keyset.condition) {
+    conditions.push(keyset.condition);
+  }
+
+  const client = await pool.connect();
+
+  try {
+    const query = `
+      SELECT ${PUBLIC_ISSUE_COLUMNS}, ${keyset.select}
+      FROM issues i
+      JOIN users u ON i.reporter_user_id = u.user_id
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY ${keyset.orderBy}
+      LIMIT ${addParam(limit + 1)}
+    `;
+    const result = await client.query(query, params);
+    const page = paginateRows(result.rows, limit, sort, sortKeys.length);
+
+    return res.status(200).json({
+      success: true,
+      count: page.rows.length,
+      pagination: { ...page.pagination, sort },
+      issues: page.rows.map(formatPublicIssue)
+    });
+
+  } catch (error) {
+    console.error('Get public issues error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch issues'
+    });
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * GET /public/v1/issues/:id
+ * Anonymised issue with its on-chain transaction trail
+ * Merged duplicates are returned with duplicate_of pointing at the canonical issue
+ */
+async function getPublicIssue(req, res) {
+  const { id } = req.params;
+
+  if (!isUuid(id)) {
+    return res.status(404).json({
+      success: false,
+      error: 'Issue not found'
+    });
+  }
+
+  const client = await pool.connect();
+
+  try {
+    const issueResult = await client.query(
+      `SELECT ${PUBLIC_ISSUE_COLUMNS}, i.duplicate_of,
+        (SELECT COUNT(*)::int FROM verifications v
+          WHERE v.issue_id = i.issue_id AND v.round = i.resolution_round AND v.is_fixed = TRUE) as verification_count
+       FROM issues i
+       JOIN users u ON i.reporter_user_id = u.user_id
+       WHERE i.issue_id = $1`,
+      [id]
+    );
+
+    if (issueResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Issue not found'
+      });
+    }
+
+    // Lifecycle steps anchored on-chain by officials, plus those signed by citizens
+    // who opted in to showing their wallet (actors stay anonymous)
+    const transactionsResult = await client.query(
+      `SELECT e.event_type, e.new_value, e.blockchain_tx_hash, e.created_at
+       FROM issue_events e
+       LEFT JOIN users a ON a.user_id = e.actor_user_id
+       WHERE e.issue_id = $1 AND e.blockchain_tx_hash IS NOT NULL
+         AND (e.event_type IN (${OFFICIAL_EVENT_TYPE_LIST}) OR a.public_wallet)
+       ORDER BY e.created_at ASC, e.event_seq ASC`,
+      [id]
+    );
+
+    const row = issueResult.rows[0];
+
+    return res.status(200).json({
+      success: true,
+      issue: {
+        ...formatPublicIssue(row),
+        duplicate_of: row.duplicate_of,
+        verification_count: row.verification_count,
+        blockchain_transactions: transactionsResult.rows
+      }
+    });
+
+  } catch (error) {
+    console.error('Get public issue error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch issue'
+    });
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * GET /public/v1/stats
+ * Aggregate issue counts per region and per category
+ * Query params: date_from, date_to (filter on created_at)
+ */
+async function getPublicStats(req, res) {
+  const { date_from, date_to } = req.query;
+
+  for (const [name, value] of Object.entries({ date_from, date_to })) {
+    if (value && Number.isNaN(Date.parse(value))) {
+      return res.status(400).json({
+        success: false,
+        error: `${name} must be an ISO 8601 date`
+      });
+    }
+  }
+
+  const params = [];
+  // Merged duplicates are counted too, so the per-status counts add up to the total
+  const conditions = [];
+  if (date_from) {
+    params.push(date_from);
+    conditions.push(`created_at >= $${params.length}`);
+  }
+  if (date_to) {
+    params.push(date_to);
+    conditions.push(`created_at <= $${params.length}`);
+  }
+
+  const client = await pool.connect();
+
+  try {
+    const statsQuery = `
+      SELECT
+        GROUPING(region) = 0 as by_region,
+        GROUPING(category) = 0 as by_category,
+        region,
+        category,
+        COUNT(*)::int as total,
+        COUNT(*) FILTER (WHERE status = 'open')::int as open,
+        COUNT(*) FILTER (WHERE status = 'in_progress')::int as in_progress,
+        COUNT(*) FILTER (WHERE status = 'resolved')::int as resolved,
+        COUNT(*) FILTER (WHERE status = 'closed')::int as closed,
+        COUNT(*) FILTER (WHERE status = 'rejected')::int as rejected,
+        COUNT(*) FILTER (WHERE status = 'duplicate')::int as duplicate,
+        COUNT(*) FILTER (WHERE blockchain_tx_hash IS NOT NULL)::int as on_chain,
+        ROUND((AVG(EXTRACT(EPOCH FROM (resolved_at - created_at)) / 3600)
+          FILTER (WHERE resolved_at IS NOT NULL))::numeric, 1)::float as avg_resolution_hours
+      FROM issues
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      GROUP BY GROUPING SETS ((), (region), (category))
+      ORDER BY total DESC
+    `;
+    const result = await client.query(statsQuery, params);
+
+    const summarize = ({ total, open, in_progress, resolved, closed, rejected, duplicate, on_chain, avg_resolution_hours }) => ({
+      total, open, in_progress, resolved, closed, rejected, duplicate, on_chain, avg_resolution_hours
+    });
+    // The empty grouping set always yields the overall row, even with no issues
+    const overall = result.rows.find(row => !row.by_region && !row.by_category);
+
+    return res.status(200).json({
+      success: true,
+      stats: {
+        overall: summarize(overall),
+        by_region: result.rows
+          .filter(row => row.by_region)
+          .map(row => ({ region: row.region, ...summarize(row) })),
+        by_category: result.rows
+          .filter(row => row.by_category)
+          .map(row => ({ category: row.category, ...summarize(row) }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get public stats error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch statistics'
+    });
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  getPublicIssues,
+  getPublicIssue,
+  getPublicStats
+};
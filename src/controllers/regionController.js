@@ -0,0 +1,145 @@
+const pool = require('../config/database');
+const { validate: isUuid } = require('uuid');
+const { OVERDUE_CONDITION } = require('../utils/sla');
+
+/**
+ * GET /regions
+ * List regions with issue counts
+ * Optional: level, include_geometry=true (adds the GeoJSON boundary)
+ */
+async function getRegions(req, res) {
+  const client = await pool.connect();
+
+  try {
+    const { level } = req.query;
+    const includeGeometry = req.query.include_geometry === 'true';
+
+    const params = [];
+    let whereClause = '';
+    if (level) {
+      params.push(level);
+      whereClause = 'WHERE r.level = $1';
+    }
+
+    const query = `
+      SELECT
+        r.region_id,
+        r.name,
+        r.code,
+        r.level,
+        ST_Area(r.boundary::geography) / 1000000 as area_km2,
+        ${includeGeometry ? 'ST_AsGeoJSON(r.boundary, 6)::json' : 'NULL'} as geometry,
+        COUNT(i.issue_id)::int as issue_count,
+        COUNT(i.issue_id) FILTER (WHERE i.status IN ('open', 'in_progress'))::int as active_issue_count
+      FROM regions r
+      LEFT JOIN issues i ON i.region_id = r.region_id AND i.duplicate_of IS NULL
+      ${whereClause}
+      GROUP BY r.region_id
+      ORDER BY r.level ASC, r.name ASC
+    `;
+    const result = await client.query(query, params);
+
+    return res.status(200).json({
+      success: true,
+      count: result.rows.length,
+      regions: result.rows.map(row => ({
+        region_id: row.region_id,
+        name: row.name,
+        code: row.code,
+        level: row.level,
+        area_km2: parseFloat(row.area_km2.toFixed(3)),
+        issue_count: row.issue_count,
+        active_issue_count: row.active_issue_count,
+        ...(includeGeometry ? { geometry: row.geometry } : {})
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get regions error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch regions'
+    });
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * GET /regions/:id/stats
+ * Issue statistics for one region, overall and per category
+ */
+async function getRegionStats(req, res) {
+  const { id } = req.params;
+
+  if (!isUuid(id)) {
+    return res.status(404).json({
+      success: false,
+      error: 'Region not found'
+    });
+  }
+
+  const client = await pool.connect();
+
+  try {
+    const regionResult = await client.query(
+      'SELECT region_id, name, code, level FROM regions WHERE region_id = $1',
+      [id]
+    );
+    if (regionResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Region not found'
+      });
+    }
+
+    const statsQuery = `
+      SELECT
+        i.category,
+        COUNT(*)::int as total,
+        COUNT(*) FILTER (WHERE i.status = 'open')::int as open,
+        COUNT(*) FILTER (WHERE i.status = 'in_progress')::int as in_progress,
+        COUNT(*) FILTER (WHERE i.status = 'resolved')::int as resolved,
+        COUNT(*) FILTER (WHERE i.status = 'closed')::int as closed,
+        COUNT(*) FILTER (WHERE ${OVERDUE_CONDITION})::int as overdue,
+        COUNT(*) FILTER (WHERE i.created_at >= NOW() - INTERVAL '30 days')::int as reported_last_30_days,
+        ROUND((AVG(EXTRACT(EPOCH FROM (i.resolved_at - i.created_at)) / 3600)
+          FILTER (WHERE i.resolved_at IS NOT NULL))::numeric, 1)::float as avg_resolution_hours,
+        ROUND(AVG(i.priority_score) FILTER (WHERE i.status IN ('open', 'in_progress'))::numeric, 2)::float as avg_active_priority
+      FROM issues i
+      WHERE i.region_id = $1 AND i.duplicate_of IS NULL
+      GROUP BY ROLLUP(i.category)
+    `;
+    const statsResult = await client.query(statsQuery, [id]);
+
+    const summarize = ({ category, ...stats }) => stats;
+    // ROLLUP always yields the totals row (category NULL), even with no issues
+    const totals = statsResult.rows.find(row => row.category === null);
+
+    return res.status(200).json({
+      success: true,
+      region: regionResult.rows[0],
+      stats: {
+        ...summarize(totals),
+        by_category: statsResult.rows
+          .filter(row => row.category !== null)
+          .sort((a, b) => b.total - a.total)
+          .map(row => ({ category: row.category, ...summarize(row) }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get region stats error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch region statistics'
+    });
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  getRegions,
+  getRegionStats
+};
@@ -0,0 +1,223 @@
+const pool = require('../config/database');
+const { validate: isUuid } = require('uuid');
+const { setUserRoleOnChain } = require('../services/solanaService');
+const { ROLES, ROLE_DEFINITIONS, isOnChainOfficialRole } = require('../utils/permissions');
+const { ROLE_CHANGE_SOURCES, assignUserRole } = require('../utils/roleAssignments');
+const { parseLimit } = require('../utils/pagination');
+
+/**
+ * Give the user's on-chain account the program role matching their role
+ * The program only knows citizens and government officials; an official who
+ * stays a citizen on-chain cannot sign issue status updates
+ * @param {Object} user - User row with the new role
+ */
+async function syncOnChainRole(user) {
+  const roleEnum = isOnChainOfficialRole(user.role) ? { government: {} } : { citizen: {} };
+  const tx = await setUserRoleOnChain(user.wallet_address, roleEnum, user.rep);
+  if (tx) {
+    console.log(`🔗 On-chain role updated. Tx: ${tx}`);
+  }
+}
+
+/**
+ * Shared handler for granting and revoking: change the target user's role
+ */
+async function changeUserRole(req, res, { role, department_id, action }) {
+  const { user_id } = req.params;
+  const { reason } = req.body || {};
+
+  if (!isUuid(user_id)) {
+    return res.status(404).json({
+      success: false,
+      error: 'User not found'
+    });
+  }
+  // Keeps admins from locking themselves out
+  if (user_id === req.user.user_id) {
+    return res.status(400).json({
+      success: false,
+      error: 'You cannot change your own role'
+    });
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const userResult = await client.query('SELECT * FROM users WHERE user_id = $1 FOR UPDATE', [user_id]);
+    const user = userResult.rows[0];
+    if (!user) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    const { user: updatedUser, audit, error } = await assignUserRole(client, {
+      user,
+      role,
+      department_id,
+      actor_user_id: req.user.user_id,
+      reason,
+      source: ROLE_CHANGE_SOURCES.API
+    });
+    if (error) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({
+        success: false,
+        error
+      });
+    }
+
+    // Refuse the change rather than leave the on-chain role out of step
+    // (the row stays locked until the role is updated on-chain)
+    if (isOnChainOfficialRole(role) !== isOnChainOfficialRole(user.role)) {
+      try {
+        await syncOnChainRole(updatedUser);
+      } catch (chainError) {
+        await client.query('ROLLBACK');
+        console.error('On-chain role update error:', chainError);
+        return res.status(502).json({
+          success: false,
+          error: 'Could not update the role on-chain; the role was not changed',
+          details: chainError.message
+        });
+      }
+    }
+
+    await client.query('COMMIT');
+
+    return res.status(200).json({
+      success: true,
+      message: action === 'revoke' ? `Role ${user.role} revoked` : `Role ${role} granted`,
+      user: {
+        user_id: updatedUser.user_id,
+        name: updatedUser.name,
+        email: updatedUser.email,
+        role: updatedUser.role,
+        department_id: updatedUser.department_id
+      },
+      audit
+    });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error(`${action === 'revoke' ? 'Revoke' : 'Grant'} role error:`, error);
+    return res.status(500).json({
+      success: false,
+      error: `Failed to ${action} role`
+    });
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * GET /admin/roles
+ * The role and permission matrix
+ */
+async function getRoles(req, res) {
+  return res.status(200).json({
+    success: true,
+    roles: Object.entries(ROLE_DEFINITIONS).map(([role, definition]) => ({
+      role,
+      description: definition.description,
+      department_scoped: definition.department,
+      permissions: definition.permissions
+    }))
+  });
+}
+
+/**
+ * POST /admin/users/:user_id/role
+ * Grant a role to a user (replaces their current role)
+ * Body: { role, department_id (required for department roles), reason }
+ */
+async function grantRole(req, res) {
+  const { role, department_id } = req.body || {};
+
+  if (!role || role === ROLES.CITIZEN) {
+    return res.status(400).json({
+      success: false,
+      error: 'role is required; use DELETE to revoke a role'
+    });
+  }
+
+  return changeUserRole(req, res, { role, department_id, action: 'grant' });
+}
+
+/**
+ * DELETE /admin/users/:user_id/role
+ * Revoke a user's role, making them a citizen again
+ * Body: { reason }
+ */
+async function revokeRole(req, res) {
+  return changeUserRole(req, res, { role: ROLES.CITIZEN, department_id: null, action: 'revoke' });
+}
+
+/**
+ * GET /admin/role-audit
+ * Role change history, newest first
+ * Optional: user_id, limit
+ */
+async function getRoleAudit(req, res) {
+  const { user_id } = req.query;
+
+  if (user_id && !isUuid(user_id)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid user_id'
+    });
+  }
+
+  const client = await pool.connect();
+
+  try {
+    const params = [];
+    let whereClause = '';
+    if (user_id) {
+      params.push(user_id);
+      whereClause = 'WHERE a.user_id = $1';
+    }
+    params.push(parseLimit(req.query.limit));
+
+    const result = await client.query(
+      `SELECT
+        a.*,
+        u.name as user_name,
+        u.email as user_email,
+        actor.name as actor_name
+      FROM role_audit_log a
+      JOIN users u ON u.user_id = a.user_id
+      LEFT JOIN users actor ON actor.user_id = a.actor_user_id
+      ${whereClause}
+      ORDER BY a.created_at DESC
+      LIMIT $${params.length}`,
+      params
+    );
+
+    return res.status(200).json({
+      success: true,
+      count: result.rows.length,
+      entries: result.rows
+    });
+
+  } catch (error) {
+    console.error('Get role audit error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch role audit trail'
+    });
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  getRoles,
+  grantRole,
+  revokeRole,
+  getRoleAudit
+};
@@ -0,0 +1,150 @@
+const pool = require('../config/database');
+const { parseServiceAreaGeoJSON } = require('../utils/serviceArea');
+
+/**
+ * Current service areas with their GeoJSON boundaries
+ */
+async function listServiceAreas(client) {
+  const result = await client.query(`
+    SELECT
+      s.service_area_id,
+      s.name,
+      ST_Area(s.boundary::geography) / 1000000 as area_km2,
+      ST_AsGeoJSON(s.boundary, 6)::json as geometry,
+      s.uploaded_by,
+      s.created_at
+    FROM service_areas s
+    ORDER BY s.name ASC
+  `);
+
+  return result.rows.map(row => ({
+    ...row,
+    area_km2: parseFloat(row.area_km2.toFixed(3))
+  }));
+}
+
+/**
+ * GET /admin/service-area
+ * Get the service area polygons reports must fall inside
+ */
+async function getServiceArea(req, res) {
+  const client = await pool.connect();
+
+  try {
+    const areas = await listServiceAreas(client);
+
+    return res.status(200).json({
+      success: true,
+      enforced: areas.length > 0,
+      service_areas: areas
+    });
+
+  } catch (error) {
+    console.error('Get service area error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch service area'
+    });
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * PUT /admin/service-area
+ * Replace the service area with the uploaded GeoJSON
+ * Body: FeatureCollection, Feature, Polygon or MultiPolygon (feature properties.name names each area)
+ */
+async function replaceServiceArea(req, res) {
+  const { areas, error: geojsonError } = parseServiceAreaGeoJSON(req.body);
+  if (geojsonError) {
+    return res.status(400).json({
+      success: false,
+      error: geojsonError
+    });
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    await client.query('DELETE FROM service_areas');
+
+    for (const area of areas) {
+      // Repair self-intersections and keep only the polygonal parts
+      await client.query(
+        `INSERT INTO service_areas (name, boundary, uploaded_by)
+         VALUES ($1, ST_Multi(ST_CollectionExtract(ST_MakeValid(ST_SetSRID(ST_GeomFromGeoJSON($2), 4326)), 3)), $3)`,
+        [area.name, JSON.stringify(area.geometry), req.user.user_id]
+      );
+    }
+
+    const emptyResult = await client.query('SELECT COUNT(*)::int as count FROM service_areas WHERE ST_IsEmpty(boundary)');
+    if (emptyResult.rows[0].count > 0) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({
+        success: false,
+        error: 'Service area polygons must not be empty'
+      });
+    }
+
+    await client.query('COMMIT');
+
+    return res.status(200).json({
+      success: true,
+      enforced: true,
+      service_areas: await listServiceAreas(client)
+    });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Replace service area error:', error);
+    // Malformed coordinates are rejected by PostGIS while parsing the GeoJSON
+    if (error.code === 'XX000') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid GeoJSON geometry'
+      });
+    }
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to update service area'
+    });
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * DELETE /admin/service-area
+ * Remove the service area (reports are accepted from any valid location)
+ */
+async function deleteServiceArea(req, res) {
+  const client = await pool.connect();
+
+  try {
+    const result = await client.query('DELETE FROM service_areas');
+
+    return res.status(200).json({
+      success: true,
+      enforced: false,
+      removed: result.rowCount
+    });
+
+  } catch (error) {
+    console.error('Delete service area error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to delete service area'
+    });
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  getServiceArea,
+  replaceServiceArea,
+  deleteServiceArea
+};
@@ -0,0 +1,47 @@
+const { parseStreamFilters, matchesStreamFilters } = require('../utils/issueStream');
+const { subscribeToIssueUpdates } = require('../services/issueStreamService');
+
+// Comment lines keep idle connections open through proxies
+const HEARTBEAT_INTERVAL_MS = (parseInt(process.env.ISSUE_STREAM_HEARTBEAT_SECONDS) || 25) * 1000;
+
+/**
+ * GET /issues/stream
+ * Server-Sent Events stream of new issues, vote, priority and status changes
+ * Optional filters: bbox=minLng,minLat,maxLng,maxLat and category=pothole,water
+ */
+function streamIssues(req, res) {
+  const { filters, error } = parseStreamFilters(req.query);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error
+    });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    // Disable response buffering in nginx
+    'X-Accel-Buffering': 'no'
+  });
+  res.write(`retry: 5000\nevent: ready\ndata: ${JSON.stringify({ filters })}\n\n`);
+
+  const unsubscribe = subscribeToIssueUpdates((update) => {
+    if (!matchesStreamFilters(update, filters)) return;
+    res.write(`event: ${update.event}\ndata: ${JSON.stringify(update)}\n\n`);
+  });
+
+  const heartbeat = setInterval(() => {
+    res.write(': ping\n\n');
+  }, HEARTBEAT_INTERVAL_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+}
+
+module.exports = {
+  streamIssues
+};
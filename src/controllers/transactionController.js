@@ -0,0 +1,295 @@
+const pool = require('../config/database');
+const { validate: isUuid } = require('uuid');
+const { parseLimit } = require('../utils/pagination');
+const { inspectSignedTransaction, relaySignedTransaction } = require('../services/solanaService');
+const {
+  PENDING_TX_ACTIONS,
+  PENDING_TX_STATUS,
+  formatPendingTransaction,
+  rebuildPendingTransaction
+} = require('../services/transactionRelayService');
+
+/**
+ * Relay errors meaning the transaction's blockhash is too old to land
+ */
+const EXPIRED_BLOCKHASH_PATTERN = /blockhash not found|block height exceeded/i;
+
+// Transactions stuck in 'submitting' this long (e.g. after a crash) can be submitted again
+const STALE_SUBMITTING_SECONDS = 5 * 60;
+
+/**
+ * GET /transactions
+ * List the current user's client-signed transactions
+ * Optional: status (pending | submitting | confirmed | superseded), limit
+ */
+async function getTransactions(req, res) {
+  const { status } = req.query;
+
+  if (status && !Object.values(PENDING_TX_STATUS).includes(status)) {
+    return res.status(400).json({
+      success: false,
+      error: `status must be one of: ${Object.values(PENDING_TX_STATUS).join(', ')}`
+    });
+  }
+
+  const client = await pool.connect();
+
+  try {
+    const params = [req.user.user_id];
+    let statusFilter = '';
+    if (status) {
+      params.push(status);
+      statusFilter = 'AND status = $2';
+    }
+    params.push(parseLimit(req.query.limit));
+
+    const result = await client.query(
+      `SELECT * FROM pending_transactions
+       WHERE user_id = $1 ${statusFilter}
+       ORDER BY created_at DESC
+       LIMIT $${params.length}`,
+      params
+    );
+
+    return res.status(200).json({
+      success: true,
+      count: result.rows.length,
+      transactions: result.rows.map(row => formatPendingTransaction(row))
+    });
+
+  } catch (error) {
+    console.error('Get transactions error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch transactions'
+    });
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * GET /transactions/:id
+ * Get a client-signed transaction; a pending one is rebuilt with a fresh blockhash to sign
+ */
+async function getTransaction(req, res) {
+  const { id } = req.params;
+
+  if (!isUuid(id)) {
+    return res.status(404).json({
+      success: false,
+      error: 'Transaction not found'
+    });
+  }
+
+  const client = await pool.connect();
+
+  try {
+    const result = await client.query(
+      'SELECT * FROM pending_transactions WHERE transaction_id = $1 AND user_id = $2',
+      [id, req.user.user_id]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Transaction not found'
+      });
+    }
+
+    const row = result.rows[0];
+
+    return res.status(200).json({
+      success: true,
+      transaction: row.status === PENDING_TX_STATUS.PENDING
+        ? await rebuildPendingTransaction(client, row)
+        : formatPendingTransaction(row)
+    });
+
+  } catch (error) {
+    console.error('Get transaction error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch transaction'
+    });
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * POST /transactions/:id/submit
+ * Relay a transaction signed by the user's wallet
+ * Body: { signed_transaction } (base64); must sign exactly the transaction last handed out
+ */
+async function submitTransaction(req, res) {
+  const { id } = req.params;
+  const { signed_transaction } = req.body || {};
+
+  if (!isUuid(id)) {
+    return res.status(404).json({
+      success: false,
+      error: 'Transaction not found'
+    });
+  }
+  if (!signed_transaction || typeof signed_transaction !== 'string') {
+    return res.status(400).json({
+      success: false,
+      error: 'signed_transaction is required'
+    });
+  }
+
+  const signed = inspectSignedTransaction(signed_transaction);
+  if (!signed) {
+    return res.status(400).json({
+      success: false,
+      error: 'signed_transaction is not a valid transaction'
+    });
+  }
+
+  // Claim the row (pending -> submitting) and commit before relaying, so no
+  // transaction or row lock stays open while waiting on the network
+  let pending;
+  const client = await pool.connect();
+
+  try {
+    const result = await client.query(
+      'SELECT * FROM pending_transactions WHERE transaction_id = $1 AND user_id = $2',
+      [id, req.user.user_id]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Transaction not found'
+      });
+    }
+
+    const row = result.rows[0];
+
+    if (row.status !== PENDING_TX_STATUS.PENDING && row.status !== PENDING_TX_STATUS.SUBMITTING) {
+      return res.status(409).json({
+        success: false,
+        error: `Transaction is already ${row.status}`
+      });
+    }
+
+    if (signed.message !== row.message) {
+      return res.status(400).json({
+        success: false,
+        error: 'Signed transaction does not match the pending transaction'
+      });
+    }
+
+    if (!signed.signed) {
+      return res.status(400).json({
+        success: false,
+        error: 'Transaction is not signed by the wallet'
+      });
+    }
+
+    // A submitting row is only claimed again once stale (e.g. after a crash mid-relay)
+    const claimed = await client.query(
+      `UPDATE pending_transactions
+       SET status = $1, submitted_at = NOW()
+       WHERE transaction_id = $2 AND message = $3
+       AND (status = $4 OR (status = $1 AND submitted_at < NOW() - make_interval(secs => $5)))
+       RETURNING *`,
+      [PENDING_TX_STATUS.SUBMITTING, id, signed.message, PENDING_TX_STATUS.PENDING, STALE_SUBMITTING_SECONDS]
+    );
+    if (claimed.rows.length === 0) {
+      return res.status(409).json({
+        success: false,
+        error: 'Transaction is already being submitted'
+      });
+    }
+
+    pending = claimed.rows[0];
+
+  } catch (error) {
+    console.error('Submit transaction error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to submit transaction'
+    });
+  } finally {
+    client.release();
+  }
+
+  let blockchainTxHash;
+  try {
+    blockchainTxHash = await relaySignedTransaction(signed_transaction);
+  } catch (relayError) {
+    // Hand the row back so the user can re-sign and submit again
+    try {
+      await pool.query(
+        'UPDATE pending_transactions SET status = $1, last_error = $2 WHERE transaction_id = $3 AND status = $4',
+        [PENDING_TX_STATUS.PENDING, relayError.message, id, PENDING_TX_STATUS.SUBMITTING]
+      );
+    } catch (error) {
+      console.error('Submit transaction error:', error);
+    }
+
+    if (EXPIRED_BLOCKHASH_PATTERN.test(relayError.message)) {
+      return res.status(409).json({
+        success: false,
+        error: 'Transaction expired; fetch it again from GET /transactions/:id and re-sign'
+      });
+    }
+    return res.status(502).json({
+      success: false,
+      error: 'Transaction was rejected by the network',
+      details: relayError.message
+    });
+  }
+
+  const recordClient = await pool.connect();
+
+  try {
+    await recordClient.query('BEGIN');
+
+    const confirmed = await recordClient.query(
+      `UPDATE pending_transactions
+       SET status = $1, blockchain_tx_hash = $2, last_error = NULL, submitted_at = NOW()
+       WHERE transaction_id = $3
+       RETURNING *`,
+      [PENDING_TX_STATUS.CONFIRMED, blockchainTxHash, id]
+    );
+
+    if (pending.issue_event_id) {
+      await recordClient.query(
+        'UPDATE issue_events SET blockchain_tx_hash = $1 WHERE event_id = $2',
+        [blockchainTxHash, pending.issue_event_id]
+      );
+    }
+    if (pending.action === PENDING_TX_ACTIONS.CREATE_ISSUE) {
+      await recordClient.query(
+        'UPDATE issues SET blockchain_tx_hash = $1 WHERE issue_id = $2',
+        [blockchainTxHash, pending.issue_id]
+      );
+    }
+
+    await recordClient.query('COMMIT');
+
+    return res.status(200).json({
+      success: true,
+      blockchain_tx_hash: blockchainTxHash,
+      transaction: formatPendingTransaction(confirmed.rows[0])
+    });
+
+  } catch (error) {
+    await recordClient.query('ROLLBACK');
+    console.error(`Submit transaction error (relayed as ${blockchainTxHash}):`, error);
+    return res.status(500).json({
+      success: false,
+      error: 'Transaction was relayed but could not be recorded',
+      blockchain_tx_hash: blockchainTxHash
+    });
+  } finally {
+    recordClient.release();
+  }
+}
+
+module.exports = {
+  getTransactions,
+  getTransaction,
+  submitTransaction
+};
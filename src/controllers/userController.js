@@ -8,18 +8,9 @@ async function getCurrentUser(req, res) {
   const client = await pool.connect();
   
   try {
-    // Use email from JWT to look up user (consistent with /auth/login)
-    const email = req.user.email;
-
-    if (!email) {
-      return res.status(400).json({
-        success: false,
-        error: 'Email not found in token'
-      });
-    }
-
-    const query = 'SELECT * FROM users WHERE email = $1';
-    const result = await client.query(query, [email]);
+    // authMiddleware already resolved the token to a user; wallet-login accounts have no email
+    const query = 'SELECT * FROM users WHERE user_id = $1';
+    const result = await client.query(query, [req.user.user_id]);
 
     if (result.rows.length === 0) {
       return res.status(404).json({
@@ -39,13 +30,16 @@ async function getCurrentUser(req, res) {
         name: user.name,
         profile_pic: user.profile_pic,
         wallet_address: user.wallet_address,
+        wallet_custody: user.wallet_custody,
         role: user.role,
+        department_id: user.department_id,
         rep: user.rep,
         issues_reported: user.issues_reported,
         issues_resolved: user.issues_resolved,
         total_upvotes: user.total_upvotes,
         verifications_done: user.verifications_done,
         badges: user.badges,
+        public_wallet: user.public_wallet,
         created_at: user.created_at
       }
     });
@@ -124,7 +118,49 @@ async function getUserById(req, res) {
   }
 }
 
+/**
+ * PATCH /user/me/privacy
+ * Update privacy settings
+ * Body: { public_wallet: boolean } - show own wallet address on issues in the public API
+ */
+async function updatePrivacySettings(req, res) {
+  const { public_wallet } = req.body;
+
+  if (typeof public_wallet !== 'boolean') {
+    return res.status(400).json({
+      success: false,
+      error: 'public_wallet must be a boolean'
+    });
+  }
+
+  const client = await pool.connect();
+
+  try {
+    const result = await client.query(
+      'UPDATE users SET public_wallet = $1 WHERE user_id = $2 RETURNING public_wallet',
+      [public_wallet, req.user.user_id]
+    );
+
+    return res.status(200).json({
+      success: true,
+      privacy: {
+        public_wallet: result.rows[0].public_wallet
+      }
+    });
+
+  } catch (error) {
+    console.error('Update privacy settings error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to update privacy settings'
+    });
+  } finally {
+    client.release();
+  }
+}
+
 module.exports = {
   getCurrentUser,
-  getUserById
+  getUserById,
+  updatePrivacySettings
 };
@@ -1,27 +1,39 @@
 const pool = require('../config/database');
 const { v4: uuidv4 } = require('uuid');
 const { REPUTATION_CHANGES, calculateNewReputation, updateBadges } = require('../utils/reputation');
-const { recordVerificationOnChain, updateReputationOnChain } = require('../services/solanaService');
+const { recordVerificationOnChain, updateReputationOnChain, reopenIssueOnChain } = require('../services/solanaService');
+const { loadUserPrivateKey } = require('../services/keyManagementService');
+const { ISSUE_EVENT_TYPES, recordIssueEvent } = require('../utils/issueEvents');
+const { NOTIFICATION_TYPES, notifyIssueFollowers } = require('../utils/notifications');
+const { WEBHOOK_EVENTS, enqueueWebhookEvent } = require('../utils/webhooks');
+const { ISSUE_STREAM_EVENTS, publishIssueUpdates } = require('../utils/issueStream');
+const { WALLET_CUSTODY } = require('../utils/walletAuth');
+const { parseVerifiedFlag } = require('../utils/verification');
+const { PENDING_TX_ACTIONS, createPendingTransaction } = require('../services/transactionRelayService');
+
+/**
+ * Verification thresholds
+ * - VERIFICATION_THRESHOLD: "fixed" verifications that auto-close a resolved issue
+ * - DISPUTE_THRESHOLD: "not fixed" disputes that auto-reopen a resolved issue
+ */
+const VERIFICATION_THRESHOLD = 3;
+const DISPUTE_THRESHOLD = parseInt(process.env.DISPUTE_THRESHOLD) || 2;
 
 /**
  * POST /issue/:id/verify
- * Verify that a resolved issue is actually fixed
+ * Verify that a resolved issue is actually fixed, or dispute it (verified = false)
  */
 async function verifyIssue(req, res) {
   const client = await pool.connect();
-  
+
   try {
     const { id } = req.params;
     const userId = req.user.user_id;
-    const { verified } = req.body || {};
+    const { verified, note } = req.body || {};
     console.log('Verify issue request body:', JSON.stringify(req.body));
-    // Accept several truthy forms for verified: boolean true, string 'true' or '1', numeric 1
-    const verifiedValue = (() => {
-      if (typeof verified === 'boolean') return verified;
-      if (typeof verified === 'string') return verified.toLowerCase() === 'true' || verified === '1';
-      if (typeof verified === 'number') return verified === 1;
-      return Boolean(verified);
-    })();
+    // Only an explicit false files a dispute; a missing or garbled flag is rejected
+    const verifiedValue = parseVerifiedFlag(verified);
+    const evidenceUrl = req.file ? `/uploads/${req.file.filename}` : null;
 
     // Verify user is a citizen (not government)
     if (req.user.role !== 'citizen') {
@@ -31,10 +43,17 @@ async function verifyIssue(req, res) {
       });
     }
 
+    if (verifiedValue === null) {
+      return res.status(400).json({
+        success: false,
+        error: 'verified must be true or false'
+      });
+    }
+
     await client.query('BEGIN');
 
     // Check if issue exists and is in resolved status
-    const issueQuery = 'SELECT * FROM issues WHERE issue_id = $1';
+    const issueQuery = 'SELECT * FROM issues WHERE issue_id = $1 FOR UPDATE';
     const issueResult = await client.query(issueQuery, [id]);
 
     if (issueResult.rows.length === 0) {
@@ -46,6 +65,7 @@ async function verifyIssue(req, res) {
     }
 
     const issue = issueResult.rows[0];
+    const round = issue.resolution_round;
 
     if (issue.status !== 'resolved') {
       await client.query('ROLLBACK');
@@ -55,9 +75,9 @@ async function verifyIssue(req, res) {
       });
     }
 
-    // Check if user already verified this issue
-    const existingVerificationQuery = 'SELECT * FROM verifications WHERE user_id = $1 AND issue_id = $2';
-    const existingVerificationResult = await client.query(existingVerificationQuery, [userId, id]);
+    // Check if user already verified this resolution
+    const existingVerificationQuery = 'SELECT * FROM verifications WHERE user_id = $1 AND issue_id = $2 AND round = $3';
+    const existingVerificationResult = await client.query(existingVerificationQuery, [userId, id, round]);
 
     if (existingVerificationResult.rows.length > 0) {
       await client.query('ROLLBACK');
@@ -77,18 +97,15 @@ async function verifyIssue(req, res) {
     }
 
     if (!verifiedValue) {
-      await client.query('ROLLBACK');
-      return res.status(400).json({
-        success: false,
-        error: 'Verification must be true'
-      });
+      return await disputeIssue(client, req, res, { issue, evidenceUrl, note });
     }
 
     // Record verification
     const verificationId = uuidv4();
     await client.query(
-      'INSERT INTO verifications (verification_id, user_id, issue_id) VALUES ($1, $2, $3)',
-      [verificationId, userId, id]
+      `INSERT INTO verifications (verification_id, user_id, issue_id, is_fixed, evidence_url, note, round)
+       VALUES ($1, $2, $3, TRUE, $4, $5, $6)`,
+      [verificationId, userId, id, evidenceUrl, note || null, round]
     );
 
     // Update verifier reputation and stats
@@ -124,11 +141,10 @@ async function verifyIssue(req, res) {
     await client.query('UPDATE users SET badges = $1 WHERE user_id = $2', [reporterNewBadges, issue.reporter_user_id]);
 
     // Check verification count and auto-close if threshold reached
-    const verificationCountQuery = 'SELECT COUNT(*) as count FROM verifications WHERE issue_id = $1';
-    const verificationCountResult = await client.query(verificationCountQuery, [id]);
+    const verificationCountQuery = 'SELECT COUNT(*) as count FROM verifications WHERE issue_id = $1 AND round = $2 AND is_fixed = TRUE';
+    const verificationCountResult = await client.query(verificationCountQuery, [id, round]);
     const verificationCount = parseInt(verificationCountResult.rows[0].count);
 
-    const VERIFICATION_THRESHOLD = 3;
     let message = 'Issue verified successfully';
     let autoClosed = false;
 
@@ -137,20 +153,21 @@ async function verifyIssue(req, res) {
         'UPDATE issues SET status = $1, updated_at = NOW() WHERE issue_id = $2',
         ['closed', id]
       );
-      
+
       // Update reporter issues_resolved count
       await client.query(
         'UPDATE users SET issues_resolved = issues_resolved + 1 WHERE user_id = $1',
         [issue.reporter_user_id]
       );
-      
+
       message = `Issue verified and auto-closed (${VERIFICATION_THRESHOLD} verifications reached)`;
       autoClosed = true;
     }
 
-    // Record verification on blockchain
-    const blockchainTxHash = await recordVerificationOnChain(
-      req.user.private_key,
+    // Record verification on blockchain (self-custody verifiers sign the returned pending transaction)
+    const selfCustody = verifier.wallet_custody === WALLET_CUSTODY.SELF;
+    const blockchainTxHash = selfCustody ? null : await recordVerificationOnChain(
+      await loadUserPrivateKey(client, req.user.user_id),
       issue.issue_id
     );
 
@@ -158,15 +175,88 @@ async function verifyIssue(req, res) {
     await updateReputationOnChain(verifier.wallet_address, verifierNewRep);
     await updateReputationOnChain(reporter.wallet_address, reporterNewRep);
 
+    const event = await recordIssueEvent(client, {
+      issue_id: id,
+      actor_user_id: userId,
+      event_type: ISSUE_EVENT_TYPES.VERIFIED,
+      old_value: verificationCount - 1,
+      new_value: verificationCount,
+      blockchain_tx_hash: blockchainTxHash,
+      metadata: evidenceUrl ? { evidence_url: evidenceUrl } : {}
+    });
+
+    const pendingTransaction = selfCustody
+      ? await createPendingTransaction(client, {
+        user: verifier,
+        action: PENDING_TX_ACTIONS.VERIFY,
+        params: { issue_id: id },
+        issue_id: id,
+        issue_event_id: event.event_id
+      })
+      : null;
+
+    if (autoClosed) {
+      // Auto-close has no transaction of its own; it is triggered by this verification
+      await recordIssueEvent(client, {
+        issue_id: id,
+        event_type: ISSUE_EVENT_TYPES.AUTO_CLOSED,
+        old_value: issue.status,
+        new_value: 'closed',
+        blockchain_tx_hash: blockchainTxHash,
+        metadata: { verification_count: verificationCount, threshold: VERIFICATION_THRESHOLD }
+      });
+    }
+
+    await notifyIssueFollowers(client, {
+      issue_id: id,
+      actor_user_id: userId,
+      type: NOTIFICATION_TYPES.VERIFIED,
+      message: `A citizen confirmed the fix (${verificationCount}/${VERIFICATION_THRESHOLD} verifications)`,
+      data: { verification_count: verificationCount, threshold: VERIFICATION_THRESHOLD }
+    });
+
+    if (autoClosed) {
+      await notifyIssueFollowers(client, {
+        issue_id: id,
+        type: NOTIFICATION_TYPES.AUTO_CLOSED,
+        message: 'Issue closed after the fix was confirmed by citizens',
+        data: { verification_count: verificationCount }
+      });
+    }
+
+    await enqueueWebhookEvent(client, WEBHOOK_EVENTS.ISSUE_VERIFIED, {
+      issue_id: id,
+      verified_by: userId,
+      verification_count: verificationCount,
+      threshold: VERIFICATION_THRESHOLD,
+      evidence_url: evidenceUrl,
+      blockchain_tx_hash: blockchainTxHash
+    });
+
+    if (autoClosed) {
+      const statusChange = {
+        issue_id: id,
+        old_status: issue.status,
+        new_status: 'closed',
+        reason: `Auto-closed after ${verificationCount} verifications`,
+        changed_by: null,
+        blockchain_tx_hash: blockchainTxHash
+      };
+      await enqueueWebhookEvent(client, WEBHOOK_EVENTS.ISSUE_STATUS_CHANGED, statusChange);
+      await enqueueWebhookEvent(client, WEBHOOK_EVENTS.ISSUE_CLOSED, statusChange);
+      await publishIssueUpdates(client, ISSUE_STREAM_EVENTS.STATUS_CHANGED, [id], { old_status: issue.status });
+    }
+
     await client.query('COMMIT');
 
     // Get updated issue
     const updatedIssueQuery = `
-      SELECT 
+      SELECT
         i.*,
         ST_Y(i.location::geometry) as lat,
         ST_X(i.location::geometry) as lng,
-        (SELECT COUNT(*) FROM verifications WHERE issue_id = i.issue_id) as verification_count
+        (SELECT COUNT(*) FROM verifications WHERE issue_id = i.issue_id AND round = i.resolution_round AND is_fixed = TRUE) as verification_count,
+        (SELECT COUNT(*) FROM verifications WHERE issue_id = i.issue_id AND round = i.resolution_round AND is_fixed = FALSE) as dispute_count
       FROM issues i
       WHERE i.issue_id = $1
     `;
@@ -180,13 +270,15 @@ async function verifyIssue(req, res) {
       issue: {
         issue_id: updatedIssue.issue_id,
         status: updatedIssue.status,
-        verification_count: parseInt(updatedIssue.verification_count)
+        verification_count: parseInt(updatedIssue.verification_count),
+        dispute_count: parseInt(updatedIssue.dispute_count)
       },
       rep_rewards: {
         verifier: REPUTATION_CHANGES.VERIFICATION_DONE,
         reporter: REPUTATION_CHANGES.ISSUE_VERIFIED
       },
-      blockchain_tx_hash: blockchainTxHash
+      blockchain_tx_hash: blockchainTxHash,
+      pending_transaction: pendingTransaction
     });
 
   } catch (error) {
@@ -201,6 +293,171 @@ async function verifyIssue(req, res) {
   }
 }
 
+/**
+ * Record a "not fixed" verification and reopen the issue once enough citizens dispute it
+ * Runs inside verifyIssue's transaction; commits and sends the response
+ *
+ * Disputes are not recorded on-chain: record_verification counts towards the
+ * on-chain auto-close. Reopening is mirrored on-chain by the platform's
+ * government account, which also resets the on-chain verification count so
+ * both sides need VERIFICATION_THRESHOLD fresh verifications next round.
+ */
+async function disputeIssue(client, req, res, { issue, evidenceUrl, note }) {
+  const userId = req.user.user_id;
+  const id = issue.issue_id;
+  const round = issue.resolution_round;
+
+  // Record dispute
+  const verificationId = uuidv4();
+  await client.query(
+    `INSERT INTO verifications (verification_id, user_id, issue_id, is_fixed, evidence_url, note, round)
+     VALUES ($1, $2, $3, FALSE, $4, $5, $6)`,
+    [verificationId, userId, id, evidenceUrl, note || null, round]
+  );
+
+  // Disputing takes the same legwork as verifying, but the reputation reward
+  // waits until the dispute is upheld (see the reopen below)
+  await client.query(
+    'UPDATE users SET verifications_done = verifications_done + 1 WHERE user_id = $1',
+    [userId]
+  );
+
+  const updatedDisputer = await client.query('SELECT * FROM users WHERE user_id = $1', [userId]);
+  const disputerNewBadges = updateBadges(updatedDisputer.rows[0]);
+  await client.query('UPDATE users SET badges = $1 WHERE user_id = $2', [disputerNewBadges, userId]);
+
+  const repUpdates = [];
+
+  // Check dispute count and auto-reopen if threshold reached
+  const disputeCountResult = await client.query(
+    'SELECT COUNT(*) as count FROM verifications WHERE issue_id = $1 AND round = $2 AND is_fixed = FALSE',
+    [id, round]
+  );
+  const disputeCount = parseInt(disputeCountResult.rows[0].count);
+
+  let message = 'Dispute recorded successfully; disputers are rewarded if the issue is reopened';
+  let autoReopened = false;
+
+  await recordIssueEvent(client, {
+    issue_id: id,
+    actor_user_id: userId,
+    event_type: ISSUE_EVENT_TYPES.DISPUTED,
+    old_value: disputeCount - 1,
+    new_value: disputeCount,
+    metadata: {
+      ...(evidenceUrl ? { evidence_url: evidenceUrl } : {}),
+      ...(note ? { note } : {})
+    }
+  });
+
+  if (disputeCount >= DISPUTE_THRESHOLD) {
+    const reason = `Reopened after ${disputeCount} citizen disputes`;
+    await client.query(
+      `UPDATE issues
+       SET status = 'open', status_reason = $1, resolution_round = resolution_round + 1, resolved_at = NULL, updated_at = NOW()
+       WHERE issue_id = $2`,
+      [reason, id]
+    );
+
+    // Citizens who confirmed a fix that did not hold lose reputation
+    const overturnedResult = await client.query(
+      `UPDATE users u
+       SET rep = GREATEST(0, u.rep + $1)
+       FROM verifications v
+       WHERE v.user_id = u.user_id AND v.issue_id = $2 AND v.round = $3 AND v.is_fixed = TRUE
+       RETURNING u.wallet_address, u.rep`,
+      [REPUTATION_CHANGES.VERIFICATION_OVERTURNED, id, round]
+    );
+    repUpdates.push(...overturnedResult.rows.map(row => ({ wallet_address: row.wallet_address, rep: row.rep })));
+
+    // ...and the reporter loses the reward each of those confirmations gave them
+    if (overturnedResult.rows.length > 0) {
+      const reporterResult = await client.query('SELECT * FROM users WHERE user_id = $1', [issue.reporter_user_id]);
+      const reporter = reporterResult.rows[0];
+      const reporterNewRep = calculateNewReputation(
+        reporter.rep,
+        -REPUTATION_CHANGES.ISSUE_VERIFIED * overturnedResult.rows.length
+      );
+      await client.query(
+        'UPDATE users SET rep = $1, badges = $2 WHERE user_id = $3',
+        [reporterNewRep, updateBadges({ ...reporter, rep: reporterNewRep }), reporter.user_id]
+      );
+      repUpdates.push({ wallet_address: reporter.wallet_address, rep: reporterNewRep });
+    }
+
+    // The dispute is upheld: every citizen who disputed this round gets the verification reward
+    const disputersResult = await client.query(
+      `UPDATE users u
+       SET rep = u.rep + $1
+       FROM verifications v
+       WHERE v.user_id = u.user_id AND v.issue_id = $2 AND v.round = $3 AND v.is_fixed = FALSE
+       RETURNING u.*`,
+      [REPUTATION_CHANGES.VERIFICATION_DONE, id, round]
+    );
+    for (const rewarded of disputersResult.rows) {
+      await client.query('UPDATE users SET badges = $1 WHERE user_id = $2', [updateBadges(rewarded), rewarded.user_id]);
+      repUpdates.push({ wallet_address: rewarded.wallet_address, rep: rewarded.rep });
+    }
+
+    const reopenTxHash = await reopenIssueOnChain(id);
+    await client.query('UPDATE issues SET blockchain_tx_hash = $1 WHERE issue_id = $2', [reopenTxHash, id]);
+
+    await recordIssueEvent(client, {
+      issue_id: id,
+      event_type: ISSUE_EVENT_TYPES.AUTO_REOPENED,
+      old_value: issue.status,
+      new_value: 'open',
+      blockchain_tx_hash: reopenTxHash,
+      metadata: { dispute_count: disputeCount, threshold: DISPUTE_THRESHOLD, reason }
+    });
+
+    // Tell followers and the responsible department that the fix did not hold
+    await notifyIssueFollowers(client, {
+      issue_id: id,
+      type: NOTIFICATION_TYPES.AUTO_REOPENED,
+      message: reason,
+      data: { dispute_count: disputeCount, threshold: DISPUTE_THRESHOLD },
+      department_id: issue.assigned_department_id
+    });
+
+    await enqueueWebhookEvent(client, WEBHOOK_EVENTS.ISSUE_STATUS_CHANGED, {
+      issue_id: id,
+      old_status: issue.status,
+      new_status: 'open',
+      reason,
+      changed_by: null,
+      blockchain_tx_hash: reopenTxHash
+    });
+    await publishIssueUpdates(client, ISSUE_STREAM_EVENTS.STATUS_CHANGED, [id], { old_status: issue.status });
+
+    console.log(`⚠️  Issue ${id} reopened after ${disputeCount} disputes`);
+    message = `Dispute recorded and issue reopened (${DISPUTE_THRESHOLD} disputes reached)`;
+    autoReopened = true;
+  }
+
+  // Update reputations on blockchain
+  for (const update of repUpdates) {
+    await updateReputationOnChain(update.wallet_address, update.rep);
+  }
+
+  await client.query('COMMIT');
+
+  return res.status(200).json({
+    success: true,
+    message,
+    auto_reopened: autoReopened,
+    issue: {
+      issue_id: id,
+      status: autoReopened ? 'open' : issue.status,
+      dispute_count: disputeCount
+    },
+    rep_rewards: {
+      disputer: autoReopened ? REPUTATION_CHANGES.VERIFICATION_DONE : 0
+    },
+    evidence_url: evidenceUrl
+  });
+}
+
 module.exports = {
   verifyIssue
 };
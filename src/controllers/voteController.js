@@ -1,32 +1,76 @@
 const pool = require('../config/database');
 const { v4: uuidv4 } = require('uuid');
 const { updateIssuePriority } = require('../utils/priority');
-const { REPUTATION_CHANGES, calculateNewReputation, updateBadges } = require('../utils/reputation');
-const { recordVoteOnChain, updateReputationOnChain } = require('../services/solanaService');
+const { VOTE_EFFECTS, applyVoteToReporter, reverseVoteOnReporter } = require('../utils/votes');
+const { recordVoteOnChain, retractVoteOnChain, updateReputationOnChain } = require('../services/solanaService');
+const { decryptUserPrivateKey, loadUserPrivateKey } = require('../services/keyManagementService');
+const { ISSUE_EVENT_TYPES, recordIssueEvent } = require('../utils/issueEvents');
+const { NOTIFICATION_TYPES, notifyIssueFollowers } = require('../utils/notifications');
+const { ISSUE_STREAM_EVENTS, publishIssueUpdates } = require('../utils/issueStream');
+const { WALLET_CUSTODY } = require('../utils/walletAuth');
+const { PENDING_TX_ACTIONS, createPendingTransaction, supersedePendingVote } = require('../services/transactionRelayService');
 
 /**
- * POST /issue/:id/upvote
- * Upvote an issue
+ * Get the vote-related fields of an issue after a vote change
+ * @param {Object} client - pg client
+ * @param {string} issueId - Issue UUID
+ * @returns {Promise<Object>} Issue vote summary
  */
-async function upvoteIssue(req, res) {
+async function getVoteSummary(client, issueId) {
+  const result = await client.query(
+    'SELECT issue_id, upvotes, downvotes, priority_score, status FROM issues WHERE issue_id = $1',
+    [issueId]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Hand a self-custody voter an unsigned transaction moving their on-chain vote to voteType
+ * An earlier unsigned vote transaction on the issue is superseded, so the new one
+ * starts from the vote the chain actually holds
+ * @param {Object} client - pg client (inside the caller's transaction)
+ * @param {Object} vote - { voter, issue, reporter, voteType (null to retract), previousVoteType, event }
+ * @returns {Promise<Object|null>} Pending transaction, or null if the chain already holds voteType
+ */
+async function createPendingVote(client, { voter, issue, reporter, voteType, previousVoteType, event }) {
+  const superseded = await supersedePendingVote(client, voter.user_id, issue.issue_id);
+  const chainVoteType = superseded ? superseded.previous_vote_type : previousVoteType;
+
+  if (chainVoteType === voteType) {
+    return null;
+  }
+
+  return createPendingTransaction(client, {
+    user: voter,
+    action: PENDING_TX_ACTIONS.VOTE,
+    params: {
+      issue_id: issue.issue_id,
+      reporter_wallet: reporter.wallet_address,
+      vote_type: voteType,
+      previous_vote_type: chainVoteType
+    },
+    issue_id: issue.issue_id,
+    issue_event_id: event.event_id
+  });
+}
+
+/**
+ * Cast a vote on an issue, or switch an existing vote to the other type
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string} voteType - 'upvote' or 'downvote'
+ */
+async function castVote(req, res, voteType) {
   const client = await pool.connect();
-  
+
   try {
     const { id } = req.params;
-    const userId = req.body.user_id;
-
-    if (!userId) {
-      return res.status(401).json({
-        success: false,
-        error: 'Unauthorized: missing user context'
-      });
-    }
+    const userId = req.user.user_id;
 
     await client.query('BEGIN');
 
     // Check if issue exists
-    const issueQuery = 'SELECT * FROM issues WHERE issue_id = $1';
-    const issueResult = await client.query(issueQuery, [id]);
+    const issueResult = await client.query('SELECT * FROM issues WHERE issue_id = $1 FOR UPDATE', [id]);
 
     if (issueResult.rows.length === 0) {
       await client.query('ROLLBACK');
@@ -45,135 +89,180 @@ async function upvoteIssue(req, res) {
       return res.status(404).json({ success: false, error: 'User not found' });
     }
 
-    // Check if user already voted
-    const existingVoteQuery = 'SELECT * FROM votes WHERE user_id = $1 AND issue_id = $2';
-    const existingVoteResult = await client.query(existingVoteQuery, [userId, id]);
-
-    if (existingVoteResult.rows.length > 0) {
+    // Prevent voting on own issue
+    if (issue.reporter_user_id === userId) {
       await client.query('ROLLBACK');
       return res.status(400).json({
         success: false,
-        error: 'You have already voted on this issue'
+        error: 'You cannot vote on your own issue'
       });
     }
 
-    // Prevent voting on own issue
-    if (issue.reporter_user_id === userId) {
+    // An existing vote of the same type is a no-op; the other type is switched
+    const existingVoteResult = await client.query(
+      'SELECT * FROM votes WHERE user_id = $1 AND issue_id = $2',
+      [userId, id]
+    );
+    const existingVote = existingVoteResult.rows[0];
+
+    if (existingVote && existingVote.vote_type === voteType) {
       await client.query('ROLLBACK');
       return res.status(400).json({
         success: false,
-        error: 'You cannot vote on your own issue'
+        error: `You have already ${voteType}d this issue`
       });
     }
 
-    // Record vote
-    const voteId = uuidv4();
-    await client.query(
-      'INSERT INTO votes (vote_id, user_id, issue_id, vote_type) VALUES ($1, $2, $3, $4)',
-      [voteId, userId, id, 'upvote']
-    );
+    const previousVoteType = existingVote ? existingVote.vote_type : null;
+    const effect = VOTE_EFFECTS[voteType];
 
-    // Update issue upvote count
-    await client.query(
-      'UPDATE issues SET upvotes = upvotes + 1, updated_at = NOW() WHERE issue_id = $1',
-      [id]
-    );
+    // Update reporter reputation, reversing the previous vote first when switching
+    const reporterResult = await client.query('SELECT * FROM users WHERE user_id = $1', [issue.reporter_user_id]);
+    let reporter = reporterResult.rows[0];
+    const previousRep = reporter.rep;
 
-    // Update reporter reputation
-    const reporterQuery = 'SELECT * FROM users WHERE user_id = $1';
-    const reporterResult = await client.query(reporterQuery, [issue.reporter_user_id]);
-    const reporter = reporterResult.rows[0];
+    if (existingVote) {
+      reporter = await reverseVoteOnReporter(client, reporter, existingVote);
+    }
+    const applied = await applyVoteToReporter(client, reporter, voteType);
+    reporter = applied.reporter;
+
+    if (existingVote) {
+      const previousEffect = VOTE_EFFECTS[previousVoteType];
+      await client.query(
+        'UPDATE votes SET vote_type = $1, rep_delta = $2 WHERE vote_id = $3',
+        [voteType, applied.rep_delta, existingVote.vote_id]
+      );
+      await client.query(
+        `UPDATE issues
+         SET ${previousEffect.counter} = GREATEST(${previousEffect.counter} - 1, 0),
+             ${effect.counter} = ${effect.counter} + 1,
+             updated_at = NOW()
+         WHERE issue_id = $1`,
+        [id]
+      );
+    } else {
+      await client.query(
+        'INSERT INTO votes (vote_id, user_id, issue_id, vote_type, rep_delta) VALUES ($1, $2, $3, $4, $5)',
+        [uuidv4(), userId, id, voteType, applied.rep_delta]
+      );
+      await client.query(
+        `UPDATE issues SET ${effect.counter} = ${effect.counter} + 1, updated_at = NOW() WHERE issue_id = $1`,
+        [id]
+      );
+    }
 
-    const newRep = calculateNewReputation(reporter.rep, REPUTATION_CHANGES.UPVOTE_RECEIVED);
-    await client.query(
-      'UPDATE users SET rep = $1, total_upvotes = total_upvotes + 1 WHERE user_id = $2',
-      [newRep, issue.reporter_user_id]
-    );
+    // Record on blockchain: retract the previous vote, then record the new one
+    // (self-custody voters sign that themselves via the returned pending transaction)
+    const selfCustody = voter.wallet_custody === WALLET_CUSTODY.SELF;
+    let retractTxHash = null;
+    let blockchainTxHash = null;
+    if (!selfCustody) {
+      const voterPrivateKey = await decryptUserPrivateKey(voter);
+      retractTxHash = previousVoteType
+        ? await retractVoteOnChain(voter.wallet_address, voterPrivateKey, issue.issue_id, reporter.wallet_address, previousVoteType)
+        : null;
+      blockchainTxHash = await recordVoteOnChain(
+        voter.wallet_address,
+        voterPrivateKey,
+        issue.issue_id,
+        reporter.wallet_address,
+        voteType
+      );
+    }
 
-    // Update badges
-    const updatedReporter = await client.query('SELECT * FROM users WHERE user_id = $1', [issue.reporter_user_id]);
-    const newBadges = updateBadges(updatedReporter.rows[0]);
-    await client.query('UPDATE users SET badges = $1 WHERE user_id = $2', [newBadges, issue.reporter_user_id]);
+    // Update reputation on blockchain
+    await updateReputationOnChain(reporter.wallet_address, reporter.rep);
+
+    const event = await recordIssueEvent(client, {
+      issue_id: id,
+      actor_user_id: userId,
+      event_type: ISSUE_EVENT_TYPES.VOTED,
+      old_value: previousVoteType || issue[effect.counter],
+      new_value: previousVoteType ? voteType : issue[effect.counter] + 1,
+      blockchain_tx_hash: blockchainTxHash,
+      metadata: previousVoteType
+        ? { vote_type: voteType, previous_vote_type: previousVoteType, retract_tx_hash: retractTxHash }
+        : { vote_type: voteType }
+    });
 
-    // Record vote on blockchain
-    const blockchainTxHash = await recordVoteOnChain(
-      voter.wallet_address,
-      voter.private_key,
-      issue.issue_id,
-      reporter.wallet_address,
-      'upvote'
-    );
+    const pendingTransaction = selfCustody
+      ? await createPendingVote(client, { voter, issue, reporter, voteType, previousVoteType, event })
+      : null;
+
+    await notifyIssueFollowers(client, {
+      issue_id: id,
+      actor_user_id: userId,
+      type: NOTIFICATION_TYPES.VOTED,
+      message: previousVoteType
+        ? `A citizen changed their vote to ${voteType}`
+        : `Issue received a new ${voteType}`,
+      data: { vote_type: voteType, previous_vote_type: previousVoteType }
+    });
 
-    // Update reputation on blockchain
-    await updateReputationOnChain(reporter.wallet_address, newRep);
+    await publishIssueUpdates(client, ISSUE_STREAM_EVENTS.VOTES_CHANGED, [id]);
 
     await client.query('COMMIT');
 
     // Recalculate priority score after vote
-    const newPriority = await updateIssuePriority(id);
-
-    // Get updated issue
-    const updatedIssueQuery = `
-      SELECT 
-        i.*,
-        ST_Y(i.location::geometry) as lat,
-        ST_X(i.location::geometry) as lng
-      FROM issues i
-      WHERE i.issue_id = $1
-    `;
-    const updatedIssueResult = await client.query(updatedIssueQuery, [id]);
-    const updatedIssue = updatedIssueResult.rows[0];
+    await updateIssuePriority(id);
+
+    const updatedIssue = await getVoteSummary(client, id);
 
     return res.status(200).json({
       success: true,
-      message: 'Issue upvoted successfully',
-      issue: {
-        issue_id: updatedIssue.issue_id,
-        upvotes: updatedIssue.upvotes,
-        downvotes: updatedIssue.downvotes,
-        priority_score: updatedIssue.priority_score,
-        status: updatedIssue.status
-      },
-      reporter_rep_change: REPUTATION_CHANGES.UPVOTE_RECEIVED,
-      blockchain_tx_hash: blockchainTxHash
+      message: previousVoteType
+        ? `Vote switched from ${previousVoteType} to ${voteType}`
+        : `Issue ${voteType}d successfully`,
+      issue: updatedIssue,
+      previous_vote_type: previousVoteType,
+      reporter_rep_change: reporter.rep - previousRep,
+      blockchain_tx_hash: blockchainTxHash,
+      pending_transaction: pendingTransaction
     });
 
   } catch (error) {
     await client.query('ROLLBACK');
-    console.error('Upvote error:', error);
+    console.error(`${VOTE_EFFECTS[voteType].label} error:`, error);
     return res.status(500).json({
       success: false,
-      error: 'Failed to upvote issue'
+      error: `Failed to ${voteType} issue`
     });
   } finally {
     client.release();
   }
 }
 
+/**
+ * POST /issue/:id/upvote
+ * Upvote an issue (switches an existing downvote)
+ */
+async function upvoteIssue(req, res) {
+  return castVote(req, res, 'upvote');
+}
+
 /**
  * POST /issue/:id/downvote
- * Downvote an issue
+ * Downvote an issue (switches an existing upvote)
  */
 async function downvoteIssue(req, res) {
+  return castVote(req, res, 'downvote');
+}
+
+/**
+ * DELETE /issue/:id/vote
+ * Retract the current user's vote on an issue
+ */
+async function retractVote(req, res) {
   const client = await pool.connect();
-  
+
   try {
     const { id } = req.params;
-    const userId = req.body.user_id;
-    console.log('DEBUG: userId', userId);
-    console.log('DEBUG: req.body', JSON.stringify(req.body));
-    if (!userId) {
-      return res.status(401).json({
-        success: false,
-        error: 'Unauthorized: missing user context'
-      });
-    }
+    const userId = req.user.user_id;
 
     await client.query('BEGIN');
 
-    // Check if issue exists
-    const issueQuery = 'SELECT * FROM issues WHERE issue_id = $1';
-    const issueResult = await client.query(issueQuery, [id]);
+    const issueResult = await client.query('SELECT * FROM issues WHERE issue_id = $1 FOR UPDATE', [id]);
 
     if (issueResult.rows.length === 0) {
       await client.query('ROLLBACK');
@@ -185,112 +274,82 @@ async function downvoteIssue(req, res) {
 
     const issue = issueResult.rows[0];
 
-    const voterResult = await client.query('SELECT * FROM users WHERE user_id = $1', [userId]);
-    const voter = voterResult.rows[0];
-    if (!voter) {
-      await client.query('ROLLBACK');
-      return res.status(404).json({ success: false, error: 'User not found' });
-    }
-
-    // Check if user already voted
-    const existingVoteQuery = 'SELECT * FROM votes WHERE user_id = $1 AND issue_id = $2';
-    const existingVoteResult = await client.query(existingVoteQuery, [userId, id]);
-
-    if (existingVoteResult.rows.length > 0) {
-      await client.query('ROLLBACK');
-      return res.status(400).json({
-        success: false,
-        error: 'You have already voted on this issue'
-      });
-    }
+    const voteResult = await client.query(
+      'DELETE FROM votes WHERE user_id = $1 AND issue_id = $2 RETURNING *',
+      [userId, id]
+    );
 
-    // Prevent voting on own issue
-    if (issue.reporter_user_id === userId) {
+    if (voteResult.rows.length === 0) {
       await client.query('ROLLBACK');
-      return res.status(400).json({
+      return res.status(404).json({
         success: false,
-        error: 'You cannot vote on your own issue'
+        error: 'You have not voted on this issue'
       });
     }
 
-    // Record vote
-    const voteId = uuidv4();
-    await client.query(
-      'INSERT INTO votes (vote_id, user_id, issue_id, vote_type) VALUES ($1, $2, $3, $4)',
-      [voteId, userId, id, 'downvote']
-    );
+    const vote = voteResult.rows[0];
+    const voteType = vote.vote_type;
+    const effect = VOTE_EFFECTS[voteType];
 
-    // Update issue downvote count
     await client.query(
-      'UPDATE issues SET downvotes = downvotes + 1, updated_at = NOW() WHERE issue_id = $1',
+      `UPDATE issues SET ${effect.counter} = GREATEST(${effect.counter} - 1, 0), updated_at = NOW() WHERE issue_id = $1`,
       [id]
     );
 
-    // Update reporter reputation
-    const reporterQuery = 'SELECT * FROM users WHERE user_id = $1';
-    const reporterResult = await client.query(reporterQuery, [issue.reporter_user_id]);
+    const reporterResult = await client.query('SELECT * FROM users WHERE user_id = $1', [issue.reporter_user_id]);
     const reporter = reporterResult.rows[0];
+    const updatedReporter = await reverseVoteOnReporter(client, reporter, vote);
 
-    const newRep = calculateNewReputation(reporter.rep, REPUTATION_CHANGES.DOWNVOTE_RECEIVED);
-    await client.query(
-      'UPDATE users SET rep = $1 WHERE user_id = $2',
-      [newRep, issue.reporter_user_id]
-    );
-
-    // Update badges (in case rep dropped below threshold)
-    const updatedReporter = await client.query('SELECT * FROM users WHERE user_id = $1', [issue.reporter_user_id]);
-    const newBadges = updateBadges(updatedReporter.rows[0]);
-    await client.query('UPDATE users SET badges = $1 WHERE user_id = $2', [newBadges, issue.reporter_user_id]);
-
-    // Record vote on blockchain (downvote)
-    const blockchainTxHash = await recordVoteOnChain(
-      voter.wallet_address,
-      voter.private_key,
+    const selfCustody = req.user.wallet_custody === WALLET_CUSTODY.SELF;
+    const blockchainTxHash = selfCustody ? null : await retractVoteOnChain(
+      req.user.wallet_address,
+      await loadUserPrivateKey(client, userId),
       issue.issue_id,
       reporter.wallet_address,
-      'downvote'
+      voteType
     );
 
-    // Update reputation on blockchain
-    await updateReputationOnChain(reporter.wallet_address, newRep);
+    await updateReputationOnChain(reporter.wallet_address, updatedReporter.rep);
+
+    const event = await recordIssueEvent(client, {
+      issue_id: id,
+      actor_user_id: userId,
+      event_type: ISSUE_EVENT_TYPES.VOTE_RETRACTED,
+      old_value: issue[effect.counter],
+      new_value: Math.max(issue[effect.counter] - 1, 0),
+      blockchain_tx_hash: blockchainTxHash,
+      metadata: { vote_type: voteType }
+    });
+
+    const pendingTransaction = selfCustody
+      ? await createPendingVote(client, { voter: req.user, issue, reporter, voteType: null, previousVoteType: voteType, event })
+      : null;
+
+    await publishIssueUpdates(client, ISSUE_STREAM_EVENTS.VOTES_CHANGED, [id]);
 
     await client.query('COMMIT');
 
-    // Recalculate priority score after vote
-    const newPriority = await updateIssuePriority(id);
-
-    // Get updated issue
-    const updatedIssueQuery = `
-      SELECT 
-        i.*,
-        ST_Y(i.location::geometry) as lat,
-        ST_X(i.location::geometry) as lng
-      FROM issues i
-      WHERE i.issue_id = $1
-    `;
-    const updatedIssueResult = await client.query(updatedIssueQuery, [id]);
-    const updatedIssue = updatedIssueResult.rows[0];
+    // Recalculate priority score after retraction
+    await updateIssuePriority(id);
+
+    const updatedIssue = await getVoteSummary(client, id);
 
     return res.status(200).json({
       success: true,
-      message: 'Issue downvoted successfully',
-      issue: {
-        issue_id: updatedIssue.issue_id,
-        upvotes: updatedIssue.upvotes,
-        downvotes: updatedIssue.downvotes,
-        priority_score: updatedIssue.priority_score,
-        status: updatedIssue.status
-      },
-      reporter_rep_change: REPUTATION_CHANGES.DOWNVOTE_RECEIVED,
-      blockchain_tx_hash: blockchainTxHash
+      message: `${effect.label} retracted`,
+      issue: updatedIssue,
+      retracted_vote_type: voteType,
+      reporter_rep_change: updatedReporter.rep - reporter.rep,
+      blockchain_tx_hash: blockchainTxHash,
+      pending_transaction: pendingTransaction
     });
 
   } catch (error) {
     await client.query('ROLLBACK');
-    console.error('Downvote error:', error);
+    console.error('Retract vote error:', error);
     return res.status(500).json({
       success: false,
-      error: 'Failed to downvote issue'
+      error: 'Failed to retract vote'
     });
   } finally {
     client.release();
@@ -299,5 +358,6 @@ async function downvoteIssue(req, res) {
 
 module.exports = {
   upvoteIssue,
-  downvoteIssue
+  downvoteIssue,
+  retractVote
 };
@@ -0,0 +1,342 @@
+const pool = require('../config/database');
+const { generateWebhookSecret, validateWebhookInput } = require('../utils/webhooks');
+
+const DELIVERY_STATUSES = ['pending', 'processing', 'delivered', 'failed'];
+
+/**
+ * Format a webhook row for responses (the secret is only returned on create/rotate)
+ * @param {Object} row - webhooks row, optionally with delivery stats
+ * @returns {Object} Webhook
+ */
+function formatWebhook(row) {
+  return {
+    webhook_id: row.webhook_id,
+    url: row.url,
+    events: row.events,
+    description: row.description,
+    is_active: row.is_active,
+    created_by: row.created_by,
+    created_at: row.created_at,
+    updated_at: row.updated_at,
+    ...(row.pending_count !== undefined ? {
+      pending_count: parseInt(row.pending_count),
+      failed_count: parseInt(row.failed_count),
+      last_delivered_at: row.last_delivered_at
+    } : {})
+  };
+}
+
+/**
+ * GET /admin/webhooks
+ * List webhook subscriptions with delivery stats
+ */
+async function getWebhooks(req, res) {
+  const client = await pool.connect();
+
+  try {
+    const query = `
+      SELECT
+        w.*,
+        COUNT(d.delivery_id) FILTER (WHERE d.status IN ('pending', 'processing')) as pending_count,
+        COUNT(d.delivery_id) FILTER (WHERE d.status = 'failed') as failed_count,
+        MAX(d.delivered_at) as last_delivered_at
+      FROM webhooks w
+      LEFT JOIN webhook_deliveries d ON d.webhook_id = w.webhook_id
+      GROUP BY w.webhook_id
+      ORDER BY w.created_at DESC
+    `;
+    const result = await client.query(query);
+
+    return res.status(200).json({
+      success: true,
+      webhooks: result.rows.map(formatWebhook)
+    });
+
+  } catch (error) {
+    console.error('Get webhooks error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch webhooks'
+    });
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * POST /admin/webhooks
+ * Register a webhook subscription
+ */
+async function createWebhook(req, res) {
+  const client = await pool.connect();
+
+  try {
+    const input = req.body || {};
+
+    const validationError = validateWebhookInput(input);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
+    }
+
+    const secret = generateWebhookSecret();
+    const result = await client.query(
+      `INSERT INTO webhooks (url, secret, events, description, created_by)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING *`,
+      [input.url, secret, [...new Set(input.events)], input.description || null, req.user.user_id]
+    );
+
+    return res.status(201).json({
+      success: true,
+      message: 'Webhook created. Store the secret now; it is not shown again.',
+      webhook: formatWebhook(result.rows[0]),
+      secret
+    });
+
+  } catch (error) {
+    console.error('Create webhook error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to create webhook'
+    });
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * PATCH /admin/webhooks/:id
+ * Update a webhook's url, events, description or active flag, or rotate its secret
+ */
+async function updateWebhook(req, res) {
+  const client = await pool.connect();
+
+  try {
+    const { id } = req.params;
+    const input = req.body || {};
+
+    const validationError = validateWebhookInput(input, true);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
+    }
+
+    const rotateSecret = input.rotate_secret === true || input.rotate_secret === 'true';
+    const secret = rotateSecret ? generateWebhookSecret() : null;
+
+    const result = await client.query(
+      `UPDATE webhooks SET
+         url = COALESCE($1, url),
+         events = COALESCE($2, events),
+         description = COALESCE($3, description),
+         is_active = COALESCE($4, is_active),
+         secret = COALESCE($5, secret),
+         updated_at = NOW()
+       WHERE webhook_id = $6
+       RETURNING *`,
+      [
+        input.url ?? null,
+        input.events ? [...new Set(input.events)] : null,
+        input.description ?? null,
+        typeof input.is_active === 'boolean' ? input.is_active : null,
+        secret,
+        id
+      ]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Webhook not found'
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Webhook updated',
+      webhook: formatWebhook(result.rows[0]),
+      ...(secret ? { secret } : {})
+    });
+
+  } catch (error) {
+    console.error('Update webhook error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to update webhook'
+    });
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * DELETE /admin/webhooks/:id
+ * Remove a webhook subscription and its delivery log
+ */
+async function deleteWebhook(req, res) {
+  const client = await pool.connect();
+
+  try {
+    const { id } = req.params;
+
+    const result = await client.query('DELETE FROM webhooks WHERE webhook_id = $1', [id]);
+
+    if (result.rowCount === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Webhook not found'
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Webhook deleted'
+    });
+
+  } catch (error) {
+    console.error('Delete webhook error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to delete webhook'
+    });
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * GET /admin/webhooks/:id/deliveries
+ * Delivery log for a webhook, newest first
+ */
+async function getWebhookDeliveries(req, res) {
+  const client = await pool.connect();
+
+  try {
+    const { id } = req.params;
+    const { status, event, page = 1, limit = 50 } = req.query;
+
+    if (status && !DELIVERY_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `status must be one of: ${DELIVERY_STATUSES.join(', ')}`
+      });
+    }
+
+    const webhookResult = await client.query('SELECT webhook_id FROM webhooks WHERE webhook_id = $1', [id]);
+    if (webhookResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Webhook not found'
+      });
+    }
+
+    const pageNum = parseInt(page) || 1;
+    const limitNum = Math.min(parseInt(limit) || 50, 200);
+    const offset = (pageNum - 1) * limitNum;
+
+    const filters = `
+      WHERE webhook_id = $1
+      AND ($2::text IS NULL OR status = $2)
+      AND ($3::text IS NULL OR event_type = $3)
+    `;
+    const filterParams = [id, status || null, event || null];
+
+    const result = await client.query(
+      `SELECT * FROM webhook_deliveries ${filters} ORDER BY created_at DESC LIMIT $4 OFFSET $5`,
+      [...filterParams, limitNum, offset]
+    );
+    const countResult = await client.query(
+      `SELECT COUNT(*) as total FROM webhook_deliveries ${filters}`,
+      filterParams
+    );
+    const totalCount = parseInt(countResult.rows[0].total);
+
+    return res.status(200).json({
+      success: true,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total: totalCount,
+        total_pages: Math.ceil(totalCount / limitNum)
+      },
+      deliveries: result.rows.map(row => ({
+        delivery_id: row.delivery_id,
+        event: row.event_type,
+        status: row.status,
+        attempt_count: row.attempt_count,
+        response_status: row.response_status,
+        last_error: row.last_error,
+        next_attempt_at: row.status === 'pending' ? row.next_attempt_at : null,
+        last_attempt_at: row.last_attempt_at,
+        delivered_at: row.delivered_at,
+        created_at: row.created_at,
+        payload: row.payload
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get webhook deliveries error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch webhook deliveries'
+    });
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * POST /admin/webhooks/:id/deliveries/:delivery_id/redeliver
+ * Queue a delivery to be sent again (e.g. after fixing a receiver)
+ */
+async function redeliverWebhook(req, res) {
+  const client = await pool.connect();
+
+  try {
+    const { id, delivery_id } = req.params;
+
+    const result = await client.query(
+      `UPDATE webhook_deliveries
+       SET status = 'pending', attempt_count = 0, next_attempt_at = NOW(), last_error = NULL
+       WHERE delivery_id = $1 AND webhook_id = $2 AND status != 'processing'
+       RETURNING delivery_id, status, next_attempt_at`,
+      [delivery_id, id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Delivery not found or currently being sent'
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Delivery queued for redelivery',
+      delivery: result.rows[0]
+    });
+
+  } catch (error) {
+    console.error('Redeliver webhook error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to queue redelivery'
+    });
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  getWebhooks,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  getWebhookDeliveries,
+  redeliverWebhook
+};
@@ -1,9 +1,14 @@
 const jwt = require('jsonwebtoken');
 require('dotenv').config();
 const pool = require('../config/database');
+const { withoutKeyMaterial } = require('../services/keyManagementService');
+const { isTokenRevoked } = require('../services/sessionService');
+const { hasPermission } = require('../utils/permissions');
 
 /**
  * Middleware to verify JWT token and attach user info to request
+ * Rejects tokens whose session was revoked (logout) or that were issued
+ * before the user's last "log out all devices"
  */
 const authMiddleware = async (req, res, next) => {
   try {
@@ -43,7 +48,15 @@ const authMiddleware = async (req, res, next) => {
         });
       }
 
-      req.user = userRow;
+      if (await isTokenRevoked(client, decoded, userRow)) {
+        return res.status(401).json({
+          success: false,
+          error: 'Token revoked'
+        });
+      }
+
+      // Custodial key material never travels with the request; signers load it explicitly
+      req.user = withoutKeyMaterial(userRow);
       next();
     } finally {
       client.release();
@@ -69,13 +82,27 @@ const authMiddleware = async (req, res, next) => {
 };
 
 /**
- * Middleware to check if user is government role
+ * Middleware to accept the JWT as ?access_token= for clients that cannot set headers
+ * (e.g. browser EventSource); must run before authMiddleware
+ */
+const allowQueryToken = (req, res, next) => {
+  if (!req.headers.authorization && req.query.access_token) {
+    req.headers.authorization = `Bearer ${req.query.access_token}`;
+  }
+  next();
+};
+
+/**
+ * Middleware factory to require permissions from the role matrix (src/utils/permissions.js)
+ * @param {...string} permissions - Permissions the user's role must all grant
+ * @returns {Function} Express middleware
  */
-const requireGovernment = (req, res, next) => {
-  if (!req.user || req.user.role !== 'government') {
+const requirePermission = (...permissions) => (req, res, next) => {
+  const missing = permissions.find(permission => !hasPermission(req.user, permission));
+  if (missing) {
     return res.status(403).json({
       success: false,
-      error: 'Access denied. Government role required.'
+      error: `Access denied. Missing permission: ${missing}`
     });
   }
   next();
@@ -83,5 +110,6 @@ const requireGovernment = (req, res, next) => {
 
 module.exports = {
   authMiddleware,
-  requireGovernment
+  allowQueryToken,
+  requirePermission
 };
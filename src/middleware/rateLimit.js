@@ -0,0 +1,56 @@
+/**
+ * Create a fixed-window rate limiter keyed by client IP
+ *
+ * Counters are kept in memory, so each API process enforces its own limit.
+ * Sets X-RateLimit-Limit / X-RateLimit-Remaining / X-RateLimit-Reset on every
+ * response and answers 429 with Retry-After once the window's budget is spent.
+ *
+ * @param {Object} options
+ * @param {number} options.max - Requests allowed per window
+ * @param {number} options.windowSeconds - Window length in seconds
+ * @returns {Function} Express middleware
+ */
+const createRateLimiter = ({ max, windowSeconds }) => {
+  const windowMs = windowSeconds * 1000;
+  const hits = new Map();
+
+  // Drop expired windows so idle clients don't accumulate
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of hits) {
+      if (entry.resetAt <= now) hits.delete(key);
+    }
+  }, windowMs);
+  sweep.unref();
+
+  return (req, res, next) => {
+    const now = Date.now();
+    const key = req.ip;
+
+    let entry = hits.get(key);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      hits.set(key, entry);
+    }
+    entry.count += 1;
+
+    const resetSeconds = Math.ceil((entry.resetAt - now) / 1000);
+    res.setHeader('X-RateLimit-Limit', max);
+    res.setHeader('X-RateLimit-Remaining', Math.max(0, max - entry.count));
+    res.setHeader('X-RateLimit-Reset', Math.ceil(entry.resetAt / 1000));
+
+    if (entry.count > max) {
+      res.setHeader('Retry-After', resetSeconds);
+      return res.status(429).json({
+        success: false,
+        error: 'Too many requests, please try again later'
+      });
+    }
+
+    next();
+  };
+};
+
+module.exports = {
+  createRateLimiter
+};
@@ -1,12 +1,83 @@
 const express = require('express');
 const router = express.Router();
 const { getDashboard, getAdminIssues } = require('../controllers/adminController');
-const { authMiddleware, requireGovernment } = require('../middleware/auth');
+const { exportIssues } = require('../controllers/exportController');
+const { getDepartments, assignIssue } = require('../controllers/departmentController');
+const { getPriorityConfig, updatePriorityConfig, dryRunPriorityConfig } = require('../controllers/priorityConfigController');
+const {
+  getWebhooks,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  getWebhookDeliveries,
+  redeliverWebhook
+} = require('../controllers/webhookController');
+const { getServiceArea, replaceServiceArea, deleteServiceArea } = require('../controllers/serviceAreaController');
+const { getRoles, grantRole, revokeRole, getRoleAudit } = require('../controllers/roleController');
+const { authMiddleware, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../utils/permissions');
 
 // GET /admin/dashboard - Get dashboard statistics
-router.get('/dashboard', authMiddleware, requireGovernment, getDashboard);
+router.get('/dashboard', authMiddleware, requirePermission(PERMISSIONS.DASHBOARD_VIEW), getDashboard);
 
 // GET /admin/issues - Get all issues with advanced filters
-router.get('/issues', authMiddleware, requireGovernment, getAdminIssues);
+router.get('/issues', authMiddleware, requirePermission(PERMISSIONS.ISSUE_VIEW_ADMIN), getAdminIssues);
+
+// GET /admin/issues/export - Download filtered issues as GeoJSON, CSV or KML
+router.get('/issues/export', authMiddleware, requirePermission(PERMISSIONS.ISSUE_EXPORT), exportIssues);
+
+// GET /admin/departments - List departments and the categories they handle
+router.get('/departments', authMiddleware, requirePermission(PERMISSIONS.DEPARTMENT_VIEW), getDepartments);
+
+// POST /admin/issues/:id/assign - Assign an issue to a department or official
+router.post('/issues/:id/assign', authMiddleware, requirePermission(PERMISSIONS.ISSUE_ASSIGN), assignIssue);
+
+// GET /admin/priority-config - Get active priority formula and recent versions
+router.get('/priority-config', authMiddleware, requirePermission(PERMISSIONS.PRIORITY_CONFIG_MANAGE), getPriorityConfig);
+
+// PUT /admin/priority-config - Save a new priority formula version
+router.put('/priority-config', authMiddleware, requirePermission(PERMISSIONS.PRIORITY_CONFIG_MANAGE), updatePriorityConfig);
+
+// POST /admin/priority-config/dry-run - Preview ranking changes under proposed weights
+router.post('/priority-config/dry-run', authMiddleware, requirePermission(PERMISSIONS.PRIORITY_CONFIG_MANAGE), dryRunPriorityConfig);
+
+// GET /admin/webhooks - List webhook subscriptions
+router.get('/webhooks', authMiddleware, requirePermission(PERMISSIONS.WEBHOOK_MANAGE), getWebhooks);
+
+// POST /admin/webhooks - Register a webhook subscription
+router.post('/webhooks', authMiddleware, requirePermission(PERMISSIONS.WEBHOOK_MANAGE), createWebhook);
+
+// PATCH /admin/webhooks/:id - Update, disable or rotate the secret of a webhook
+router.patch('/webhooks/:id', authMiddleware, requirePermission(PERMISSIONS.WEBHOOK_MANAGE), updateWebhook);
+
+// DELETE /admin/webhooks/:id - Remove a webhook subscription
+router.delete('/webhooks/:id', authMiddleware, requirePermission(PERMISSIONS.WEBHOOK_MANAGE), deleteWebhook);
+
+// GET /admin/webhooks/:id/deliveries - Webhook delivery log
+router.get('/webhooks/:id/deliveries', authMiddleware, requirePermission(PERMISSIONS.WEBHOOK_MANAGE), getWebhookDeliveries);
+
+// POST /admin/webhooks/:id/deliveries/:delivery_id/redeliver - Retry a delivery
+router.post('/webhooks/:id/deliveries/:delivery_id/redeliver', authMiddleware, requirePermission(PERMISSIONS.WEBHOOK_MANAGE), redeliverWebhook);
+
+// GET /admin/service-area - Get the service area reports must fall inside
+router.get('/service-area', authMiddleware, requirePermission(PERMISSIONS.SERVICE_AREA_MANAGE), getServiceArea);
+
+// PUT /admin/service-area - Replace the service area with uploaded GeoJSON polygons
+router.put('/service-area', authMiddleware, requirePermission(PERMISSIONS.SERVICE_AREA_MANAGE), replaceServiceArea);
+
+// DELETE /admin/service-area - Remove the service area (no geofence)
+router.delete('/service-area', authMiddleware, requirePermission(PERMISSIONS.SERVICE_AREA_MANAGE), deleteServiceArea);
+
+// GET /admin/roles - Role and permission matrix
+router.get('/roles', authMiddleware, requirePermission(PERMISSIONS.ROLE_MANAGE), getRoles);
+
+// POST /admin/users/:user_id/role - Grant a role to a user
+router.post('/users/:user_id/role', authMiddleware, requirePermission(PERMISSIONS.ROLE_MANAGE), grantRole);
+
+// DELETE /admin/users/:user_id/role - Revoke a user's role (back to citizen)
+router.delete('/users/:user_id/role', authMiddleware, requirePermission(PERMISSIONS.ROLE_MANAGE), revokeRole);
+
+// GET /admin/role-audit - Role grant/revoke history
+router.get('/role-audit', authMiddleware, requirePermission(PERMISSIONS.ROLE_MANAGE), getRoleAudit);
 
 module.exports = router;
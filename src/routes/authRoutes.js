@@ -1,8 +1,42 @@
 const express = require('express');
 const router = express.Router();
-const { login } = require('../controllers/authController');
+const {
+  login,
+  requestWalletNonce,
+  walletLogin,
+  linkWallet,
+  refreshSession,
+  logout,
+  logoutAll
+} = require('../controllers/authController');
+const { authMiddleware } = require('../middleware/auth');
+const { createRateLimiter } = require('../middleware/rateLimit');
+
+// Wallet challenges are unauthenticated, so they are limited per IP
+const walletRateLimit = createRateLimiter({
+  max: parseInt(process.env.WALLET_AUTH_RATE_LIMIT) || 20,
+  windowSeconds: parseInt(process.env.WALLET_AUTH_RATE_WINDOW_SECONDS) || 60
+});
 
 // POST /auth/login - Google OAuth login
 router.post('/login', login);
 
+// POST /auth/wallet-nonce - Get a sign-in challenge for a Solana wallet
+router.post('/wallet-nonce', walletRateLimit, requestWalletNonce);
+
+// POST /auth/wallet-login - Sign in with a wallet signature over the nonce
+router.post('/wallet-login', walletRateLimit, walletLogin);
+
+// POST /auth/wallet-link - Link a self-custody wallet to the current account
+router.post('/wallet-link', authMiddleware, linkWallet);
+
+// POST /auth/refresh - Rotate a refresh token for a new access token
+router.post('/refresh', refreshSession);
+
+// POST /auth/logout - End the session of a refresh token
+router.post('/logout', logout);
+
+// POST /auth/logout-all - Revoke every session and token of the current user
+router.post('/logout-all', authMiddleware, logoutAll);
+
 module.exports = router;
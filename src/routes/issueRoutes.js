@@ -2,11 +2,16 @@ const express = require('express');
 const router = express.Router();
 const multer = require('multer');
 const path = require('path');
-const { classifyIssue, reportIssue, getIssues, getIssueById } = require('../controllers/issueController');
-const { upvoteIssue, downvoteIssue } = require('../controllers/voteController');
+const { classifyIssue, reportIssue, getIssues, getIssueById, linkDuplicateReport, getIssueHistory } = require('../controllers/issueController');
+const { upvoteIssue, downvoteIssue, retractVote } = require('../controllers/voteController');
 const { verifyIssue } = require('../controllers/verificationController');
-const { updateIssueStatus } = require('../controllers/adminController');
-const { authMiddleware, requireGovernment } = require('../middleware/auth');
+const { updateIssueStatus, mergeIssues } = require('../controllers/adminController');
+const { getComments, addComment, updateComment, deleteComment } = require('../controllers/commentController');
+const { followIssue, unfollowIssue } = require('../controllers/notificationController');
+const { streamIssues } = require('../controllers/streamController');
+const { getIssueMap } = require('../controllers/mapController');
+const { authMiddleware, allowQueryToken, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../utils/permissions');
 
 // Configure multer for file uploads
 const storage = multer.diskStorage({
@@ -43,19 +48,55 @@ router.post('/report', authMiddleware, reportIssue);
 // GET /issues - Fetch issues with filters
 router.get('/', authMiddleware, getIssues);
 
+// GET /issues/stream - Live issue updates (Server-Sent Events); must come before /:id
+router.get('/stream', allowQueryToken, authMiddleware, streamIssues);
+
+// GET /issues/map - Viewport issues or clusters for the map (bbox, zoom); must come before /:id
+router.get('/map', authMiddleware, getIssueMap);
+
 // GET /issue/:id - Get single issue details
 router.get('/:id', authMiddleware, getIssueById);
 
+// GET /issue/:id/history - Get issue lifecycle history
+router.get('/:id/history', authMiddleware, getIssueHistory);
+
 // POST /issue/:id/upvote - Upvote an issue
 router.post('/:id/upvote', authMiddleware, upvoteIssue);
 
 // POST /issue/:id/downvote - Downvote an issue
 router.post('/:id/downvote', authMiddleware, downvoteIssue);
 
-// POST /issue/:id/verify - Verify a resolved issue
-router.post('/:id/verify', authMiddleware, verifyIssue);
+// DELETE /issue/:id/vote - Retract own upvote or downvote
+router.delete('/:id/vote', authMiddleware, retractVote);
+
+// POST /issue/:id/verify - Verify a resolved issue, or dispute it with optional photo evidence
+router.post('/:id/verify', authMiddleware, upload.single('evidence_image'), verifyIssue);
+
+// POST /issue/:id/update-status - Update issue status (officials; department roles for their department's issues)
+router.post('/:id/update-status', authMiddleware, requirePermission(PERMISSIONS.ISSUE_UPDATE_STATUS), upload.single('proof_image'), updateIssueStatus);
+
+// POST /issue/:id/link-report - Link own report to an existing issue instead of creating a duplicate
+router.post('/:id/link-report', authMiddleware, linkDuplicateReport);
+
+// POST /issue/:id/merge - Merge duplicate issues into this issue (city-wide officials)
+router.post('/:id/merge', authMiddleware, requirePermission(PERMISSIONS.ISSUE_MERGE), mergeIssues);
+
+// GET /issue/:id/comments - Get threaded comments
+router.get('/:id/comments', authMiddleware, getComments);
+
+// POST /issue/:id/comments - Add a comment or reply
+router.post('/:id/comments', authMiddleware, addComment);
+
+// PATCH /issue/:id/comments/:comment_id - Edit own comment
+router.patch('/:id/comments/:comment_id', authMiddleware, updateComment);
+
+// DELETE /issue/:id/comments/:comment_id - Delete own comment (moderators can delete any)
+router.delete('/:id/comments/:comment_id', authMiddleware, deleteComment);
+
+// POST /issue/:id/follow - Follow an issue for notifications
+router.post('/:id/follow', authMiddleware, followIssue);
 
-// POST /issue/:id/update-status - Update issue status (government only)
-router.post('/:id/update-status', authMiddleware, requireGovernment, upload.single('proof_image'), updateIssueStatus);
+// DELETE /issue/:id/follow - Unfollow an issue
+router.delete('/:id/follow', authMiddleware, unfollowIssue);
 
 module.exports = router;
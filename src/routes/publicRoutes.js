@@ -0,0 +1,32 @@
+const express = require('express');
+const router = express.Router();
+const { getPublicIssues, getPublicIssue, getPublicStats } = require('../controllers/publicController');
+const { createRateLimiter } = require('../middleware/rateLimit');
+
+// Unauthenticated clients are limited per IP
+router.use(createRateLimiter({
+  max: parseInt(process.env.PUBLIC_API_RATE_LIMIT) || 60,
+  windowSeconds: parseInt(process.env.PUBLIC_API_RATE_WINDOW_SECONDS) || 60
+}));
+
+/**
+ * Let browsers and CDNs cache public responses for a while
+ * (Express adds an ETag, so revalidation is cheap)
+ */
+const cacheFor = (seconds) => (req, res, next) => {
+  res.setHeader('Cache-Control', `public, max-age=${seconds}, stale-while-revalidate=${seconds}`);
+  next();
+};
+
+const CACHE_SECONDS = parseInt(process.env.PUBLIC_API_CACHE_SECONDS) || 60;
+
+// GET /public/v1/issues - Anonymised issue listing
+router.get('/issues', cacheFor(CACHE_SECONDS), getPublicIssues);
+
+// GET /public/v1/issues/:id - Anonymised issue with its on-chain transactions
+router.get('/issues/:id', cacheFor(CACHE_SECONDS), getPublicIssue);
+
+// GET /public/v1/stats - Issue counts per region and category
+router.get('/stats', cacheFor(CACHE_SECONDS * 5), getPublicStats);
+
+module.exports = router;
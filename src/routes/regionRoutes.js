@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const { getRegions, getRegionStats } = require('../controllers/regionController');
+const { authMiddleware } = require('../middleware/auth');
+
+// GET /regions - List administrative regions with issue counts
+router.get('/', authMiddleware, getRegions);
+
+// GET /regions/:id/stats - Issue statistics for a region
+router.get('/:id/stats', authMiddleware, getRegionStats);
+
+module.exports = router;
@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router();
+const { getTransactions, getTransaction, submitTransaction } = require('../controllers/transactionController');
+const { authMiddleware } = require('../middleware/auth');
+
+// GET /transactions - List the current user's client-signed transactions
+router.get('/', authMiddleware, getTransactions);
+
+// GET /transactions/:id - Get a transaction (pending ones are rebuilt for signing)
+router.get('/:id', authMiddleware, getTransaction);
+
+// POST /transactions/:id/submit - Relay a transaction signed by the user's wallet
+router.post('/:id/submit', authMiddleware, submitTransaction);
+
+module.exports = router;
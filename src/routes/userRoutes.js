@@ -1,11 +1,24 @@
 const express = require('express');
 const router = express.Router();
-const { getCurrentUser, getUserById } = require('../controllers/userController');
+const { getCurrentUser, getUserById, updatePrivacySettings } = require('../controllers/userController');
+const { getNotifications, markNotificationRead, markAllNotificationsRead } = require('../controllers/notificationController');
 const { authMiddleware } = require('../middleware/auth');
 
 // GET /user/me - Get current user profile
 router.get('/me', authMiddleware, getCurrentUser);
 
+// PATCH /user/me/privacy - Update privacy settings (public wallet disclosure)
+router.patch('/me/privacy', authMiddleware, updatePrivacySettings);
+
+// GET /user/me/notifications - Get notification inbox with unread count
+router.get('/me/notifications', authMiddleware, getNotifications);
+
+// POST /user/me/notifications/read-all - Mark all notifications as read
+router.post('/me/notifications/read-all', authMiddleware, markAllNotificationsRead);
+
+// POST /user/me/notifications/:notification_id/read - Mark a notification as read
+router.post('/me/notifications/:notification_id/read', authMiddleware, markNotificationRead);
+
 // GET /user/:user_id - Get user profile by ID
 router.get('/:user_id', authMiddleware, getUserById);
 
@@ -1,98 +1,29 @@
 require("./instrument");
 
-const express = require('express');
-const cors = require('cors');
-const path = require('path');
-const multer = require('multer');
-const Sentry = require('@sentry/node');
 require('dotenv').config();
 
-// Create Express app first
-const app = express();
-
-Sentry.setupExpressErrorHandler(app);
-
-// Import routes
-const authRoutes = require('./routes/authRoutes');
-const userRoutes = require('./routes/userRoutes');
-const issueRoutes = require('./routes/issueRoutes');
-const adminRoutes = require('./routes/adminRoutes');
+const app = require('./app');
 
 // Import database pool to verify connection
 const pool = require('./config/database');
+const { startScheduler, stopScheduler } = require('./services/schedulerService');
+const { stopIssueStream } = require('./services/issueStreamService');
 
 const PORT = process.env.PORT || 3000;
 
-// Middleware
-app.use(cors({
-  origin: process.env.FRONTEND_URL || '*',
-  credentials: true
-}));
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
-
-// Serve static files from uploads directory
-app.use('/uploads', express.static(path.join(__dirname, '../uploads')));
-
-// Health check endpoint
-app.get('/health', (req, res) => {
-  res.status(200).json({
-    success: true,
-    message: 'CivicChain Backend API is running',
-    timestamp: new Date().toISOString()
-  });
-});
-
-// API Routes
-app.use('/auth', authRoutes);
-app.use('/user', userRoutes);
-app.use('/issue', issueRoutes);
-app.use('/issues', issueRoutes); // Alternative plural route
-app.use('/admin', adminRoutes);
-
-// 404 handler
-app.use((req, res) => {
-  res.status(404).json({
-    success: false,
-    error: 'Endpoint not found'
-  });
-});
-
-
-// Custom error handler
-app.use((err, req, res, next) => {
-  console.error('Error:', err);
-  
-  // Multer errors
-  if (err instanceof multer.MulterError) {
-    if (err.code === 'LIMIT_FILE_SIZE') {
-      return res.status(400).json({
-        success: false,
-        error: 'File too large'
-      });
-    }
-    return res.status(400).json({
-      success: false,
-      error: err.message
-    });
-  }
-  
-  res.status(500).json({
-    success: false,
-    error: err.message || 'Internal server error'
-  });
-});
-
 // Start server
 app.listen(PORT, '0.0.0.0', () => {
   console.log(`🚀 CivicChain Backend API running on port ${PORT}`);
   console.log(`📝 Environment: ${process.env.NODE_ENV || 'development'}`);
   console.log(`🌐 CORS enabled for: ${process.env.FRONTEND_URL || '*'}`);
+  startScheduler();
 });
 
 // Graceful shutdown
 process.on('SIGTERM', async () => {
   console.log('SIGTERM signal received: closing HTTP server');
+  stopScheduler();
+  stopIssueStream();
   await pool.end();
   process.exit(0);
 });
@@ -0,0 +1,120 @@
+const { Client } = require('pg');
+const { EventEmitter } = require('events');
+const { ISSUE_STREAM_CHANNEL } = require('../utils/issueStream');
+require('dotenv').config();
+
+const RECONNECT_DELAY_MS = 5000;
+
+// Fans out notifications from a single LISTEN connection to all stream subscribers
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+let listener = null;
+let connecting = null;
+let reconnectTimer = null;
+
+/**
+ * Open the dedicated LISTEN connection if it is not already open
+ * @returns {Promise<void>}
+ */
+function ensureListening() {
+  if (listener) return Promise.resolve();
+  if (connecting) return connecting;
+
+  const client = new Client({ connectionString: process.env.DATABASE_URL });
+
+  client.on('notification', (message) => {
+    try {
+      emitter.emit('update', JSON.parse(message.payload));
+    } catch (error) {
+      console.error('Invalid issue stream payload:', error.message);
+    }
+  });
+
+  client.on('error', (error) => {
+    console.error('❌ Issue stream listener error:', error.message);
+    dropListener(client);
+    scheduleReconnect();
+  });
+
+  connecting = client.connect()
+    .then(() => client.query(`LISTEN ${ISSUE_STREAM_CHANNEL}`))
+    .then(() => {
+      listener = client;
+      // Everyone may have disconnected while we were connecting
+      if (emitter.listenerCount('update') === 0) {
+        dropListener(client);
+        return;
+      }
+      console.log('📡 Listening for live issue updates');
+    })
+    .catch((error) => {
+      console.error('❌ Failed to start issue stream listener:', error.message);
+      dropListener(client);
+      scheduleReconnect();
+    })
+    .finally(() => {
+      connecting = null;
+    });
+
+  return connecting;
+}
+
+/**
+ * Close a listener connection, ignoring errors
+ */
+function dropListener(client) {
+  if (listener === client) listener = null;
+  client.end().catch(() => {});
+}
+
+/**
+ * Reconnect after a delay while anyone is still subscribed
+ */
+function scheduleReconnect() {
+  if (reconnectTimer || emitter.listenerCount('update') === 0) return;
+
+  reconnectTimer = setTimeout(() => {
+    reconnectTimer = null;
+    if (emitter.listenerCount('update') > 0) {
+      ensureListening();
+    }
+  }, RECONNECT_DELAY_MS);
+  reconnectTimer.unref();
+}
+
+/**
+ * Subscribe to live issue updates
+ * The LISTEN connection is opened for the first subscriber and closed after the last
+ * @param {Function} handler - Called with each published update
+ * @returns {Function} Unsubscribe function
+ */
+function subscribeToIssueUpdates(handler) {
+  emitter.on('update', handler);
+  ensureListening();
+
+  return () => {
+    emitter.off('update', handler);
+    if (emitter.listenerCount('update') === 0) {
+      stopIssueStream();
+    }
+  };
+}
+
+/**
+ * Close the LISTEN connection (e.g. on shutdown)
+ */
+function stopIssueStream() {
+  if (reconnectTimer) {
+    clearTimeout(reconnectTimer);
+    reconnectTimer = null;
+  }
+  if (listener) {
+    dropListener(listener);
+  }
+}
+
+module.exports = {
+  subscribeToIssueUpdates,
+  stopIssueStream
+};
@@ -0,0 +1,363 @@
+const crypto = require('crypto');
+const fs = require('fs');
+require('dotenv').config();
+const pool = require('../config/database');
+
+/**
+ * Custodial wallet key storage
+ *
+ * Each user's Solana secret key is envelope-encrypted: the key is sealed with
+ * a fresh AES-256-GCM data key, and that data key is wrapped by a key
+ * encryption key (KEK) held by a key provider. Only the wrapped data key
+ * depends on the KEK, so rotating the KEK re-wraps data keys without touching
+ * the encrypted secrets.
+ *
+ * Providers (KEY_PROVIDER):
+ * - env:  KEY_ENCRYPTION_KEY (base64, 32 bytes) with id KEY_ENCRYPTION_KEY_ID;
+ *         KEY_ENCRYPTION_PREVIOUS_KEYS="id:base64,..." keeps old KEKs readable during rotation
+ * - file: KEY_ENCRYPTION_KEY_FILE, JSON { "active": "id", "keys": { "id": "base64", ... } }
+ * Other providers (e.g. a cloud KMS) can be added with registerKeyProvider.
+ */
+
+const ENVELOPE_VERSION = 1;
+const CIPHER = 'aes-256-gcm';
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+
+/**
+ * users columns that hold key material; never copied into req.user or responses
+ */
+const USER_KEY_COLUMNS = ['private_key', 'private_key_encrypted', 'private_key_kek_id'];
+
+/**
+ * AES-256-GCM seal; output is iv | tag | ciphertext
+ */
+function seal(key, plaintext, aad) {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(CIPHER, key, iv);
+  if (aad) cipher.setAAD(Buffer.from(aad, 'utf8'));
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]);
+}
+
+/**
+ * Open a buffer produced by seal
+ */
+function open(key, sealed, aad) {
+  const iv = sealed.subarray(0, IV_BYTES);
+  const tag = sealed.subarray(IV_BYTES, IV_BYTES + TAG_BYTES);
+  const decipher = crypto.createDecipheriv(CIPHER, key, iv);
+  if (aad) decipher.setAAD(Buffer.from(aad, 'utf8'));
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(sealed.subarray(IV_BYTES + TAG_BYTES)), decipher.final()]);
+}
+
+/**
+ * Decode a base64 KEK and check its length
+ */
+function decodeKek(id, encoded) {
+  const key = Buffer.from(String(encoded || '').trim(), 'base64');
+  if (key.length !== 32) {
+    throw new Error(`Key encryption key "${id}" must be 32 bytes, base64-encoded`);
+  }
+  return key;
+}
+
+/**
+ * Provider backed by a local keyring ({ id: Buffer })
+ * Wrapping happens in-process, so unwrapKey/wrapKey stay synchronous under the async interface
+ */
+function createKeyringProvider(name, activeKeyId, keyring) {
+  if (!keyring[activeKeyId]) {
+    throw new Error(`Active key encryption key "${activeKeyId}" is not in the ${name} keyring`);
+  }
+
+  return {
+    name,
+    activeKeyId,
+    async wrapKey(dataKey) {
+      return { kekId: activeKeyId, wrappedKey: seal(keyring[activeKeyId], dataKey, activeKeyId) };
+    },
+    async unwrapKey(kekId, wrappedKey) {
+      if (!keyring[kekId]) {
+        throw new Error(`Key encryption key "${kekId}" is not available`);
+      }
+      return open(keyring[kekId], wrappedKey, kekId);
+    }
+  };
+}
+
+const KEY_PROVIDERS = {
+  env: () => {
+    if (!process.env.KEY_ENCRYPTION_KEY) {
+      throw new Error('KEY_ENCRYPTION_KEY missing from .env');
+    }
+    const activeKeyId = process.env.KEY_ENCRYPTION_KEY_ID || 'env-1';
+    const keyring = { [activeKeyId]: decodeKek(activeKeyId, process.env.KEY_ENCRYPTION_KEY) };
+
+    for (const entry of (process.env.KEY_ENCRYPTION_PREVIOUS_KEYS || '').split(',').filter(Boolean)) {
+      const separator = entry.indexOf(':');
+      const id = entry.slice(0, separator).trim();
+      if (separator < 1 || keyring[id]) {
+        throw new Error('KEY_ENCRYPTION_PREVIOUS_KEYS must be "id:base64" pairs with unique ids');
+      }
+      keyring[id] = decodeKek(id, entry.slice(separator + 1));
+    }
+
+    return createKeyringProvider('env', activeKeyId, keyring);
+  },
+  file: () => {
+    const file = process.env.KEY_ENCRYPTION_KEY_FILE;
+    if (!file) {
+      throw new Error('KEY_ENCRYPTION_KEY_FILE missing from .env');
+    }
+    const { active, keys } = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!active || !keys || typeof keys !== 'object') {
+      throw new Error(`${file} must contain { "active": "id", "keys": { "id": "base64" } }`);
+    }
+    const keyring = Object.fromEntries(Object.entries(keys).map(([id, encoded]) => [id, decodeKek(id, encoded)]));
+
+    return createKeyringProvider('file', active, keyring);
+  }
+};
+
+let provider = null;
+
+/**
+ * Register a key provider factory (e.g. a cloud KMS client)
+ * The factory returns { name, activeKeyId, wrapKey(dataKey), unwrapKey(kekId, wrappedKey) }
+ * @param {string} name - Value of KEY_PROVIDER selecting this provider
+ * @param {Function} factory - Creates the provider
+ */
+function registerKeyProvider(name, factory) {
+  KEY_PROVIDERS[name] = factory;
+}
+
+/**
+ * Get the configured key provider (created on first use)
+ * @returns {Object} Key provider
+ */
+function getKeyProvider() {
+  if (!provider) {
+    const name = process.env.KEY_PROVIDER || 'env';
+    if (!Object.hasOwn(KEY_PROVIDERS, name)) {
+      throw new Error(`Unknown KEY_PROVIDER "${name}"`);
+    }
+    provider = KEY_PROVIDERS[name]();
+  }
+  return provider;
+}
+
+/**
+ * Drop the cached provider so configuration changes are picked up
+ */
+function resetKeyProvider() {
+  provider = null;
+}
+
+/**
+ * Encrypt a user's secret key
+ * @param {string} privateKeyBase58 - Solana secret key (base58)
+ * @param {string} walletAddress - Owning wallet; bound to the ciphertext so it can't be moved to another user
+ * @returns {Promise<Object>} Envelope to store in users.private_key_encrypted
+ */
+async function encryptPrivateKey(privateKeyBase58, walletAddress) {
+  const keyProvider = getKeyProvider();
+  const dataKey = crypto.randomBytes(32);
+
+  try {
+    const { kekId, wrappedKey } = await keyProvider.wrapKey(dataKey);
+    return {
+      v: ENVELOPE_VERSION,
+      alg: 'AES-256-GCM',
+      kek_id: kekId,
+      wrapped_key: wrappedKey.toString('base64'),
+      ciphertext: seal(dataKey, Buffer.from(privateKeyBase58, 'utf8'), walletAddress).toString('base64')
+    };
+  } finally {
+    dataKey.fill(0);
+  }
+}
+
+/**
+ * Decrypt an envelope produced by encryptPrivateKey
+ * @param {Object} envelope - users.private_key_encrypted
+ * @param {string} walletAddress - Wallet the key belongs to
+ * @returns {Promise<string>} Solana secret key (base58)
+ */
+async function decryptPrivateKey(envelope, walletAddress) {
+  if (!envelope || envelope.v !== ENVELOPE_VERSION) {
+    throw new Error('Unsupported private key envelope');
+  }
+
+  const dataKey = await getKeyProvider().unwrapKey(envelope.kek_id, Buffer.from(envelope.wrapped_key, 'base64'));
+  try {
+    return open(dataKey, Buffer.from(envelope.ciphertext, 'base64'), walletAddress).toString('utf8');
+  } finally {
+    dataKey.fill(0);
+  }
+}
+
+/**
+ * Re-wrap an envelope's data key under the active KEK (the secret itself is not re-encrypted)
+ * @param {Object} envelope - users.private_key_encrypted
+ * @returns {Promise<Object>} Envelope under the active KEK
+ */
+async function rewrapPrivateKey(envelope) {
+  const keyProvider = getKeyProvider();
+  if (envelope.kek_id === keyProvider.activeKeyId) return envelope;
+
+  const dataKey = await keyProvider.unwrapKey(envelope.kek_id, Buffer.from(envelope.wrapped_key, 'base64'));
+  try {
+    const { kekId, wrappedKey } = await keyProvider.wrapKey(dataKey);
+    return { ...envelope, kek_id: kekId, wrapped_key: wrappedKey.toString('base64') };
+  } finally {
+    dataKey.fill(0);
+  }
+}
+
+/**
+ * Decrypt the secret key of a users row
+ * Rows not yet migrated by scripts/encrypt-user-keys.js still carry the legacy plaintext key
+ * @param {Object} user - users row (wallet_address, private_key_encrypted, private_key)
+ * @returns {Promise<string>} Solana secret key (base58)
+ */
+async function decryptUserPrivateKey(user) {
+  if (user.private_key_encrypted) {
+    return decryptPrivateKey(user.private_key_encrypted, user.wallet_address);
+  }
+  if (user.private_key) {
+    return user.private_key;
+  }
+  throw new Error(`No custodial key stored for wallet ${user.wallet_address}`);
+}
+
+/**
+ * Load and decrypt a user's secret key
+ * @param {Object} client - pg client or pool
+ * @param {string} userId - User ID
+ * @returns {Promise<string>} Solana secret key (base58)
+ */
+async function loadUserPrivateKey(client, userId) {
+  const result = await client.query(
+    'SELECT wallet_address, private_key, private_key_encrypted FROM users WHERE user_id = $1',
+    [userId]
+  );
+  if (result.rows.length === 0) {
+    throw new Error(`User ${userId} not found`);
+  }
+  return decryptUserPrivateKey(result.rows[0]);
+}
+
+/**
+ * Column values for storing a new secret key
+ * @param {string} privateKeyBase58 - Solana secret key (base58)
+ * @param {string} walletAddress - Owning wallet
+ * @returns {Promise<{private_key_encrypted: string, private_key_kek_id: string}>} Values for INSERT/UPDATE
+ */
+async function buildUserKeyColumns(privateKeyBase58, walletAddress) {
+  const envelope = await encryptPrivateKey(privateKeyBase58, walletAddress);
+  return {
+    private_key_encrypted: JSON.stringify(envelope),
+    private_key_kek_id: envelope.kek_id
+  };
+}
+
+/**
+ * Copy of a users row without key material
+ * @param {Object} user - users row
+ * @returns {Object} Row safe to attach to requests
+ */
+function withoutKeyMaterial(user) {
+  const safeUser = { ...user };
+  for (const column of USER_KEY_COLUMNS) {
+    delete safeUser[column];
+  }
+  return safeUser;
+}
+
+/**
+ * Encrypt legacy plaintext keys and clear users.private_key
+ * Each key is decrypted again and compared before the plaintext is dropped
+ * @param {Object} options - { batchSize }
+ * @returns {Promise<{encrypted: number}>} Number of users migrated
+ */
+async function encryptLegacyUserKeys({ batchSize = 100 } = {}) {
+  let encrypted = 0;
+
+  for (;;) {
+    const result = await pool.query(
+      `SELECT user_id, wallet_address, private_key FROM users
+       WHERE private_key IS NOT NULL
+       ORDER BY user_id
+       LIMIT $1`,
+      [batchSize]
+    );
+    if (result.rows.length === 0) break;
+
+    for (const user of result.rows) {
+      const envelope = await encryptPrivateKey(user.private_key, user.wallet_address);
+      if (await decryptPrivateKey(envelope, user.wallet_address) !== user.private_key) {
+        throw new Error(`Round-trip check failed for user ${user.user_id}`);
+      }
+
+      await pool.query(
+        `UPDATE users SET private_key_encrypted = $1, private_key_kek_id = $2, private_key = NULL
+         WHERE user_id = $3 AND private_key = $4`,
+        [JSON.stringify(envelope), envelope.kek_id, user.user_id, user.private_key]
+      );
+      encrypted += 1;
+    }
+  }
+
+  return { encrypted };
+}
+
+/**
+ * Re-wrap every stored key under the active KEK (run after changing KEY_ENCRYPTION_KEY,
+ * with the old KEK still listed in KEY_ENCRYPTION_PREVIOUS_KEYS or the key file)
+ * @param {Object} options - { batchSize }
+ * @returns {Promise<{rotated: number, kek_id: string}>} Number of users re-wrapped and the active KEK
+ */
+async function rotateUserKeys({ batchSize = 100 } = {}) {
+  const { activeKeyId } = getKeyProvider();
+  let rotated = 0;
+
+  for (;;) {
+    const result = await pool.query(
+      `SELECT user_id, private_key_encrypted FROM users
+       WHERE private_key_encrypted IS NOT NULL AND private_key_kek_id IS DISTINCT FROM $1
+       ORDER BY user_id
+       LIMIT $2`,
+      [activeKeyId, batchSize]
+    );
+    if (result.rows.length === 0) break;
+
+    for (const user of result.rows) {
+      const envelope = await rewrapPrivateKey(user.private_key_encrypted);
+      await pool.query(
+        'UPDATE users SET private_key_encrypted = $1, private_key_kek_id = $2 WHERE user_id = $3',
+        [JSON.stringify(envelope), envelope.kek_id, user.user_id]
+      );
+      rotated += 1;
+    }
+  }
+
+  return { rotated, kek_id: activeKeyId };
+}
+
+module.exports = {
+  USER_KEY_COLUMNS,
+  registerKeyProvider,
+  getKeyProvider,
+  resetKeyProvider,
+  encryptPrivateKey,
+  decryptPrivateKey,
+  rewrapPrivateKey,
+  decryptUserPrivateKey,
+  loadUserPrivateKey,
+  buildUserKeyColumns,
+  withoutKeyMaterial,
+  encryptLegacyUserKeys,
+  rotateUserKeys
+};
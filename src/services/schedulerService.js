@@ -0,0 +1,100 @@
+const { recomputeActivePriorities } = require('../utils/priority');
+const { escalateOverdueIssues } = require('../utils/sla');
+const { processWebhookDeliveries } = require('./webhookService');
+const { cleanupExpiredSessions } = require('./sessionService');
+
+/**
+ * Scheduled jobs run inside the API process
+ * Interval is in minutes; 0 disables the job (e.g. when a cron worker runs it instead)
+ */
+const JOBS = [
+  {
+    name: 'priority-refresh',
+    intervalMinutes: parseInt(process.env.PRIORITY_REFRESH_INTERVAL_MINUTES ?? '15'),
+    run: async () => {
+      const { updated, batches } = await recomputeActivePriorities();
+      return `recomputed ${updated} priorities in ${batches} batch(es)`;
+    }
+  },
+  {
+    name: 'sla-escalation',
+    intervalMinutes: parseInt(process.env.SLA_ESCALATION_CHECK_MINUTES ?? '60'),
+    run: async () => {
+      const escalated = await escalateOverdueIssues();
+      return `escalated ${escalated.length} overdue issue(s)`;
+    }
+  },
+  {
+    name: 'webhook-delivery',
+    intervalMinutes: parseInt(process.env.WEBHOOK_DELIVERY_INTERVAL_MINUTES ?? '1'),
+    run: async () => {
+      const { delivered, retrying, failed } = await processWebhookDeliveries();
+      return `delivered ${delivered} webhook(s), ${retrying} retrying, ${failed} failed`;
+    }
+  },
+  {
+    name: 'session-cleanup',
+    intervalMinutes: parseInt(process.env.SESSION_CLEANUP_INTERVAL_MINUTES ?? '60'),
+    run: async () => {
+      const { sessions, nonces } = await cleanupExpiredSessions();
+      return `deleted ${sessions} expired session(s) and ${nonces} wallet nonce(s)`;
+    }
+  }
+];
+
+const timers = [];
+
+/**
+ * Run a job, skipping the tick if the previous run is still going
+ */
+function createRunner(job) {
+  let running = false;
+
+  return async () => {
+    if (running) {
+      console.warn(`⏭️  Skipping ${job.name}: previous run still in progress`);
+      return;
+    }
+    running = true;
+    const startedAt = Date.now();
+    try {
+      const summary = await job.run();
+      console.log(`⏱️  ${job.name}: ${summary} (${Date.now() - startedAt}ms)`);
+    } catch (error) {
+      console.error(`❌ ${job.name} failed:`, error.message);
+    } finally {
+      running = false;
+    }
+  };
+}
+
+/**
+ * Start all enabled jobs
+ */
+function startScheduler() {
+  for (const job of JOBS) {
+    if (!job.intervalMinutes || job.intervalMinutes <= 0) {
+      console.log(`⏸️  Scheduled job ${job.name} disabled`);
+      continue;
+    }
+    const timer = setInterval(createRunner(job), job.intervalMinutes * 60 * 1000);
+    // Don't keep the process alive just for scheduled jobs
+    timer.unref();
+    timers.push(timer);
+    console.log(`🗓️  Scheduled job ${job.name} every ${job.intervalMinutes} minute(s)`);
+  }
+}
+
+/**
+ * Stop all running jobs
+ */
+function stopScheduler() {
+  while (timers.length) {
+    clearInterval(timers.pop());
+  }
+}
+
+module.exports = {
+  startScheduler,
+  stopScheduler
+};
@@ -0,0 +1,230 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+require('dotenv').config();
+const pool = require('../config/database');
+
+/**
+ * Backend-issued sessions
+ *
+ * A login creates a session and returns a short-lived JWT access token (with
+ * the session id as `sid`) plus an opaque refresh token. Only the refresh
+ * token's SHA-256 hash is stored. Every refresh rotates the refresh token; the
+ * previous hash is kept so that replaying an already-rotated token (a sign it
+ * was stolen) revokes the whole session. authMiddleware rejects access tokens
+ * whose session is revoked, so logout takes effect before the token expires.
+ */
+
+const SESSION_SETTINGS = {
+  ACCESS_TOKEN_EXPIRES_IN: process.env.ACCESS_TOKEN_EXPIRES_IN || '15m',
+  REFRESH_TOKEN_TTL_DAYS: parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30,
+  // Expired and revoked sessions are kept this long for auditing before cleanup
+  RETENTION_DAYS: parseInt(process.env.SESSION_RETENTION_DAYS) || 7
+};
+
+const SESSION_REVOKE_REASONS = {
+  LOGOUT: 'logout',
+  LOGOUT_ALL: 'logout_all',
+  REFRESH_TOKEN_REUSE: 'refresh_token_reuse'
+};
+
+/**
+ * SHA-256 hex digest of a refresh token
+ * @param {string} token - Refresh token
+ * @returns {string} Hash as stored in sessions.refresh_token_hash
+ */
+function hashRefreshToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * New random refresh token (256 bits, base64url)
+ */
+function generateRefreshToken() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+/**
+ * Sign an access token for a session
+ * @param {Object} user - User row
+ * @param {string} sessionId - Session the token belongs to
+ * @returns {string} JWT
+ */
+function signAccessToken(user, sessionId) {
+  return jwt.sign(
+    { user_id: user.user_id, sid: sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: SESSION_SETTINGS.ACCESS_TOKEN_EXPIRES_IN }
+  );
+}
+
+/**
+ * Token pair returned to clients
+ */
+function buildTokenResponse(user, session, refreshToken) {
+  const accessToken = signAccessToken(user, session.session_id);
+
+  return {
+    token_type: 'Bearer',
+    access_token: accessToken,
+    access_token_expires_at: new Date(jwt.decode(accessToken).exp * 1000),
+    refresh_token: refreshToken,
+    refresh_token_expires_at: session.expires_at,
+    session_id: session.session_id
+  };
+}
+
+/**
+ * Create a session for a user that just authenticated
+ * @param {Object} client - pg client or pool
+ * @param {Object} user - User row
+ * @param {Object} [context] - { user_agent, ip_address } of the login request
+ * @returns {Promise<Object>} Access and refresh tokens
+ */
+async function createSession(client, user, { user_agent = null, ip_address = null } = {}) {
+  const refreshToken = generateRefreshToken();
+
+  const result = await client.query(
+    `INSERT INTO sessions (user_id, refresh_token_hash, user_agent, ip_address, expires_at)
+     VALUES ($1, $2, $3, $4, NOW() + make_interval(days => $5))
+     RETURNING *`,
+    [user.user_id, hashRefreshToken(refreshToken), user_agent, ip_address, SESSION_SETTINGS.REFRESH_TOKEN_TTL_DAYS]
+  );
+
+  return buildTokenResponse(user, result.rows[0], refreshToken);
+}
+
+/**
+ * Exchange a refresh token for a new token pair, rotating the refresh token
+ * Replaying a refresh token that was already rotated revokes the session
+ * @param {Object} client - pg client (the caller wraps this in a transaction)
+ * @param {string} refreshToken - Refresh token presented by the client
+ * @param {Object} [context] - { user_agent, ip_address } of the refresh request
+ * @returns {Promise<{tokens?: Object, user?: Object, error?: string}>} New tokens and the user, or an error message
+ */
+async function rotateSession(client, refreshToken, { user_agent = null, ip_address = null } = {}) {
+  const tokenHash = hashRefreshToken(refreshToken);
+  const nextRefreshToken = generateRefreshToken();
+
+  const rotated = await client.query(
+    `UPDATE sessions
+     SET previous_refresh_token_hash = refresh_token_hash,
+         refresh_token_hash = $2,
+         last_used_at = NOW(),
+         user_agent = COALESCE($3, user_agent),
+         ip_address = COALESCE($4, ip_address)
+     WHERE refresh_token_hash = $1 AND revoked_at IS NULL AND expires_at > NOW()
+     RETURNING *`,
+    [tokenHash, hashRefreshToken(nextRefreshToken), user_agent, ip_address]
+  );
+
+  if (rotated.rows.length === 0) {
+    const reused = await client.query(
+      `UPDATE sessions SET revoked_at = NOW(), revoked_reason = $2
+       WHERE previous_refresh_token_hash = $1 AND revoked_at IS NULL
+       RETURNING session_id`,
+      [tokenHash, SESSION_REVOKE_REASONS.REFRESH_TOKEN_REUSE]
+    );
+    if (reused.rows.length > 0) {
+      console.warn(`⚠️  Refresh token reuse detected; revoked session ${reused.rows[0].session_id}`);
+    }
+    return { error: 'Invalid or expired refresh token' };
+  }
+
+  const session = rotated.rows[0];
+  const userResult = await client.query('SELECT * FROM users WHERE user_id = $1', [session.user_id]);
+
+  return {
+    user: userResult.rows[0],
+    tokens: buildTokenResponse(userResult.rows[0], session, nextRefreshToken)
+  };
+}
+
+/**
+ * Revoke the session a refresh token belongs to
+ * @param {Object} client - pg client or pool
+ * @param {string} refreshToken - Refresh token
+ * @returns {Promise<boolean>} True if an active session was revoked
+ */
+async function revokeSessionByRefreshToken(client, refreshToken) {
+  const result = await client.query(
+    `UPDATE sessions SET revoked_at = NOW(), revoked_reason = $2
+     WHERE refresh_token_hash = $1 AND revoked_at IS NULL`,
+    [hashRefreshToken(refreshToken), SESSION_REVOKE_REASONS.LOGOUT]
+  );
+
+  return result.rowCount > 0;
+}
+
+/**
+ * Revoke every session of a user and invalidate tokens issued before now,
+ * including NextAuth tokens, which have no session of their own
+ * @param {Object} client - pg client (inside the caller's transaction)
+ * @param {string} userId - User to log out everywhere
+ * @returns {Promise<number>} Sessions revoked
+ */
+async function revokeAllSessions(client, userId) {
+  const result = await client.query(
+    `UPDATE sessions SET revoked_at = NOW(), revoked_reason = $2
+     WHERE user_id = $1 AND revoked_at IS NULL`,
+    [userId, SESSION_REVOKE_REASONS.LOGOUT_ALL]
+  );
+  await client.query('UPDATE users SET tokens_revoked_at = NOW() WHERE user_id = $1', [userId]);
+
+  return result.rowCount;
+}
+
+/**
+ * Check whether an access token is still valid
+ * Session tokens need an active session; other tokens (NextAuth) must be
+ * issued after the user's last "log out all devices"
+ * @param {Object} client - pg client or pool
+ * @param {Object} decoded - Verified JWT payload
+ * @param {Object} user - User row the token resolved to
+ * @returns {Promise<boolean>} True if the token has been revoked
+ */
+async function isTokenRevoked(client, decoded, user) {
+  if (decoded.sid) {
+    const result = await client.query(
+      `SELECT 1 FROM sessions
+       WHERE session_id = $1 AND user_id = $2 AND revoked_at IS NULL AND expires_at > NOW()`,
+      [decoded.sid, user.user_id]
+    );
+    return result.rows.length === 0;
+  }
+
+  if (!user.tokens_revoked_at) {
+    return false;
+  }
+
+  // iat has one-second resolution, so tokens issued in the same second as the revocation are revoked too;
+  // a token without iat cannot show it was issued afterwards
+  return typeof decoded.iat !== 'number' || decoded.iat <= Math.floor(new Date(user.tokens_revoked_at).getTime() / 1000);
+}
+
+/**
+ * Delete sessions that expired or were revoked more than SESSION_RETENTION_DAYS ago,
+ * along with used and expired wallet sign-in nonces
+ * @returns {Promise<{sessions: number, nonces: number}>} Rows deleted
+ */
+async function cleanupExpiredSessions() {
+  const sessions = await pool.query(
+    `DELETE FROM sessions
+     WHERE COALESCE(revoked_at, expires_at) < NOW() - make_interval(days => $1)`,
+    [SESSION_SETTINGS.RETENTION_DAYS]
+  );
+  const nonces = await pool.query('DELETE FROM wallet_nonces WHERE expires_at < NOW()');
+
+  return { sessions: sessions.rowCount, nonces: nonces.rowCount };
+}
+
+module.exports = {
+  SESSION_SETTINGS,
+  SESSION_REVOKE_REASONS,
+  hashRefreshToken,
+  createSession,
+  rotateSession,
+  revokeSessionByRefreshToken,
+  revokeAllSessions,
+  isTokenRevoked,
+  cleanupExpiredSessions
+};
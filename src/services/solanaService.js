@@ -97,7 +97,7 @@ async function ensureSignerFunds(signerPubkey, minSol = 0.01) {
 }
 
 // ---- Create User On-Chain ----
-async function createUserOnChain(userPublicKey, initialRep, roleEnum, userPrivateKeyBase58) {
+async function createUserOnChain(userPublicKey, initialRep, roleEnum) {
   if (!IDL) {
     console.warn('⚠️  Blockchain not configured. Skipping on-chain user creation.');
     return null;
@@ -110,12 +110,10 @@ async function createUserOnChain(userPublicKey, initialRep, roleEnum, userPrivat
     initialRep: initialRep,
     type_initialRep: typeof initialRep,
     roleEnum: roleEnum,
-    type_roleEnum: typeof roleEnum,
-    userPrivateKeyBase58_type: typeof userPrivateKeyBase58,
-    userPrivateKeyBase58_val: userPrivateKeyBase58 && userPrivateKeyBase58.substring ? userPrivateKeyBase58.substring(0, 10) + '...' : userPrivateKeyBase58
+    type_roleEnum: typeof roleEnum
   });
 
-  const userKeypair = loadUserKeypair(userPrivateKeyBase58);
+  // The master wallet pays for and signs account creation, so no user key is needed
   const program = getProgram(masterKeypair);
 
   const userPubStr = userPublicKey && userPublicKey.toString ? userPublicKey.toString() : userPublicKey;
@@ -242,7 +240,9 @@ async function recordVoteOnChain(voterPublicKey, voterPrivateKeyBase58, issueId,
         issueAccount: issuePDA,
         reporterAccount: reporterPDA,
         voterAccount: voterPDA,
+        voteRecord: getVoteRecordPDA(issuePDA, voterKeypair.publicKey),
         voter: voterKeypair.publicKey,
+        systemProgram: SystemProgram.programId,
       })
       .signers([voterKeypair]) // Voter signs their own transaction
       .rpc();
@@ -255,6 +255,49 @@ async function recordVoteOnChain(voterPublicKey, voterPrivateKeyBase58, issueId,
   }
 }
 
+// ---- Retract Vote On-Chain ----
+async function retractVoteOnChain(voterPublicKey, voterPrivateKeyBase58, issueId, reporterPublicKey, voteType = 'upvote') {
+  if (!IDL) {
+    console.warn('⚠️  Blockchain not configured. Skipping on-chain vote retraction.');
+    return null;
+  }
+  
+  const voterKeypair = loadUserKeypair(voterPrivateKeyBase58);
+  const reporterPubkey = new PublicKey(reporterPublicKey);
+  const program = getProgram(voterKeypair); // Voter signs their own retraction
+  
+  const issueHash = createHash('sha256').update(issueId).digest();
+  const [issuePDA] = PublicKey.findProgramAddressSync([Buffer.from('issue'), issueHash], PROGRAM_ID);
+  const [reporterPDA] = PublicKey.findProgramAddressSync([Buffer.from('user'), reporterPubkey.toBuffer()], PROGRAM_ID);
+  const [voterPDA] = PublicKey.findProgramAddressSync([Buffer.from('user'), voterKeypair.publicKey.toBuffer()], PROGRAM_ID);
+  
+  const voteTypeEnum = voteType.toLowerCase() === 'upvote' ? { upvote: {} } : { downvote: {} };
+  
+  await backfillVoteRecordOnChain(issueId, voterKeypair.publicKey.toBase58(), voteType);
+  
+  try {
+    console.log(`⛓️  Retracting ${voteType} on-chain for issue: ${issueId}`);
+    
+    const tx = await program.methods
+      .retractVote(voteTypeEnum)
+      .accounts({
+        issueAccount: issuePDA,
+        reporterAccount: reporterPDA,
+        voterAccount: voterPDA,
+        voteRecord: getVoteRecordPDA(issuePDA, voterKeypair.publicKey),
+        voter: voterKeypair.publicKey,
+      })
+      .signers([voterKeypair])
+      .rpc();
+    
+    console.log(`✅ Vote retracted on-chain. Tx: ${tx}`);
+    return tx;
+  } catch (error) {
+    console.error('❌ Error retracting vote on-chain:', error);
+    throw new Error(`Failed to retract vote on-chain: ${error.message}`);
+  }
+}
+
 // ---- Record Verification On-Chain ----
 async function recordVerificationOnChain(verifierPrivateKeyBase58, issueId) {
   if (!IDL) {
@@ -297,8 +340,12 @@ async function updateIssueStatusOnChain(governmentPrivateKeyBase58, issueId, new
     return null;
   }
   
-  const governmentKeypair = loadUserKeypair(governmentPrivateKeyBase58);
-  const program = getProgram(governmentKeypair); // Government user signs their own transaction
+  return sendIssueStatusUpdate(loadUserKeypair(governmentPrivateKeyBase58), issueId, newStatus);
+}
+
+// Signs update_issue_status with a keypair registered on-chain as government
+async function sendIssueStatusUpdate(governmentKeypair, issueId, newStatus) {
+  const program = getProgram(governmentKeypair);
   
   const issueHash = createHash('sha256').update(issueId).digest();
   const [issuePDA] = PublicKey.findProgramAddressSync([Buffer.from('issue'), issueHash], PROGRAM_ID);
@@ -306,13 +353,16 @@ async function updateIssueStatusOnChain(governmentPrivateKeyBase58, issueId, new
 
   // Anchor v0.29 enum format: Rust IssueStatus variants -> JS camelCase
   // Open -> open, InProgress -> inProgress, Resolved -> resolved, Closed -> closed
+  // The program has no rejected/duplicate variants; both are terminal, so record them as closed
   const statusMap = {
     open: { open: {} },
     'in-progress': { inProgress: {} },
     'in_progress': { inProgress: {} },
     inprogress: { inProgress: {} },
     resolved: { resolved: {} },
-    closed: { closed: {} }
+    closed: { closed: {} },
+    rejected: { closed: {} },
+    duplicate: { closed: {} }
   };
   const statusEnum = statusMap[newStatus.toLowerCase().replace(/[\s]/g, '-')] || { open: {} };
   
@@ -326,7 +376,7 @@ async function updateIssueStatusOnChain(governmentPrivateKeyBase58, issueId, new
         governmentAccount: governmentPDA,
         government: governmentKeypair.publicKey,
       })
-      .signers([governmentKeypair]) // Government user signs their own transaction
+      .signers([governmentKeypair])
       .rpc();
     
     console.log(`✅ Issue status updated on-chain. Tx: ${tx}`);
@@ -337,6 +387,157 @@ async function updateIssueStatusOnChain(governmentPrivateKeyBase58, issueId, new
   }
 }
 
+// ---- Reopen Issue On-Chain ----
+// Citizen disputes reopen issues without an official, so the master wallet
+// signs as the platform's own government account (registered on first use)
+async function reopenIssueOnChain(issueId) {
+  if (!IDL) {
+    console.warn('⚠️  Blockchain not configured. Skipping on-chain reopen.');
+    return null;
+  }
+
+  await ensurePlatformGovernmentAccount();
+
+  return sendIssueStatusUpdate(masterKeypair, issueId, 'open');
+}
+
+// Registers the master wallet as the platform's own government account on first use
+async function ensurePlatformGovernmentAccount() {
+  const masterAccount = await connection.getAccountInfo(getUserPDA(masterKeypair.publicKey));
+  if (!masterAccount) {
+    await createUserOnChain(masterKeypair.publicKey, 0, { government: {} });
+  }
+}
+
+// ---- Set User Role On-Chain ----
+// Accounts are created as citizens at first login, so promoting (or demoting)
+// an official changes the existing account's role; the master wallet signs as
+// the platform's government account. Wallets without an account get one with the role
+async function setUserRoleOnChain(userWalletAddress, roleEnum, initialRep = 0) {
+  if (!IDL) {
+    console.warn('⚠️  Blockchain not configured. Skipping on-chain role update.');
+    return null;
+  }
+
+  const userPubkey = new PublicKey(userWalletAddress);
+  const userPDA = getUserPDA(userPubkey);
+
+  if (!(await connection.getAccountInfo(userPDA))) {
+    return createUserOnChain(userPubkey, initialRep, roleEnum);
+  }
+
+  await ensurePlatformGovernmentAccount();
+  const program = getProgram(masterKeypair);
+
+  try {
+    console.log(`⛓️  Setting on-chain role for ${userWalletAddress}: ${Object.keys(roleEnum)[0]}`);
+
+    const tx = await program.methods
+      .setUserRole(roleEnum)
+      .accounts({
+        userAccount: userPDA,
+        authorityAccount: getUserPDA(masterKeypair.publicKey),
+        authority: masterKeypair.publicKey,
+      })
+      .signers([masterKeypair])
+      .rpc();
+
+    console.log(`✅ Role updated on-chain. Tx: ${tx}`);
+    return tx;
+  } catch (error) {
+    console.error('❌ Error updating role on-chain:', error);
+    throw new Error(`Failed to update role on-chain: ${error.message}`);
+  }
+}
+
+// ---- Backfill Vote Record On-Chain ----
+// Votes cast before the program kept vote records have none, and retracting
+// or switching one needs it; the platform's government account recreates it.
+// Does nothing when the record already exists
+async function backfillVoteRecordOnChain(issueId, voterWalletAddress, voteType = 'upvote') {
+  if (!IDL) {
+    console.warn('⚠️  Blockchain not configured. Skipping vote record backfill.');
+    return null;
+  }
+
+  const voterPubkey = new PublicKey(voterWalletAddress);
+  const { issuePDA } = getIssuePDA(issueId);
+  const voteRecordPDA = getVoteRecordPDA(issuePDA, voterPubkey);
+
+  if (await connection.getAccountInfo(voteRecordPDA)) {
+    return null;
+  }
+
+  await ensurePlatformGovernmentAccount();
+  const program = getProgram(masterKeypair);
+  const voteTypeEnum = voteType.toLowerCase() === 'upvote' ? { upvote: {} } : { downvote: {} };
+
+  try {
+    console.log(`⛓️  Backfilling ${voteType} record on-chain for issue: ${issueId}`);
+
+    const tx = await program.methods
+      .backfillVoteRecord(voteTypeEnum)
+      .accounts({
+        issueAccount: issuePDA,
+        voteRecord: voteRecordPDA,
+        voter: voterPubkey,
+        authorityAccount: getUserPDA(masterKeypair.publicKey),
+        authority: masterKeypair.publicKey,
+        systemProgram: SystemProgram.programId,
+      })
+      .signers([masterKeypair])
+      .rpc();
+
+    console.log(`✅ Vote record backfilled on-chain. Tx: ${tx}`);
+    return tx;
+  } catch (error) {
+    console.error('❌ Error backfilling vote record on-chain:', error);
+    throw new Error(`Failed to backfill vote record on-chain: ${error.message}`);
+  }
+}
+
+// ---- Move Vote On-Chain ----
+// A merge folds a duplicate's votes into the canonical issue; the vote record
+// has to follow, or a later retraction or switch on the canonical issue fails
+async function moveVoteOnChain(fromIssueId, toIssueId, voterWalletAddress, voteType = 'upvote') {
+  if (!IDL) {
+    console.warn('⚠️  Blockchain not configured. Skipping on-chain vote move.');
+    return null;
+  }
+
+  await backfillVoteRecordOnChain(fromIssueId, voterWalletAddress, voteType);
+
+  const voterPubkey = new PublicKey(voterWalletAddress);
+  const { issuePDA: fromIssuePDA } = getIssuePDA(fromIssueId);
+  const { issuePDA: toIssuePDA } = getIssuePDA(toIssueId);
+  const program = getProgram(masterKeypair);
+
+  try {
+    console.log(`⛓️  Moving ${voteType} on-chain from issue ${fromIssueId} to ${toIssueId}`);
+
+    const tx = await program.methods
+      .moveVote()
+      .accounts({
+        fromIssue: fromIssuePDA,
+        toIssue: toIssuePDA,
+        fromVoteRecord: getVoteRecordPDA(fromIssuePDA, voterPubkey),
+        toVoteRecord: getVoteRecordPDA(toIssuePDA, voterPubkey),
+        voter: voterPubkey,
+        authorityAccount: getUserPDA(masterKeypair.publicKey),
+        authority: masterKeypair.publicKey,
+        systemProgram: SystemProgram.programId,
+      })
+      .signers([masterKeypair])
+      .rpc();
+
+    console.log(`✅ Vote moved on-chain. Tx: ${tx}`);
+    return tx;
+  } catch (error) {
+    console.error('❌ Error moving vote on-chain:', error);
+    throw new Error(`Failed to move vote on-chain: ${error.message}`);
+  }
+}
+
 // ---- Update Reputation On-Chain ----
 async function updateReputationOnChain(userWalletAddress, newRep) {
   const userPubkey = new PublicKey(userWalletAddress);
@@ -364,6 +565,166 @@ async function updateReputationOnChain(userWalletAddress, newRep) {
   }
 }
 
+// ---- Unsigned Transactions (self-custody wallets) ----
+// The server builds the instruction, the user's own wallet signs it and the
+// relay submits it; the wallet is fee payer and pays its own fees
+
+function getIssuePDA(issueId) {
+  const issueHash = createHash('sha256').update(issueId).digest();
+  const [issuePDA] = PublicKey.findProgramAddressSync([Buffer.from('issue'), issueHash], PROGRAM_ID);
+  return { issueHash, issuePDA };
+}
+
+function getUserPDA(publicKey) {
+  const [userPDA] = PublicKey.findProgramAddressSync([Buffer.from('user'), publicKey.toBuffer()], PROGRAM_ID);
+  return userPDA;
+}
+
+// One vote record per (issue, voter); retract_vote requires and closes it
+function getVoteRecordPDA(issuePDA, voterPublicKey) {
+  const [voteRecordPDA] = PublicKey.findProgramAddressSync(
+    [Buffer.from('vote'), issuePDA.toBuffer(), voterPublicKey.toBuffer()],
+    PROGRAM_ID
+  );
+  return voteRecordPDA;
+}
+
+// Unsigned create_issue transaction
+async function buildCreateIssueTransaction(userPublicKey, { issue_id, category = 'other', priority = 50 }) {
+  const authority = new PublicKey(userPublicKey);
+  const program = getProgram(masterKeypair);
+  const { issueHash, issuePDA } = getIssuePDA(issue_id);
+  const variant = String(category).toLowerCase();
+  const categoryEnum = { [['pothole', 'garbage', 'streetlight', 'water'].includes(variant) ? variant : 'other']: {} };
+
+  return program.methods
+    .createIssue(new Uint8Array(issueHash), categoryEnum, Math.round(priority))
+    .accounts({
+      issueAccount: issuePDA,
+      userAccount: getUserPDA(authority),
+      authority,
+      systemProgram: SystemProgram.programId,
+    })
+    .transaction();
+}
+
+// Unsigned vote transaction: retracts previous_vote_type (if any), then records vote_type (if any)
+async function buildVoteTransaction(voterPublicKey, { issue_id, reporter_wallet, vote_type = null, previous_vote_type = null }) {
+  const voter = new PublicKey(voterPublicKey);
+  const program = getProgram(masterKeypair);
+  const { issuePDA } = getIssuePDA(issue_id);
+  const accounts = {
+    issueAccount: issuePDA,
+    reporterAccount: getUserPDA(new PublicKey(reporter_wallet)),
+    voterAccount: getUserPDA(voter),
+    voteRecord: getVoteRecordPDA(issuePDA, voter),
+    voter,
+  };
+  const toEnum = type => (type === 'upvote' ? { upvote: {} } : { downvote: {} });
+
+  const tx = new Transaction();
+  if (previous_vote_type) {
+    await backfillVoteRecordOnChain(issue_id, voter.toBase58(), previous_vote_type);
+    tx.add(await program.methods.retractVote(toEnum(previous_vote_type)).accounts(accounts).instruction());
+  }
+  if (vote_type) {
+    tx.add(await program.methods
+      .recordVote(toEnum(vote_type))
+      .accounts({ ...accounts, systemProgram: SystemProgram.programId })
+      .instruction());
+  }
+  return tx;
+}
+
+// Unsigned record_verification transaction
+async function buildVerificationTransaction(verifierPublicKey, { issue_id }) {
+  const verifier = new PublicKey(verifierPublicKey);
+  const program = getProgram(masterKeypair);
+
+  return program.methods
+    .recordVerification()
+    .accounts({
+      issueAccount: getIssuePDA(issue_id).issuePDA,
+      verifierAccount: getUserPDA(verifier),
+      verifier,
+    })
+    .transaction();
+}
+
+const UNSIGNED_TRANSACTION_BUILDERS = {
+  create_issue: buildCreateIssueTransaction,
+  vote: buildVoteTransaction,
+  verify: buildVerificationTransaction,
+};
+
+/**
+ * Build an unsigned transaction for a self-custody wallet to sign
+ * @param {string} action - create_issue | vote | verify
+ * @param {string} signerPublicKey - User wallet (signer and fee payer)
+ * @param {Object} params - Action parameters
+ * @returns {Promise<{transaction: string, message: string, last_valid_block_height: number}|null>}
+ *   Base64 transaction and message, or null when blockchain features are disabled
+ */
+async function buildUnsignedTransaction(action, signerPublicKey, params) {
+  if (!IDL) {
+    console.warn('⚠️  Blockchain not configured. Skipping unsigned transaction.');
+    return null;
+  }
+  if (!Object.hasOwn(UNSIGNED_TRANSACTION_BUILDERS, action)) {
+    throw new Error(`Unknown transaction action: ${action}`);
+  }
+
+  // Self-custody wallets pay their own fees; they are never topped up from the master wallet
+  const feePayer = new PublicKey(signerPublicKey);
+
+  const tx = await UNSIGNED_TRANSACTION_BUILDERS[action](signerPublicKey, params);
+  const { blockhash, lastValidBlockHeight } = await connection.getLatestBlockhash('confirmed');
+  tx.feePayer = feePayer;
+  tx.recentBlockhash = blockhash;
+
+  return {
+    transaction: tx.serialize({ requireAllSignatures: false, verifySignatures: false }).toString('base64'),
+    message: tx.serializeMessage().toString('base64'),
+    last_valid_block_height: lastValidBlockHeight,
+  };
+}
+
+/**
+ * Decode a signed transaction returned by a wallet
+ * @param {string} signedTransactionBase64 - Signed transaction (base64)
+ * @returns {{message: string, signed: boolean}|null} Message (base64) and whether every signature verifies, or null if malformed
+ */
+function inspectSignedTransaction(signedTransactionBase64) {
+  try {
+    const tx = Transaction.from(Buffer.from(String(signedTransactionBase64), 'base64'));
+    return {
+      message: tx.serializeMessage().toString('base64'),
+      signed: tx.signatures.length > 0 && tx.verifySignatures(),
+    };
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * Submit a signed transaction and wait for confirmation
+ * @param {string} signedTransactionBase64 - Signed transaction (base64)
+ * @returns {Promise<string>} Transaction signature
+ */
+async function relaySignedTransaction(signedTransactionBase64) {
+  const raw = Buffer.from(String(signedTransactionBase64), 'base64');
+
+  try {
+    const signature = await connection.sendRawTransaction(raw);
+    await connection.confirmTransaction(signature, 'confirmed');
+    console.log(`✅ Relayed signed transaction. Tx: ${signature}`);
+    return signature;
+  } catch (error) {
+    console.error('❌ Error relaying signed transaction:', error);
+    throw new Error(`Failed to relay transaction: ${error.message}`);
+  }
+}
+
 module.exports = {
   connection,
   masterKeypair,
@@ -373,7 +734,15 @@ module.exports = {
   createUserOnChain,
   createIssueOnChain,
   recordVoteOnChain,
+  retractVoteOnChain,
   recordVerificationOnChain,
   updateIssueStatusOnChain,
+  reopenIssueOnChain,
   updateReputationOnChain,
+  setUserRoleOnChain,
+  backfillVoteRecordOnChain,
+  moveVoteOnChain,
+  buildUnsignedTransaction,
+  inspectSignedTransaction,
+  relaySignedTransaction,
 };
\ No newline at end of file
@@ -0,0 +1,125 @@
+const { buildUnsignedTransaction } = require('./solanaService');
+
+/**
+ * Client-signed transactions for self-custody wallets
+ *
+ * The server never holds a self-custody user's key, so instead of signing
+ * on their behalf it records a pending transaction: the action and its
+ * parameters plus the unsigned transaction handed to the client. The client
+ * signs it with their wallet and posts it back to /transactions/:id/submit,
+ * which checks it is exactly the transaction handed out and relays it.
+ * Blockhashes expire after about a minute, so GET /transactions/:id rebuilds
+ * the transaction from the stored parameters.
+ */
+
+const PENDING_TX_ACTIONS = {
+  CREATE_ISSUE: 'create_issue',
+  VOTE: 'vote',
+  VERIFY: 'verify'
+};
+
+const PENDING_TX_STATUS = {
+  PENDING: 'pending',
+  SUBMITTING: 'submitting',
+  CONFIRMED: 'confirmed',
+  SUPERSEDED: 'superseded'
+};
+
+/**
+ * API representation of a pending transaction row
+ * @param {Object} row - pending_transactions row
+ * @param {Object} [built] - Freshly built transaction ({ transaction, message, last_valid_block_height })
+ * @returns {Object} Pending transaction
+ */
+function formatPendingTransaction(row, built = null) {
+  return {
+    transaction_id: row.transaction_id,
+    action: row.action,
+    status: row.status,
+    issue_id: row.issue_id,
+    params: row.params,
+    blockchain_tx_hash: row.blockchain_tx_hash,
+    last_error: row.last_error,
+    created_at: row.created_at,
+    submitted_at: row.submitted_at,
+    ...(built ? {
+      transaction: built.transaction,
+      message: built.message,
+      last_valid_block_height: built.last_valid_block_height
+    } : {})
+  };
+}
+
+/**
+ * Build an unsigned transaction for a self-custody user and record it as pending
+ * Takes the caller's client so the pending transaction commits with the change it records
+ * @param {Object} client - pg client (inside the caller's transaction)
+ * @param {Object} pending - { user, action, params, issue_id, issue_event_id }
+ * @returns {Promise<Object|null>} Pending transaction with the unsigned transaction, or null when blockchain features are disabled
+ */
+async function createPendingTransaction(client, { user, action, params, issue_id = null, issue_event_id = null }) {
+  const built = await buildUnsignedTransaction(action, user.wallet_address, params);
+  if (!built) {
+    return null;
+  }
+
+  const result = await client.query(
+    `INSERT INTO pending_transactions (user_id, wallet_address, issue_id, issue_event_id, action, params, message)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     RETURNING *`,
+    [user.user_id, user.wallet_address, issue_id, issue_event_id, action, JSON.stringify(params), built.message]
+  );
+
+  return formatPendingTransaction(result.rows[0], built);
+}
+
+/**
+ * Rebuild a pending transaction with a fresh blockhash
+ * The stored message is replaced, so only the latest transaction handed out can be submitted
+ * @param {Object} client - pg client or pool
+ * @param {Object} row - pending_transactions row (status pending)
+ * @returns {Promise<Object>} Pending transaction with the unsigned transaction
+ */
+async function rebuildPendingTransaction(client, row) {
+  const built = await buildUnsignedTransaction(row.action, row.wallet_address, row.params);
+  if (!built) {
+    return formatPendingTransaction(row);
+  }
+
+  const result = await client.query(
+    'UPDATE pending_transactions SET message = $1 WHERE transaction_id = $2 RETURNING *',
+    [built.message, row.transaction_id]
+  );
+
+  return formatPendingTransaction(result.rows[0], built);
+}
+
+/**
+ * Supersede the user's unsigned vote transaction on an issue
+ * A new vote transaction replaces it, and must start from the vote the chain
+ * still holds: the superseded transaction never ran.
+ * @param {Object} client - pg client (inside the caller's transaction)
+ * @param {string} userId - Voter
+ * @param {string} issueId - Issue
+ * @returns {Promise<Object|null>} Params of the superseded transaction, or null if there was none
+ */
+async function supersedePendingVote(client, userId, issueId) {
+  const result = await client.query(
+    `UPDATE pending_transactions
+     SET status = $1
+     WHERE user_id = $2 AND issue_id = $3 AND action = $4 AND status = $5
+     RETURNING params`,
+    [PENDING_TX_STATUS.SUPERSEDED, userId, issueId, PENDING_TX_ACTIONS.VOTE, PENDING_TX_STATUS.PENDING]
+  );
+
+  return result.rows.length > 0 ? result.rows[0].params : null;
+}
+
+module.exports = {
+  PENDING_TX_ACTIONS,
+  PENDING_TX_STATUS,
+  formatPendingTransaction,
+  createPendingTransaction,
+  rebuildPendingTransaction,
+  supersedePendingVote
+};
@@ -0,0 +1,135 @@
+const axios = require('axios');
+const pool = require('../config/database');
+const { WEBHOOK_SETTINGS, signWebhookPayload, getRetryDelaySeconds } = require('../utils/webhooks');
+
+// Deliveries stuck in 'processing' this long (e.g. after a crash) are picked up again
+const STALE_PROCESSING_SECONDS = 10 * 60;
+
+/**
+ * Build the JSON body sent to receivers
+ * @param {Object} delivery - webhook_deliveries row
+ * @returns {string} Request body
+ */
+function buildWebhookBody(delivery) {
+  return JSON.stringify({
+    id: delivery.delivery_id,
+    event: delivery.event_type,
+    created_at: delivery.created_at,
+    data: delivery.payload
+  });
+}
+
+/**
+ * POST a single delivery to its webhook
+ * @param {Object} webhook - Webhook row (url, secret)
+ * @param {Object} delivery - webhook_deliveries row
+ * @returns {Promise<{ok: boolean, status: number|null, error: string|null}>} Attempt result
+ */
+async function sendWebhook(webhook, delivery) {
+  const body = buildWebhookBody(delivery);
+  const timestamp = Math.floor(Date.now() / 1000);
+
+  try {
+    const response = await axios({
+      method: 'POST',
+      url: webhook.url,
+      data: body,
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'CivicChain-Webhooks/1.0',
+        'X-CivicChain-Event': delivery.event_type,
+        'X-CivicChain-Delivery': delivery.delivery_id,
+        'X-CivicChain-Timestamp': String(timestamp),
+        'X-CivicChain-Signature': signWebhookPayload(webhook.secret, timestamp, body)
+      },
+      timeout: WEBHOOK_SETTINGS.TIMEOUT_MS,
+      maxRedirects: 0,
+      // Treat every HTTP response as a result rather than an exception
+      validateStatus: () => true,
+      transformRequest: [(data) => data]
+    });
+
+    const ok = response.status >= 200 && response.status < 300;
+    return {
+      ok,
+      status: response.status,
+      error: ok ? null : `Receiver responded with HTTP ${response.status}`
+    };
+  } catch (error) {
+    return { ok: false, status: null, error: error.code || error.message };
+  }
+}
+
+/**
+ * Claim due deliveries, send them and record the outcome
+ * Uses SKIP LOCKED so several API instances can process the queue concurrently
+ * @param {Object} options - Processing options
+ * @param {number} options.batchSize - Max deliveries per run
+ * @returns {Promise<{delivered: number, retrying: number, failed: number}>} Outcome counts
+ */
+async function processWebhookDeliveries({ batchSize = 50 } = {}) {
+  const client = await pool.connect();
+  const summary = { delivered: 0, retrying: 0, failed: 0 };
+
+  try {
+    const claimed = await client.query(
+      `UPDATE webhook_deliveries d
+       SET status = 'processing', attempt_count = d.attempt_count + 1, last_attempt_at = NOW()
+       FROM webhooks w
+       WHERE d.webhook_id = w.webhook_id
+       AND d.delivery_id IN (
+         SELECT delivery_id FROM webhook_deliveries
+         WHERE (status = 'pending' AND next_attempt_at <= NOW())
+         OR (status = 'processing' AND last_attempt_at < NOW() - make_interval(secs => $2))
+         ORDER BY next_attempt_at ASC
+         LIMIT $1
+         FOR UPDATE SKIP LOCKED
+       )
+       RETURNING d.*, w.url, w.secret, w.is_active`,
+      [batchSize, STALE_PROCESSING_SECONDS]
+    );
+
+    for (const delivery of claimed.rows) {
+      const result = delivery.is_active
+        ? await sendWebhook({ url: delivery.url, secret: delivery.secret }, delivery)
+        : { ok: false, status: null, error: 'Webhook is disabled' };
+
+      if (result.ok) {
+        await client.query(
+          `UPDATE webhook_deliveries
+           SET status = 'delivered', response_status = $1, last_error = NULL, delivered_at = NOW()
+           WHERE delivery_id = $2`,
+          [result.status, delivery.delivery_id]
+        );
+        summary.delivered++;
+        continue;
+      }
+
+      const exhausted = !delivery.is_active || delivery.attempt_count >= WEBHOOK_SETTINGS.MAX_ATTEMPTS;
+      await client.query(
+        `UPDATE webhook_deliveries
+         SET status = $1, response_status = $2, last_error = $3,
+             next_attempt_at = NOW() + make_interval(secs => $4)
+         WHERE delivery_id = $5`,
+        [
+          exhausted ? 'failed' : 'pending',
+          result.status,
+          result.error,
+          exhausted ? 0 : getRetryDelaySeconds(delivery.attempt_count),
+          delivery.delivery_id
+        ]
+      );
+      summary[exhausted ? 'failed' : 'retrying']++;
+    }
+
+    return summary;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  buildWebhookBody,
+  sendWebhook,
+  processWebhookDeliveries
+};
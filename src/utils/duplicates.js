@@ -0,0 +1,94 @@
+const pool = require('../config/database');
+
+/**
+ * Duplicate detection settings
+ * - RADIUS_METERS: How close an open issue must be to count as the same problem
+ * - WINDOW_DAYS: How far back to look for matching reports
+ * - MAX_CANDIDATES: Maximum number of candidates returned to the reporter
+ */
+const DUPLICATE_SETTINGS = {
+  RADIUS_METERS: parseFloat(process.env.DUPLICATE_RADIUS_METERS) || 50,
+  WINDOW_DAYS: parseInt(process.env.DUPLICATE_WINDOW_DAYS) || 14,
+  MAX_CANDIDATES: 5
+};
+
+/**
+ * Find open issues of the same category near a location that are likely
+ * reports of the same problem (closest first)
+ * @param {Object} params - Location and category of the new report
+ * @returns {Promise<Array<Object>>} Candidate issues
+ */
+async function findDuplicateCandidates({
+  issue_id,
+  lat,
+  lng,
+  category
+}) {
+  const client = await pool.connect();
+
+  try {
+    const query = `
+      SELECT
+        i.issue_id,
+        i.image_url,
+        i.description,
+        i.category,
+        i.status,
+        i.priority_score,
+        i.upvotes,
+        i.created_at,
+        ST_Y(i.location::geometry) as lat,
+        ST_X(i.location::geometry) as lng,
+        ST_Distance(
+          i.location,
+          ST_SetSRID(ST_MakePoint($1, $2), 4326)::geography
+        ) as distance
+      FROM issues i
+      WHERE ST_DWithin(
+        i.location,
+        ST_SetSRID(ST_MakePoint($1, $2), 4326)::geography,
+        $3
+      )
+      AND i.category = $4
+      AND i.status IN ('open', 'in_progress')
+      AND i.duplicate_of IS NULL
+      AND i.created_at > NOW() - ($5 || ' days')::interval
+      ${issue_id ? 'AND i.issue_id != $7' : ''}
+      ORDER BY distance ASC, i.created_at DESC
+      LIMIT $6
+    `;
+
+    const params = [
+      parseFloat(lng),
+      parseFloat(lat),
+      DUPLICATE_SETTINGS.RADIUS_METERS,
+      category,
+      String(DUPLICATE_SETTINGS.WINDOW_DAYS),
+      DUPLICATE_SETTINGS.MAX_CANDIDATES
+    ];
+    if (issue_id) params.push(issue_id);
+
+    const result = await client.query(query, params);
+
+    return result.rows.map(row => ({
+      issue_id: row.issue_id,
+      image_url: row.image_url,
+      description: row.description,
+      category: row.category,
+      status: row.status,
+      priority_score: row.priority_score,
+      upvotes: row.upvotes,
+      lat: row.lat,
+      lng: row.lng,
+      distance: row.distance,
+      created_at: row.created_at
+    }));
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  DUPLICATE_SETTINGS,
+  findDuplicateCandidates
+};
@@ -0,0 +1,68 @@
+/**
+ * Issue lifecycle event types
+ */
+const ISSUE_EVENT_TYPES = {
+  CREATED: 'created',
+  STATUS_CHANGED: 'status_changed',
+  VOTED: 'voted',
+  VOTE_RETRACTED: 'vote_retracted',
+  VERIFIED: 'verified',
+  DISPUTED: 'disputed',
+  AUTO_CLOSED: 'auto_closed',
+  AUTO_REOPENED: 'auto_reopened',
+  MERGED: 'merged',
+  ASSIGNED: 'assigned',
+  ESCALATED: 'escalated'
+};
+
+/**
+ * Events whose transaction is signed by an official (or the platform's own
+ * government account) rather than a citizen's wallet
+ */
+const OFFICIAL_EVENT_TYPES = [
+  ISSUE_EVENT_TYPES.STATUS_CHANGED,
+  ISSUE_EVENT_TYPES.AUTO_REOPENED,
+  ISSUE_EVENT_TYPES.MERGED
+];
+
+/**
+ * Record an issue lifecycle event
+ * Takes the caller's client so the event commits or rolls back with the change it describes
+ * @param {Object} client - pg client (inside the caller's transaction)
+ * @param {Object} event - Event details
+ * @returns {Promise<Object>} Inserted event row
+ */
+async function recordIssueEvent(client, {
+  issue_id,
+  actor_user_id = null,
+  event_type,
+  old_value = null,
+  new_value = null,
+  blockchain_tx_hash = null,
+  metadata = {}
+}) {
+  const result = await client.query(
+    `INSERT INTO issue_events (
+      issue_id, actor_user_id, event_type, old_value, new_value, blockchain_tx_hash, metadata
+    )
+    VALUES ($1, $2, $3, $4, $5, $6, $7)
+    RETURNING *`,
+    [
+      issue_id,
+      actor_user_id,
+      event_type,
+      old_value === null ? null : String(old_value),
+      new_value === null ? null : String(new_value),
+      blockchain_tx_hash,
+      JSON.stringify(metadata)
+    ]
+  );
+
+  return result.rows[0];
+}
+
+module.exports = {
+  ISSUE_EVENT_TYPES,
+  OFFICIAL_EVENT_TYPES,
+  recordIssueEvent
+};
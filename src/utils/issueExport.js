@@ -0,0 +1,109 @@
+/**
+ * Columns included in issue exports, in CSV column order
+ */
+const EXPORT_COLUMNS = [
+  'issue_id',
+  'category',
+  'status',
+  'description',
+  'region',
+  'lat',
+  'lng',
+  'priority_score',
+  'upvotes',
+  'downvotes',
+  'verification_count',
+  'assigned_department',
+  'sla_due_at',
+  'blockchain_tx_hash',
+  'created_at',
+  'updated_at',
+  'resolved_at'
+];
+
+/**
+ * Format a value for export (dates as ISO strings, missing values as empty)
+ */
+function formatValue(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+  return String(value);
+}
+
+/**
+ * Escape a CSV field (RFC 4180), neutralising spreadsheet formulas
+ */
+function escapeCsv(value) {
+  let text = formatValue(value);
+  if (/^[=+\-@\t\r]/.test(text) && Number.isNaN(Number(text))) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Escape text for XML content
+ */
+function escapeXml(value) {
+  return formatValue(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Export formats: content type, file extension and how to write the header,
+ * each row (index is the 0-based row number) and the footer
+ */
+const EXPORT_FORMATS = {
+  geojson: {
+    contentType: 'application/geo+json',
+    extension: 'geojson',
+    header: () => '{"type":"FeatureCollection","features":[\n',
+    row: (row, index) => {
+      const properties = Object.fromEntries(
+        EXPORT_COLUMNS.filter(column => column !== 'lat' && column !== 'lng').map(column => [column, row[column] ?? null])
+      );
+      const feature = {
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: [row.lng, row.lat] },
+        properties
+      };
+      return `${index > 0 ? ',\n' : ''}${JSON.stringify(feature)}`;
+    },
+    footer: () => '\n]}\n'
+  },
+  csv: {
+    contentType: 'text/csv; charset=utf-8',
+    extension: 'csv',
+    header: () => `${EXPORT_COLUMNS.join(',')}\r\n`,
+    row: (row) => `${EXPORT_COLUMNS.map(column => escapeCsv(row[column])).join(',')}\r\n`,
+    footer: () => ''
+  },
+  kml: {
+    contentType: 'application/vnd.google-earth.kml+xml',
+    extension: 'kml',
+    header: () => '<?xml version="1.0" encoding="UTF-8"?>\n' +
+      '<kml xmlns="http://www.opengis.net/kml/2.2">\n<Document>\n<name>CivicChain issues</name>\n',
+    row: (row) => {
+      const data = EXPORT_COLUMNS
+        .filter(column => column !== 'lat' && column !== 'lng')
+        .map(column => `<Data name="${column}"><value>${escapeXml(row[column])}</value></Data>`)
+        .join('');
+      return `<Placemark><name>${escapeXml(`${row.category} (${row.status})`)}</name>` +
+        `<description>${escapeXml(row.description)}</description>` +
+        `<ExtendedData>${data}</ExtendedData>` +
+        `<Point><coordinates>${row.lng},${row.lat}</coordinates></Point></Placemark>\n`;
+    },
+    footer: () => '</Document>\n</kml>\n'
+  }
+};
+
+module.exports = {
+  EXPORT_COLUMNS,
+  EXPORT_FORMATS,
+  escapeCsv,
+  escapeXml
+};
@@ -0,0 +1,86 @@
+const { validate: isUuid } = require('uuid');
+const { OVERDUE_CONDITION } = require('./sla');
+const { isDepartmentRole } = require('./permissions');
+
+/**
+ * Build WHERE conditions for the government issue filters shared by
+ * GET /admin/issues and GET /admin/issues/export
+ *
+ * Supported query params: status, category, date_from, date_to, department_id,
+ * region_id, assigned (me | my_department | unassigned), overdue
+ * Department roles only ever see their own department's issues
+ *
+ * @param {Object} query - Request query
+ * @param {Object} user - Current user (for the assigned filter)
+ * @param {Function} addParam - Adds a query param and returns its placeholder (e.g. "$3")
+ * @returns {{conditions?: Array<string>, error?: string}} SQL conditions over issues `i`, or an error message
+ */
+function buildAdminIssueConditions(query, user, addParam) {
+  const { status, category, date_from, date_to, assigned, department_id, region_id, overdue } = query;
+
+  // "assigned" filter: me | my_department | unassigned
+  const assignedFilters = {
+    me: () => `i.assigned_to = ${addParam(user.user_id)}`,
+    my_department: () => `i.assigned_department_id = ${addParam(user.department_id)}`,
+    unassigned: () => 'i.assigned_department_id IS NULL AND i.assigned_to IS NULL'
+  };
+  if (assigned && !Object.hasOwn(assignedFilters, assigned)) {
+    return { error: 'Invalid assigned filter. Use me, my_department or unassigned' };
+  }
+  if (assigned === 'my_department' && !user.department_id) {
+    return { error: 'You are not a member of any department' };
+  }
+
+  const departmentScoped = isDepartmentRole(user.role);
+  if (departmentScoped && !user.department_id) {
+    return { error: 'You are not a member of any department' };
+  }
+
+  if (region_id && !isUuid(region_id)) {
+    return { error: 'Invalid region_id' };
+  }
+
+  const conditions = [];
+
+  if (status) {
+    conditions.push(`i.status = ${addParam(status)}`);
+  }
+
+  if (category) {
+    conditions.push(`i.category = ${addParam(category)}`);
+  }
+
+  if (date_from) {
+    conditions.push(`i.created_at >= ${addParam(date_from)}`);
+  }
+
+  if (date_to) {
+    conditions.push(`i.created_at <= ${addParam(date_to)}`);
+  }
+
+  if (department_id) {
+    conditions.push(`i.assigned_department_id = ${addParam(department_id)}`);
+  }
+
+  if (departmentScoped) {
+    conditions.push(`i.assigned_department_id = ${addParam(user.department_id)}`);
+  }
+
+  if (region_id) {
+    conditions.push(`i.region_id = ${addParam(region_id)}`);
+  }
+
+  if (assigned) {
+    conditions.push(assignedFilters[assigned]());
+  }
+
+  if (overdue === 'true' || overdue === '1') {
+    conditions.push(OVERDUE_CONDITION);
+  }
+
+  return { conditions };
+}
+
+module.exports = {
+  buildAdminIssueConditions
+};
@@ -0,0 +1,82 @@
+/**
+ * All issue statuses (mirrors the issue_status enum)
+ */
+const ISSUE_STATUSES = ['open', 'in_progress', 'resolved', 'closed', 'rejected', 'duplicate'];
+
+/**
+ * Allowed status transitions
+ *
+ * Normal flow: open -> in_progress -> resolved -> closed
+ * - Reopen: resolved/closed -> open
+ * - Reject: open/in_progress -> rejected
+ * - Duplicate: open/in_progress -> duplicate (set when merging)
+ * rejected and duplicate are terminal
+ */
+const STATUS_TRANSITIONS = {
+  open: ['in_progress', 'rejected', 'duplicate'],
+  in_progress: ['resolved', 'rejected', 'duplicate'],
+  resolved: ['closed', 'open'],
+  closed: ['open'],
+  rejected: [],
+  duplicate: []
+};
+
+/**
+ * Check if a status change is allowed
+ * @param {string} fromStatus - Current status
+ * @param {string} toStatus - Requested status
+ * @returns {boolean} True if the transition is allowed
+ */
+function canTransition(fromStatus, toStatus) {
+  return (STATUS_TRANSITIONS[fromStatus] || []).includes(toStatus);
+}
+
+/**
+ * Check if a status change needs a reason (reopen, reject, duplicate)
+ * @param {string} fromStatus - Current status
+ * @param {string} toStatus - Requested status
+ * @returns {boolean} True if a reason must be given
+ */
+function requiresReason(fromStatus, toStatus) {
+  if (toStatus === 'rejected' || toStatus === 'duplicate') return true;
+  return toStatus === 'open' && (fromStatus === 'resolved' || fromStatus === 'closed');
+}
+
+/**
+ * Validate a status change
+ * @param {string} fromStatus - Current status
+ * @param {string} toStatus - Requested status
+ * @param {string} [reason] - Reason/note supplied with the change
+ * @returns {{valid: boolean, code?: number, error?: string}} Validation result with HTTP code on failure
+ */
+function validateStatusTransition(fromStatus, toStatus, reason) {
+  if (!ISSUE_STATUSES.includes(toStatus)) {
+    return { valid: false, code: 400, error: 'Invalid status' };
+  }
+
+  if (!canTransition(fromStatus, toStatus)) {
+    return {
+      valid: false,
+      code: 409,
+      error: `Cannot change status from "${fromStatus}" to "${toStatus}"`
+    };
+  }
+
+  if (requiresReason(fromStatus, toStatus) && !(typeof reason === 'string' && reason.trim())) {
+    return {
+      valid: false,
+      code: 400,
+      error: `A reason is required to change status from "${fromStatus}" to "${toStatus}"`
+    };
+  }
+
+  return { valid: true };
+}
+
+module.exports = {
+  ISSUE_STATUSES,
+  STATUS_TRANSITIONS,
+  canTransition,
+  requiresReason,
+  validateStatusTransition
+};
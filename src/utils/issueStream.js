@@ -0,0 +1,107 @@
+const { parseBbox } = require('./mapClusters');
+
+/**
+ * Postgres NOTIFY channel carrying live issue updates
+ */
+const ISSUE_STREAM_CHANNEL = 'issue_stream';
+
+/**
+ * Live update event types (sent as the SSE `event:` name)
+ */
+const ISSUE_STREAM_EVENTS = {
+  CREATED: 'issue.created',
+  VOTES_CHANGED: 'issue.votes',
+  PRIORITY_CHANGED: 'issue.priority',
+  STATUS_CHANGED: 'issue.status'
+};
+
+const VALID_CATEGORIES = ['pothole', 'garbage', 'streetlight', 'water', 'other'];
+
+/**
+ * Publish live updates for issues
+ * Uses pg_notify, so inside a transaction the update is only sent if it commits
+ * @param {Object} client - pg client or pool
+ * @param {string} eventType - One of ISSUE_STREAM_EVENTS
+ * @param {Array<string>} issueIds - Issues to publish (their current row is sent)
+ * @param {Object} data - Extra event data
+ */
+async function publishIssueUpdates(client, eventType, issueIds, data = {}) {
+  if (issueIds.length === 0) return;
+
+  await client.query(
+    `SELECT pg_notify($1, json_build_object(
+      'event', $2::text,
+      'issue_id', i.issue_id,
+      'category', i.category,
+      'status', i.status,
+      'lat', ST_Y(i.location::geometry),
+      'lng', ST_X(i.location::geometry),
+      'upvotes', i.upvotes,
+      'downvotes', i.downvotes,
+      'priority_score', i.priority_score,
+      'duplicate_of', i.duplicate_of,
+      'updated_at', i.updated_at,
+      'data', $3::jsonb
+    )::text)
+    FROM issues i
+    WHERE i.issue_id = ANY($4::uuid[])`,
+    [ISSUE_STREAM_CHANNEL, eventType, JSON.stringify(data), issueIds]
+  );
+}
+
+/**
+ * Parse stream filters from the query string
+ * - bbox: "minLng,minLat,maxLng,maxLat"
+ * - category: single category or comma-separated list
+ * @param {Object} query - Request query
+ * @returns {{filters?: Object, error?: string}} Parsed filters or an error message
+ */
+function parseStreamFilters(query) {
+  const filters = { bbox: null, categories: null };
+
+  if (query.bbox) {
+    filters.bbox = parseBbox(query.bbox);
+    if (!filters.bbox) {
+      return { error: 'bbox must be "minLng,minLat,maxLng,maxLat"' };
+    }
+  }
+
+  if (query.category) {
+    const categories = String(query.category).split(',').map(c => c.trim()).filter(Boolean);
+    const invalid = categories.find(c => !VALID_CATEGORIES.includes(c));
+    if (invalid) {
+      return { error: `Invalid category "${invalid}"` };
+    }
+    filters.categories = categories;
+  }
+
+  return { filters };
+}
+
+/**
+ * Check whether an update passes a subscriber's filters
+ * @param {Object} update - Published update
+ * @param {Object} filters - Filters from parseStreamFilters
+ * @returns {boolean} True if the update should be sent
+ */
+function matchesStreamFilters(update, { bbox, categories }) {
+  if (categories && !categories.includes(update.category)) {
+    return false;
+  }
+
+  if (bbox) {
+    return update.lng >= bbox.minLng && update.lng <= bbox.maxLng &&
+      update.lat >= bbox.minLat && update.lat <= bbox.maxLat;
+  }
+
+  return true;
+}
+
+module.exports = {
+  VALID_CATEGORIES,
+  ISSUE_STREAM_CHANNEL,
+  ISSUE_STREAM_EVENTS,
+  publishIssueUpdates,
+  parseStreamFilters,
+  matchesStreamFilters
+};
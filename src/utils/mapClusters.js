@@ -0,0 +1,43 @@
+/**
+ * Map query settings
+ * - CLUSTER_MAX_ZOOM: Zoom levels up to this return clusters; above it, individual issues
+ * - CELLS_PER_TILE: Grid cells per 256px tile edge (4 = roughly 64px clusters)
+ * - MAX_ISSUES: Cap on individual issues returned for one viewport
+ */
+const MAP_SETTINGS = {
+  CLUSTER_MAX_ZOOM: parseInt(process.env.MAP_CLUSTER_MAX_ZOOM) || 14,
+  CELLS_PER_TILE: parseInt(process.env.MAP_CLUSTER_CELLS_PER_TILE) || 4,
+  MAX_ISSUES: parseInt(process.env.MAP_MAX_ISSUES) || 2000,
+  MAX_ZOOM: 22
+};
+
+/**
+ * Parse a "minLng,minLat,maxLng,maxLat" bounding box
+ * @param {string} bbox - Bounding box string
+ * @returns {{minLng: number, minLat: number, maxLng: number, maxLat: number}|null} Parsed bbox or null if invalid
+ */
+function parseBbox(bbox) {
+  const parts = String(bbox).split(',').map(part => Number(part.trim()));
+  if (parts.length !== 4 || parts.some(Number.isNaN)) return null;
+
+  const [minLng, minLat, maxLng, maxLat] = parts;
+  if (minLng > maxLng || minLat > maxLat) return null;
+  if (minLng < -180 || maxLng > 180 || minLat < -90 || maxLat > 90) return null;
+
+  return { minLng, minLat, maxLng, maxLat };
+}
+
+/**
+ * Grid cell size used to cluster issues at a zoom level
+ * @param {number} zoom - Web map zoom level
+ * @returns {number} Cell size in degrees
+ */
+function getClusterGridSize(zoom) {
+  return 360 / (Math.pow(2, zoom) * MAP_SETTINGS.CELLS_PER_TILE);
+}
+
+module.exports = {
+  MAP_SETTINGS,
+  parseBbox,
+  getClusterGridSize
+};
@@ -0,0 +1,65 @@
+/**
+ * Notification types
+ */
+const NOTIFICATION_TYPES = {
+  STATUS_CHANGED: 'status_changed',
+  VOTED: 'voted',
+  VERIFIED: 'verified',
+  AUTO_CLOSED: 'auto_closed',
+  AUTO_REOPENED: 'auto_reopened',
+  MERGED: 'merged'
+};
+
+/**
+ * Make a user follow an issue (no-op if already following)
+ * @param {Object} client - pg client (inside the caller's transaction)
+ * @param {Object} params - Issue and user IDs
+ * @returns {Promise<boolean>} True if a new follow was created
+ */
+async function addIssueFollower(client, { issue_id, user_id }) {
+  const result = await client.query(
+    `INSERT INTO issue_followers (issue_id, user_id)
+     VALUES ($1, $2)
+     ON CONFLICT DO NOTHING`,
+    [issue_id, user_id]
+  );
+
+  return result.rowCount > 0;
+}
+
+/**
+ * Notify everyone following an issue, except the user who triggered it
+ * Takes the caller's client so notifications only exist if the change commits
+ * @param {Object} client - pg client (inside the caller's transaction)
+ * @param {Object} notification - Notification details
+ * @param {string} [notification.department_id] - Also notify members of this department
+ * @returns {Promise<number>} Number of notifications created
+ */
+async function notifyIssueFollowers(client, {
+  issue_id,
+  actor_user_id = null,
+  type,
+  message,
+  data = {},
+  department_id = null
+}) {
+  const result = await client.query(
+    `INSERT INTO notifications (user_id, issue_id, actor_user_id, type, message, data)
+     SELECT recipients.user_id, $1, $2, $3, $4, $5
+     FROM (
+       SELECT user_id FROM issue_followers WHERE issue_id = $1
+       UNION
+       SELECT user_id FROM users WHERE $6::uuid IS NOT NULL AND department_id = $6
+     ) recipients
+     WHERE recipients.user_id IS DISTINCT FROM $2`,
+    [issue_id, actor_user_id, type, message, JSON.stringify(data), department_id]
+  );
+
+  return result.rowCount;
+}
+
+module.exports = {
+  NOTIFICATION_TYPES,
+  addIssueFollower,
+  notifyIssueFollowers
+};
@@ -0,0 +1,152 @@
+/**
+ * Page size limits for list endpoints
+ */
+const PAGINATION_SETTINGS = {
+  DEFAULT_LIMIT: 20,
+  MAX_LIMIT: 100
+};
+
+/**
+ * Parse a requested page size, clamped to [1, MAX_LIMIT]
+ * @param {string|number} limit - Requested limit
+ * @returns {number} Page size
+ */
+function parseLimit(limit) {
+  const parsed = parseInt(limit);
+  if (!parsed || parsed < 1) return PAGINATION_SETTINGS.DEFAULT_LIMIT;
+  return Math.min(parsed, PAGINATION_SETTINGS.MAX_LIMIT);
+}
+
+/**
+ * Encode a cursor pointing after a row
+ * @param {string} sort - Sort name the cursor belongs to
+ * @param {Array<string>} values - Sort key values of the last row
+ * @returns {string} Opaque cursor
+ */
+function encodeCursor(sort, values) {
+  return Buffer.from(JSON.stringify({ s: sort, v: values })).toString('base64url');
+}
+
+/**
+ * Decode a cursor produced by encodeCursor
+ * @param {string} cursor - Opaque cursor
+ * @param {string} sort - Sort name of the current request
+ * @param {number} keyCount - Number of sort keys
+ * @returns {{values?: Array<string>, error?: string}} Cursor values or an error message
+ */
+function decodeCursor(cursor, sort, keyCount) {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (_) {
+    return { error: 'Invalid cursor' };
+  }
+
+  if (!decoded || !Array.isArray(decoded.v) || decoded.v.length !== keyCount) {
+    return { error: 'Invalid cursor' };
+  }
+  if (decoded.s !== sort) {
+    return { error: 'Cursor does not match the requested sort order' };
+  }
+
+  return { values: decoded.v };
+}
+
+/**
+ * Build keyset pagination SQL for a sort
+ *
+ * Each key is { expr, type, dir }; expressions must never be NULL (use COALESCE)
+ * and the last key must be unique (e.g. i.issue_id) so the order is stable.
+ * Sort key values are selected as text so timestamps keep microsecond precision
+ * when they round-trip through the cursor.
+ *
+ * @param {Array<Object>} keys - Sort keys
+ * @param {Array<string>|null} cursorValues - Decoded cursor values (null for the first page)
+ * @param {Function} addParam - Adds a query param and returns its placeholder (e.g. "$3")
+ * @returns {{select: string, condition: string|null, orderBy: string}} SQL fragments
+ */
+function buildKeysetQuery(keys, cursorValues, addParam) {
+  const select = keys.map((key, index) => `(${key.expr})::text as sort_key_${index}`).join(', ');
+  const orderBy = keys.map(key => `${key.expr} ${key.dir}`).join(', ');
+
+  let condition = null;
+  if (cursorValues) {
+    const placeholders = keys.map((key, index) => `${addParam(cursorValues[index])}::${key.type}`);
+
+    // (k1 after v1) OR (k1 = v1 AND k2 after v2) OR ...
+    const branches = keys.map((key, index) => {
+      const equalities = keys.slice(0, index).map((prev, prevIndex) => `${prev.expr} = ${placeholders[prevIndex]}`);
+      const comparison = `${key.expr} ${key.dir === 'DESC' ? '<' : '>'} ${placeholders[index]}`;
+      return `(${[...equalities, comparison].join(' AND ')})`;
+    });
+    condition = `(${branches.join(' OR ')})`;
+  }
+
+  return { select, condition, orderBy };
+}
+
+/**
+ * Build the pagination block of a list response
+ * Expects the query to fetch limit + 1 rows to detect a next page
+ * @param {Array<Object>} rows - Fetched rows (with sort_key_N columns)
+ * @param {number} limit - Page size
+ * @param {string} sort - Sort name
+ * @param {number} keyCount - Number of sort keys
+ * @returns {{rows: Array<Object>, pagination: Object}} Page rows and pagination info
+ */
+function paginateRows(rows, limit, sort, keyCount) {
+  const hasMore = rows.length > limit;
+  const pageRows = hasMore ? rows.slice(0, limit) : rows;
+  const last = pageRows[pageRows.length - 1];
+
+  return {
+    rows: pageRows,
+    pagination: {
+      limit,
+      has_more: hasMore,
+      next_cursor: hasMore
+        ? encodeCursor(sort, Array.from({ length: keyCount }, (_, index) => last[`sort_key_${index}`]))
+        : null
+    }
+  };
+}
+
+/**
+ * Parse a fields= projection parameter
+ * @param {string} fields - Comma-separated field names
+ * @param {Array<string>} allowed - Fields the endpoint can return
+ * @returns {{fields?: Array<string>|null, error?: string}} Requested fields (null = all) or an error
+ */
+function parseFields(fields, allowed) {
+  if (!fields) return { fields: null };
+
+  const requested = [...new Set(String(fields).split(',').map(f => f.trim()).filter(Boolean))];
+  const unknown = requested.filter(field => !allowed.includes(field));
+  if (unknown.length > 0) {
+    return { error: `Unknown field(s): ${unknown.join(', ')}` };
+  }
+
+  return { fields: requested.length > 0 ? requested : null };
+}
+
+/**
+ * Keep only the requested fields of an object
+ * @param {Object} item - Full object
+ * @param {Array<string>|null} fields - Fields to keep (null = all)
+ * @returns {Object} Projected object
+ */
+function projectFields(item, fields) {
+  if (!fields) return item;
+  return Object.fromEntries(fields.map(field => [field, item[field]]));
+}
+
+module.exports = {
+  PAGINATION_SETTINGS,
+  parseLimit,
+  encodeCursor,
+  decodeCursor,
+  buildKeysetQuery,
+  paginateRows,
+  parseFields,
+  projectFields
+};
@@ -0,0 +1,147 @@
+/**
+ * User roles (values of the user_role enum)
+ */
+const ROLES = {
+  CITIZEN: 'citizen',
+  MODERATOR: 'moderator',
+  DEPARTMENT_OFFICER: 'department_officer',
+  DEPARTMENT_HEAD: 'department_head',
+  GOVERNMENT: 'government',
+  SUPER_ADMIN: 'super_admin'
+};
+
+/**
+ * Permissions checked by requirePermission and the controllers
+ */
+const PERMISSIONS = {
+  DASHBOARD_VIEW: 'dashboard.view',
+  ISSUE_VIEW_ADMIN: 'issue.view_admin',
+  ISSUE_EXPORT: 'issue.export',
+  ISSUE_UPDATE_STATUS: 'issue.update_status',
+  ISSUE_ASSIGN: 'issue.assign',
+  ISSUE_MERGE: 'issue.merge',
+  COMMENT_OFFICIAL: 'comment.official',
+  COMMENT_MODERATE: 'comment.moderate',
+  DEPARTMENT_VIEW: 'department.view',
+  PRIORITY_CONFIG_MANAGE: 'priority_config.manage',
+  WEBHOOK_MANAGE: 'webhook.manage',
+  SERVICE_AREA_MANAGE: 'service_area.manage',
+  ROLE_MANAGE: 'role.manage'
+};
+
+const OFFICER_PERMISSIONS = [
+  PERMISSIONS.DASHBOARD_VIEW,
+  PERMISSIONS.ISSUE_VIEW_ADMIN,
+  PERMISSIONS.ISSUE_UPDATE_STATUS,
+  PERMISSIONS.COMMENT_OFFICIAL,
+  PERMISSIONS.DEPARTMENT_VIEW
+];
+
+/**
+ * Permission matrix
+ * - department: permissions only apply to issues assigned to the user's department
+ * - government: the original all-purpose official role, kept for existing accounts
+ */
+const ROLE_DEFINITIONS = {
+  [ROLES.CITIZEN]: {
+    description: 'Reports, votes on and verifies issues',
+    department: false,
+    permissions: []
+  },
+  [ROLES.MODERATOR]: {
+    description: 'Keeps issue discussions in order',
+    department: false,
+    permissions: [
+      PERMISSIONS.ISSUE_VIEW_ADMIN,
+      PERMISSIONS.COMMENT_MODERATE
+    ]
+  },
+  [ROLES.DEPARTMENT_OFFICER]: {
+    description: 'Works on issues assigned to their department',
+    department: true,
+    permissions: OFFICER_PERMISSIONS
+  },
+  [ROLES.DEPARTMENT_HEAD]: {
+    description: 'Runs a department: assigns its issues and exports its data',
+    department: true,
+    permissions: [
+      ...OFFICER_PERMISSIONS,
+      PERMISSIONS.ISSUE_ASSIGN,
+      PERMISSIONS.ISSUE_EXPORT
+    ]
+  },
+  [ROLES.GOVERNMENT]: {
+    description: 'City-wide official with every operational permission',
+    department: false,
+    permissions: Object.values(PERMISSIONS).filter(permission => permission !== PERMISSIONS.ROLE_MANAGE)
+  },
+  [ROLES.SUPER_ADMIN]: {
+    description: 'Full access, including granting and revoking roles',
+    department: false,
+    permissions: Object.values(PERMISSIONS)
+  }
+};
+
+/**
+ * Check whether a user's role grants a permission
+ * @param {Object} user - User row (or req.user)
+ * @param {string} permission - One of PERMISSIONS
+ * @returns {boolean} True if granted
+ */
+function hasPermission(user, permission) {
+  const definition = user && ROLE_DEFINITIONS[user.role];
+  return Boolean(definition && definition.permissions.includes(permission));
+}
+
+/**
+ * Whether a role is limited to its department's issues
+ * @param {string} role - Role name
+ * @returns {boolean} True for department roles
+ */
+function isDepartmentRole(role) {
+  return Boolean(ROLE_DEFINITIONS[role] && ROLE_DEFINITIONS[role].department);
+}
+
+/**
+ * Check whether a user may act on an issue with a permission,
+ * applying the department scope of department roles
+ * @param {Object} user - User row (or req.user)
+ * @param {string} permission - One of PERMISSIONS
+ * @param {Object} issue - Issue row
+ * @returns {boolean} True if allowed
+ */
+function canActOnIssue(user, permission, issue) {
+  if (!hasPermission(user, permission)) {
+    return false;
+  }
+  if (!isDepartmentRole(user.role)) {
+    return true;
+  }
+  return Boolean(user.department_id) && issue.assigned_department_id === user.department_id;
+}
+
+/**
+ * Permissions whose actions are signed on-chain by the acting official
+ * (update_issue_status requires a government account on-chain)
+ */
+const ON_CHAIN_OFFICIAL_PERMISSIONS = [PERMISSIONS.ISSUE_UPDATE_STATUS, PERMISSIONS.ISSUE_MERGE];
+
+/**
+ * Whether a role signs on-chain status updates, which needs a custodial wallet
+ * registered on-chain with the government role
+ * @param {string} role - Role name
+ * @returns {boolean} True if the role changes issue status on-chain
+ */
+function isOnChainOfficialRole(role) {
+  return ON_CHAIN_OFFICIAL_PERMISSIONS.some(permission => hasPermission({ role }, permission));
+}
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  ROLE_DEFINITIONS,
+  hasPermission,
+  isDepartmentRole,
+  canActOnIssue,
+  isOnChainOfficialRole
+};
@@ -1,30 +1,71 @@
 const pool = require('../config/database');
+const { SLA_SETTINGS } = require('./sla');
+const { DEFAULT_PRIORITY_CONFIG, getActivePriorityConfig } = require('./priorityConfig');
+const { ISSUE_STREAM_EVENTS, publishIssueUpdates } = require('./issueStream');
 
 /**
- * Category to urgency score mapping
+ * Default category to urgency score mapping
+ * (the active mapping lives in priority_configs)
  */
-const CATEGORY_URGENCY = {
-  pothole: 8,
-  garbage: 6,
-  streetlight: 4,
-  water: 9,
-  other: 5
+const CATEGORY_URGENCY = DEFAULT_PRIORITY_CONFIG.category_urgency;
+
+/**
+ * Default weights applied to each priority component
+ */
+const PRIORITY_WEIGHTS = DEFAULT_PRIORITY_CONFIG.weights;
+
+/**
+ * Human-readable names of the priority components
+ */
+const PRIORITY_COMPONENT_LABELS = {
+  LD: 'Location density',
+  RR: 'Reporter reputation',
+  UR: 'Upvoter reputation',
+  CU: 'Category urgency',
+  TF: 'Time since reported'
 };
 
+/**
+ * Default number of issues recomputed per batch by recomputeActivePriorities
+ */
+const RECOMPUTE_BATCH_SIZE = 500;
+
+/**
+ * Minimum score change from a scheduled recompute that is pushed to live streams
+ * (the time factor nudges every score slightly on each run)
+ */
+const STREAM_MIN_PRIORITY_CHANGE = 1;
+
+/**
+ * Combine priority components using a config's weights
+ * @param {Object} components - LD, RR, UR, CU, TF values
+ * @param {Object} config - Priority config
+ * @returns {number} Priority score (0-100)
+ */
+function scorePriority(components, config = DEFAULT_PRIORITY_CONFIG) {
+  const { weights } = config;
+  const priority = (weights.LD * components.LD) + (weights.RR * components.RR) + (weights.UR * components.UR) +
+    (weights.CU * components.CU) + (weights.TF * components.TF);
+
+  return Math.min(priority, 100);
+}
+
 /**
  * Calculate priority score for an issue
  * 
- * Priority = (2.5 × LD) + (2.0 × RR) + (2.0 × UR) + (2.5 × CU) + (1.0 × TF)
+ * Priority = (wLD × LD) + (wRR × RR) + (wUR × UR) + (wCU × CU) + (wTF × TF)
  * 
- * Where:
- * - LD (Location Density): Number of issues within 100m in last 30 days (max 10)
+ * Where (weights, radius, window and urgency come from the priority config;
+ * defaults 2.5/2.0/2.0/2.5/1.0, 100m, 30 days):
+ * - LD (Location Density): Number of issues within the radius in the window (max 10)
  * - RR (Reporter Reputation): min(reporter_rep / 10, 10)
  * - UR (Upvote Reputation Sum): min(sum_upvoter_rep / 100, 10)
- * - CU (Category Urgency): From category mapping (4-9)
+ * - CU (Category Urgency): From category mapping (0-10)
  * - TF (Time Factor): Days since issue reported (max 10)
  * 
  * @param {Object} params - Issue parameters
- * @returns {Promise<number>} Priority score (0-100)
+ * @param {Object} [config] - Priority config (defaults to the active config)
+ * @returns {Promise<{score: number, components: Object}>} Priority score (0-100) and its LD/RR/UR/CU/TF components
  */
 async function calculatePriorityScore({
   issue_id,
@@ -33,24 +74,26 @@ async function calculatePriorityScore({
   category,
   reporter_rep,
   created_at
-}) {
+}, config) {
+  const priorityConfig = config || await getActivePriorityConfig();
   const client = await pool.connect();
   
   try {
-    // 1. Location Density (LD) - issues within 100m in last 30 days
+    // 1. Location Density (LD) - issues within the density radius and window
     const densityQuery = `
       SELECT COUNT(*) as count
       FROM issues
       WHERE ST_DWithin(
         location,
         ST_SetSRID(ST_MakePoint($1, $2), 4326)::geography,
-        100
+        $3
       )
-      AND created_at > NOW() - INTERVAL '30 days'
-      ${issue_id ? 'AND issue_id != $3' : ''}
+      AND created_at > NOW() - make_interval(days => $4)
+      ${issue_id ? 'AND issue_id != $5' : ''}
     `;
     
-    const densityParams = issue_id ? [lng, lat, issue_id] : [lng, lat];
+    const densityParams = [lng, lat, priorityConfig.density_radius_meters, priorityConfig.density_window_days];
+    if (issue_id) densityParams.push(issue_id);
     const densityResult = await client.query(densityQuery, densityParams);
     const LD = Math.min(parseInt(densityResult.rows[0].count), 10);
 
@@ -71,7 +114,7 @@ async function calculatePriorityScore({
     }
 
     // 4. Category Urgency (CU)
-    const CU = CATEGORY_URGENCY[category] || 5;
+    const CU = priorityConfig.category_urgency[category] ?? 5;
 
     // 5. Time Factor (TF)
     const issueDate = created_at ? new Date(created_at) : new Date();
@@ -79,9 +122,11 @@ async function calculatePriorityScore({
     const TF = Math.min(daysSinceCreation, 10);
 
     // Calculate final priority
-    const priority = (2.5 * LD) + (2.0 * RR) + (2.0 * UR) + (2.5 * CU) + (1.0 * TF);
-
-    return Math.min(priority, 100);
+    const components = { LD, RR, UR, CU, TF };
+    return {
+      score: scorePriority(components, priorityConfig),
+      components
+    };
   } finally {
     client.release();
   }
@@ -93,6 +138,7 @@ async function calculatePriorityScore({
  * @returns {Promise<number>} New priority score
  */
 async function updateIssuePriority(issue_id) {
+  const config = await getActivePriorityConfig();
   const client = await pool.connect();
   
   try {
@@ -104,6 +150,8 @@ async function updateIssuePriority(issue_id) {
         ST_X(i.location::geometry) as lng,
         i.category,
         i.created_at,
+        i.escalation_count,
+        i.priority_score,
         u.rep as reporter_rep
       FROM issues i
       JOIN users u ON i.reporter_user_id = u.user_id
@@ -118,21 +166,31 @@ async function updateIssuePriority(issue_id) {
     
     const issue = issueResult.rows[0];
     
-    // Calculate new priority
-    const newPriority = await calculatePriorityScore({
+    // Calculate new priority, keeping the boost from SLA escalations
+    const { score: basePriority, components } = await calculatePriorityScore({
       issue_id: issue.issue_id,
       lat: issue.lat,
       lng: issue.lng,
       category: issue.category,
       reporter_rep: issue.reporter_rep,
       created_at: issue.created_at
-    });
+    }, config);
+    const newPriority = Math.min(basePriority + issue.escalation_count * SLA_SETTINGS.ESCALATION_BOOST, 100);
     
     // Update in database
     await client.query(
-      'UPDATE issues SET priority_score = $1, updated_at = NOW() WHERE issue_id = $2',
-      [newPriority, issue_id]
+      `UPDATE issues
+       SET priority_score = $1, priority_components = $2, priority_config_version = $3,
+           priority_refreshed_at = NOW(), updated_at = NOW()
+       WHERE issue_id = $4`,
+      [newPriority, JSON.stringify(components), config.version, issue_id]
     );
+
+    if (newPriority !== issue.priority_score) {
+      await publishIssueUpdates(client, ISSUE_STREAM_EVENTS.PRIORITY_CHANGED, [issue_id], {
+        old_priority_score: issue.priority_score
+      });
+    }
     
     return newPriority;
   } finally {
@@ -140,8 +198,200 @@ async function updateIssuePriority(issue_id) {
   }
 }
 
+/**
+ * Build a query computing raw priority components (ld, rr, ur, cu, tf) per issue
+ * Params: $1 density radius, $2 density window days, $3 category urgency (JSON);
+ * the filter may reference further params.
+ * @param {string} filter - WHERE condition over issues `i`
+ * @returns {string} SQL query
+ */
+function buildPriorityComponentsQuery(filter) {
+  return `
+    SELECT
+      i.issue_id,
+      i.category,
+      i.escalation_count,
+      LEAST((
+        SELECT COUNT(*)
+        FROM issues n
+        WHERE ST_DWithin(n.location, i.location, $1)
+        AND n.created_at > NOW() - make_interval(days => $2)
+        AND n.issue_id != i.issue_id
+      ), 10)::float as ld,
+      LEAST(u.rep / 10.0, 10)::float as rr,
+      LEAST(COALESCE((
+        SELECT SUM(vu.rep)
+        FROM votes v
+        JOIN users vu ON v.user_id = vu.user_id
+        WHERE v.issue_id = i.issue_id AND v.vote_type = 'upvote'
+      ), 0) / 100.0, 10)::float as ur,
+      COALESCE(($3::jsonb ->> i.category::text)::float, 5) as cu,
+      LEAST(FLOOR(EXTRACT(EPOCH FROM (NOW() - i.created_at)) / 86400), 10)::float as tf
+    FROM issues i
+    JOIN users u ON i.reporter_user_id = u.user_id
+    WHERE ${filter}
+  `;
+}
+
+/**
+ * Parameters for buildPriorityComponentsQuery
+ * @param {Object} config - Priority config
+ * @returns {Array} First three query params
+ */
+function priorityComponentsParams(config) {
+  return [
+    config.density_radius_meters,
+    config.density_window_days,
+    JSON.stringify(config.category_urgency)
+  ];
+}
+
+/**
+ * Recompute priority scores for all open/in-progress issues
+ *
+ * Applies the same formula as calculatePriorityScore in a single set-based
+ * UPDATE per batch, so the Time Factor keeps growing for issues nobody votes on.
+ * Batches are walked in issue_id order to keep each transaction short.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.batchSize] - Issues per batch
+ * @returns {Promise<{updated: number, batches: number}>} Totals for the run
+ */
+async function recomputeActivePriorities({ batchSize = RECOMPUTE_BATCH_SIZE } = {}) {
+  const config = await getActivePriorityConfig();
+  const client = await pool.connect();
+
+  try {
+    let lastIssueId = null;
+    let updated = 0;
+    let batches = 0;
+
+    for (;;) {
+      const batchResult = await client.query(
+        `SELECT issue_id
+         FROM issues
+         WHERE status IN ('open', 'in_progress')
+         AND ($1::uuid IS NULL OR issue_id > $1::uuid)
+         ORDER BY issue_id
+         LIMIT $2`,
+        [lastIssueId, batchSize]
+      );
+
+      const issueIds = batchResult.rows.map(row => row.issue_id);
+      if (issueIds.length === 0) break;
+
+      const updateQuery = `
+        WITH components AS (
+          ${buildPriorityComponentsQuery('i.issue_id = ANY($4::uuid[])')}
+        )
+        UPDATE issues i
+        SET
+          priority_score = LEAST(
+            LEAST(($5::float * c.ld) + ($6::float * c.rr) + ($7::float * c.ur) + ($8::float * c.cu) + ($9::float * c.tf), 100)
+              + i.escalation_count * $10::float,
+            100
+          ),
+          priority_components = jsonb_build_object('LD', c.ld, 'RR', c.rr, 'UR', c.ur, 'CU', c.cu, 'TF', c.tf),
+          priority_config_version = $11,
+          priority_refreshed_at = NOW()
+        FROM components c, issues prev
+        WHERE i.issue_id = c.issue_id AND prev.issue_id = i.issue_id
+        RETURNING i.issue_id, prev.priority_score as old_score, i.priority_score as new_score
+      `;
+
+      const result = await client.query(updateQuery, [
+        ...priorityComponentsParams(config),
+        issueIds,
+        config.weights.LD,
+        config.weights.RR,
+        config.weights.UR,
+        config.weights.CU,
+        config.weights.TF,
+        SLA_SETTINGS.ESCALATION_BOOST,
+        config.version
+      ]);
+
+      const changedIds = result.rows
+        .filter(row => Math.abs(row.new_score - row.old_score) >= STREAM_MIN_PRIORITY_CHANGE)
+        .map(row => row.issue_id);
+      await publishIssueUpdates(client, ISSUE_STREAM_EVENTS.PRIORITY_CHANGED, changedIds);
+
+      updated += result.rowCount;
+      batches++;
+      lastIssueId = issueIds[issueIds.length - 1];
+
+      if (issueIds.length < batchSize) break;
+    }
+
+    return { updated, batches };
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Get raw priority components for all open/in-progress issues under a config
+ * @param {Object} config - Priority config (density settings and urgency are used)
+ * @returns {Promise<Array<Object>>} Rows with issue_id, category, escalation_count and LD/RR/UR/CU/TF
+ */
+async function getActivePriorityComponents(config) {
+  const client = await pool.connect();
+
+  try {
+    const result = await client.query(
+      buildPriorityComponentsQuery(`i.status IN ('open', 'in_progress')`),
+      priorityComponentsParams(config)
+    );
+
+    return result.rows.map(row => ({
+      issue_id: row.issue_id,
+      category: row.category,
+      escalation_count: row.escalation_count,
+      components: { LD: row.ld, RR: row.rr, UR: row.ur, CU: row.cu, TF: row.tf }
+    }));
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Explain a stored priority score
+ * @param {Object} issue - Issue row with priority_score, priority_components, escalation_count,
+ *   priority_config_version, priority_refreshed_at and priority_weights (weights of that config version)
+ * @returns {Object|null} Breakdown with each component's value, weight and contribution
+ */
+function buildPriorityBreakdown(issue) {
+  if (!issue.priority_components) return null;
+
+  const weights = { ...PRIORITY_WEIGHTS, ...(issue.priority_weights || {}) };
+  const components = {};
+  for (const [key, label] of Object.entries(PRIORITY_COMPONENT_LABELS)) {
+    const value = Number(issue.priority_components[key]) || 0;
+    components[key] = {
+      label,
+      value,
+      weight: weights[key],
+      contribution: parseFloat((value * weights[key]).toFixed(2))
+    };
+  }
+
+  return {
+    score: issue.priority_score,
+    components,
+    escalation_boost: (issue.escalation_count || 0) * SLA_SETTINGS.ESCALATION_BOOST,
+    config_version: issue.priority_config_version,
+    refreshed_at: issue.priority_refreshed_at
+  };
+}
+
 module.exports = {
   CATEGORY_URGENCY,
+  PRIORITY_WEIGHTS,
+  PRIORITY_COMPONENT_LABELS,
+  scorePriority,
   calculatePriorityScore,
-  updateIssuePriority
+  buildPriorityBreakdown,
+  updateIssuePriority,
+  recomputeActivePriorities,
+  getActivePriorityComponents
 };
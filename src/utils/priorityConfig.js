@@ -0,0 +1,152 @@
+const pool = require('../config/database');
+
+/**
+ * Built-in priority formula, used when no config row exists yet
+ */
+const DEFAULT_PRIORITY_CONFIG = {
+  version: null,
+  weights: {
+    LD: 2.5,
+    RR: 2.0,
+    UR: 2.0,
+    CU: 2.5,
+    TF: 1.0
+  },
+  category_urgency: {
+    pothole: 8,
+    garbage: 6,
+    streetlight: 4,
+    water: 9,
+    other: 5
+  },
+  density_radius_meters: 100,
+  density_window_days: 30
+};
+
+const WEIGHT_KEYS = Object.keys(DEFAULT_PRIORITY_CONFIG.weights);
+const CATEGORIES = Object.keys(DEFAULT_PRIORITY_CONFIG.category_urgency);
+
+/**
+ * How long the active config is cached in-process
+ */
+const CONFIG_CACHE_TTL_MS = 60 * 1000;
+
+let cachedConfig = null;
+let cachedAt = 0;
+
+/**
+ * Shape a priority_configs row
+ * @param {Object} row - priority_configs row
+ * @returns {Object} Priority config
+ */
+function formatPriorityConfig(row) {
+  return {
+    version: row.version,
+    weights: { ...DEFAULT_PRIORITY_CONFIG.weights, ...row.weights },
+    category_urgency: { ...DEFAULT_PRIORITY_CONFIG.category_urgency, ...row.category_urgency },
+    density_radius_meters: parseFloat(row.density_radius_meters),
+    density_window_days: parseInt(row.density_window_days),
+    note: row.note,
+    created_by: row.created_by,
+    created_at: row.created_at
+  };
+}
+
+/**
+ * Get the active (latest) priority config
+ * @returns {Promise<Object>} Priority config
+ */
+async function getActivePriorityConfig() {
+  if (cachedConfig && Date.now() - cachedAt < CONFIG_CACHE_TTL_MS) {
+    return cachedConfig;
+  }
+
+  const client = await pool.connect();
+
+  try {
+    const result = await client.query('SELECT * FROM priority_configs ORDER BY version DESC LIMIT 1');
+    cachedConfig = result.rows[0] ? formatPriorityConfig(result.rows[0]) : DEFAULT_PRIORITY_CONFIG;
+    cachedAt = Date.now();
+    return cachedConfig;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Drop the cached config so the next read picks up a new version
+ */
+function invalidatePriorityConfigCache() {
+  cachedConfig = null;
+  cachedAt = 0;
+}
+
+/**
+ * Validate a (partial) config update
+ * @param {Object} input - Proposed weights, category_urgency, density settings
+ * @returns {string|null} Error message, or null if valid
+ */
+function validatePriorityConfigInput(input) {
+  if (!input || typeof input !== 'object') {
+    return 'Config must be an object';
+  }
+
+  const { weights, category_urgency, density_radius_meters, density_window_days } = input;
+
+  if (weights !== undefined) {
+    if (!weights || typeof weights !== 'object') return 'weights must be an object';
+    for (const [key, value] of Object.entries(weights)) {
+      if (!WEIGHT_KEYS.includes(key)) return `Unknown weight: ${key}`;
+      if (typeof value !== 'number' || !Number.isFinite(value) || value < 0 || value > 10) {
+        return `Weight ${key} must be a number between 0 and 10`;
+      }
+    }
+  }
+
+  if (category_urgency !== undefined) {
+    if (!category_urgency || typeof category_urgency !== 'object') return 'category_urgency must be an object';
+    for (const [key, value] of Object.entries(category_urgency)) {
+      if (!CATEGORIES.includes(key)) return `Unknown category: ${key}`;
+      if (typeof value !== 'number' || !Number.isFinite(value) || value < 0 || value > 10) {
+        return `Urgency for ${key} must be a number between 0 and 10`;
+      }
+    }
+  }
+
+  if (density_radius_meters !== undefined &&
+      (typeof density_radius_meters !== 'number' || density_radius_meters <= 0 || density_radius_meters > 5000)) {
+    return 'density_radius_meters must be a number between 0 and 5000';
+  }
+
+  if (density_window_days !== undefined &&
+      (!Number.isInteger(density_window_days) || density_window_days <= 0 || density_window_days > 365)) {
+    return 'density_window_days must be an integer between 1 and 365';
+  }
+
+  return null;
+}
+
+/**
+ * Apply a partial update on top of a base config
+ * @param {Object} base - Current config
+ * @param {Object} input - Validated partial update
+ * @returns {Object} Merged config (without version)
+ */
+function mergePriorityConfig(base, input) {
+  return {
+    version: null,
+    weights: { ...base.weights, ...(input.weights || {}) },
+    category_urgency: { ...base.category_urgency, ...(input.category_urgency || {}) },
+    density_radius_meters: input.density_radius_meters ?? base.density_radius_meters,
+    density_window_days: input.density_window_days ?? base.density_window_days
+  };
+}
+
+module.exports = {
+  DEFAULT_PRIORITY_CONFIG,
+  formatPriorityConfig,
+  getActivePriorityConfig,
+  invalidatePriorityConfigCache,
+  validatePriorityConfigInput,
+  mergePriorityConfig
+};
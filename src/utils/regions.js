@@ -0,0 +1,95 @@
+/**
+ * Find the region containing a point
+ * When regions are nested (e.g. wards inside districts) the smallest one wins
+ * @param {Object} client - pg client or pool
+ * @param {Object} point - { lat, lng }
+ * @returns {Promise<Object|null>} Region row (region_id, name, code, level), or null if outside all regions
+ */
+async function findRegionForPoint(client, { lat, lng }) {
+  const query = `
+    SELECT region_id, name, code, level
+    FROM regions
+    WHERE ST_Contains(boundary, ST_SetSRID(ST_MakePoint($1, $2), 4326))
+    ORDER BY ST_Area(boundary) ASC
+    LIMIT 1
+  `;
+
+  const result = await client.query(query, [lng, lat]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Re-assign every issue to the region containing it (after regions are loaded or changed)
+ * Issues outside all regions keep their current region text
+ * @param {Object} client - pg client or pool
+ * @returns {Promise<number>} Number of issues whose region changed
+ */
+async function assignIssueRegions(client) {
+  const result = await client.query(`
+    UPDATE issues i
+    SET region_id = m.region_id, region = m.name
+    FROM (
+      SELECT i2.issue_id, r.region_id, r.name
+      FROM issues i2
+      CROSS JOIN LATERAL (
+        SELECT region_id, name
+        FROM regions
+        WHERE ST_Contains(boundary, i2.location::geometry)
+        ORDER BY ST_Area(boundary) ASC
+        LIMIT 1
+      ) r
+    ) m
+    WHERE i.issue_id = m.issue_id
+    AND (i.region_id IS DISTINCT FROM m.region_id OR i.region IS DISTINCT FROM m.name)
+  `);
+
+  return result.rowCount;
+}
+
+/**
+ * Extract regions from a GeoJSON FeatureCollection
+ * @param {Object} geojson - Parsed GeoJSON
+ * @param {Object} options - { nameProperty, codeProperty, level }
+ * @returns {{regions?: Array<Object>, error?: string}} Regions ({ name, code, level, geometry }) or an error message
+ */
+function parseRegionFeatures(geojson, { nameProperty = 'name', codeProperty = 'code', level = 'ward' } = {}) {
+  if (!geojson || geojson.type !== 'FeatureCollection' || !Array.isArray(geojson.features)) {
+    return { error: 'Expected a GeoJSON FeatureCollection' };
+  }
+
+  const regions = [];
+  const names = new Set();
+
+  for (const [index, feature] of geojson.features.entries()) {
+    const geometry = feature && feature.geometry;
+    if (!geometry || !['Polygon', 'MultiPolygon'].includes(geometry.type)) {
+      return { error: `Feature ${index} is not a Polygon or MultiPolygon` };
+    }
+
+    const properties = feature.properties || {};
+    const name = properties[nameProperty] !== undefined ? String(properties[nameProperty]).trim() : '';
+    if (!name) {
+      return { error: `Feature ${index} has no "${nameProperty}" property` };
+    }
+    if (names.has(name)) {
+      return { error: `Duplicate region name "${name}"` };
+    }
+    names.add(name);
+
+    const code = properties[codeProperty];
+    regions.push({
+      name,
+      code: code === undefined || code === null || code === '' ? null : String(code),
+      level,
+      geometry
+    });
+  }
+
+  return { regions };
+}
+
+module.exports = {
+  findRegionForPoint,
+  assignIssueRegions,
+  parseRegionFeatures
+};
@@ -50,6 +50,7 @@ const REPUTATION_CHANGES = {
   DOWNVOTE_RECEIVED: -3,
   ISSUE_VERIFIED: 10,
   VERIFICATION_DONE: 5,
+  VERIFICATION_OVERTURNED: -5,
   MARKED_SPAM: -20
 };
 
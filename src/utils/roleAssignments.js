@@ -0,0 +1,84 @@
+const { validate: isUuid } = require('uuid');
+const { ROLES, ROLE_DEFINITIONS, isDepartmentRole, isOnChainOfficialRole } = require('./permissions');
+const { WALLET_CUSTODY } = require('./walletAuth');
+
+/**
+ * Where a role change came from
+ */
+const ROLE_CHANGE_SOURCES = {
+  API: 'api',
+  SCRIPT: 'script'
+};
+
+/**
+ * Change a user's role and record it in the role audit trail
+ * Takes the caller's client so the audit entry commits with the change
+ * @param {Object} client - pg client (inside the caller's transaction)
+ * @param {Object} change - { user, role, department_id, actor_user_id, reason, source }
+ *   department_id defaults to the user's current department; citizens never keep one
+ * @returns {Promise<{user?: Object, audit?: Object, error?: string}>} Updated user and audit entry, or an error message
+ */
+async function assignUserRole(client, {
+  user,
+  role,
+  department_id = undefined,
+  actor_user_id = null,
+  reason = null,
+  source = ROLE_CHANGE_SOURCES.API
+}) {
+  if (!Object.hasOwn(ROLE_DEFINITIONS, role)) {
+    return { error: `role must be one of: ${Object.keys(ROLE_DEFINITIONS).join(', ')}` };
+  }
+  if (department_id !== undefined && department_id !== null && !isUuid(department_id)) {
+    return { error: 'Invalid department_id' };
+  }
+
+  const newDepartmentId = role === ROLES.CITIZEN
+    ? null
+    : (department_id !== undefined ? department_id : user.department_id) || null;
+
+  if (isDepartmentRole(role) && !newDepartmentId) {
+    return { error: `${role} requires a department_id` };
+  }
+  if (newDepartmentId) {
+    const departmentResult = await client.query('SELECT 1 FROM departments WHERE department_id = $1', [newDepartmentId]);
+    if (departmentResult.rows.length === 0) {
+      return { error: 'Department not found' };
+    }
+  }
+  // Officials sign status changes on-chain with their custodial key
+  if (isOnChainOfficialRole(role) && user.wallet_custody === WALLET_CUSTODY.SELF) {
+    return { error: `${role} needs a custodial wallet; this user signs with their own wallet` };
+  }
+
+  const updated = await client.query(
+    'UPDATE users SET role = $1, department_id = $2 WHERE user_id = $3 RETURNING *',
+    [role, newDepartmentId, user.user_id]
+  );
+
+  const audit = await client.query(
+    `INSERT INTO role_audit_log (
+      user_id, actor_user_id, action, old_role, new_role, old_department_id, new_department_id, reason, source
+    )
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+    RETURNING *`,
+    [
+      user.user_id,
+      actor_user_id,
+      role === ROLES.CITIZEN ? 'revoke' : 'grant',
+      user.role,
+      role,
+      user.department_id || null,
+      newDepartmentId,
+      reason ? String(reason).trim() : null,
+      source
+    ]
+  );
+
+  return { user: updated.rows[0], audit: audit.rows[0] };
+}
+
+module.exports = {
+  ROLE_CHANGE_SOURCES,
+  assignUserRole
+};
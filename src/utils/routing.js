@@ -0,0 +1,25 @@
+/**
+ * Find the department that should handle an issue
+ * A department serving the issue's region wins over a citywide one
+ * @param {Object} client - pg client (inside the caller's transaction)
+ * @param {Object} params - Issue category and region
+ * @returns {Promise<Object|null>} Department row, or null if no department handles the category
+ */
+async function findDepartmentForIssue(client, { category, region }) {
+  const query = `
+    SELECT d.*
+    FROM departments d
+    JOIN department_categories dc ON dc.department_id = d.department_id
+    WHERE dc.category = $1
+    AND (d.region IS NULL OR d.region = $2)
+    ORDER BY (d.region IS NULL) ASC
+    LIMIT 1
+  `;
+
+  const result = await client.query(query, [category, region || null]);
+  return result.rows[0] || null;
+}
+
+module.exports = {
+  findDepartmentForIssue
+};
@@ -0,0 +1,119 @@
+/**
+ * Search radius limits for GET /issues (meters)
+ */
+const SEARCH_RADIUS = {
+  DEFAULT_METERS: 5000,
+  MAX_METERS: parseInt(process.env.ISSUE_SEARCH_MAX_RADIUS_METERS) || 50000
+};
+
+/**
+ * Parse and range-check a coordinate pair
+ * 0,0 is rejected: it is what broken GPS fixes and unset client fields send
+ * @param {string|number} lat - Latitude
+ * @param {string|number} lng - Longitude
+ * @returns {{lat?: number, lng?: number, error?: string}} Parsed coordinates or an error message
+ */
+function parseCoordinates(lat, lng) {
+  const parsedLat = typeof lat === 'string' && lat.trim() === '' ? NaN : Number(lat);
+  const parsedLng = typeof lng === 'string' && lng.trim() === '' ? NaN : Number(lng);
+
+  if (!Number.isFinite(parsedLat) || !Number.isFinite(parsedLng)) {
+    return { error: 'lat and lng must be numbers' };
+  }
+  if (parsedLat < -90 || parsedLat > 90) {
+    return { error: 'lat must be between -90 and 90' };
+  }
+  if (parsedLng < -180 || parsedLng > 180) {
+    return { error: 'lng must be between -180 and 180' };
+  }
+  if (parsedLat === 0 && parsedLng === 0) {
+    return { error: 'lat and lng of 0,0 are not a valid location' };
+  }
+
+  return { lat: parsedLat, lng: parsedLng };
+}
+
+/**
+ * Parse a search radius in meters
+ * @param {string|number} radius - Requested radius (default SEARCH_RADIUS.DEFAULT_METERS)
+ * @returns {{radius?: number, error?: string}} Radius or an error message
+ */
+function parseRadius(radius) {
+  if (radius === undefined || radius === '') {
+    return { radius: SEARCH_RADIUS.DEFAULT_METERS };
+  }
+
+  const parsed = Number(radius);
+  if (!Number.isFinite(parsed) || parsed <= 0 || parsed > SEARCH_RADIUS.MAX_METERS) {
+    return { error: `radius must be between 1 and ${SEARCH_RADIUS.MAX_METERS} meters` };
+  }
+
+  return { radius: parsed };
+}
+
+/**
+ * Extract service area polygons from GeoJSON
+ * Accepts a FeatureCollection, a Feature, or a bare Polygon/MultiPolygon
+ * @param {Object} geojson - Parsed GeoJSON
+ * @returns {{areas?: Array<Object>, error?: string}} Areas ({ name, geometry }) or an error message
+ */
+function parseServiceAreaGeoJSON(geojson) {
+  let features;
+  if (geojson && geojson.type === 'FeatureCollection' && Array.isArray(geojson.features)) {
+    features = geojson.features;
+  } else if (geojson && geojson.type === 'Feature') {
+    features = [geojson];
+  } else if (geojson && ['Polygon', 'MultiPolygon'].includes(geojson.type)) {
+    features = [{ type: 'Feature', properties: {}, geometry: geojson }];
+  } else {
+    return { error: 'Expected a GeoJSON FeatureCollection, Feature, Polygon or MultiPolygon' };
+  }
+
+  if (features.length === 0) {
+    return { error: 'At least one polygon is required' };
+  }
+
+  const areas = [];
+  for (const [index, feature] of features.entries()) {
+    const geometry = feature && feature.geometry;
+    if (!geometry || !['Polygon', 'MultiPolygon'].includes(geometry.type) || !Array.isArray(geometry.coordinates)) {
+      return { error: `Feature ${index} is not a Polygon or MultiPolygon` };
+    }
+
+    const properties = feature.properties || {};
+    areas.push({
+      name: properties.name ? String(properties.name) : `Service area ${index + 1}`,
+      geometry
+    });
+  }
+
+  return { areas };
+}
+
+/**
+ * Check whether a point lies inside the configured service area
+ * With no service area configured every location is accepted
+ * @param {Object} client - pg client or pool
+ * @param {Object} point - { lat, lng }
+ * @returns {Promise<boolean>} True if the point is inside (or no area is configured)
+ */
+async function isWithinServiceArea(client, { lat, lng }) {
+  const result = await client.query(
+    `SELECT
+      NOT EXISTS (SELECT 1 FROM service_areas) OR EXISTS (
+        SELECT 1 FROM service_areas
+        WHERE ST_Covers(boundary, ST_SetSRID(ST_MakePoint($1, $2), 4326))
+      ) as inside`,
+    [lng, lat]
+  );
+
+  return result.rows[0].inside;
+}
+
+module.exports = {
+  SEARCH_RADIUS,
+  parseCoordinates,
+  parseRadius,
+  parseServiceAreaGeoJSON,
+  isWithinServiceArea
+};
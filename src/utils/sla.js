@@ -0,0 +1,98 @@
+const pool = require('../config/database');
+const { ISSUE_EVENT_TYPES } = require('./issueEvents');
+const { ISSUE_STREAM_EVENTS, publishIssueUpdates } = require('./issueStream');
+
+/**
+ * SLA escalation settings
+ * - ESCALATION_BOOST: Priority points added each time an overdue issue is escalated
+ * - ESCALATION_INTERVAL_HOURS: Minimum hours between escalations of the same issue
+ */
+const SLA_SETTINGS = {
+  ESCALATION_BOOST: parseFloat(process.env.SLA_ESCALATION_BOOST) || 10,
+  ESCALATION_INTERVAL_HOURS: parseInt(process.env.SLA_ESCALATION_INTERVAL_HOURS) || 24
+};
+
+/**
+ * SQL expression that is true for issues past their SLA deadline
+ * (expects the issues table aliased as `i`)
+ */
+const OVERDUE_CONDITION = `(i.status IN ('open', 'in_progress') AND i.sla_due_at < NOW())`;
+
+/**
+ * Compute the SLA deadline for a new issue
+ * @param {Object} client - pg client (inside the caller's transaction)
+ * @param {Object} params - Issue category and priority score
+ * @returns {Promise<Date|null>} Due date, or null if no SLA target applies
+ */
+async function computeSlaDueAt(client, { category, priority_score }) {
+  const query = `
+    SELECT NOW() + make_interval(hours => target_hours) as due_at
+    FROM sla_targets
+    WHERE category = $1 AND min_priority <= $2
+    ORDER BY min_priority DESC
+    LIMIT 1
+  `;
+
+  const result = await client.query(query, [category, priority_score]);
+  return result.rows[0] ? result.rows[0].due_at : null;
+}
+
+/**
+ * Escalate overdue issues: bump priority and record an escalation event
+ * Issues are escalated at most once per ESCALATION_INTERVAL_HOURS
+ * @returns {Promise<Array<Object>>} Escalated issues with their new priority
+ */
+async function escalateOverdueIssues() {
+  const client = await pool.connect();
+
+  try {
+    const query = `
+      WITH escalated AS (
+        UPDATE issues i
+        SET
+          priority_score = LEAST(i.priority_score + $1, 100),
+          escalation_count = i.escalation_count + 1,
+          escalated_at = NOW(),
+          updated_at = NOW()
+        WHERE ${OVERDUE_CONDITION}
+        AND (i.escalated_at IS NULL OR i.escalated_at < NOW() - make_interval(hours => $2))
+        RETURNING i.issue_id, i.priority_score, i.escalation_count, i.sla_due_at, i.assigned_department_id
+      ),
+      events AS (
+        INSERT INTO issue_events (issue_id, event_type, old_value, new_value, metadata)
+        SELECT
+          e.issue_id,
+          $3,
+          (e.escalation_count - 1)::text,
+          e.escalation_count::text,
+          jsonb_build_object('priority_score', e.priority_score, 'sla_due_at', e.sla_due_at)
+        FROM escalated e
+      )
+      SELECT * FROM escalated
+    `;
+
+    const result = await client.query(query, [
+      SLA_SETTINGS.ESCALATION_BOOST,
+      SLA_SETTINGS.ESCALATION_INTERVAL_HOURS,
+      ISSUE_EVENT_TYPES.ESCALATED
+    ]);
+
+    await publishIssueUpdates(
+      client,
+      ISSUE_STREAM_EVENTS.PRIORITY_CHANGED,
+      result.rows.map(row => row.issue_id),
+      { escalated: true }
+    );
+
+    return result.rows;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  SLA_SETTINGS,
+  OVERDUE_CONDITION,
+  computeSlaDueAt,
+  escalateOverdueIssues
+};
@@ -0,0 +1,21 @@
+/**
+ * Parse the `verified` flag of a verification request
+ * Accepts boolean true, 'true' or '1' and numeric 1 as "fixed", and only an
+ * explicit boolean false, 'false' or '0' as "not fixed" (a dispute)
+ * @param {*} value - Raw `verified` value from a JSON or multipart body
+ * @returns {boolean|null} true, false, or null when missing or unrecognised
+ */
+function parseVerifiedFlag(value) {
+  if (value === true || value === 1) return true;
+  if (value === false) return false;
+  if (typeof value === 'string') {
+    const normalized = value.trim().toLowerCase();
+    if (normalized === 'true' || normalized === '1') return true;
+    if (normalized === 'false' || normalized === '0') return false;
+  }
+  return null;
+}
+
+module.exports = {
+  parseVerifiedFlag
+};
@@ -0,0 +1,82 @@
+const { REPUTATION_CHANGES, calculateNewReputation, updateBadges } = require('./reputation');
+
+/**
+ * Per vote type: display label, issue counter column, reporter rep change and total_upvotes change
+ */
+const VOTE_EFFECTS = {
+  upvote: { label: 'Upvote', counter: 'upvotes', rep_change: REPUTATION_CHANGES.UPVOTE_RECEIVED, total_upvotes_change: 1 },
+  downvote: { label: 'Downvote', counter: 'downvotes', rep_change: REPUTATION_CHANGES.DOWNVOTE_RECEIVED, total_upvotes_change: 0 }
+};
+
+/**
+ * Change the reporter's reputation and total_upvotes, then refresh their badges
+ * @param {Object} client - pg client (inside the caller's transaction)
+ * @param {Object} reporter - Reporter user row
+ * @param {number} repChange - Reputation change (reputation never drops below 0)
+ * @param {number} totalUpvotesChange - total_upvotes change
+ * @returns {Promise<Object>} Updated reporter row
+ */
+async function adjustReporter(client, reporter, repChange, totalUpvotesChange) {
+  const updatedReporterResult = await client.query(
+    `UPDATE users
+     SET rep = $1, total_upvotes = GREATEST(total_upvotes + $2, 0)
+     WHERE user_id = $3
+     RETURNING *`,
+    [calculateNewReputation(reporter.rep, repChange), totalUpvotesChange, reporter.user_id]
+  );
+  const updatedReporter = updatedReporterResult.rows[0];
+
+  const newBadges = updateBadges(updatedReporter);
+  await client.query('UPDATE users SET badges = $1 WHERE user_id = $2', [newBadges, reporter.user_id]);
+
+  return { ...updatedReporter, badges: newBadges };
+}
+
+/**
+ * Apply a vote's effect on the reporter's reputation, total_upvotes and badges
+ * The returned rep_delta is what was actually applied (a downvote on a reporter
+ * near 0 takes less than its nominal change); store it on the vote row
+ * @param {Object} client - pg client (inside the caller's transaction)
+ * @param {Object} reporter - Reporter user row
+ * @param {string} voteType - 'upvote' or 'downvote'
+ * @returns {Promise<Object>} { reporter: updated reporter row, rep_delta }
+ */
+async function applyVoteToReporter(client, reporter, voteType) {
+  const effect = VOTE_EFFECTS[voteType];
+  const updatedReporter = await adjustReporter(client, reporter, effect.rep_change, effect.total_upvotes_change);
+
+  return { reporter: updatedReporter, rep_delta: updatedReporter.rep - reporter.rep };
+}
+
+/**
+ * Reputation a vote applied to the reporter. Votes cast before rep_delta was
+ * recorded have NULL: an upvote always applied its full change, but a downvote
+ * may have been clamped at 0, so it counts as having taken nothing and reversing
+ * it never hands back reputation that was not taken
+ * @param {Object} vote - votes row ({ vote_type, rep_delta })
+ * @returns {number} Reputation change applied by the vote
+ */
+function appliedRepDelta(vote) {
+  if (vote.rep_delta !== null && vote.rep_delta !== undefined) {
+    return vote.rep_delta;
+  }
+  return Math.max(VOTE_EFFECTS[vote.vote_type].rep_change, 0);
+}
+
+/**
+ * Reverse a vote's effect on the reporter, taking back exactly the reputation it applied
+ * @param {Object} client - pg client (inside the caller's transaction)
+ * @param {Object} reporter - Reporter user row
+ * @param {Object} vote - votes row ({ vote_type, rep_delta })
+ * @returns {Promise<Object>} Updated reporter row
+ */
+async function reverseVoteOnReporter(client, reporter, vote) {
+  const effect = VOTE_EFFECTS[vote.vote_type];
+  return adjustReporter(client, reporter, -appliedRepDelta(vote), -effect.total_upvotes_change);
+}
+
+module.exports = {
+  VOTE_EFFECTS,
+  applyVoteToReporter,
+  reverseVoteOnReporter
+};
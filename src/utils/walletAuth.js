@@ -0,0 +1,109 @@
+const crypto = require('crypto');
+const bs58 = require('bs58');
+
+/**
+ * Who holds a user's wallet key
+ * custodial: generated at signup and signed with server-side
+ * self: brought by the user; transactions are returned unsigned for their wallet to sign
+ */
+const WALLET_CUSTODY = {
+  CUSTODIAL: 'custodial',
+  SELF: 'self'
+};
+
+/**
+ * Sign-in nonce lifetime (seconds)
+ */
+const WALLET_NONCE_TTL_SECONDS = parseInt(process.env.WALLET_NONCE_TTL_SECONDS) || 300;
+
+/**
+ * Decode a base58 Solana address into its 32-byte ed25519 public key
+ * @param {string} walletAddress - Base58 wallet address
+ * @returns {Buffer|null} Public key bytes, or null if the address is malformed
+ */
+function decodeWalletAddress(walletAddress) {
+  if (typeof walletAddress !== 'string' || walletAddress.length === 0) {
+    return null;
+  }
+  try {
+    const bytes = Buffer.from(bs58.decode(walletAddress));
+    return bytes.length === 32 ? bytes : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * Build the message a wallet signs to prove ownership
+ * @param {Object} params - { walletAddress, nonce, issuedAt, expiresAt, domain }
+ * @returns {string} Human-readable sign-in message
+ */
+function buildSignInMessage({ walletAddress, nonce, issuedAt, expiresAt, domain = process.env.WALLET_LOGIN_DOMAIN || 'CivicChain' }) {
+  return [
+    `${domain} wants you to sign in with your Solana account:`,
+    walletAddress,
+    '',
+    `Nonce: ${nonce}`,
+    `Issued At: ${issuedAt.toISOString()}`,
+    `Expiration Time: ${expiresAt.toISOString()}`
+  ].join('\n');
+}
+
+/**
+ * Decode a wallet signature (base58 as returned by most Solana wallets, or base64)
+ * @param {string} signature - Encoded signature
+ * @returns {Buffer|null} 64-byte signature, or null if malformed
+ */
+function decodeSignature(signature) {
+  if (typeof signature !== 'string' || signature.length === 0) {
+    return null;
+  }
+  try {
+    const bytes = Buffer.from(bs58.decode(signature));
+    if (bytes.length === 64) return bytes;
+  } catch (_) {
+    // Not base58; fall through to base64
+  }
+  const bytes = Buffer.from(signature, 'base64');
+  return bytes.length === 64 ? bytes : null;
+}
+
+/**
+ * Verify an ed25519 signature by a wallet over a message
+ * @param {string} walletAddress - Base58 wallet address (the signer's public key)
+ * @param {string} message - Signed message (UTF-8)
+ * @param {string} signature - Signature, base58 or base64
+ * @returns {boolean} True if the signature is valid
+ */
+function verifyWalletSignature(walletAddress, message, signature) {
+  const publicKeyBytes = decodeWalletAddress(walletAddress);
+  const signatureBytes = decodeSignature(signature);
+  if (!publicKeyBytes || !signatureBytes || typeof message !== 'string') {
+    return false;
+  }
+
+  const publicKey = crypto.createPublicKey({
+    key: { kty: 'OKP', crv: 'Ed25519', x: publicKeyBytes.toString('base64url') },
+    format: 'jwk'
+  });
+
+  return crypto.verify(null, Buffer.from(message, 'utf8'), publicKey, signatureBytes);
+}
+
+/**
+ * Display name for accounts created by wallet login
+ * @param {string} walletAddress - Base58 wallet address
+ * @returns {string} e.g. "Citizen 7xKX…gAsU"
+ */
+function defaultWalletUserName(walletAddress) {
+  return `Citizen ${walletAddress.slice(0, 4)}…${walletAddress.slice(-4)}`;
+}
+
+module.exports = {
+  WALLET_CUSTODY,
+  WALLET_NONCE_TTL_SECONDS,
+  decodeWalletAddress,
+  buildSignInMessage,
+  verifyWalletSignature,
+  defaultWalletUserName
+};
@@ -0,0 +1,121 @@
+const crypto = require('crypto');
+
+/**
+ * Webhook event types
+ */
+const WEBHOOK_EVENTS = {
+  ISSUE_CREATED: 'issue.created',
+  ISSUE_STATUS_CHANGED: 'issue.status_changed',
+  ISSUE_VERIFIED: 'issue.verified',
+  ISSUE_CLOSED: 'issue.closed'
+};
+
+/**
+ * Webhook delivery settings
+ * - MAX_ATTEMPTS: Attempts before a delivery is marked failed
+ * - RETRY_BASE_SECONDS: Delay before the first retry; doubles on each attempt
+ * - RETRY_MAX_SECONDS: Upper bound on the retry delay
+ * - TIMEOUT_MS: Request timeout per attempt
+ */
+const WEBHOOK_SETTINGS = {
+  MAX_ATTEMPTS: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8,
+  RETRY_BASE_SECONDS: parseInt(process.env.WEBHOOK_RETRY_BASE_SECONDS) || 30,
+  RETRY_MAX_SECONDS: parseInt(process.env.WEBHOOK_RETRY_MAX_SECONDS) || 6 * 60 * 60,
+  TIMEOUT_MS: parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000
+};
+
+/**
+ * Generate a signing secret for a new webhook
+ * @returns {string} Hex secret
+ */
+function generateWebhookSecret() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * Sign a webhook body
+ * Receivers recompute HMAC-SHA256 over `${timestamp}.${body}` with their secret
+ * @param {string} secret - Webhook secret
+ * @param {number} timestamp - Unix timestamp (seconds) sent in X-CivicChain-Timestamp
+ * @param {string} body - Raw request body
+ * @returns {string} Signature in the form `sha256=<hex>`
+ */
+function signWebhookPayload(secret, timestamp, body) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${digest}`;
+}
+
+/**
+ * Exponential backoff delay before the next attempt
+ * @param {number} attemptCount - Attempts made so far (1 after the first failure)
+ * @returns {number} Delay in seconds
+ */
+function getRetryDelaySeconds(attemptCount) {
+  const delay = WEBHOOK_SETTINGS.RETRY_BASE_SECONDS * Math.pow(2, Math.max(attemptCount - 1, 0));
+  return Math.min(delay, WEBHOOK_SETTINGS.RETRY_MAX_SECONDS);
+}
+
+/**
+ * Validate webhook create/update input
+ * @param {Object} input - Request body
+ * @param {boolean} partial - True for updates (fields optional)
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateWebhookInput(input, partial = false) {
+  const { url, events } = input;
+
+  if (url !== undefined || !partial) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (_) {
+      return 'url must be a valid URL';
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+      return 'url must use http or https';
+    }
+  }
+
+  if (events !== undefined || !partial) {
+    const validEvents = Object.values(WEBHOOK_EVENTS);
+    if (!Array.isArray(events) || events.length === 0) {
+      return 'events must be a non-empty array';
+    }
+    const invalid = events.find(event => !validEvents.includes(event));
+    if (invalid) {
+      return `Unknown event "${invalid}". Valid events: ${validEvents.join(', ')}`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Queue an event for every active webhook subscribed to it
+ * Takes the caller's client so deliveries are only queued if the change commits
+ * @param {Object} client - pg client (inside the caller's transaction)
+ * @param {string} eventType - One of WEBHOOK_EVENTS
+ * @param {Object} data - Event data
+ * @returns {Promise<number>} Number of deliveries queued
+ */
+async function enqueueWebhookEvent(client, eventType, data) {
+  const result = await client.query(
+    `INSERT INTO webhook_deliveries (webhook_id, event_type, payload)
+     SELECT webhook_id, $1, $2
+     FROM webhooks
+     WHERE is_active = TRUE AND $1 = ANY(events)`,
+    [eventType, JSON.stringify(data)]
+  );
+
+  return result.rowCount;
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  WEBHOOK_SETTINGS,
+  generateWebhookSecret,
+  signWebhookPayload,
+  getRetryDelaySeconds,
+  validateWebhookInput,
+  enqueueWebhookEvent
+};
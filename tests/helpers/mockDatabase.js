@@ -0,0 +1,59 @@
+// In-memory stand-in for Postgres shared by the controller tests
+// Each suite keeps its rows on db.tables and registers handlers for the
+// statements its code path runs; a handler answers with rows and applies the
+// statement's effect to the tables, so tests assert on the resulting state.
+// Statements without a handler return no rows
+//
+// Wire it up with:
+//   jest.mock('../../src/config/database', () => require('../helpers/mockDatabase').pool);
+//   const { db } = require('../helpers/mockDatabase');
+
+const db = {
+  tables: {},
+  handlers: [],
+  statements: [],
+
+  /**
+   * Answer statements matching pattern
+   * @param {RegExp} pattern - Matched against the SQL text; the first matching handler wins
+   * @param {Function} respond - (params, sql) => rows (undefined means no rows)
+   */
+  handle(pattern, respond) {
+    this.handlers.push({ pattern, respond });
+    return this;
+  },
+
+  reset(tables = {}) {
+    this.tables = tables;
+    this.handlers = [];
+    this.statements = [];
+  },
+
+  async query(sql, params = []) {
+    this.statements.push({ sql, params });
+    const handler = this.handlers.find(({ pattern }) => pattern.test(sql));
+    const rows = (handler && handler.respond(params, sql)) || [];
+    return { rows, rowCount: rows.length };
+  },
+
+  /** Whether a transaction was committed */
+  committed() {
+    return this.statements.some(({ sql }) => sql === 'COMMIT');
+  }
+};
+
+const pool = {
+  query: (sql, params) => db.query(sql, params),
+  connect: async () => ({ query: (sql, params) => db.query(sql, params), release: () => {} }),
+  on: () => {}
+};
+
+// Express response double for calling controllers directly
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+module.exports = { db, pool, mockResponse };
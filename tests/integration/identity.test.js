@@ -0,0 +1,142 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+
+process.env.JWT_SECRET = 'identity-test-secret';
+process.env.SOLANA_PROGRAM_ID = process.env.SOLANA_PROGRAM_ID || '11111111111111111111111111111111';
+
+jest.mock('../../src/config/database', () => require('../helpers/mockDatabase').pool);
+jest.mock('../../src/services/solanaService');
+// Priority recalculation runs aggregate queries the stand-in doesn't model
+jest.mock('../../src/utils/priority', () => ({
+  ...jest.requireActual('../../src/utils/priority'),
+  updateIssuePriority: jest.fn()
+}));
+
+const { db } = require('../helpers/mockDatabase');
+const app = require('../../src/app');
+
+const alice = 'a11ce000-0000-4000-8000-000000000001';
+const bob = 'b0b00000-0000-4000-8000-000000000002';
+const carol = 'ca201000-0000-4000-8000-000000000003';
+const issueId = '15500000-0000-4000-8000-000000000004';
+
+const makeUser = (user_id, name) => ({
+  user_id,
+  name,
+  email: `${name.toLowerCase()}@example.com`,
+  role: 'citizen',
+  rep: 100,
+  badges: [],
+  wallet_address: `${name}Wallet`,
+  wallet_custody: 'custodial',
+  private_key: `${name}Key`,
+  tokens_revoked_at: null
+});
+
+// Every field a client might use to claim someone else's identity
+const impersonation = {
+  user_id: bob,
+  reporter_user_id: bob,
+  voter_id: bob,
+  author_user_id: bob,
+  actor_user_id: bob
+};
+
+const mutatingRoutes = [
+  ['post', '/issue/report', { image_url: 'https://img', description: 'Pothole', category: 'pothole', lat: 12.97, lng: 77.59, force_create: true }],
+  ['post', `/issue/${issueId}/upvote`, {}],
+  ['post', `/issue/${issueId}/downvote`, {}],
+  ['delete', `/issue/${issueId}/vote`, {}],
+  ['post', `/issue/${issueId}/verify`, { verified: true }],
+  ['post', `/issue/${issueId}/link-report`, { description: 'Same pothole' }],
+  ['post', `/issue/${issueId}/comments`, { body: 'Still there' }],
+  ['patch', `/issue/${issueId}/comments/c0000000-0000-4000-8000-000000000005`, { body: 'Edited' }],
+  ['delete', `/issue/${issueId}/comments/c0000000-0000-4000-8000-000000000005`, {}],
+  ['post', `/issue/${issueId}/follow`, {}],
+  ['delete', `/issue/${issueId}/follow`, {}],
+  ['patch', '/user/me/privacy', { public_wallet: true }],
+  ['post', '/user/me/notifications/read-all', {}],
+  ['post', '/user/me/notifications/n0000000-0000-4000-8000-000000000006/read', {}],
+  ['post', '/transactions/70000000-0000-4000-8000-000000000007/submit', { signed_transaction: 'AA==' }],
+  ['post', '/auth/logout-all', {}]
+];
+
+const send = (method, path, body, token) => {
+  const req = request(app)[method](path).send({ ...body, ...impersonation });
+  return token ? req.set('Authorization', `Bearer ${token}`) : req;
+};
+
+const aliceToken = jwt.sign({ user_id: alice }, process.env.JWT_SECRET);
+
+// Answers the handful of lookups the routes depend on; votes are kept so tests can inspect them
+const handleIdentityStatements = () => {
+  const { users, votes } = db.tables;
+  db.handle(/FROM users\s+WHERE user_id = \$1/, ([id]) => (users[id] ? [{ ...users[id] }] : []))
+    .handle(/^\s*UPDATE users[\s\S]*RETURNING \*/, params => [{ ...users[params[params.length - 1]] }])
+    .handle(/as inside/, () => [{ inside: true }])
+    .handle(/INSERT INTO issues/, ([issue_id, reporter_user_id]) => {
+      db.tables.issue = { ...db.tables.issue, issue_id, reporter_user_id };
+      return [{ ...db.tables.issue }];
+    })
+    .handle(/FROM issues[\s\S]*issue_id = \$1/, ([id]) => (id === db.tables.issue.issue_id ? [{ ...db.tables.issue }] : []))
+    .handle(/^INSERT INTO votes/, ([vote_id, user_id, issue_id, vote_type]) => {
+      votes.push({ vote_id, user_id, issue_id, vote_type });
+    })
+    .handle(/INSERT INTO issue_events/, () => [{ event_id: 'event-1' }])
+    .handle(/COUNT\(\*\) as count/i, () => [{ count: '0' }]);
+};
+
+beforeEach(() => {
+  db.reset({
+    users: { [alice]: makeUser(alice, 'Alice'), [bob]: makeUser(bob, 'Bob'), [carol]: makeUser(carol, 'Carol') },
+    issue: { issue_id: issueId, reporter_user_id: carol, status: 'open', upvotes: 0, downvotes: 0, assigned_department_id: null },
+    votes: []
+  });
+  handleIdentityStatements();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('Authenticated identity on mutating routes', () => {
+  test.each(mutatingRoutes)('%s %s rejects requests without a token', async (method, path, body) => {
+    const res = await send(method, path, body);
+
+    expect(res.status).toBe(401);
+    expect(db.statements).toHaveLength(0);
+  });
+
+  test.each(mutatingRoutes)('%s %s never acts as a user_id from the body', async (method, path, body) => {
+    await send(method, path, body, aliceToken);
+
+    const touchesBob = db.statements.filter(({ params }) => JSON.stringify(params).includes(bob));
+    expect(touchesBob).toEqual([]);
+  });
+
+  test.each([['upvote'], ['downvote']])('%s is recorded for the authenticated voter', async voteType => {
+    const res = await send('post', `/issue/${issueId}/${voteType}`, {}, aliceToken);
+
+    expect(res.status).toBe(200);
+    expect(db.tables.votes).toEqual([expect.objectContaining({ user_id: alice, issue_id: issueId, vote_type: voteType })]);
+  });
+
+  test('a vote impersonating the reporter is not mistaken for a self-vote', async () => {
+    const res = await request(app)
+      .post(`/issue/${issueId}/upvote`)
+      .set('Authorization', `Bearer ${aliceToken}`)
+      .send({ user_id: carol });
+
+    expect(res.status).toBe(200);
+  });
+
+  test('reports are filed under the authenticated reporter', async () => {
+    const res = await send('post', '/issue/report', mutatingRoutes[0][2], aliceToken);
+
+    expect(res.status).toBe(201);
+    expect(res.body.issue.reporter_user_id).toBe(alice);
+  });
+});
@@ -0,0 +1,95 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+
+process.env.JWT_SECRET = 'revocation-test-secret';
+process.env.SOLANA_PROGRAM_ID = process.env.SOLANA_PROGRAM_ID || '11111111111111111111111111111111';
+
+jest.mock('../../src/config/database', () => require('../helpers/mockDatabase').pool);
+jest.mock('../../src/services/solanaService');
+
+const { db } = require('../helpers/mockDatabase');
+const app = require('../../src/app');
+
+const userId = 'a11ce000-0000-4000-8000-000000000001';
+const revokedAt = new Date('2025-06-01T12:00:00Z');
+const revokedAtSeconds = revokedAt.getTime() / 1000;
+
+// A token as NextAuth issues it: identified by email/sub, no session id
+const nextAuthToken = iat => jwt.sign({ email: 'alice@example.com', sub: 'google-alice', name: 'Alice', iat }, process.env.JWT_SECRET);
+
+beforeEach(() => {
+  db.reset({
+    users: {
+      [userId]: {
+        user_id: userId,
+        email: 'alice@example.com',
+        provider_id: 'google-alice',
+        name: 'Alice',
+        role: 'citizen',
+        rep: 100,
+        badges: [],
+        wallet_address: 'AliceWallet',
+        tokens_revoked_at: revokedAt
+      }
+    },
+    sessions: []
+  });
+  const { users, sessions } = db.tables;
+  db.handle(/FROM users WHERE email = \$1/, ([email]) => Object.values(users).filter(u => u.email === email).map(u => ({ ...u })))
+    .handle(/FROM users WHERE user_id = \$1/, ([id]) => (users[id] ? [{ ...users[id] }] : []))
+    .handle(/INSERT INTO sessions/, ([user_id]) => {
+      const session = { session_id: `session-${sessions.length + 1}`, user_id };
+      sessions.push(session);
+      return [{ ...session }];
+    });
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('NextAuth tokens after "log out all devices"', () => {
+  test('login refuses a token issued before the revocation', async () => {
+    const res = await request(app)
+      .post('/auth/login')
+      .send({ jwt_token: nextAuthToken(revokedAtSeconds - 60) });
+
+    expect(res.status).toBe(401);
+    expect(res.body.error).toBe('Token revoked');
+    expect(db.tables.sessions).toEqual([]);
+  });
+
+  test('login accepts a token issued after the revocation', async () => {
+    const res = await request(app)
+      .post('/auth/login')
+      .send({ jwt_token: nextAuthToken(revokedAtSeconds + 60) });
+
+    expect(res.status).toBe(200);
+    expect(res.body.user.user_id).toBe(userId);
+    expect(db.tables.sessions).toHaveLength(1);
+  });
+
+  test.each([
+    ['issued before the revocation', 401, revokedAtSeconds - 60],
+    ['issued after the revocation', 200, revokedAtSeconds + 60]
+  ])('a bearer token %s gets %d from protected routes', async (_, status, iat) => {
+    const res = await request(app)
+      .get('/user/me')
+      .set('Authorization', `Bearer ${nextAuthToken(iat)}`);
+
+    expect(res.status).toBe(status);
+  });
+
+  test('a bearer token without iat is refused once tokens were revoked', async () => {
+    const token = jwt.sign({ email: 'alice@example.com' }, process.env.JWT_SECRET, { noTimestamp: true });
+
+    const res = await request(app)
+      .get('/user/me')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(401);
+    expect(res.body.error).toBe('Token revoked');
+  });
+});
@@ -0,0 +1,177 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+
+process.env.JWT_SECRET = 'comments-test-secret';
+process.env.SOLANA_PROGRAM_ID = process.env.SOLANA_PROGRAM_ID || '11111111111111111111111111111111';
+
+jest.mock('../../src/config/database', () => require('../helpers/mockDatabase').pool);
+jest.mock('../../src/services/solanaService');
+
+const { db } = require('../helpers/mockDatabase');
+const app = require('../../src/app');
+
+const alice = 'a11ce000-0000-4000-8000-000000000001';
+const bob = 'b0b00000-0000-4000-8000-000000000002';
+const moderator = '30d00000-0000-4000-8000-000000000003';
+const official = '0ff1c1a1-0000-4000-8000-000000000005';
+const issueId = '15500000-0000-4000-8000-000000000004';
+const otherIssueId = '15500000-0000-4000-8000-000000000009';
+const aliceCommentId = 'c0000000-0000-4000-8000-000000000001';
+
+const makeUser = (user_id, name, role = 'citizen') => ({
+  user_id, name, role, email: `${name.toLowerCase()}@example.com`, profile_pic: null, tokens_revoked_at: null
+});
+
+const tokenFor = user_id => jwt.sign({ user_id }, process.env.JWT_SECRET);
+
+const makeComment = (comment_id, user_id, body, extra = {}) => ({
+  comment_id,
+  issue_id: issueId,
+  user_id,
+  parent_comment_id: null,
+  body,
+  is_official: false,
+  is_deleted: false,
+  edited_at: null,
+  created_at: new Date(),
+  ...extra
+});
+
+// Answers the comment statements against the tables in db.tables
+const handleCommentStatements = () => {
+  const { users, issues, comments } = db.tables;
+  const withAuthor = comment => {
+    const author = users[comment.user_id];
+    return { ...comment, author_name: author.name, author_profile_pic: author.profile_pic, author_role: author.role };
+  };
+
+  db.handle(/FROM users WHERE user_id = \$1/, ([id]) => (users[id] ? [{ ...users[id] }] : []))
+    .handle(/^SELECT issue_id FROM issues WHERE issue_id = \$1/, ([id]) => issues.filter(i => i === id).map(issue_id => ({ issue_id })))
+    .handle(/^SELECT comment_id FROM comments WHERE comment_id = \$1 AND issue_id = \$2/, ([commentId, id]) => comments
+      .filter(c => c.comment_id === commentId && c.issue_id === id)
+      .map(({ comment_id }) => ({ comment_id })))
+    .handle(/^SELECT \* FROM comments WHERE comment_id = \$1 AND issue_id = \$2 AND is_deleted = FALSE/, ([commentId, id]) => comments
+      .filter(c => c.comment_id === commentId && c.issue_id === id && !c.is_deleted)
+      .map(c => ({ ...c })))
+    .handle(/^\s*INSERT INTO comments/, ([comment_id, issue_id, user_id, parent_comment_id, body, is_official]) => {
+      comments.push({ ...makeComment(comment_id, user_id, body), issue_id, parent_comment_id, is_official });
+    })
+    .handle(/^UPDATE comments SET body/, ([body, commentId]) => {
+      Object.assign(comments.find(c => c.comment_id === commentId), { body, edited_at: new Date() });
+    })
+    .handle(/^UPDATE comments SET is_deleted = TRUE/, ([commentId]) => {
+      comments.find(c => c.comment_id === commentId).is_deleted = true;
+    })
+    .handle(/WHERE c\.comment_id = \$1/, ([commentId]) => comments.filter(c => c.comment_id === commentId).map(withAuthor))
+    .handle(/WHERE c\.issue_id = \$1/, ([id]) => comments.filter(c => c.issue_id === id).map(withAuthor));
+};
+
+const as = (method, url, userId) => request(app)[method](url).set('Authorization', `Bearer ${tokenFor(userId)}`);
+const commentUrl = commentId => `/issue/${issueId}/comments/${commentId}`;
+
+beforeEach(() => {
+  db.reset({
+    users: {
+      [alice]: makeUser(alice, 'Alice'),
+      [bob]: makeUser(bob, 'Bob'),
+      [moderator]: makeUser(moderator, 'Morgan', 'moderator'),
+      [official]: makeUser(official, 'Olivia', 'department_officer')
+    },
+    issues: [issueId, otherIssueId],
+    comments: [makeComment(aliceCommentId, alice, 'Still there this morning')]
+  });
+  handleCommentStatements();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('Issue comments', () => {
+  test('replies are threaded under their parent', async () => {
+    const reply = await as('post', `/issue/${issueId}/comments`, bob)
+      .send({ body: 'Same here', parent_comment_id: aliceCommentId });
+    expect(reply.status).toBe(201);
+
+    const res = await as('get', `/issue/${issueId}/comments`, bob);
+
+    expect(res.body.count).toBe(2);
+    expect(res.body.comments).toHaveLength(1);
+    expect(res.body.comments[0].comment_id).toBe(aliceCommentId);
+    expect(res.body.comments[0].replies.map(r => [r.user_id, r.body])).toEqual([[bob, 'Same here']]);
+  });
+
+  test('a reply to a comment on another issue is refused', async () => {
+    db.tables.comments[0].issue_id = otherIssueId;
+
+    const res = await as('post', `/issue/${issueId}/comments`, bob)
+      .send({ body: 'Same here', parent_comment_id: aliceCommentId });
+
+    expect(res.status).toBe(404);
+    expect(db.tables.comments).toHaveLength(1);
+  });
+
+  test.each([
+    ['a citizen', 403, bob, false],
+    ['an official', 201, official, true]
+  ])('%s asking for an official response gets %d', async (_, status, userId, stored) => {
+    const res = await as('post', `/issue/${issueId}/comments`, userId)
+      .send({ body: 'Crew scheduled for Monday', official_response: true });
+
+    expect(res.status).toBe(status);
+    expect(db.tables.comments.some(c => c.is_official)).toBe(stored);
+  });
+
+  test('authors can edit their own comments and nobody else\'s', async () => {
+    const denied = await as('patch', commentUrl(aliceCommentId), bob).send({ body: 'Fixed already' });
+    expect(denied.status).toBe(403);
+    expect(db.tables.comments[0].body).toBe('Still there this morning');
+
+    const edited = await as('patch', commentUrl(aliceCommentId), alice).send({ body: 'Still there this evening' });
+    expect(edited.status).toBe(200);
+    expect(edited.body.comment.body).toBe('Still there this evening');
+    expect(edited.body.comment.edited_at).not.toBeNull();
+  });
+
+  test('deleting keeps the comment in the thread with its body and author hidden', async () => {
+    await as('post', `/issue/${issueId}/comments`, bob).send({ body: 'Same here', parent_comment_id: aliceCommentId });
+
+    const deleted = await as('delete', commentUrl(aliceCommentId), alice);
+    expect(deleted.status).toBe(200);
+
+    const res = await as('get', `/issue/${issueId}/comments`, bob);
+    expect(res.body.count).toBe(1);
+    expect(res.body.comments[0]).toMatchObject({ comment_id: aliceCommentId, is_deleted: true, body: null, user_id: null, author_name: null });
+    expect(res.body.comments[0].replies).toHaveLength(1);
+  });
+
+  test('only the author or a moderator can delete a comment', async () => {
+    expect((await as('delete', commentUrl(aliceCommentId), bob)).status).toBe(403);
+    expect(db.tables.comments[0].is_deleted).toBe(false);
+
+    expect((await as('delete', commentUrl(aliceCommentId), moderator)).status).toBe(200);
+    expect(db.tables.comments[0].is_deleted).toBe(true);
+  });
+
+  test('a deleted comment can no longer be edited', async () => {
+    db.tables.comments[0].is_deleted = true;
+
+    const res = await as('patch', commentUrl(aliceCommentId), alice).send({ body: 'Back again' });
+
+    expect(res.status).toBe(404);
+  });
+
+  test.each([
+    ['get', '/issue/not-a-uuid/comments', undefined, 'Invalid issue ID'],
+    ['post', `/issue/${issueId}/comments`, { body: 'Hi', parent_comment_id: 'nope' }, 'Invalid parent_comment_id'],
+    ['patch', `/issue/${issueId}/comments/nope`, { body: 'Hi' }, 'Invalid comment ID'],
+    ['delete', `/issue/${issueId}/comments/nope`, undefined, 'Invalid comment ID']
+  ])('%s %s with a malformed ID returns 400', async (method, url, body, error) => {
+    const res = await as(method, url, alice).send(body);
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe(error);
+  });
+});
@@ -0,0 +1,141 @@
+process.env.SOLANA_PROGRAM_ID = process.env.SOLANA_PROGRAM_ID || '11111111111111111111111111111111';
+process.env.DISPUTE_THRESHOLD = '2';
+
+jest.mock('../../src/config/database', () => require('../helpers/mockDatabase').pool);
+jest.mock('../../src/services/solanaService');
+
+const { db, mockResponse } = require('../helpers/mockDatabase');
+const { verifyIssue } = require('../../src/controllers/verificationController');
+const { reopenIssueOnChain, updateReputationOnChain } = require('../../src/services/solanaService');
+
+const issueId = '15500000-0000-4000-8000-000000000004';
+
+const makeUser = (user_id, rep) => ({ user_id, role: 'citizen', rep, verifications_done: 0, badges: [], wallet_address: `${user_id}-wallet` });
+const verification = (user_id, is_fixed) => ({ user_id, issue_id: issueId, round: 1, is_fixed });
+
+// Answers the statements a dispute runs against the tables in db.tables
+const handleDisputeStatements = () => {
+  const { users, verifications, events } = db.tables;
+  const roundVerifications = (round, isFixed) => verifications.filter(v => v.issue_id === issueId && v.round === round && v.is_fixed === isFixed);
+
+  db.handle(/FROM issues WHERE issue_id = \$1 FOR UPDATE/, () => [{ ...db.tables.issue }])
+    .handle(/^SELECT \* FROM verifications WHERE user_id = \$1/, ([userId, , round]) => verifications
+      .filter(v => v.user_id === userId && v.round === round)
+      .map(v => ({ ...v })))
+    .handle(/^\s*INSERT INTO verifications/, ([, user_id, issue_id, , , round]) => {
+      verifications.push({ user_id, issue_id, round, is_fixed: false });
+    })
+    .handle(/^SELECT \* FROM users WHERE user_id = \$1/, ([id]) => [{ ...users[id] }])
+    .handle(/^UPDATE users SET verifications_done = verifications_done \+ 1/, ([id]) => {
+      users[id].verifications_done += 1;
+    })
+    .handle(/^UPDATE users SET rep = \$1, badges = \$2 WHERE user_id = \$3/, ([rep, badges, id]) => {
+      Object.assign(users[id], { rep, badges });
+    })
+    .handle(/^UPDATE users SET badges/, ([badges, id]) => {
+      users[id].badges = badges;
+    })
+    .handle(/COUNT\(\*\) as count FROM verifications[\s\S]*is_fixed = FALSE/, ([, round]) => [{ count: String(roundVerifications(round, false).length) }])
+    .handle(/^\s*UPDATE users u\s+SET rep = GREATEST/, ([change, , round]) => roundVerifications(round, true).map(v => {
+      const user = users[v.user_id];
+      user.rep = Math.max(0, user.rep + change);
+      return { wallet_address: user.wallet_address, rep: user.rep };
+    }))
+    .handle(/^\s*UPDATE users u\s+SET rep = u\.rep \+ \$1/, ([change, , round]) => roundVerifications(round, false).map(v => {
+      const user = users[v.user_id];
+      user.rep += change;
+      return { ...user };
+    }))
+    .handle(/SET status = 'open'/, () => {
+      Object.assign(db.tables.issue, { status: 'open', resolution_round: db.tables.issue.resolution_round + 1 });
+    })
+    .handle(/INSERT INTO issue_events/, ([issue_id, actor_user_id, event_type]) => {
+      const event = { event_id: `event-${events.length + 1}`, issue_id, actor_user_id, event_type };
+      events.push(event);
+      return [{ ...event }];
+    });
+};
+
+const dispute = async userId => {
+  const res = mockResponse();
+  await verifyIssue({ params: { id: issueId }, body: { verified: false }, user: { ...db.tables.users[userId] } }, res);
+  return res;
+};
+
+beforeEach(() => {
+  db.reset({
+    users: {
+      reporter: makeUser('reporter', 100),
+      'first-disputer': makeUser('first-disputer', 60),
+      disputer: makeUser('disputer', 50),
+      confirmer: makeUser('confirmer', 40),
+      'low-confirmer': makeUser('low-confirmer', 2)
+    },
+    issue: { issue_id: issueId, reporter_user_id: 'reporter', status: 'resolved', resolution_round: 1, assigned_department_id: null },
+    // Two confirmations of the round's fix
+    verifications: [verification('confirmer', true), verification('low-confirmer', true)],
+    events: []
+  });
+  handleDisputeStatements();
+  reopenIssueOnChain.mockResolvedValue('reopen-tx');
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('Citizen disputes', () => {
+  test('a dispute below the threshold leaves the issue resolved and pays nothing yet', async () => {
+    const res = await dispute('disputer');
+
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ auto_reopened: false, rep_rewards: { disputer: 0 } }));
+    expect(db.tables.issue.status).toBe('resolved');
+    expect(reopenIssueOnChain).not.toHaveBeenCalled();
+    expect(db.tables.users.disputer).toMatchObject({ rep: 50, verifications_done: 1 });
+    expect(db.tables.users.confirmer.rep).toBe(40);
+    expect(db.tables.events.map(e => e.event_type)).toEqual(['disputed']);
+  });
+
+  test('reaching the threshold reopens the issue for a new round', async () => {
+    db.tables.verifications.push(verification('first-disputer', false));
+
+    const res = await dispute('disputer');
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+      auto_reopened: true,
+      issue: expect.objectContaining({ status: 'open', dispute_count: 2 })
+    }));
+    expect(db.tables.issue).toMatchObject({ status: 'open', resolution_round: 2 });
+    expect(reopenIssueOnChain).toHaveBeenCalledWith(issueId);
+    expect(db.tables.events.map(e => e.event_type)).toEqual(['disputed', 'auto_reopened']);
+  });
+
+  test('reaching the threshold rewards every disputer of the round', async () => {
+    db.tables.verifications.push(verification('first-disputer', false));
+
+    const res = await dispute('disputer');
+
+    expect(res.json.mock.calls[0][0].rep_rewards).toEqual({ disputer: 5 });
+    expect(db.tables.users['first-disputer'].rep).toBe(65);
+    expect(db.tables.users.disputer.rep).toBe(55);
+    expect(updateReputationOnChain).toHaveBeenCalledWith('first-disputer-wallet', 65);
+    expect(updateReputationOnChain).toHaveBeenCalledWith('disputer-wallet', 55);
+  });
+
+  test('reaching the threshold docks the confirmers and takes back the reporter\'s verification rewards', async () => {
+    db.tables.verifications.push(verification('first-disputer', false));
+
+    await dispute('disputer');
+
+    const { users } = db.tables;
+    expect(users.confirmer.rep).toBe(35);
+    expect(users['low-confirmer'].rep).toBe(0);
+    // Two overturned confirmations had each given the reporter 10
+    expect(users.reporter.rep).toBe(80);
+    expect(updateReputationOnChain).toHaveBeenCalledWith('confirmer-wallet', 35);
+    expect(updateReputationOnChain).toHaveBeenCalledWith('low-confirmer-wallet', 0);
+    expect(updateReputationOnChain).toHaveBeenCalledWith('reporter-wallet', 80);
+  });
+});
@@ -0,0 +1,40 @@
+const { EXPORT_FORMATS, escapeCsv, escapeXml } = require('../../src/utils/issueExport');
+
+const row = {
+  issue_id: 'a1b2',
+  category: 'pothole',
+  status: 'open',
+  description: 'Deep hole, "near" <school> & park',
+  lat: 12.97,
+  lng: 77.59,
+  upvotes: 3,
+  created_at: new Date('2026-01-02T03:04:05Z')
+};
+
+describe('Issue export formats', () => {
+  test('escapes CSV fields and neutralises formulas', () => {
+    expect(escapeCsv('a,"b"')).toBe('"a,""b"""');
+    expect(escapeCsv(null)).toBe('');
+    expect(escapeCsv('=SUM(A1)')).toBe("'=SUM(A1)");
+    expect(escapeCsv(-1.5)).toBe('-1.5');
+  });
+
+  test('escapes XML text', () => {
+    expect(escapeXml('<a & "b">')).toBe('&lt;a &amp; &quot;b&quot;&gt;');
+  });
+
+  test('GeoJSON output parses as a feature collection', () => {
+    const { header, row: formatRow, footer } = EXPORT_FORMATS.geojson;
+    const output = header() + formatRow(row, 0) + formatRow(row, 1) + footer();
+    const collection = JSON.parse(output);
+
+    expect(collection.features).toHaveLength(2);
+    expect(collection.features[0].geometry.coordinates).toEqual([77.59, 12.97]);
+    expect(collection.features[0].properties.created_at).toBe('2026-01-02T03:04:05.000Z');
+  });
+
+  test('CSV and KML rows carry coordinates', () => {
+    expect(EXPORT_FORMATS.csv.row(row)).toContain(',12.97,77.59,');
+    expect(EXPORT_FORMATS.kml.row(row)).toContain('<coordinates>77.59,12.97</coordinates>');
+  });
+});
@@ -0,0 +1,129 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+
+process.env.JWT_SECRET = 'history-test-secret';
+process.env.SOLANA_PROGRAM_ID = process.env.SOLANA_PROGRAM_ID || '11111111111111111111111111111111';
+
+jest.mock('../../src/config/database', () => require('../helpers/mockDatabase').pool);
+jest.mock('../../src/services/solanaService');
+// Priority recalculation runs aggregate queries the stand-in doesn't model
+jest.mock('../../src/utils/priority', () => ({
+  ...jest.requireActual('../../src/utils/priority'),
+  updateIssuePriority: jest.fn()
+}));
+
+const { db } = require('../helpers/mockDatabase');
+const app = require('../../src/app');
+
+const alice = 'a11ce000-0000-4000-8000-000000000001';
+const carol = 'ca201000-0000-4000-8000-000000000003';
+const official = '0ff1c1a1-0000-4000-8000-000000000005';
+const issueId = '15500000-0000-4000-8000-000000000004';
+
+const makeUser = (user_id, name, role = 'citizen') => ({
+  user_id,
+  name,
+  email: `${name.toLowerCase()}@example.com`,
+  role,
+  rep: 100,
+  badges: [],
+  wallet_address: `${name}Wallet`,
+  wallet_custody: 'custodial',
+  private_key: `${name}Key`,
+  tokens_revoked_at: null
+});
+
+const tokenFor = user_id => jwt.sign({ user_id }, process.env.JWT_SECRET);
+
+const historyRows = () => db.tables.events.map(({ issue_id, actor_user_id, event_type }) => ({ issue_id, actor_user_id, event_type }));
+
+// Answers the lookups the routes depend on and keeps the history rows written
+const handleHistoryStatements = () => {
+  const { users, events } = db.tables;
+  db.handle(/FROM users\s+WHERE user_id = \$1/, ([id]) => (users[id] ? [{ ...users[id] }] : []))
+    .handle(/^\s*UPDATE users[\s\S]*RETURNING \*/, params => [{ ...users[params[params.length - 1]] }])
+    .handle(/as inside/, () => [{ inside: true }])
+    .handle(/INSERT INTO issues/, ([issue_id, reporter_user_id]) => {
+      db.tables.issue = { ...db.tables.issue, issue_id, reporter_user_id };
+      return [{ ...db.tables.issue }];
+    })
+    .handle(/FROM issues[\s\S]*issue_id = \$1/, ([id]) => (id === db.tables.issue.issue_id ? [{ ...db.tables.issue }] : []))
+    .handle(/INSERT INTO issue_events/, ([issue_id, actor_user_id, event_type]) => {
+      const event = { event_id: `event-${events.length + 1}`, issue_id, actor_user_id, event_type };
+      events.push(event);
+      return [{ ...event }];
+    })
+    .handle(/COUNT\(\*\) as count/i, () => [{ count: '0' }]);
+};
+
+beforeEach(() => {
+  db.reset({
+    users: {
+      [alice]: makeUser(alice, 'Alice'),
+      [carol]: makeUser(carol, 'Carol'),
+      [official]: makeUser(official, 'Olivia', 'government')
+    },
+    issue: { issue_id: issueId, reporter_user_id: carol, status: 'open', upvotes: 0, downvotes: 0, resolution_round: 0, assigned_department_id: null },
+    events: []
+  });
+  handleHistoryStatements();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('Issue history', () => {
+  test('reporting an issue records a created event', async () => {
+    const res = await request(app)
+      .post('/issue/report')
+      .set('Authorization', `Bearer ${tokenFor(alice)}`)
+      .send({ image_url: 'https://img', description: 'Pothole', category: 'pothole', lat: 12.97, lng: 77.59, force_create: true });
+
+    expect(res.status).toBe(201);
+    expect(historyRows()).toContainEqual({ issue_id: res.body.issue.issue_id, actor_user_id: alice, event_type: 'created' });
+  });
+
+  test('an official changing the status records a status_changed event', async () => {
+    const res = await request(app)
+      .post(`/issue/${issueId}/update-status`)
+      .set('Authorization', `Bearer ${tokenFor(official)}`)
+      .send({ status: 'in_progress' });
+
+    expect(res.status).toBe(200);
+    expect(historyRows()).toContainEqual({ issue_id: issueId, actor_user_id: official, event_type: 'status_changed' });
+  });
+
+  test('voting records a voted event', async () => {
+    const res = await request(app)
+      .post(`/issue/${issueId}/upvote`)
+      .set('Authorization', `Bearer ${tokenFor(alice)}`);
+
+    expect(res.status).toBe(200);
+    expect(historyRows()).toContainEqual({ issue_id: issueId, actor_user_id: alice, event_type: 'voted' });
+  });
+
+  test('verifying a fix records a verified event', async () => {
+    db.tables.issue.status = 'resolved';
+
+    const res = await request(app)
+      .post(`/issue/${issueId}/verify`)
+      .set('Authorization', `Bearer ${tokenFor(alice)}`)
+      .send({ verified: true });
+
+    expect(res.status).toBe(200);
+    expect(historyRows()).toContainEqual({ issue_id: issueId, actor_user_id: alice, event_type: 'verified' });
+  });
+
+  test('a rejected change records no history', async () => {
+    const res = await request(app)
+      .post(`/issue/${issueId}/upvote`)
+      .set('Authorization', `Bearer ${tokenFor(carol)}`);
+
+    expect(res.status).toBe(400);
+    expect(historyRows()).toEqual([]);
+  });
+});
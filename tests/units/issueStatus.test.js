@@ -0,0 +1,18 @@
+const { canTransition, validateStatusTransition } = require('../../src/utils/issueStatus');
+
+describe('Issue status transitions', () => {
+  test('allows the normal lifecycle and rejects skipped steps', () => {
+    expect(canTransition('open', 'in_progress')).toBe(true);
+    expect(canTransition('in_progress', 'resolved')).toBe(true);
+    expect(canTransition('resolved', 'closed')).toBe(true);
+    expect(canTransition('open', 'resolved')).toBe(false);
+    expect(canTransition('rejected', 'open')).toBe(false);
+  });
+
+  test('returns 409 for illegal transitions and 400 when a reason is missing', () => {
+    expect(validateStatusTransition('closed', 'in_progress').code).toBe(409);
+    expect(validateStatusTransition('closed', 'open').code).toBe(400);
+    expect(validateStatusTransition('closed', 'open', 'Pothole is back').valid).toBe(true);
+    expect(validateStatusTransition('open', 'bogus').code).toBe(400);
+  });
+});
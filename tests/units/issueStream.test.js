@@ -0,0 +1,20 @@
+const { parseStreamFilters, matchesStreamFilters } = require('../../src/utils/issueStream');
+
+describe('Issue stream filters', () => {
+  test('parses bbox and category lists and rejects bad input', () => {
+    const { filters } = parseStreamFilters({ bbox: '77.5,12.9,77.7,13.1', category: 'pothole,water' });
+    expect(filters.bbox).toEqual({ minLng: 77.5, minLat: 12.9, maxLng: 77.7, maxLat: 13.1 });
+    expect(filters.categories).toEqual(['pothole', 'water']);
+
+    expect(parseStreamFilters({ bbox: '77.7,12.9,77.5' }).error).toBeDefined();
+    expect(parseStreamFilters({ category: 'graffiti' }).error).toBeDefined();
+    expect(parseStreamFilters({}).filters).toEqual({ bbox: null, categories: null });
+  });
+
+  test('matches updates inside the bbox and category filter only', () => {
+    const { filters } = parseStreamFilters({ bbox: '77.5,12.9,77.7,13.1', category: 'pothole' });
+    expect(matchesStreamFilters({ category: 'pothole', lat: 13.0, lng: 77.6 }, filters)).toBe(true);
+    expect(matchesStreamFilters({ category: 'pothole', lat: 14.0, lng: 77.6 }, filters)).toBe(false);
+    expect(matchesStreamFilters({ category: 'water', lat: 13.0, lng: 77.6 }, filters)).toBe(false);
+  });
+});
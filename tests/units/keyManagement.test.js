@@ -0,0 +1,58 @@
+const crypto = require('crypto');
+const {
+  resetKeyProvider,
+  encryptPrivateKey,
+  decryptPrivateKey,
+  rewrapPrivateKey,
+  withoutKeyMaterial
+} = require('../../src/services/keyManagementService');
+
+const oldKek = crypto.randomBytes(32).toString('base64');
+const newKek = crypto.randomBytes(32).toString('base64');
+const secret = '4wBqpZM9xaSheZzJSMawUKKwhdpChKbZ5eu5ky4Vigw9UWtTp7vKbPpNL1A1jaFHyvmKXjqBSQCJL7z5w3Lp4Tq5';
+const wallet = 'Hc2WQKqUfgPyiXbjzJwYWd5EgJzHA6ck2BjeHvhh4gqs';
+
+function useKeys(activeId, activeKey, previous = '') {
+  process.env.KEY_PROVIDER = 'env';
+  process.env.KEY_ENCRYPTION_KEY_ID = activeId;
+  process.env.KEY_ENCRYPTION_KEY = activeKey;
+  process.env.KEY_ENCRYPTION_PREVIOUS_KEYS = previous;
+  resetKeyProvider();
+}
+
+describe('Custodial key management', () => {
+  test('round-trips a key without storing it in the clear', async () => {
+    useKeys('kek-1', oldKek);
+    const envelope = await encryptPrivateKey(secret, wallet);
+
+    expect(envelope.kek_id).toBe('kek-1');
+    expect(JSON.stringify(envelope)).not.toContain(secret);
+    await expect(decryptPrivateKey(envelope, wallet)).resolves.toBe(secret);
+  });
+
+  test('binds ciphertext to the owning wallet', async () => {
+    useKeys('kek-1', oldKek);
+    const envelope = await encryptPrivateKey(secret, wallet);
+
+    await expect(decryptPrivateKey(envelope, 'another-wallet')).rejects.toThrow();
+  });
+
+  test('rotation re-wraps under the new KEK and needs the old one only while rotating', async () => {
+    useKeys('kek-1', oldKek);
+    const envelope = await encryptPrivateKey(secret, wallet);
+
+    useKeys('kek-2', newKek, `kek-1:${oldKek}`);
+    const rotated = await rewrapPrivateKey(envelope);
+    expect(rotated.kek_id).toBe('kek-2');
+    expect(rotated.ciphertext).toBe(envelope.ciphertext);
+
+    useKeys('kek-2', newKek);
+    await expect(decryptPrivateKey(rotated, wallet)).resolves.toBe(secret);
+    await expect(decryptPrivateKey(envelope, wallet)).rejects.toThrow(/kek-1/);
+  });
+
+  test('strips key material from user rows', () => {
+    const user = { user_id: 'u1', private_key: secret, private_key_encrypted: {}, private_key_kek_id: 'kek-1' };
+    expect(withoutKeyMaterial(user)).toEqual({ user_id: 'u1' });
+  });
+});
@@ -0,0 +1,15 @@
+const { parseBbox, getClusterGridSize } = require('../../src/utils/mapClusters');
+
+describe('Map clustering helpers', () => {
+  test('parses valid bounding boxes and rejects invalid ones', () => {
+    expect(parseBbox('77.5,12.9,77.7,13.1')).toEqual({ minLng: 77.5, minLat: 12.9, maxLng: 77.7, maxLat: 13.1 });
+    expect(parseBbox('77.7,12.9,77.5,13.1')).toBeNull();
+    expect(parseBbox('77.5,12.9,77.7')).toBeNull();
+    expect(parseBbox('-200,0,0,10')).toBeNull();
+  });
+
+  test('grid cells halve with each zoom level', () => {
+    expect(getClusterGridSize(0)).toBeCloseTo(90);
+    expect(getClusterGridSize(5)).toBeCloseTo(getClusterGridSize(4) / 2);
+  });
+});
@@ -0,0 +1,186 @@
+process.env.SOLANA_PROGRAM_ID = process.env.SOLANA_PROGRAM_ID || '11111111111111111111111111111111';
+
+jest.mock('../../src/config/database', () => require('../helpers/mockDatabase').pool);
+jest.mock('../../src/services/solanaService');
+jest.mock('../../src/services/keyManagementService');
+jest.mock('../../src/utils/priority', () => ({
+  ...jest.requireActual('../../src/utils/priority'),
+  updateIssuePriority: jest.fn()
+}));
+
+const { db, mockResponse } = require('../helpers/mockDatabase');
+const { mergeIssues } = require('../../src/controllers/adminController');
+const { updateIssueStatusOnChain, moveVoteOnChain } = require('../../src/services/solanaService');
+
+const canonicalId = 'c0000000-0000-4000-8000-000000000001';
+const duplicateId = 'd0000000-0000-4000-8000-000000000002';
+
+const makeUser = (user_id, rep) => ({ user_id, rep, total_upvotes: 2, badges: [], wallet_address: `${user_id}-wallet` });
+const makeIssue = (issue_id, reporter_user_id) => ({
+  issue_id, reporter_user_id, status: 'open', duplicate_of: null, resolution_round: 0, upvotes: 0, downvotes: 0, blockchain_tx_hash: null
+});
+
+// Answers the statements a merge runs against the tables in db.tables
+const handleMergeStatements = () => {
+  const { issues, users, votes, issueReporters, events } = db.tables;
+  const votesOn = issueId => votes.filter(v => v.issue_id === issueId);
+
+  db.handle(/FROM issues WHERE issue_id = \$1 FOR UPDATE/, ([id]) => (issues[id] ? [{ ...issues[id] }] : []))
+    .handle(/FROM issues WHERE issue_id = ANY/, ([ids]) => ids.filter(id => issues[id]).map(id => ({ ...issues[id] })))
+    .handle(/INSERT INTO issue_reporters/, ([canonical, duplicate, canonicalReporter]) => {
+      const reporterIds = [issues[duplicate].reporter_user_id, ...issueReporters.filter(r => r.issue_id === duplicate).map(r => r.user_id)];
+      for (const user_id of new Set(reporterIds)) {
+        if (user_id !== canonicalReporter && !issueReporters.some(r => r.issue_id === canonical && r.user_id === user_id)) {
+          issueReporters.push({ issue_id: canonical, user_id, source_issue_id: duplicate });
+        }
+      }
+    })
+    .handle(/INSERT INTO votes/, ([canonical, duplicate, canonicalReporter]) => votesOn(duplicate)
+      .filter(v => v.user_id !== canonicalReporter && !votesOn(canonical).some(c => c.user_id === v.user_id))
+      .map(v => {
+        const moved = { vote_id: `${v.vote_id}-moved`, user_id: v.user_id, issue_id: canonical, vote_type: v.vote_type, rep_delta: null };
+        votes.push(moved);
+        return { ...moved, wallet_address: users[v.user_id].wallet_address };
+      }))
+    .handle(/^DELETE FROM votes/, ([issueId]) => {
+      const removed = votesOn(issueId);
+      votes.splice(0, votes.length, ...votes.filter(v => v.issue_id !== issueId));
+      return removed.map(v => ({ ...v }));
+    })
+    .handle(/^SELECT \* FROM users WHERE user_id = \$1/, ([id]) => [{ ...users[id] }])
+    .handle(/^\s*UPDATE users\s+SET rep/, ([rep, totalUpvotesChange, id]) => {
+      users[id].rep = rep;
+      users[id].total_upvotes = Math.max(users[id].total_upvotes + totalUpvotesChange, 0);
+      return [{ ...users[id] }];
+    })
+    .handle(/^UPDATE votes SET rep_delta/, ([repDelta, voteId]) => {
+      votes.find(v => v.vote_id === voteId).rep_delta = repDelta;
+    })
+    .handle(/SET status = 'duplicate'/, ([canonical, duplicate, reason]) => {
+      Object.assign(issues[duplicate], { status: 'duplicate', status_reason: reason, duplicate_of: canonical });
+    })
+    .handle(/INSERT INTO issue_events/, ([issue_id, actor_user_id, event_type]) => {
+      const event = { event_id: `event-${events.length + 1}`, issue_id, actor_user_id, event_type, blockchain_tx_hash: null };
+      events.push(event);
+      return [{ ...event }];
+    })
+    .handle(/^UPDATE issue_events SET blockchain_tx_hash/, ([hash, eventId]) => {
+      events.find(e => e.event_id === eventId).blockchain_tx_hash = hash;
+    })
+    .handle(/^UPDATE issues SET blockchain_tx_hash/, ([hash, id]) => {
+      issues[id].blockchain_tx_hash = hash;
+    })
+    .handle(/upvotes = \(SELECT COUNT\(\*\)/, ([ids]) => {
+      for (const id of ids) {
+        issues[id].upvotes = votesOn(id).filter(v => v.vote_type === 'upvote').length;
+        issues[id].downvotes = votesOn(id).filter(v => v.vote_type === 'downvote').length;
+      }
+    })
+    .handle(/co_reporter_count/, ([id]) => [{
+      ...issues[id],
+      verification_count: '0',
+      co_reporter_count: String(issueReporters.filter(r => r.issue_id === id).length)
+    }]);
+};
+
+const merge = async body => {
+  const res = mockResponse();
+  await mergeIssues({ params: { id: canonicalId }, body, user: { user_id: 'official' } }, res);
+  return res;
+};
+
+beforeEach(() => {
+  db.reset({
+    users: {
+      'canonical-reporter': makeUser('canonical-reporter', 100),
+      'duplicate-reporter': makeUser('duplicate-reporter', 100),
+      voter: makeUser('voter', 100)
+    },
+    issues: {
+      [canonicalId]: makeIssue(canonicalId, 'canonical-reporter'),
+      [duplicateId]: { ...makeIssue(duplicateId, 'duplicate-reporter'), upvotes: 2 }
+    },
+    // Two upvotes on the duplicate: one from a new voter, one from the canonical reporter
+    votes: [
+      { vote_id: 'v1', user_id: 'voter', issue_id: duplicateId, vote_type: 'upvote', rep_delta: 5 },
+      { vote_id: 'v2', user_id: 'canonical-reporter', issue_id: duplicateId, vote_type: 'upvote', rep_delta: 5 }
+    ],
+    issueReporters: [],
+    events: []
+  });
+  handleMergeStatements();
+  updateIssueStatusOnChain.mockResolvedValue('merge-tx');
+  moveVoteOnChain.mockResolvedValue('move-tx');
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('Merging duplicate issues', () => {
+  test('folds the duplicate\'s reporters and votes into the canonical issue', async () => {
+    const res = await merge({ duplicate_ids: [duplicateId] });
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json.mock.calls[0][0].issue).toMatchObject({ issue_id: canonicalId, upvotes: 1, co_reporter_count: 1 });
+
+    const { issues, votes, issueReporters } = db.tables;
+    expect(issues[duplicateId]).toMatchObject({ status: 'duplicate', duplicate_of: canonicalId, upvotes: 0 });
+    expect(issueReporters.map(r => r.user_id)).toEqual(['duplicate-reporter']);
+    // The canonical reporter cannot vote on their own issue, so their vote is dropped
+    expect(votes.map(v => [v.user_id, v.issue_id])).toEqual([['voter', canonicalId]]);
+  });
+
+  test('moves the reputation of moved votes to the canonical reporter', async () => {
+    await merge({ duplicate_ids: [duplicateId] });
+
+    // Both duplicate votes are reversed; only the moved one counts for the canonical reporter
+    const { users, votes } = db.tables;
+    expect(users['duplicate-reporter'].rep).toBe(90);
+    expect(users['canonical-reporter'].rep).toBe(105);
+    expect(votes[0].rep_delta).toBe(5);
+  });
+
+  test('moves vote records and closes duplicates on-chain once the merge is committed', async () => {
+    const committedAtCall = [];
+    moveVoteOnChain.mockImplementation(async () => {
+      committedAtCall.push(db.committed());
+      return 'move-tx';
+    });
+    updateIssueStatusOnChain.mockImplementation(async () => {
+      committedAtCall.push(db.committed());
+      return 'merge-tx';
+    });
+
+    const res = await merge({ duplicate_ids: [duplicateId] });
+
+    expect(moveVoteOnChain).toHaveBeenCalledWith(duplicateId, canonicalId, 'voter-wallet', 'upvote');
+    expect(committedAtCall).toEqual([true, true]);
+    expect(res.json.mock.calls[0][0].blockchain_tx_hashes).toEqual({ [duplicateId]: 'merge-tx' });
+    expect(db.tables.issues[duplicateId].blockchain_tx_hash).toBe('merge-tx');
+    expect(db.tables.events).toEqual([expect.objectContaining({ issue_id: duplicateId, event_type: 'merged', blockchain_tx_hash: 'merge-tx' })]);
+  });
+
+  test('a blockchain failure does not undo the committed merge', async () => {
+    updateIssueStatusOnChain.mockRejectedValue(new Error('RPC unavailable'));
+
+    const res = await merge({ duplicate_ids: [duplicateId] });
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json.mock.calls[0][0].blockchain_tx_hashes).toEqual({ [duplicateId]: null });
+    expect(db.tables.issues[duplicateId].status).toBe('duplicate');
+  });
+
+  test.each([
+    [['not-a-uuid']],
+    [[{ issue_id: duplicateId }]]
+  ])('rejects invalid duplicate_ids %j', async duplicateIds => {
+    const res = await merge({ duplicate_ids: duplicateIds });
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(db.tables.issues[duplicateId].status).toBe('open');
+    expect(db.tables.votes).toHaveLength(2);
+  });
+});
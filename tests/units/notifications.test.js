@@ -0,0 +1,74 @@
+const { db, pool } = require('../helpers/mockDatabase');
+const { NOTIFICATION_TYPES, notifyIssueFollowers } = require('../../src/utils/notifications');
+
+const recipients = () => db.tables.notifications.map(n => n.user_id);
+
+beforeEach(() => {
+  db.reset({
+    followers: { 'issue-1': ['reporter', 'official', 'follower'] },
+    users: [
+      { user_id: 'reporter', department_id: null },
+      { user_id: 'official', department_id: 'roads' },
+      { user_id: 'follower', department_id: null },
+      { user_id: 'colleague', department_id: 'roads' },
+      { user_id: 'outsider', department_id: 'water' }
+    ],
+    notifications: []
+  });
+  const { followers, users, notifications } = db.tables;
+
+  // Recipients are the issue's followers plus the department's members, minus the actor
+  db.handle(/INSERT INTO notifications/, ([issue_id, actor_user_id, type, message, data, department_id], sql) => {
+    const members = department_id ? users.filter(u => u.department_id === department_id).map(u => u.user_id) : [];
+    const candidates = [...new Set([...(followers[issue_id] || []), ...members])];
+    const excludesActor = /recipients\.user_id IS DISTINCT FROM \$2/.test(sql);
+    const rows = candidates
+      .filter(user_id => !excludesActor || user_id !== actor_user_id)
+      .map(user_id => ({ user_id, issue_id, actor_user_id, type, message, data: JSON.parse(data) }));
+    notifications.push(...rows);
+    return rows;
+  });
+});
+
+describe('Issue notifications', () => {
+  test('the actor is not notified of their own change', async () => {
+    const count = await notifyIssueFollowers(pool, {
+      issue_id: 'issue-1',
+      actor_user_id: 'follower',
+      type: NOTIFICATION_TYPES.VOTED,
+      message: 'Issue received a new upvote'
+    });
+
+    expect(recipients()).toEqual(['reporter', 'official']);
+    expect(count).toBe(2);
+  });
+
+  test('department members are notified while the acting official is not', async () => {
+    await notifyIssueFollowers(pool, {
+      issue_id: 'issue-1',
+      actor_user_id: 'official',
+      type: NOTIFICATION_TYPES.STATUS_CHANGED,
+      message: 'Status changed to in_progress',
+      department_id: 'roads'
+    });
+
+    expect(recipients()).toEqual(['reporter', 'follower', 'colleague']);
+    expect(db.tables.notifications[0]).toMatchObject({
+      actor_user_id: 'official',
+      type: 'status_changed',
+      message: 'Status changed to in_progress',
+      data: {}
+    });
+  });
+
+  test('system events with no actor notify everyone', async () => {
+    await notifyIssueFollowers(pool, {
+      issue_id: 'issue-1',
+      type: NOTIFICATION_TYPES.AUTO_REOPENED,
+      message: 'Reopened after 2 citizen disputes',
+      department_id: 'roads'
+    });
+
+    expect(recipients()).toEqual(['reporter', 'official', 'follower', 'colleague']);
+  });
+});
@@ -0,0 +1,62 @@
+const {
+  PAGINATION_SETTINGS,
+  parseLimit,
+  encodeCursor,
+  decodeCursor,
+  buildKeysetQuery,
+  paginateRows,
+  parseFields,
+  projectFields
+} = require('../../src/utils/pagination');
+
+describe('Keyset pagination', () => {
+  const keys = [
+    { expr: 'i.priority_score', type: 'float8', dir: 'DESC' },
+    { expr: 'i.issue_id', type: 'uuid', dir: 'ASC' }
+  ];
+
+  test('clamps the page size', () => {
+    expect(parseLimit(undefined)).toBe(PAGINATION_SETTINGS.DEFAULT_LIMIT);
+    expect(parseLimit('5')).toBe(5);
+    expect(parseLimit('100000')).toBe(PAGINATION_SETTINGS.MAX_LIMIT);
+  });
+
+  test('builds a seek condition that respects each key direction', () => {
+    const params = [];
+    const addParam = (value) => { params.push(value); return `$${params.length}`; };
+    const { condition, orderBy } = buildKeysetQuery(keys, ['42.5', 'abc'], addParam);
+
+    expect(orderBy).toBe('i.priority_score DESC, i.issue_id ASC');
+    expect(condition).toBe(
+      '((i.priority_score < $1::float8) OR (i.priority_score = $1::float8 AND i.issue_id > $2::uuid))'
+    );
+    expect(params).toEqual(['42.5', 'abc']);
+  });
+
+  test('round-trips cursors and rejects cursors from another sort', () => {
+    const rows = [
+      { sort_key_0: '90', sort_key_1: 'a' },
+      { sort_key_0: '80', sort_key_1: 'b' },
+      { sort_key_0: '70', sort_key_1: 'c' }
+    ];
+    const page = paginateRows(rows, 2, 'priority', 2);
+
+    expect(page.rows).toHaveLength(2);
+    expect(page.pagination.has_more).toBe(true);
+    expect(decodeCursor(page.pagination.next_cursor, 'priority', 2).values).toEqual(['80', 'b']);
+    expect(decodeCursor(page.pagination.next_cursor, 'newest', 2).error).toBeDefined();
+    expect(decodeCursor('not-a-cursor', 'priority', 2).error).toBeDefined();
+    expect(paginateRows(rows, 5, 'priority', 2).pagination.next_cursor).toBeNull();
+    expect(decodeCursor(encodeCursor('priority', ['1']), 'priority', 2).error).toBeDefined();
+  });
+});
+
+describe('Field selection', () => {
+  test('validates and projects requested fields', () => {
+    const allowed = ['issue_id', 'lat', 'lng', 'status'];
+    expect(parseFields(undefined, allowed).fields).toBeNull();
+    expect(parseFields('issue_id,lat', allowed).fields).toEqual(['issue_id', 'lat']);
+    expect(parseFields('issue_id,secret', allowed).error).toMatch(/secret/);
+    expect(projectFields({ issue_id: '1', lat: 2, status: 'open' }, ['issue_id', 'lat'])).toEqual({ issue_id: '1', lat: 2 });
+  });
+});
@@ -0,0 +1,29 @@
+const { ROLES, PERMISSIONS, hasPermission, canActOnIssue, isOnChainOfficialRole } = require('../../src/utils/permissions');
+
+const officer = { role: ROLES.DEPARTMENT_OFFICER, department_id: 'd1' };
+
+describe('Role permissions', () => {
+  test('grants permissions from the role matrix', () => {
+    expect(hasPermission({ role: ROLES.CITIZEN }, PERMISSIONS.ISSUE_VIEW_ADMIN)).toBe(false);
+    expect(hasPermission({ role: ROLES.MODERATOR }, PERMISSIONS.COMMENT_MODERATE)).toBe(true);
+    expect(hasPermission({ role: ROLES.MODERATOR }, PERMISSIONS.ISSUE_UPDATE_STATUS)).toBe(false);
+    expect(hasPermission({ role: ROLES.GOVERNMENT }, PERMISSIONS.ROLE_MANAGE)).toBe(false);
+    expect(hasPermission({ role: ROLES.SUPER_ADMIN }, PERMISSIONS.ROLE_MANAGE)).toBe(true);
+    expect(hasPermission({ role: 'unknown' }, PERMISSIONS.DASHBOARD_VIEW)).toBe(false);
+    expect(hasPermission(null, PERMISSIONS.DASHBOARD_VIEW)).toBe(false);
+  });
+
+  test('limits department roles to issues assigned to their department', () => {
+    expect(canActOnIssue(officer, PERMISSIONS.ISSUE_UPDATE_STATUS, { assigned_department_id: 'd1' })).toBe(true);
+    expect(canActOnIssue(officer, PERMISSIONS.ISSUE_UPDATE_STATUS, { assigned_department_id: 'd2' })).toBe(false);
+    expect(canActOnIssue(officer, PERMISSIONS.ISSUE_ASSIGN, { assigned_department_id: 'd1' })).toBe(false);
+    expect(canActOnIssue({ role: ROLES.GOVERNMENT }, PERMISSIONS.ISSUE_UPDATE_STATUS, { assigned_department_id: null })).toBe(true);
+  });
+
+  test('flags roles that sign status changes on-chain', () => {
+    expect(isOnChainOfficialRole(ROLES.DEPARTMENT_OFFICER)).toBe(true);
+    expect(isOnChainOfficialRole(ROLES.GOVERNMENT)).toBe(true);
+    expect(isOnChainOfficialRole(ROLES.MODERATOR)).toBe(false);
+    expect(isOnChainOfficialRole(ROLES.CITIZEN)).toBe(false);
+  });
+});
@@ -1,4 +1,4 @@
-const { CATEGORY_URGENCY } = require('../../src/utils/priority');
+const { CATEGORY_URGENCY, buildPriorityBreakdown } = require('../../src/utils/priority');
 
 describe('Priority CATEGORY_URGENCY', () => {
   test('contains expected keys and values', () => {
@@ -9,3 +9,23 @@ describe('Priority CATEGORY_URGENCY', () => {
     expect(CATEGORY_URGENCY.other).toBeGreaterThan(0);
   });
 });
+
+describe('Priority buildPriorityBreakdown', () => {
+  test('explains each component with the weights of the stored config version', () => {
+    const breakdown = buildPriorityBreakdown({
+      priority_score: 40,
+      priority_components: { LD: 2, RR: 10, UR: 0, CU: 8, TF: 0 },
+      priority_weights: { LD: 2.5, RR: 2.0, UR: 2.0, CU: 2.5, TF: 1.0 },
+      escalation_count: 0,
+      priority_config_version: 1
+    });
+    expect(breakdown.components.LD.contribution).toBe(5);
+    expect(breakdown.components.RR.contribution).toBe(20);
+    expect(breakdown.components.CU.label).toBe('Category urgency');
+    expect(breakdown.config_version).toBe(1);
+  });
+
+  test('returns null when components were never stored', () => {
+    expect(buildPriorityBreakdown({ priority_score: 10, priority_components: null })).toBeNull();
+  });
+});
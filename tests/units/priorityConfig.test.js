@@ -0,0 +1,21 @@
+const { DEFAULT_PRIORITY_CONFIG, validatePriorityConfigInput, mergePriorityConfig } = require('../../src/utils/priorityConfig');
+const { scorePriority } = require('../../src/utils/priority');
+
+describe('Priority config', () => {
+  test('rejects unknown weights and out-of-range values', () => {
+    expect(validatePriorityConfigInput({ weights: { XX: 1 } })).toMatch(/Unknown weight/);
+    expect(validatePriorityConfigInput({ category_urgency: { water: 11 } })).toMatch(/between 0 and 10/);
+    expect(validatePriorityConfigInput({ density_window_days: 0 })).toMatch(/density_window_days/);
+    expect(validatePriorityConfigInput({ weights: { LD: 3 }, category_urgency: { water: 10 } })).toBeNull();
+  });
+
+  test('merges partial updates and scores with the merged weights', () => {
+    const merged = mergePriorityConfig(DEFAULT_PRIORITY_CONFIG, { weights: { TF: 0 } });
+    expect(merged.weights.LD).toBe(DEFAULT_PRIORITY_CONFIG.weights.LD);
+    expect(merged.weights.TF).toBe(0);
+
+    const components = { LD: 0, RR: 0, UR: 0, CU: 0, TF: 10 };
+    expect(scorePriority(components, DEFAULT_PRIORITY_CONFIG)).toBe(10);
+    expect(scorePriority(components, merged)).toBe(0);
+  });
+});
@@ -0,0 +1,71 @@
+const mockDb = { issueIds: [], scores: {}, statements: [] };
+
+// Stand-in for Postgres: pages active issue IDs by keyset and answers each
+// batch UPDATE with the old and new score of every issue in the batch
+jest.mock('../../src/config/database', () => ({
+  connect: async () => ({
+    query: async (sql, params) => {
+      mockDb.statements.push({ sql, params });
+      if (/FROM priority_configs/.test(sql)) {
+        return { rows: [] };
+      }
+      if (/^SELECT issue_id\s+FROM issues/.test(sql)) {
+        const [after, limit] = params;
+        const rows = mockDb.issueIds.filter(id => after === null || id > after).slice(0, limit).map(issue_id => ({ issue_id }));
+        return { rows };
+      }
+      if (/UPDATE issues i/.test(sql)) {
+        const rows = params[3].map(issue_id => ({ issue_id, ...mockDb.scores[issue_id] }));
+        return { rows, rowCount: rows.length };
+      }
+      return { rows: [] };
+    },
+    release: () => {}
+  }),
+  on: () => {}
+}));
+
+const { recomputeActivePriorities } = require('../../src/utils/priority');
+
+const batchQueries = () => mockDb.statements.filter(({ sql }) => /^SELECT issue_id\s+FROM issues/.test(sql));
+const notifiedIds = () => mockDb.statements.filter(({ sql }) => sql.includes('pg_notify')).map(({ params }) => params[3]);
+
+beforeEach(() => {
+  mockDb.issueIds = ['a', 'b', 'c', 'd', 'e'];
+  mockDb.scores = Object.fromEntries(mockDb.issueIds.map(id => [id, { old_score: 10, new_score: 10 }]));
+  mockDb.statements = [];
+});
+
+describe('Scheduled priority recomputation', () => {
+  test('walks active issues in keyset batches', async () => {
+    const result = await recomputeActivePriorities({ batchSize: 2 });
+
+    expect(result).toEqual({ updated: 5, batches: 3 });
+    expect(batchQueries().map(({ params }) => params)).toEqual([[null, 2], ['b', 2], ['d', 2]]);
+  });
+
+  test('ends on an empty lookup when the last batch is full', async () => {
+    mockDb.issueIds = ['a', 'b', 'c', 'd'];
+
+    const result = await recomputeActivePriorities({ batchSize: 2 });
+
+    expect(result).toEqual({ updated: 4, batches: 2 });
+    expect(batchQueries()).toHaveLength(3);
+  });
+
+  test('does nothing when no issue is active', async () => {
+    mockDb.issueIds = [];
+
+    expect(await recomputeActivePriorities({ batchSize: 2 })).toEqual({ updated: 0, batches: 0 });
+    expect(mockDb.statements.some(({ sql }) => /UPDATE issues i/.test(sql))).toBe(false);
+  });
+
+  test('only streams issues whose score moved by at least a point', async () => {
+    mockDb.scores.b = { old_score: 10, new_score: 12 };
+    mockDb.scores.c = { old_score: 10, new_score: 10.5 };
+
+    await recomputeActivePriorities({ batchSize: 10 });
+
+    expect(notifiedIds()).toEqual([['b']]);
+  });
+});
@@ -0,0 +1,120 @@
+const request = require('supertest');
+
+process.env.SOLANA_PROGRAM_ID = process.env.SOLANA_PROGRAM_ID || '11111111111111111111111111111111';
+
+jest.mock('../../src/config/database', () => require('../helpers/mockDatabase').pool);
+jest.mock('../../src/services/solanaService');
+
+const { db } = require('../helpers/mockDatabase');
+const app = require('../../src/app');
+
+const issueId = '15500000-0000-4000-8000-000000000004';
+const canonicalId = '15500000-0000-4000-8000-000000000001';
+
+// Fields of the reporter and the issue that identify a citizen
+const PRIVATE_FIELDS = ['reporter_user_id', 'user_id', 'email', 'name', 'wallet_address', 'private_key_encrypted', 'actor_user_id'];
+
+// A joined issue/reporter row carrying more than the public columns, so the
+// tests catch any private field the response shape lets through
+const joinedRow = (issue_id, extra = {}) => ({
+  issue_id,
+  category: 'pothole',
+  status: 'open',
+  description: 'Pothole on Main St',
+  lat: 12.97,
+  lng: 77.59,
+  region: 'north',
+  priority_score: 42,
+  upvotes: 3,
+  downvotes: 0,
+  blockchain_tx_hash: null,
+  reporter_wallet: null,
+  created_at: new Date('2025-06-01T10:00:00Z'),
+  updated_at: new Date('2025-06-01T10:00:00Z'),
+  resolved_at: null,
+  reporter_user_id: 'a11ce000-0000-4000-8000-000000000001',
+  user_id: 'a11ce000-0000-4000-8000-000000000001',
+  email: 'alice@example.com',
+  name: 'Alice',
+  wallet_address: 'AliceWallet',
+  private_key_encrypted: 'secret',
+  sort_key_0: '2025-06-01 10:00:00',
+  sort_key_1: issue_id,
+  ...extra
+});
+
+beforeEach(() => {
+  db.reset({
+    issues: {
+      [issueId]: joinedRow(issueId, { duplicate_of: canonicalId, verification_count: 0 })
+    },
+    transactions: [
+      { event_type: 'status_changed', new_value: 'in_progress', blockchain_tx_hash: 'tx-1', created_at: new Date() }
+    ]
+  });
+  const { issues, transactions } = db.tables;
+  db.handle(/FROM issues i\s+JOIN users u[\s\S]*WHERE i\.issue_id = \$1/, ([id]) => (issues[id] ? [{ ...issues[id] }] : []))
+    .handle(/FROM issue_events e/, () => transactions.map(t => ({ ...t })))
+    .handle(/FROM issues i\s+JOIN users u/, () => Object.values(issues).map(issue => ({ ...issue })))
+    .handle(/GROUPING SETS/, () => [{ by_region: false, by_category: false, total: 1, open: 1 }]);
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('Public API', () => {
+  test('lists issues without identifying their reporters', async () => {
+    const res = await request(app).get('/public/v1/issues');
+
+    expect(res.status).toBe(200);
+    expect(res.headers['cache-control']).toMatch(/^public/);
+    expect(res.body.issues).toHaveLength(1);
+    for (const field of PRIVATE_FIELDS) {
+      expect(res.body.issues[0]).not.toHaveProperty(field);
+    }
+  });
+
+  test('returns an issue with its on-chain trail without identifying its reporter', async () => {
+    const res = await request(app).get(`/public/v1/issues/${issueId}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.issue).toMatchObject({ issue_id: issueId, duplicate_of: canonicalId });
+    for (const field of PRIVATE_FIELDS) {
+      expect(res.body.issue).not.toHaveProperty(field);
+    }
+    expect(res.body.issue.blockchain_transactions.map(t => t.blockchain_tx_hash)).toEqual(['tx-1']);
+  });
+
+  test.each([
+    ['an unknown', '15500000-0000-4000-8000-00000000dead'],
+    ['a malformed', 'not-a-uuid']
+  ])('%s issue ID returns 404', async (_, id) => {
+    const res = await request(app).get(`/public/v1/issues/${id}`);
+
+    expect(res.status).toBe(404);
+    expect(res.body.error).toBe('Issue not found');
+  });
+
+  test.each([
+    ['sort', '/public/v1/issues?sort=oldest'],
+    ['bbox', '/public/v1/issues?bbox=1,2,3'],
+    ['since', '/public/v1/issues?since=yesterday'],
+    ['cursor', '/public/v1/issues?cursor=garbage'],
+    ['date_from', '/public/v1/stats?date_from=soon']
+  ])('an invalid %s returns 400', async (_, url) => {
+    const res = await request(app).get(url);
+
+    expect(res.status).toBe(400);
+    expect(res.body.success).toBe(false);
+  });
+
+  test('serves aggregate stats', async () => {
+    const res = await request(app).get('/public/v1/stats');
+
+    expect(res.status).toBe(200);
+    expect(res.body.stats.overall).toMatchObject({ total: 1, open: 1 });
+  });
+});
@@ -0,0 +1,32 @@
+const { createRateLimiter } = require('../../src/middleware/rateLimit');
+
+function mockResponse() {
+  return {
+    headers: {},
+    statusCode: 200,
+    setHeader(name, value) { this.headers[name] = value; },
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+}
+
+describe('Rate limiter', () => {
+  test('allows requests up to the limit, then answers 429 per client', () => {
+    const limiter = createRateLimiter({ max: 2, windowSeconds: 60 });
+    const next = jest.fn();
+
+    for (let i = 0; i < 2; i++) {
+      limiter({ ip: '1.1.1.1' }, mockResponse(), next);
+    }
+    const blocked = mockResponse();
+    limiter({ ip: '1.1.1.1' }, blocked, next);
+
+    expect(next).toHaveBeenCalledTimes(2);
+    expect(blocked.statusCode).toBe(429);
+    expect(blocked.headers['X-RateLimit-Remaining']).toBe(0);
+    expect(blocked.headers['Retry-After']).toBeGreaterThan(0);
+
+    limiter({ ip: '2.2.2.2' }, mockResponse(), next);
+    expect(next).toHaveBeenCalledTimes(3);
+  });
+});
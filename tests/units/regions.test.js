@@ -0,0 +1,31 @@
+const { parseRegionFeatures } = require('../../src/utils/regions');
+
+const square = {
+  type: 'Polygon',
+  coordinates: [[[77.5, 12.9], [77.6, 12.9], [77.6, 13.0], [77.5, 13.0], [77.5, 12.9]]]
+};
+
+describe('Region GeoJSON parsing', () => {
+  test('reads names, codes and level from features', () => {
+    const { regions } = parseRegionFeatures({
+      type: 'FeatureCollection',
+      features: [{ type: 'Feature', properties: { WARD_NAME: 'Ward 1', WARD_NO: 1 }, geometry: square }]
+    }, { nameProperty: 'WARD_NAME', codeProperty: 'WARD_NO', level: 'ward' });
+
+    expect(regions).toEqual([{ name: 'Ward 1', code: '1', level: 'ward', geometry: square }]);
+  });
+
+  test('rejects non-polygon features, missing names and duplicates', () => {
+    const collection = features => ({ type: 'FeatureCollection', features });
+
+    expect(parseRegionFeatures({ type: 'Feature' }).error).toMatch(/FeatureCollection/);
+    expect(parseRegionFeatures(collection([
+      { properties: { name: 'A' }, geometry: { type: 'Point', coordinates: [0, 0] } }
+    ])).error).toMatch(/Polygon/);
+    expect(parseRegionFeatures(collection([{ properties: {}, geometry: square }])).error).toMatch(/"name"/);
+    expect(parseRegionFeatures(collection([
+      { properties: { name: 'A' }, geometry: square },
+      { properties: { name: 'A' }, geometry: square }
+    ])).error).toMatch(/Duplicate/);
+  });
+});
@@ -0,0 +1,41 @@
+const { findDepartmentForIssue } = require('../../src/utils/routing');
+
+const departments = [
+  { department_id: 'citywide-roads', region: null, categories: ['pothole'] },
+  { department_id: 'north-roads', region: 'north', categories: ['pothole'] },
+  { department_id: 'citywide-water', region: null, categories: ['water'] }
+];
+
+// Stand-in for Postgres: applies the query's category/region filter and,
+// when the query asks for it, puts region-specific departments first
+const clientFor = rows => ({
+  query: jest.fn(async (sql, [category, region]) => {
+    const matches = rows.filter(d => d.categories.includes(category) && (d.region === null || d.region === region));
+    if (/ORDER BY \(d\.region IS NULL\) ASC/.test(sql)) {
+      matches.sort((a, b) => (a.region === null) - (b.region === null));
+    }
+    return { rows: /LIMIT 1/.test(sql) ? matches.slice(0, 1) : matches };
+  })
+});
+
+describe('Department routing', () => {
+  test('a department serving the issue\'s region beats the citywide one', async () => {
+    const client = clientFor(departments);
+
+    const department = await findDepartmentForIssue(client, { category: 'pothole', region: 'north' });
+
+    expect(department.department_id).toBe('north-roads');
+    expect(client.query.mock.calls[0][1]).toEqual(['pothole', 'north']);
+  });
+
+  test('the citywide department handles regions without their own', async () => {
+    expect((await findDepartmentForIssue(clientFor(departments), { category: 'pothole', region: 'south' })).department_id)
+      .toBe('citywide-roads');
+    expect((await findDepartmentForIssue(clientFor(departments), { category: 'pothole', region: undefined })).department_id)
+      .toBe('citywide-roads');
+  });
+
+  test('returns null when no department handles the category', async () => {
+    expect(await findDepartmentForIssue(clientFor(departments), { category: 'garbage', region: 'north' })).toBeNull();
+  });
+});
@@ -0,0 +1,34 @@
+const { SEARCH_RADIUS, parseCoordinates, parseRadius, parseServiceAreaGeoJSON } = require('../../src/utils/serviceArea');
+
+const square = {
+  type: 'Polygon',
+  coordinates: [[[77.5, 12.9], [77.6, 12.9], [77.6, 13.0], [77.5, 13.0], [77.5, 12.9]]]
+};
+
+describe('Service area validation helpers', () => {
+  test('parses coordinates and rejects out-of-range, missing and 0,0 values', () => {
+    expect(parseCoordinates('12.97', '77.59')).toEqual({ lat: 12.97, lng: 77.59 });
+    expect(parseCoordinates(91, 10).error).toMatch(/lat/);
+    expect(parseCoordinates(10, -181).error).toMatch(/lng/);
+    expect(parseCoordinates('', '77.5').error).toMatch(/numbers/);
+    expect(parseCoordinates('abc', 1).error).toMatch(/numbers/);
+    expect(parseCoordinates(0, 0).error).toMatch(/0,0/);
+  });
+
+  test('defaults and bounds the search radius', () => {
+    expect(parseRadius(undefined)).toEqual({ radius: SEARCH_RADIUS.DEFAULT_METERS });
+    expect(parseRadius('250')).toEqual({ radius: 250 });
+    expect(parseRadius('-5').error).toBeDefined();
+    expect(parseRadius(SEARCH_RADIUS.MAX_METERS + 1).error).toBeDefined();
+  });
+
+  test('accepts polygons as a bare geometry, feature or collection', () => {
+    expect(parseServiceAreaGeoJSON(square).areas).toEqual([{ name: 'Service area 1', geometry: square }]);
+    expect(parseServiceAreaGeoJSON({
+      type: 'FeatureCollection',
+      features: [{ type: 'Feature', properties: { name: 'North' }, geometry: square }]
+    }).areas[0].name).toBe('North');
+    expect(parseServiceAreaGeoJSON({ type: 'Point', coordinates: [0, 0] }).error).toBeDefined();
+    expect(parseServiceAreaGeoJSON({ type: 'FeatureCollection', features: [] }).error).toBeDefined();
+  });
+});
@@ -0,0 +1,33 @@
+const { hashRefreshToken, isTokenRevoked } = require('../../src/services/sessionService');
+
+const user = { user_id: 'u1', tokens_revoked_at: null };
+const clientReturning = rows => ({ query: jest.fn().mockResolvedValue({ rows }) });
+
+describe('Session helpers', () => {
+  test('hashes refresh tokens to a stable SHA-256 hex digest', () => {
+    expect(hashRefreshToken('abc')).toBe('ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+    expect(hashRefreshToken('abc')).not.toBe(hashRefreshToken('abd'));
+  });
+
+  test('session tokens are revoked once their session is no longer active', async () => {
+    const active = clientReturning([{ '?column?': 1 }]);
+    expect(await isTokenRevoked(active, { sid: 's1', iat: 1 }, user)).toBe(false);
+    expect(active.query.mock.calls[0][1]).toEqual(['s1', 'u1']);
+
+    expect(await isTokenRevoked(clientReturning([]), { sid: 's1', iat: 1 }, user)).toBe(true);
+  });
+
+  test('tokens without a session are revoked if issued before log out all devices', async () => {
+    const client = clientReturning([]);
+    const revokedAt = new Date('2025-01-01T12:00:00.500Z');
+    const seconds = Math.floor(revokedAt.getTime() / 1000);
+
+    expect(await isTokenRevoked(client, { iat: seconds - 60 }, user)).toBe(false);
+    expect(await isTokenRevoked(client, { iat: seconds - 60 }, { ...user, tokens_revoked_at: revokedAt })).toBe(true);
+    expect(await isTokenRevoked(client, { iat: seconds }, { ...user, tokens_revoked_at: revokedAt })).toBe(true);
+    expect(await isTokenRevoked(client, { iat: seconds + 1 }, { ...user, tokens_revoked_at: revokedAt })).toBe(false);
+    expect(await isTokenRevoked(client, {}, user)).toBe(false);
+    expect(await isTokenRevoked(client, {}, { ...user, tokens_revoked_at: revokedAt })).toBe(true);
+    expect(client.query).not.toHaveBeenCalled();
+  });
+});
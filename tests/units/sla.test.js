@@ -0,0 +1,99 @@
+const mockDb = { issues: [], statements: [] };
+
+// Stand-in for Postgres on the escalation query: applies the overdue and
+// escalation-interval conditions to issues whose times are given in hours ago
+jest.mock('../../src/config/database', () => ({
+  connect: async () => ({
+    query: async (sql, params) => {
+      mockDb.statements.push({ sql, params });
+      if (!/UPDATE issues i/.test(sql)) {
+        return { rows: [] };
+      }
+      const [boost, intervalHours] = params;
+      const rows = mockDb.issues
+        .filter(i => ['open', 'in_progress'].includes(i.status) && i.sla_due_hours_ago > 0)
+        .filter(i => i.escalated_hours_ago === null || i.escalated_hours_ago > intervalHours)
+        .map(i => ({ issue_id: i.issue_id, priority_score: Math.min(i.priority_score + boost, 100), escalation_count: i.escalation_count + 1 }));
+      return { rows };
+    },
+    release: () => {}
+  }),
+  on: () => {}
+}));
+
+const { SLA_SETTINGS, computeSlaDueAt, escalateOverdueIssues } = require('../../src/utils/sla');
+
+const targets = [
+  { category: 'pothole', min_priority: 0, target_hours: 72 },
+  { category: 'pothole', min_priority: 50, target_hours: 24 },
+  { category: 'pothole', min_priority: 80, target_hours: 4 },
+  { category: 'water', min_priority: 0, target_hours: 48 }
+];
+
+// Stand-in for Postgres on the SLA target lookup: returns target_hours as due_at
+const targetClient = {
+  query: jest.fn(async (sql, [category, priority]) => {
+    const matches = targets.filter(t => t.category === category && t.min_priority <= priority);
+    if (/ORDER BY min_priority DESC/.test(sql)) {
+      matches.sort((a, b) => b.min_priority - a.min_priority);
+    }
+    return { rows: matches.slice(0, 1).map(t => ({ due_at: t.target_hours })) };
+  })
+};
+
+const overdueIssue = (issue_id, escalated_hours_ago) => ({
+  issue_id,
+  status: 'open',
+  priority_score: 40,
+  escalation_count: escalated_hours_ago === null ? 0 : 1,
+  sla_due_hours_ago: 48,
+  escalated_hours_ago
+});
+
+beforeEach(() => {
+  mockDb.statements = [];
+});
+
+describe('SLA deadlines', () => {
+  test.each([
+    [10, 72],
+    [50, 24],
+    [79, 24],
+    [95, 4]
+  ])('priority %d uses the target with the highest min_priority it reaches (%dh)', async (priority_score, hours) => {
+    expect(await computeSlaDueAt(targetClient, { category: 'pothole', priority_score })).toBe(hours);
+  });
+
+  test('categories without a target get no deadline', async () => {
+    expect(await computeSlaDueAt(targetClient, { category: 'garbage', priority_score: 90 })).toBeNull();
+  });
+});
+
+describe('Overdue escalation', () => {
+  test('escalates overdue issues at most once per interval', async () => {
+    mockDb.issues = [
+      overdueIssue('never-escalated', null),
+      overdueIssue('escalated-recently', SLA_SETTINGS.ESCALATION_INTERVAL_HOURS - 1),
+      overdueIssue('escalated-long-ago', SLA_SETTINGS.ESCALATION_INTERVAL_HOURS + 1),
+      { ...overdueIssue('resolved', null), status: 'resolved' }
+    ];
+
+    const escalated = await escalateOverdueIssues();
+
+    expect(escalated.map(i => i.issue_id)).toEqual(['never-escalated', 'escalated-long-ago']);
+    expect(escalated[0].priority_score).toBe(40 + SLA_SETTINGS.ESCALATION_BOOST);
+
+    const [update] = mockDb.statements;
+    expect(update.sql).toMatch(/i\.escalated_at IS NULL OR i\.escalated_at < NOW\(\) - make_interval\(hours => \$2\)/);
+    expect(update.params).toEqual([SLA_SETTINGS.ESCALATION_BOOST, SLA_SETTINGS.ESCALATION_INTERVAL_HOURS, 'escalated']);
+  });
+
+  test('publishes a priority change for escalated issues', async () => {
+    mockDb.issues = [overdueIssue('never-escalated', null)];
+
+    await escalateOverdueIssues();
+
+    const notify = mockDb.statements.find(({ sql }) => sql.includes('pg_notify'));
+    expect(notify.params[3]).toEqual(['never-escalated']);
+  });
+});
@@ -0,0 +1,18 @@
+const { parseVerifiedFlag } = require('../../src/utils/verification');
+
+describe('Verification flag', () => {
+  test('accepts the usual forms of true and false', () => {
+    for (const value of [true, 1, 'true', 'TRUE', '1']) {
+      expect(parseVerifiedFlag(value)).toBe(true);
+    }
+    for (const value of [false, 'false', 'False', '0']) {
+      expect(parseVerifiedFlag(value)).toBe(false);
+    }
+  });
+
+  test('does not treat missing or unrecognised values as a dispute', () => {
+    for (const value of [undefined, null, '', 'yes', 'no', 0, 2, {}]) {
+      expect(parseVerifiedFlag(value)).toBeNull();
+    }
+  });
+});
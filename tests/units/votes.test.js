@@ -0,0 +1,71 @@
+const { db, pool } = require('../helpers/mockDatabase');
+const { applyVoteToReporter, reverseVoteOnReporter } = require('../../src/utils/votes');
+
+// Keeps one reporter row in db.tables and answers the reputation updates
+const reporterClient = reporter => {
+  const row = { badges: [], total_upvotes: 0, ...reporter };
+  db.reset({ users: { [row.user_id]: row } });
+  db.handle(/^\s*UPDATE users\s+SET rep/, ([rep, totalUpvotesChange, id]) => {
+    const user = db.tables.users[id];
+    user.rep = rep;
+    user.total_upvotes = Math.max(user.total_upvotes + totalUpvotesChange, 0);
+    return [{ ...user }];
+  });
+  return { ...pool, row };
+};
+
+// Cast a vote, store the applied delta as the votes row would, then retract it
+const castAndRetract = async (client, voteType) => {
+  const applied = await applyVoteToReporter(client, { ...client.row }, voteType);
+  const vote = { vote_type: voteType, rep_delta: applied.rep_delta };
+  await reverseVoteOnReporter(client, applied.reporter, vote);
+  return applied;
+};
+
+describe('Vote reputation', () => {
+  test.each([['upvote'], ['downvote']])('%s: cast then retracted leaves reputation unchanged', async voteType => {
+    const client = reporterClient({ user_id: 'reporter', rep: 50, total_upvotes: 3 });
+
+    await castAndRetract(client, voteType);
+
+    expect(client.row.rep).toBe(50);
+    expect(client.row.total_upvotes).toBe(3);
+  });
+
+  test('a downvote clamped at 0 gives back only what it took', async () => {
+    const client = reporterClient({ user_id: 'reporter', rep: 1 });
+
+    const applied = await castAndRetract(client, 'downvote');
+
+    expect(applied.rep_delta).toBe(-1);
+    expect(client.row.rep).toBe(1);
+  });
+
+  test('switching a vote and retracting it leaves reputation unchanged', async () => {
+    const client = reporterClient({ user_id: 'reporter', rep: 2 });
+
+    const downvote = await applyVoteToReporter(client, { ...client.row }, 'downvote');
+    const reversed = await reverseVoteOnReporter(client, downvote.reporter, { vote_type: 'downvote', rep_delta: downvote.rep_delta });
+    const upvote = await applyVoteToReporter(client, reversed, 'upvote');
+    await reverseVoteOnReporter(client, upvote.reporter, { vote_type: 'upvote', rep_delta: upvote.rep_delta });
+
+    expect(client.row.rep).toBe(2);
+  });
+
+  test('retracting an upvote cast before rep_delta was recorded takes back its full change', async () => {
+    const client = reporterClient({ user_id: 'reporter', rep: 55, total_upvotes: 1 });
+
+    await reverseVoteOnReporter(client, { ...client.row }, { vote_type: 'upvote', rep_delta: null });
+
+    expect(client.row.rep).toBe(50);
+    expect(client.row.total_upvotes).toBe(0);
+  });
+
+  test('retracting a downvote cast before rep_delta was recorded gives nothing back', async () => {
+    const client = reporterClient({ user_id: 'reporter', rep: 0 });
+
+    await reverseVoteOnReporter(client, { ...client.row }, { vote_type: 'downvote', rep_delta: null });
+
+    expect(client.row.rep).toBe(0);
+  });
+});
@@ -0,0 +1,57 @@
+const crypto = require('crypto');
+const bs58 = require('bs58');
+const { Keypair } = require('@solana/web3.js');
+const {
+  decodeWalletAddress,
+  buildSignInMessage,
+  verifyWalletSignature,
+  defaultWalletUserName
+} = require('../../src/utils/walletAuth');
+
+const keypair = Keypair.generate();
+const walletAddress = keypair.publicKey.toBase58();
+const message = buildSignInMessage({
+  walletAddress,
+  nonce: 'abc123',
+  issuedAt: new Date('2025-01-01T00:00:00Z'),
+  expiresAt: new Date('2025-01-01T00:05:00Z')
+});
+const privateKey = crypto.createPrivateKey({
+  key: {
+    kty: 'OKP',
+    crv: 'Ed25519',
+    d: Buffer.from(keypair.secretKey.slice(0, 32)).toString('base64url'),
+    x: keypair.publicKey.toBuffer().toString('base64url')
+  },
+  format: 'jwk'
+});
+const sign = text => crypto.sign(null, Buffer.from(text, 'utf8'), privateKey);
+
+describe('Wallet login helpers', () => {
+  test('builds a sign-in message naming the wallet and nonce', () => {
+    expect(message).toContain(walletAddress);
+    expect(message).toContain('Nonce: abc123');
+    expect(message).toContain('Expiration Time: 2025-01-01T00:05:00.000Z');
+  });
+
+  test('verifies base58 and base64 signatures from the wallet', () => {
+    const signature = sign(message);
+    expect(verifyWalletSignature(walletAddress, message, bs58.encode(signature))).toBe(true);
+    expect(verifyWalletSignature(walletAddress, message, signature.toString('base64'))).toBe(true);
+  });
+
+  test('rejects other messages, other wallets and malformed input', () => {
+    const signature = bs58.encode(sign(message));
+    expect(verifyWalletSignature(walletAddress, `${message}!`, signature)).toBe(false);
+    expect(verifyWalletSignature(Keypair.generate().publicKey.toBase58(), message, signature)).toBe(false);
+    expect(verifyWalletSignature('not-a-wallet', message, signature)).toBe(false);
+    expect(verifyWalletSignature(walletAddress, message, 'short')).toBe(false);
+  });
+
+  test('decodes only 32-byte wallet addresses', () => {
+    expect(decodeWalletAddress(walletAddress)).toHaveLength(32);
+    expect(decodeWalletAddress('0OIl')).toBeNull();
+    expect(decodeWalletAddress(undefined)).toBeNull();
+    expect(defaultWalletUserName(walletAddress)).toMatch(/^Citizen .{4}….{4}$/);
+  });
+});
@@ -0,0 +1,69 @@
+const http = require('http');
+const { signWebhookPayload, getRetryDelaySeconds, validateWebhookInput, WEBHOOK_SETTINGS } = require('../../src/utils/webhooks');
+const { sendWebhook } = require('../../src/services/webhookService');
+
+describe('Webhook helpers', () => {
+  test('retry delay doubles per attempt and is capped', () => {
+    const base = WEBHOOK_SETTINGS.RETRY_BASE_SECONDS;
+    expect(getRetryDelaySeconds(1)).toBe(base);
+    expect(getRetryDelaySeconds(3)).toBe(base * 4);
+    expect(getRetryDelaySeconds(50)).toBe(WEBHOOK_SETTINGS.RETRY_MAX_SECONDS);
+  });
+
+  test('validates url and event names', () => {
+    expect(validateWebhookInput({ url: 'https://example.com/hook', events: ['issue.created'] })).toBeNull();
+    expect(validateWebhookInput({ url: 'ftp://example.com', events: ['issue.created'] })).toMatch(/http/);
+    expect(validateWebhookInput({ url: 'https://example.com', events: ['issue.deleted'] })).toMatch(/Unknown event/);
+    expect(validateWebhookInput({ is_active: false }, true)).toBeNull();
+  });
+});
+
+describe('Webhook delivery', () => {
+  let server;
+  let url;
+  let received;
+  let responseStatus;
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received = { headers: req.headers, body };
+        res.writeHead(responseStatus);
+        res.end();
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${server.address().port}/hook`;
+  });
+
+  afterAll(() => new Promise(resolve => server.close(resolve)));
+
+  const delivery = {
+    delivery_id: '3f1c2b7e-2f4a-4a9b-9c1e-1b2c3d4e5f60',
+    event_type: 'issue.created',
+    created_at: '2026-01-01T00:00:00.000Z',
+    payload: { issue_id: 'abc', category: 'pothole' }
+  };
+
+  test('sends a signed payload the receiver can verify', async () => {
+    responseStatus = 204;
+    const result = await sendWebhook({ url, secret: 'test-secret' }, delivery);
+
+    expect(result).toEqual({ ok: true, status: 204, error: null });
+    expect(received.headers['x-civicchain-event']).toBe('issue.created');
+    expect(received.headers['x-civicchain-signature']).toBe(
+      signWebhookPayload('test-secret', received.headers['x-civicchain-timestamp'], received.body)
+    );
+    expect(JSON.parse(received.body)).toMatchObject({ id: delivery.delivery_id, data: delivery.payload });
+  });
+
+  test('reports non-2xx responses as failures', async () => {
+    responseStatus = 500;
+    const result = await sendWebhook({ url, secret: 'test-secret' }, delivery);
+
+    expect(result.ok).toBe(false);
+    expect(result.status).toBe(500);
+  });
+});